@@ -1,7 +1,19 @@
 import React, { useRef, useEffect, useCallback, useState } from "react";
 import { DEG2RAD, RAD2DEG, SNAP_45_BASE_ANGLES } from "./domain/constants";
-import { normalizeAngle, getReferencePoint, getLastPoseOfSection, projectPointWithReference, computePoseUpToSection } from "./domain/geometry";
-import { checkIntersection, isPointInside, checkPathCollision, checkRotationCollision } from "./domain/collision";
+import { normalizeAngle, getReferencePoint, getReferenceOffset, ROBOT_REFERENCES, getLastPoseOfSection, projectPointWithReference, computePoseUpToSection, tangentArc, advancePose } from "./domain/geometry";
+import { getRobotFootprint, isPointInside, sweepMove, sweepTurn, sweepArc, checkSweepCollision } from "./domain/collision";
+import { arcSegmentGeometry } from "./domain/pathCalculator";
+import { ATTACHMENT_TYPES } from "./domain/attachments";
+import { ALIGNMENT_MODES, isAlignmentAction } from "./domain/alignment";
+import { CLEARANCE_COLORS } from "./domain/routeValidation";
+
+// Adds the convex pieces of a swept robot footprint to the current path (filled as one area)
+const traceSweep = (ctx, sweep) => {
+    sweep.forEach(piece => {
+        piece.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+    });
+};
 
 const CanvasBoard = ({
     fieldKey,
@@ -21,6 +33,7 @@ const CanvasBoard = ({
     playPose,
     isRunning,
     drawMode,
+    readOnly = false,
     setDrawMode,
     rulerActive,
     rulerPoints,
@@ -32,6 +45,7 @@ const CanvasBoard = ({
     setReferenceMode,
     reverseDrawing,
     setReverseDrawing,
+    arcDrawing = false,
     zoom,
     canvasBaseSize,
     setCanvasBaseSize,
@@ -70,11 +84,26 @@ const CanvasBoard = ({
     setPan,
     // NEW: Pre-calculated path segments from parent (stateless architecture)
     calculatedPathSegments = [],
+    // Clearance report overlay: { drive / align: waypointId -> level, turns: [{x, y, level}], colorize }
+    clearanceOverlay = null,
+    // Field for alignment actions (px, see alignment.resolveAlignment)
+    alignField = null,
+    // Drift simulation overlay: { ellipses: [{x, y, rx, ry, angle}], cloud: [{x, y}] }
+    driftOverlay = null,
+    // Other robots of the team: { playing, members: [{ name, color, size, start, segments, poseAt(time) }],
+    // collisions: [{ footprints }] } (px)
+    teamOverlay = null,
     // NEW: Selected node for editing waypoint properties
     selectedNode = null,
     setSelectedNode,
     // NEW: Toggle reverse handler from parent (respects selectedNode)
     onToggleReverse,
+    // Toggle arc (curved drive) handler from parent (respects selectedNode)
+    onToggleArc,
+    // Path finder tool: a click picks the target (mission marker centre or point)
+    pathFinderActive = false,
+    onTogglePathFinder,
+    onPathFinderTarget,
     // Obstacle props
     obstacles = [],
     selectedObstacleId,
@@ -89,6 +118,11 @@ const CanvasBoard = ({
     onSelectMission,
     onUpdateMission,
     onDeleteMission,
+    // History props (a whole pointer gesture becomes one undo step)
+    onGestureStart,
+    onGestureEnd,
+    // Lets the parent read the drawn field (printable run sheet)
+    canvasRef: externalCanvasRef,
 }) => {
     const canvasRef = useRef(null);
     const containerRef = useRef(null);
@@ -96,6 +130,12 @@ const CanvasBoard = ({
     const isPanningRef = useRef(false);
     const lastPanPointRef = useRef({ x: 0, y: 0 });
 
+    useEffect(() => {
+        if (!externalCanvasRef) return undefined;
+        externalCanvasRef.current = canvasRef.current;
+        return () => { externalCanvasRef.current = null; };
+    }, [externalCanvasRef]);
+
     // Obstacle interaction state
     // Mode: 'none' | 'drag' | 'resize_nw' | 'resize_ne' | 'resize_sw' | 'resize_se'
     const [obstacleMode, setObstacleMode] = useState('none');
@@ -119,6 +159,8 @@ const CanvasBoard = ({
         if (tag === 'input' || tag === 'textarea' || e.target.isContentEditable) {
             return;
         }
+        // Every shortcut edits the route or the drawing tools
+        if (readOnly) return;
 
         // Tab: Toggle draw/edit mode
         if (e.key === 'Tab' && !e.repeat) {
@@ -161,10 +203,27 @@ const CanvasBoard = ({
             return;
         }
 
-        // R: Toggle reference mode (center/tip)
+        // R: Cycle reference mode (axis / center / tip)
         if (e.key === 'r' || e.key === 'R') {
             e.preventDefault();
-            setReferenceMode(prev => prev === 'center' ? 'tip' : 'center');
+            setReferenceMode(prev => {
+                const modes = Object.keys(ROBOT_REFERENCES);
+                return modes[(modes.indexOf(prev) + 1) % modes.length];
+            });
+            return;
+        }
+
+        // C: Toggle arc / straight drive (selected waypoint or new points)
+        if ((e.key === 'c' || e.key === 'C') && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            onToggleArc?.();
+            return;
+        }
+
+        // F: Toggle path finder tool
+        if ((e.key === 'f' || e.key === 'F') && !e.ctrlKey && !e.metaKey) {
+            e.preventDefault();
+            onTogglePathFinder?.();
             return;
         }
 
@@ -247,7 +306,7 @@ const CanvasBoard = ({
                 setDragging({ active: false, sectionId: null, index: -1 });
             }
         }
-    }, [dragging, isRunning, sections, selectedSectionId, initialPose, setDrawMode, setSnap45, addSection, setSelectedSectionId, setReferenceMode, setReverseDrawing, setGhostOpacityOverride, setSections, setDragging, pxToUnit, unitToPx, selectedNode, setSelectedNode, onToggleReverse, selectedObstacleId, onDeleteObstacle, onSelectObstacle, selectedMissionId, onDeleteMission, onSelectMission, recalcSectionsAndConvertToMm]);
+    }, [readOnly, dragging, isRunning, sections, selectedSectionId, initialPose, setDrawMode, setSnap45, addSection, setSelectedSectionId, setReferenceMode, setReverseDrawing, setGhostOpacityOverride, setSections, setDragging, pxToUnit, unitToPx, selectedNode, setSelectedNode, onToggleReverse, onToggleArc, onTogglePathFinder, selectedObstacleId, onDeleteObstacle, onSelectObstacle, selectedMissionId, onDeleteMission, onSelectMission, recalcSectionsAndConvertToMm]);
 
     const handleKeyUp = useCallback((e) => {
         if (e.code === 'Space') {
@@ -361,15 +420,16 @@ const CanvasBoard = ({
 
         if (robotImgObj) {
             ctx.globalAlpha = isGhost ? ghostOpacity : (robot.opacity ?? 1);
-            // TODO: Handle image offset if needed, for now assume image center is robot center
-            // If we want image to respect offset, we need to know where the "wheels" are in the image.
-            // For now, let's keep image centered on the pose.
+            // The image covers the body, centred wheelOffset - length / 2 ahead of the wheel axis (pose)
+            const bodyCenterX = unitToPx(getReferenceOffset('center', robot));
+            ctx.translate(bodyCenterX, 0);
 
             // Apply robot image rotation
             const rotationRad = (robotImageRotation || 0) * DEG2RAD;
             ctx.rotate(rotationRad);
             ctx.drawImage(robotImgObj, -lPx / 2, -wPx / 2, lPx, wPx);
             ctx.rotate(-rotationRad); // Reset rotation
+            ctx.translate(-bodyCenterX, 0);
 
             ctx.globalAlpha = 1; // Reset alpha
         } else {
@@ -454,6 +514,17 @@ const CanvasBoard = ({
             ctx.globalAlpha = 1; // Reset alpha
         }
 
+        // Reference point placed on the cursor (ghost only, when it is not the wheel axis)
+        if (isGhost && pose.reference && pose.reference !== 'axis') {
+            ctx.beginPath();
+            ctx.arc(unitToPx(getReferenceOffset(pose.reference, robot)), 0, 4, 0, Math.PI * 2);
+            ctx.fillStyle = '#facc15';
+            ctx.fill();
+            ctx.strokeStyle = '#111';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+
         // Mode indicator overlay (only for main robot, not ghost)
         if (showModeIndicator && !isGhost) {
             const overlaySize = 20; // Diameter of the circle
@@ -593,36 +664,60 @@ const CanvasBoard = ({
             // Draw each section's segments
             Object.entries(segmentsBySectionId).forEach(([sectionId, segments]) => {
                 const section = sections.find(s => s.id === sectionId);
-                if (section && !section.isVisible) return;
+                if (section && section.isVisible === false) return;
 
                 segments.forEach(seg => {
+                    const level = clearanceOverlay?.[seg.align ? 'align' : 'drive'][seg.waypointId];
+                    const segColor = clearanceOverlay?.colorize && level ? CLEARANCE_COLORS[level] : (seg.color || '#888888');
                     ctx.beginPath();
-                    ctx.strokeStyle = seg.color || '#888888';
+                    ctx.strokeStyle = segColor;
                     ctx.lineWidth = 3;
                     ctx.lineCap = 'round';
                     ctx.lineJoin = 'round';
 
-                    // Draw dashed for reverse segments
-                    if (seg.isReverse) {
+                    // Dotted for alignment drives, dashed for reverse segments
+                    if (seg.align) {
+                        ctx.setLineDash([2, 4]);
+                    } else if (seg.isReverse) {
                         ctx.setLineDash([6, 4]);
                     } else {
                         ctx.setLineDash([]);
                     }
 
-                    ctx.moveTo(seg.x1, seg.y1);
-                    ctx.lineTo(seg.x2, seg.y2);
+                    let midX = (seg.x1 + seg.x2) / 2;
+                    let midY = (seg.y1 + seg.y2) / 2;
+                    let segmentAngle = Math.atan2(seg.y2 - seg.y1, seg.x2 - seg.x1);
+                    if (seg.arc) {
+                        const { cx, cy, radius, startAngle, endAngle, anticlockwise } = seg.arc;
+                        ctx.arc(cx, cy, radius, startAngle, endAngle, anticlockwise);
+                        // Arrow on the curve, tangent to the travel direction
+                        const midAngle = (startAngle + endAngle) / 2;
+                        midX = cx + Math.cos(midAngle) * radius;
+                        midY = cy + Math.sin(midAngle) * radius;
+                        segmentAngle = midAngle + (anticlockwise ? -Math.PI / 2 : Math.PI / 2);
+                    } else {
+                        ctx.moveTo(seg.x1, seg.y1);
+                        ctx.lineTo(seg.x2, seg.y2);
+                    }
                     ctx.stroke();
                     ctx.setLineDash([]);
 
+                    // Collisions are always flagged with a halo, even with section colours
+                    if (level === 'collision') {
+                        ctx.save();
+                        ctx.strokeStyle = CLEARANCE_COLORS.collision;
+                        ctx.globalAlpha = 0.35;
+                        ctx.lineWidth = 10;
+                        ctx.stroke();
+                        ctx.restore();
+                    }
+
                     // Draw direction arrow in middle of segment
-                    const midX = (seg.x1 + seg.x2) / 2;
-                    const midY = (seg.y1 + seg.y2) / 2;
-                    const segmentAngle = Math.atan2(seg.y2 - seg.y1, seg.x2 - seg.x1);
 
                     ctx.save();
                     ctx.translate(midX, midY);
                     ctx.rotate(segmentAngle);
-                    ctx.fillStyle = seg.color || '#888888';
+                    ctx.fillStyle = segColor;
                     ctx.beginPath();
                     ctx.moveTo(8, 0);
                     ctx.lineTo(0, -4);
@@ -635,6 +730,67 @@ const CanvasBoard = ({
         }
         // NOTE: Legacy fallback drawing removed - component now ONLY uses calculatedPathSegments
 
+        // Turns that sweep into an obstacle (or its margin): area swept by the robot body
+        if (clearanceOverlay) {
+            const robotPx = {
+                width: unitToPx(robot.width),
+                length: unitToPx(robot.length),
+                wheelOffset: unitToPx(robot.wheelOffset ?? robot.length / 2),
+            };
+            clearanceOverlay.turns.forEach(turn => {
+                if (turn.level === 'tight' && !clearanceOverlay.colorize) return;
+                ctx.save();
+                ctx.fillStyle = CLEARANCE_COLORS[turn.level];
+                ctx.globalAlpha = 0.3;
+                ctx.beginPath();
+                traceSweep(ctx, sweepTurn(turn, turn.angle, robotPx));
+                ctx.fill();
+                ctx.restore();
+            });
+        }
+
+        // Odometry drift: simulated poses as a faint cloud, 95 % ellipse per waypoint
+        if (driftOverlay) {
+            ctx.save();
+            ctx.fillStyle = '#8b5cf6';
+            ctx.globalAlpha = 0.12;
+            driftOverlay.cloud.forEach(p => {
+                ctx.fillRect(p.x - 1, p.y - 1, 2, 2);
+            });
+            ctx.globalAlpha = 0.9;
+            ctx.strokeStyle = '#7c3aed';
+            ctx.lineWidth = 1.5;
+            driftOverlay.ellipses.forEach(e => {
+                ctx.beginPath();
+                ctx.ellipse(e.x, e.y, Math.max(e.rx, 0.5), Math.max(e.ry, 0.5), e.angle, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+
+        // Routes of the other robots, faded in their colour
+        if (teamOverlay) {
+            ctx.save();
+            ctx.globalAlpha = 0.4;
+            ctx.lineWidth = 2;
+            teamOverlay.members.forEach(member => {
+                ctx.strokeStyle = member.color;
+                member.segments.forEach(seg => {
+                    ctx.setLineDash(seg.align ? [2, 4] : seg.isReverse ? [6, 4] : []);
+                    ctx.beginPath();
+                    if (seg.arc) {
+                        const { cx, cy, radius, startAngle, endAngle, anticlockwise } = seg.arc;
+                        ctx.arc(cx, cy, radius, startAngle, endAngle, anticlockwise);
+                    } else {
+                        ctx.moveTo(seg.x1, seg.y1);
+                        ctx.lineTo(seg.x2, seg.y2);
+                    }
+                    ctx.stroke();
+                });
+            });
+            ctx.restore();
+        }
+
         // =====================================================================
         // OBSTACLES - Draw interactive obstacles
         // =====================================================================
@@ -824,7 +980,7 @@ const CanvasBoard = ({
 
         // NODES - Still drawn from sections for edit mode interaction
         sections.forEach(s => {
-            if (!s.isVisible || s.points.length === 0) return;
+            if (s.isVisible === false || s.points.length === 0) return;
 
             // Nodes
             if ((selectedSectionId === s.id && drawMode) || !drawMode) {
@@ -872,7 +1028,7 @@ const CanvasBoard = ({
                         ctx.textAlign = 'center';
                         ctx.textBaseline = 'middle';
                         ctx.fillStyle = p.reverse ? '#ef4444' : '#22c55e';
-                        ctx.fillText(p.reverse ? 'R' : 'F', p.x, p.y + 18);
+                        ctx.fillText(`${p.reverse ? 'R' : 'F'}${p.arc ? ' ⌒' : ''}`, p.x, p.y + 18);
                         ctx.restore();
                     }
 
@@ -898,34 +1054,51 @@ const CanvasBoard = ({
             }
         });
 
+        // Attachment and alignment actions: icon badge where they happen
+        const drawAttachmentBadge = (x, y, list) => {
+            const icons = list.slice(0, 3).map(a => (
+                isAlignmentAction(a) ? ALIGNMENT_MODES[a.mode]?.icon : ATTACHMENT_TYPES[a.type]?.icon
+            ) || '•').join('');
+            const label = list.length > 3 ? `${icons}+${list.length - 3}` : icons;
+            ctx.save();
+            ctx.font = 'bold 10px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            const width = ctx.measureText(label).width + 8;
+            const bx = x - 12 - width / 2;
+            const by = y + 12;
+            ctx.fillStyle = 'rgba(126, 34, 206, 0.9)';
+            ctx.fillRect(bx - width / 2, by - 7, width, 14);
+            ctx.fillStyle = '#fff';
+            ctx.fillText(label, bx, by);
+            ctx.restore();
+        };
+        sections.forEach(s => {
+            if (s.isVisible === false) return;
+            if (s.startAttachments?.length) {
+                const start = computePoseUpToSection(sections, initialPose, s.id, unitToPx, alignField);
+                drawAttachmentBadge(start.x, start.y, s.startAttachments);
+            }
+            s.points.forEach(p => {
+                if (p.attachments?.length) drawAttachmentBadge(p.x, p.y, p.attachments);
+            });
+        });
+
         // Ghost robot when hovering over a point in edit mode
         if (!drawMode && !isRunning && hoverNode.sectionId && hoverNode.index >= 0) {
             const hoveredSection = sections.find(s => s.id === hoverNode.sectionId);
             if (hoveredSection && hoveredSection.points.length > 0) {
                 // Calculate pose at the hovered point
-                let poseAtPoint = computePoseUpToSection(sections, initialPose, hoveredSection.id, unitToPx);
-
-                // Each point generates a rotate + move action pair
-                // To show robot AT point index N, we need to apply all actions that lead TO that point
-                // Point 0 is after action 0 (rotate) + action 1 (move)
-                // Point 1 is after actions 0,1,2,3
-                // So for point index N, apply actions 0 through (2*N + 1)
-                const actionsToApply = (hoverNode.index + 1) * 2;
-                for (let i = 0; i < actionsToApply && i < hoveredSection.actions.length; i++) {
-                    const action = hoveredSection.actions[i];
-                    if (action.type === 'rotate') {
-                        poseAtPoint = {
-                            ...poseAtPoint,
-                            theta: poseAtPoint.theta + action.angle * DEG2RAD
-                        };
-                    } else if (action.type === 'move') {
-                        const dist = unitToPx(action.distance);
-                        poseAtPoint = {
-                            x: poseAtPoint.x + Math.cos(poseAtPoint.theta) * dist,
-                            y: poseAtPoint.y + Math.sin(poseAtPoint.theta) * dist,
-                            theta: poseAtPoint.theta
-                        };
-                    }
+                let poseAtPoint = computePoseUpToSection(sections, initialPose, hoveredSection.id, unitToPx, alignField);
+
+                // Straight points generate a rotate + move pair, arc points a single arc action
+                // (attachment actions do not move the robot).
+                // Apply actions until the move/arc that reaches point index N.
+                let reached = -1;
+                for (const action of hoveredSection.actions) {
+                    if (reached >= hoverNode.index) break;
+                    poseAtPoint = advancePose(poseAtPoint, action, unitToPx);
+                    if (action.type === 'move' || action.type === 'arc') reached += 1;
                 }
 
                 drawRobot(ctx, poseAtPoint, true);
@@ -940,33 +1113,72 @@ const CanvasBoard = ({
                 ctx.strokeStyle = currentSection.color || '#000';
                 ctx.lineWidth = 2;
                 ctx.setLineDash([5, 5]);
-                ctx.moveTo(ghost.originX, ghost.originY);
-                ctx.lineTo(ghost.displayX, ghost.displayY);
+                if (ghost.arc) {
+                    ctx.arc(ghost.arc.cx, ghost.arc.cy, ghost.arc.radius, ghost.arc.startAngle, ghost.arc.endAngle, ghost.arc.anticlockwise);
+                } else {
+                    ctx.moveTo(ghost.originX, ghost.originY);
+                    ctx.lineTo(ghost.displayX, ghost.displayY);
+                }
                 ctx.stroke();
                 ctx.setLineDash([]);
             }
             drawRobot(ctx, ghost, true);
 
-            // Draw Rotation Collision Circle
-            if (ghost.isInvalid && ghost.collisionType === 'rotation') {
-                const rWidth = unitToPx(robot.width) / 2;
-                const rLength = unitToPx(robot.length) / 2;
-                const radius = Math.hypot(rWidth, rLength);
-
+            // Draw the colliding sweep (turn at the anchor or drive)
+            if (ghost.isInvalid && ghost.collisionSweep) {
                 ctx.save();
                 ctx.beginPath();
-                ctx.arc(ghost.x, ghost.y, radius, 0, Math.PI * 2);
-                ctx.strokeStyle = '#ef4444';
-                ctx.lineWidth = 1;
-                ctx.setLineDash([5, 5]);
-                ctx.stroke();
-                ctx.fillStyle = 'rgba(239, 68, 68, 0.1)';
+                traceSweep(ctx, ghost.collisionSweep);
+                ctx.fillStyle = ghost.collisionType === 'rotation' ? 'rgba(239, 68, 68, 0.2)' : 'rgba(239, 68, 68, 0.1)';
                 ctx.fill();
-                ctx.setLineDash([]);
                 ctx.restore();
             }
         }
 
+        // Other robots: on the shared clock during a full mission, at their start otherwise
+        if (teamOverlay) {
+            const clock = isRunning && teamOverlay.playing ? actionCursorRef.current?.clock ?? 0 : null;
+            teamOverlay.members.forEach(member => {
+                const pose = clock == null ? member.start : member.poseAt(clock);
+                const body = getRobotFootprint(pose, member.size);
+                ctx.save();
+                ctx.beginPath();
+                body.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                ctx.closePath();
+                ctx.fillStyle = member.color;
+                ctx.globalAlpha = 0.35;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.strokeStyle = member.color;
+                ctx.lineWidth = 2;
+                ctx.stroke();
+                ctx.fillStyle = '#0f172a';
+                ctx.font = 'bold 11px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.fillText(member.name, pose.x, pose.y + 4);
+                ctx.restore();
+            });
+
+            // Where two robots first touch
+            teamOverlay.collisions.forEach(collision => {
+                ctx.save();
+                ctx.strokeStyle = CLEARANCE_COLORS.collision;
+                ctx.fillStyle = CLEARANCE_COLORS.collision;
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([4, 3]);
+                collision.footprints.forEach(poly => {
+                    ctx.beginPath();
+                    poly.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                    ctx.closePath();
+                    ctx.globalAlpha = 0.15;
+                    ctx.fill();
+                    ctx.globalAlpha = 0.9;
+                    ctx.stroke();
+                });
+                ctx.restore();
+            });
+        }
+
         // Robot
         if (isRunning) {
             drawRobot(ctx, playPose, false, true);
@@ -977,10 +1189,10 @@ const CanvasBoard = ({
                 const current = Math.min(ac.idx + 1, total);
                 ctx.save();
                 ctx.fillStyle = 'rgba(0,0,0,0.7)';
-                ctx.fillRect(5, 5, 120, 20);
+                ctx.fillRect(5, 5, 170, 20);
                 ctx.fillStyle = '#fff';
                 ctx.font = '12px sans-serif';
-                ctx.fillText(`Acción ${current}/${total}`, 10, 18);
+                ctx.fillText(`Acción ${current}/${total} · ${(ac.clock ?? 0).toFixed(1)} s`, 10, 18);
                 ctx.restore();
             }
         } else {
@@ -1030,7 +1242,7 @@ const CanvasBoard = ({
             ctx.restore();
         }
 
-    }, [bgImage, bgOpacity, grid, unitToPx, sections, selectedSectionId, drawMode, hoverNode, ghost, isRunning, playPose, robot, robotImgObj, actionCursorRef, initialPose, drawRobot, rulerActive, rulerPoints, pxToUnit, unit, cursorGuide, calculatedPathSegments, dragging, cursorGuideColor, cursorGuideLineWidth, selectedNode, obstacles, selectedObstacleId, missions, selectedMissionId]);
+    }, [bgImage, bgOpacity, grid, unitToPx, sections, selectedSectionId, drawMode, hoverNode, ghost, isRunning, playPose, robot, robotImgObj, actionCursorRef, initialPose, drawRobot, rulerActive, rulerPoints, pxToUnit, unit, cursorGuide, calculatedPathSegments, clearanceOverlay, driftOverlay, teamOverlay, alignField, dragging, cursorGuideColor, cursorGuideLineWidth, selectedNode, obstacles, selectedObstacleId, missions, selectedMissionId]);
 
     useEffect(() => {
         const cvs = canvasRef.current;
@@ -1062,6 +1274,31 @@ const CanvasBoard = ({
     }, [draw]);
 
     // Helper to detect click on a line segment
+    // Tangent arc to a candidate point when drawing curves (null = turn + straight)
+    const getDrawArc = (anchorPose, center) => (arcDrawing ? tangentArc(anchorPose, center, reverseDrawing) : null);
+
+    // Robot footprint in px for the collision checks (body offset by wheelOffset from the wheel axis)
+    const getRobotPx = () => ({
+        width: unitToPx(robot.width),
+        length: unitToPx(robot.length),
+        wheelOffset: unitToPx(robot.wheelOffset ?? robot.length / 2),
+    });
+
+    // Collision check for a segment: the robot turns at the anchor to face `theta` and
+    // drives straight to the center, or sweeps the tangent arc.
+    // Returns { type: 'rotation'|'path', sweep } for the part that hits, or null.
+    const getSegmentCollision = (anchorPose, center, theta, arc, paddingPx) => {
+        const robotPx = getRobotPx();
+        if (arc) {
+            const sweep = sweepArc(anchorPose, arc.distancePx, arc.sweepRad, robotPx);
+            return checkSweepCollision(sweep, obstacles, paddingPx) ? { type: 'path', sweep } : null;
+        }
+        const turn = sweepTurn(anchorPose, normalizeAngle(theta - anchorPose.theta), robotPx);
+        if (checkSweepCollision(turn, obstacles, paddingPx)) return { type: 'rotation', sweep: turn };
+        const drive = sweepMove({ ...anchorPose, theta }, center, robotPx);
+        return checkSweepCollision(drive, obstacles, paddingPx) ? { type: 'path', sweep: drive } : null;
+    };
+
     const hitTestSegment = (startPose, points, p, threshold = 8) => {
         // Check segment from startPose to first point
         if (points.length > 0) {
@@ -1114,7 +1351,8 @@ const CanvasBoard = ({
     };
 
     const onCanvasDown = (e) => {
-        if (isSettingOrigin) return;
+        if (isSettingOrigin || pathFinderActive) return;
+        onGestureStart?.();
 
         // Middle mouse button (Panning)
         if (e.button === 1) {
@@ -1153,8 +1391,8 @@ const CanvasBoard = ({
         // Draw Mode: Add points to end
         if (drawMode && currentSection) {
             const basePose = currentSection.points.length
-                ? getLastPoseOfSection(currentSection, sections, initialPose, unitToPx)
-                : computePoseUpToSection(sections, initialPose, currentSection.id, unitToPx);
+                ? getLastPoseOfSection(currentSection, sections, initialPose, unitToPx, alignField)
+                : computePoseUpToSection(sections, initialPose, currentSection.id, unitToPx, alignField);
             drawSessionRef.current = {
                 active: true,
                 lastPoint: { x: basePose.x, y: basePose.y, heading: basePose.theta },
@@ -1254,7 +1492,7 @@ const CanvasBoard = ({
             // 2. Check if clicking on existing point (Select for editing or drag)
             // First, check ALL sections for node hits, not just current section
             for (const section of sections) {
-                if (!section.isVisible) continue;
+                if (section.isVisible === false) continue;
                 const idx = hitTestNode(section.points, pSnap, 10);
                 if (idx > -1) {
                     // Set as selected node for editing
@@ -1288,13 +1526,13 @@ const CanvasBoard = ({
             }
 
             // 4. Check if clicking on a segment (Insert Point) - only for current section
-            const startPose = computePoseUpToSection(sections, initialPose, currentSection.id, unitToPx);
+            const startPose = computePoseUpToSection(sections, initialPose, currentSection.id, unitToPx, alignField);
             const hitSegment = hitTestSegment(startPose, currentSection.points, pSnap, 8);
             if (hitSegment) {
                 const { index, point } = hitSegment;
                 // Insert point at index + 1
                 // If index is -1, insert at 0
-                const prevPoint = index === -1 ? { ...startPose, reference: 'center', reverse: false } : currentSection.points[index];
+                const prevPoint = index === -1 ? { ...startPose, reference: 'axis', reverse: false } : currentSection.points[index];
                 const pointMm = pxToMmPointForCanvas(point.x, point.y);
                 const newPoint = {
                     x: pointMm.x,
@@ -1308,30 +1546,22 @@ const CanvasBoard = ({
                 if (preventCollisions) {
                     try {
                         const paddingPx = unitToPx(collisionPadding);
-                        const widthPx = unitToPx(robot.width);
-                        const lengthPx = unitToPx(robot.length);
-                        const robotPx = { width: widthPx, length: lengthPx };
-
-                        // 1. Rotation Check at New Point
-                        // Calculate distance to obstacles. If < radius, block.
-                        if (checkRotationCollision(newPoint, obstacles, robotPx, paddingPx)) return;
-
-                        // 2. Path Check (Previous -> New)
-                        // Check if point itself is inside an *inflated* obstacle (covered by rotation check mostly, but path check covers edges)
-                        // Use checkIntersection for a 0-length segment to trigger point-inside check with padding
-                        const obsHit = checkIntersection(newPoint, newPoint, obstacles, paddingPx);
-                        if (obsHit) return;
-
-                        const width = unitToPx(robot.width);
+                        const facing = (from, to, reverse) => normalizeAngle(Math.atan2(to.y - from.y, to.x - from.x) + (reverse ? Math.PI : 0));
 
-                        // Check intersection with PREVIOUS point
-                        const prevP = prevPoint;
-                        if (checkPathCollision(prevP, newPoint, width, obstacles, paddingPx)) return;
+                        // 1. Turn at the PREVIOUS point and drive to the new one
+                        const prevPose = {
+                            x: prevPoint.x,
+                            y: prevPoint.y,
+                            theta: typeof prevPoint.heading === 'number' ? prevPoint.heading : (prevPoint.theta ?? 0),
+                        };
+                        const newTheta = facing(prevPose, point, newPoint.reverse);
+                        if (getSegmentCollision(prevPose, point, newTheta, null, paddingPx)) return;
 
-                        // Check intersection with NEXT point
+                        // 2. Turn at the new point and drive to the NEXT point
                         if (index + 1 < currentSection.points.length) {
                             const nextP = currentSection.points[index + 1];
-                            if (checkPathCollision(newPoint, nextP, width, obstacles, paddingPx)) return;
+                            const newPose = { x: point.x, y: point.y, theta: newTheta };
+                            if (getSegmentCollision(newPose, nextP, facing(point, nextP, nextP.reverse), null, paddingPx)) return;
                         }
                     } catch (err) {
                         console.error("Error in onCanvasClick collision check:", err);
@@ -1500,8 +1730,8 @@ const CanvasBoard = ({
         if (drawMode && currentSection) {
             const segmentReference = referenceMode;
             const basePose = currentSection.points.length
-                ? getLastPoseOfSection(currentSection, sections, initialPose, unitToPx)
-                : computePoseUpToSection(sections, initialPose, currentSection.id, unitToPx);
+                ? getLastPoseOfSection(currentSection, sections, initialPose, unitToPx, alignField)
+                : computePoseUpToSection(sections, initialPose, currentSection.id, unitToPx, alignField);
             const activeSession = drawSessionRef.current.active;
             let anchorPose = basePose;
             if (activeSession && drawSessionRef.current.lastPoint) {
@@ -1513,32 +1743,22 @@ const CanvasBoard = ({
                 };
             }
 
-            const projection = projectPointWithReference({ rawPoint: p, anchorPose, reference: segmentReference, reverse: reverseDrawing, halfRobotLengthPx: unitToPx(robot.wheelOffset ?? robot.length / 2), snap45, baseAngles: SNAP_45_BASE_ANGLES });
-            const previewPose = { x: projection.center.x, y: projection.center.y, theta: projection.theta };
+            const projection = projectPointWithReference({ rawPoint: p, anchorPose, reverse: reverseDrawing, referenceOffsetPx: unitToPx(getReferenceOffset(segmentReference, robot)), snap45, baseAngles: SNAP_45_BASE_ANGLES });
+            const drawArc = getDrawArc(anchorPose, projection.axis);
+            const previewPose = { x: projection.axis.x, y: projection.axis.y, theta: drawArc ? drawArc.theta : projection.theta };
 
             // Determine if this moving ghost is invalid (Collision)
             let isInvalid = false;
             let collisionType = null; // 'path' or 'rotation'
+            let collisionSweep = null;
             if (preventCollisions) {
                 try {
-                    const paddingPx = unitToPx(collisionPadding);
-                    const widthPx = unitToPx(robot.width);
-                    const lengthPx = unitToPx(robot.length);
-                    const robotPx = { width: widthPx, length: lengthPx };
-
-                    // 1. Check Path Collision (Triple Line)
-                    if (checkPathCollision(anchorPose, projection.center, widthPx, obstacles, paddingPx)) {
+                    // Turn at the anchor + drive (or arc), swept with the real footprint
+                    const collision = getSegmentCollision(anchorPose, projection.axis, projection.theta, drawArc, unitToPx(collisionPadding));
+                    if (collision) {
                         isInvalid = true;
-                        collisionType = 'path';
-                    }
-
-                    // 2. Check Rotation Collision (Circle at Target)
-                    // Only check if path is clear (or can check both)
-                    if (!isInvalid) {
-                        if (checkRotationCollision(projection.center, obstacles, robotPx, paddingPx)) {
-                            isInvalid = true;
-                            collisionType = 'rotation';
-                        }
+                        collisionType = collision.type;
+                        collisionSweep = collision.sweep;
                     }
                 } catch (err) {
                     console.error("Error in onCanvasMove collision check:", err);
@@ -1554,14 +1774,16 @@ const CanvasBoard = ({
                 displayY: previewPose.y,
                 originX: anchorPose.x,
                 originY: anchorPose.y,
+                arc: drawArc ? arcSegmentGeometry(anchorPose, drawArc) : null,
                 active: true,
                 active: true,
                 isInvalid: isInvalid, // Visual feedback prop
                 collisionType: collisionType,
+                collisionSweep: collisionSweep,
             });
 
             if (activeSession) {
-                const dist = segmentReference === 'tip' ? projection.referenceDistance : projection.distanceCenter;
+                const dist = segmentReference === 'axis' ? projection.distanceAxis : projection.referenceDistance;
                 if (dist >= DRAW_STEP_MIN_PX) {
                     const now = Date.now();
                     const last = drawThrottleRef.current.lastAutoAddTs;
@@ -1574,33 +1796,25 @@ const CanvasBoard = ({
                     if (now - last < DRAW_AUTO_INTERVAL_MS) {
                         return;
                     }
-                    const centerPoint = projection.center;
+                    const axisPoint = projection.axis;
 
                     // COLLISION CHECK
-                    if (preventCollisions) {
-                        const paddingPx = unitToPx(collisionPadding);
-                        const widthPx = unitToPx(robot.width);
-                        const lengthPx = unitToPx(robot.length);
-                        const robotPx = { width: widthPx, length: lengthPx };
-
-                        if (checkPathCollision(anchorPose, centerPoint, widthPx, obstacles, paddingPx) ||
-                            checkRotationCollision(centerPoint, obstacles, robotPx, paddingPx)) {
-                            return;
-                        }
+                    if (preventCollisions && getSegmentCollision(anchorPose, axisPoint, previewPose.theta, drawArc, unitToPx(collisionPadding))) {
+                        return;
                     }
 
-                    const centerMm = pxToMmPointForCanvas(centerPoint.x, centerPoint.y);
+                    const axisMm = pxToMmPointForCanvas(axisPoint.x, axisPoint.y);
                     setSections(prev => {
                         const modified = prev.map(s => {
                             if (s.id !== currentSection.id) return s;
-                            const newPts = [...s.points, { x: centerMm.x, y: centerMm.y, reverse: reverseDrawing, reference: segmentReference, heading: projection.theta }];
+                            const newPts = [...s.points, { x: axisMm.x, y: axisMm.y, reverse: reverseDrawing, reference: segmentReference, heading: previewPose.theta, arc: Boolean(drawArc) }];
                             return { ...s, points: newPts };
                         });
                         return recalcSectionsAndConvertToMm(modified);
                     });
                     drawSessionRef.current = {
                         active: true,
-                        lastPoint: { x: centerPoint.x, y: centerPoint.y, heading: projection.theta },
+                        lastPoint: { x: axisPoint.x, y: axisPoint.y, heading: previewPose.theta },
                         addedDuringDrag: true,
                     };
                     drawThrottleRef.current.lastAutoAddTs = now;
@@ -1618,6 +1832,7 @@ const CanvasBoard = ({
             clearInterval(rightEraseTimerRef.current);
             rightEraseTimerRef.current = null;
         }
+        onGestureEnd?.();
         if (rulerActive) {
             setIsDraggingRuler(false);
             return;
@@ -1657,6 +1872,12 @@ const CanvasBoard = ({
             setIsSettingOrigin(false);
             return;
         }
+        if (pathFinderActive) {
+            const p = canvasPos(e, false);
+            const mission = missions.find(m => hitTestMission(m, p.x, p.y));
+            onPathFinderTarget?.(mission ? { x: mission.x, y: mission.y } : p);
+            return;
+        }
         if (rulerActive) return;
         if (!drawMode || !currentSection) return;
         if (drawSessionRef.current.addedDuringDrag) {
@@ -1666,30 +1887,23 @@ const CanvasBoard = ({
         const rawPoint = canvasPos(e, false);
         const p = snapGrid ? canvasPos(e, true) : rawPoint;
         const basePose = currentSection.points.length
-            ? getLastPoseOfSection(currentSection, sections, initialPose, unitToPx)
-            : computePoseUpToSection(sections, initialPose, currentSection.id, unitToPx);
+            ? getLastPoseOfSection(currentSection, sections, initialPose, unitToPx, alignField)
+            : computePoseUpToSection(sections, initialPose, currentSection.id, unitToPx, alignField);
         const segmentReference = referenceMode;
-        const projection = projectPointWithReference({ rawPoint: p, anchorPose: basePose, reference: segmentReference, reverse: reverseDrawing, halfRobotLengthPx: unitToPx(robot.wheelOffset ?? robot.length / 2), snap45, baseAngles: SNAP_45_BASE_ANGLES });
-        const centerPoint = projection.center;
+        const projection = projectPointWithReference({ rawPoint: p, anchorPose: basePose, reverse: reverseDrawing, referenceOffsetPx: unitToPx(getReferenceOffset(segmentReference, robot)), snap45, baseAngles: SNAP_45_BASE_ANGLES });
+        const axisPoint = projection.axis;
+        const drawArc = getDrawArc(basePose, axisPoint);
 
         // COLLISION CHECK
-        if (preventCollisions) {
-            const paddingPx = unitToPx(collisionPadding);
-            const widthPx = unitToPx(robot.width);
-            const lengthPx = unitToPx(robot.length);
-            const robotPx = { width: widthPx, length: lengthPx };
-
-            if (checkPathCollision(basePose, centerPoint, widthPx, obstacles, paddingPx) ||
-                checkRotationCollision(centerPoint, obstacles, robotPx, paddingPx)) {
-                return;
-            }
+        if (preventCollisions && getSegmentCollision(basePose, axisPoint, projection.theta, drawArc, unitToPx(collisionPadding))) {
+            return;
         }
 
-        const centerMm = pxToMmPointForCanvas(centerPoint.x, centerPoint.y);
+        const axisMm = pxToMmPointForCanvas(axisPoint.x, axisPoint.y);
         setSections(prev => {
             const modified = prev.map(s => {
                 if (s.id !== currentSection.id) return s;
-                const newPts = [...s.points, { x: centerMm.x, y: centerMm.y, reverse: reverseDrawing, reference: segmentReference, heading: projection.theta }];
+                const newPts = [...s.points, { x: axisMm.x, y: axisMm.y, reverse: reverseDrawing, reference: segmentReference, heading: drawArc ? drawArc.theta : projection.theta, arc: Boolean(drawArc) }];
                 return { ...s, points: newPts };
             });
             return recalcSectionsAndConvertToMm(modified);
@@ -1701,7 +1915,7 @@ const CanvasBoard = ({
     return (
         <div
             ref={containerRef}
-            className={`canvas-container ${drawMode ? 'cursor-crosshair' : 'cursor-default'}`}
+            className={`canvas-container ${drawMode && !readOnly ? 'cursor-crosshair' : 'cursor-default'}`}
             onContextMenu={handleContextMenu}
             style={{ width: '100%', height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center' }}
         >
@@ -1709,12 +1923,13 @@ const CanvasBoard = ({
                 ref={canvasRef}
                 width={canvasBaseSize.width}
                 height={canvasBaseSize.height}
-                style={{ width: '100%', height: '100%', touchAction: 'none' }}
-                onPointerDown={onCanvasDown}
-                onPointerMove={onCanvasMove}
-                onPointerUp={onCanvasUp}
-                onPointerLeave={onCanvasLeave}
-                onClick={onCanvasClick}
+                style={{ width: '100%', height: '100%', touchAction: 'none', cursor: pathFinderActive ? 'crosshair' : undefined }}
+                // Read-only view: the field can be watched and zoomed, not edited
+                onPointerDown={readOnly ? undefined : onCanvasDown}
+                onPointerMove={readOnly ? undefined : onCanvasMove}
+                onPointerUp={readOnly ? undefined : onCanvasUp}
+                onPointerLeave={readOnly ? undefined : onCanvasLeave}
+                onClick={readOnly ? undefined : onCanvasClick}
             />
             {/* Cursor Guide */}
             {cursorGuide && cursorGuide.visible && (
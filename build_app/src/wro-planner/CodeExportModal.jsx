@@ -0,0 +1,239 @@
+import React, { useEffect, useCallback, useMemo, useState } from 'react';
+import { EXPORT_TARGETS, getExportTarget, generateExportCode } from './domain/exporters';
+import './CodeExportModal.css';
+
+const fileSlug = (name) => name.replace(/[^A-Za-z0-9_-]+/g, '_').toLowerCase();
+
+const CodeExportModal = ({
+    isOpen, onClose, instructions, sections, unit, robot,
+    robots = [], activeRobotId = null, settings, setSettings
+}) => {
+    const [copied, setCopied] = useState(false);
+    // Every robot and every run exports its own program (the one on screen by default)
+    const [robotId, setRobotId] = useState(null);
+    const [runId, setRunId] = useState(null);
+
+    // Close on Escape key
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'Escape') {
+            onClose();
+        }
+    }, [onClose]);
+
+    useEffect(() => {
+        if (isOpen) {
+            window.addEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = 'hidden';
+        }
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = '';
+        };
+    }, [isOpen, handleKeyDown]);
+
+    const target = getExportTarget(settings.targetId);
+    const options = settings.options[target.id];
+
+    const sourceRobot = robots.find(r => r.id === (robotId ?? activeRobotId)) ?? robots[0] ?? null;
+    const sourceRun = sourceRobot
+        && (sourceRobot.runs.find(r => r.id === (runId ?? sourceRobot.activeRunId)) ?? sourceRobot.runs[0]);
+    const source = sourceRun
+        ? { instructions: sourceRun.instructions, sections: sourceRun.sections, robot: sourceRobot.robot }
+        : { instructions, sections, robot };
+
+    const code = useMemo(
+        () => (isOpen
+            ? generateExportCode(target.id, { instructions: source.instructions, sections: source.sections, unit, robot: source.robot }, options)
+            : ''),
+        [isOpen, target.id, source.instructions, source.sections, unit, source.robot, options]
+    );
+
+    if (!isOpen) return null;
+
+    const selectTarget = (targetId) => {
+        setCopied(false);
+        setSettings(prev => ({ ...prev, targetId }));
+    };
+
+    const updateOption = (key, value) => {
+        setCopied(false);
+        setSettings(prev => ({
+            ...prev,
+            options: { ...prev.options, [target.id]: { ...prev.options[target.id], [key]: value } }
+        }));
+    };
+
+    const renderOptionControl = (opt) => {
+        const value = options[opt.key];
+        if (opt.type === 'boolean') {
+            return (
+                <button
+                    type="button"
+                    className="option-chip-button"
+                    onClick={() => updateOption(opt.key, !value)}
+                    style={{
+                        backgroundColor: value ? '#06b6d4' : '#e2e8f0',
+                        color: value ? '#fff' : '#64748b',
+                        fontWeight: 600
+                    }}
+                >
+                    {value ? 'Sí' : 'No'}
+                </button>
+            );
+        }
+        if (opt.type === 'select') {
+            return (
+                <select
+                    className="option-field__control"
+                    value={value}
+                    onChange={e => updateOption(opt.key, e.target.value)}
+                >
+                    {opt.choices.map(choice => (
+                        <option key={choice} value={choice}>{choice}</option>
+                    ))}
+                </select>
+            );
+        }
+        if (opt.type === 'number') {
+            return (
+                <input
+                    type="number"
+                    min={0}
+                    step={opt.step}
+                    className="option-field__control"
+                    value={value}
+                    onChange={e => updateOption(opt.key, Math.max(0, Number(e.target.value) || 0))}
+                />
+            );
+        }
+        return (
+            <input
+                type="text"
+                className="option-field__control"
+                value={value}
+                onChange={e => updateOption(opt.key, e.target.value.replace(/[^A-Za-z0-9_]/g, '') || opt.default)}
+            />
+        );
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(code);
+            setCopied(true);
+        } catch (err) {
+            console.error('Error copiando código', err);
+            alert('No se pudo copiar al portapapeles.');
+        }
+    };
+
+    const handleDownload = () => {
+        const blob = new Blob([code], { type: target.mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        const suffix = [
+            robots.length > 1 && sourceRobot ? `_${fileSlug(sourceRobot.name)}` : '',
+            sourceRobot?.runs.length > 1 && sourceRun ? `_${fileSlug(sourceRun.name)}` : ''
+        ].join('');
+        a.download = `wro_${target.id}${suffix}_${new Date().toISOString().slice(0, 10)}.${target.extension}`;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <>
+            {/* Backdrop */}
+            <div className="code-export__backdrop" onClick={onClose} />
+
+            {/* Modal */}
+            <div className="code-export" role="dialog" aria-modal="true">
+                <div className="code-export__header">
+                    <h2 className="code-export__title">
+                        <span className="code-export__icon">🧩</span>
+                        Exportar código
+                    </h2>
+                    <button className="code-export__close" onClick={onClose} aria-label="Cerrar">
+                        ✕
+                    </button>
+                </div>
+
+                <div className="code-export__body">
+                    <div className="code-export__options">
+                        {robots.length > 1 && (
+                            <label className="option-field">
+                                <span className="option-field__label">Robot</span>
+                                <select
+                                    className="option-field__control"
+                                    value={sourceRobot.id}
+                                    onChange={e => { setCopied(false); setRobotId(e.target.value); setRunId(null); }}
+                                >
+                                    {robots.map(r => (
+                                        <option key={r.id} value={r.id}>{r.name}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+                        {sourceRobot?.runs.length > 1 && (
+                            <label className="option-field">
+                                <span className="option-field__label">Salida</span>
+                                <select
+                                    className="option-field__control"
+                                    value={sourceRun.id}
+                                    onChange={e => { setCopied(false); setRunId(e.target.value); }}
+                                >
+                                    {sourceRobot.runs.map(r => (
+                                        <option key={r.id} value={r.id}>{r.name}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+                        <div className="option-field">
+                            <span className="option-field__label">Plataforma</span>
+                            <div className="code-export__targets">
+                                {EXPORT_TARGETS.map(t => (
+                                    <button
+                                        key={t.id}
+                                        type="button"
+                                        onClick={() => selectTarget(t.id)}
+                                        className={`code-export__target ${t.id === target.id ? 'code-export__target--active' : ''}`}
+                                    >
+                                        <span className="code-export__target-name">{t.name}</span>
+                                        <span className="code-export__target-lang">{t.language}</span>
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                        <div className="option-divider" />
+                        {target.options.map(opt => (
+                            <label key={opt.key} className="option-field">
+                                <span className="option-field__label">{opt.label}{opt.suffix ? ` (${opt.suffix})` : ''}</span>
+                                {renderOptionControl(opt)}
+                            </label>
+                        ))}
+                        <span className="option-field__hint">
+                            Cada sección se exporta por separado con su nombre. Las ruedas (diámetro, distancia entre ellas y reducción) salen de la configuración del robot. Las opciones se guardan con el proyecto.
+                        </span>
+                    </div>
+
+                    <div className="code-export__preview">
+                        <pre className="code-export__code"><code>{code}</code></pre>
+                    </div>
+                </div>
+
+                <div className="code-export__footer">
+                    <span className="code-export__hint">
+                        {instructions.length === 0 ? 'La ruta está vacía: dibuja puntos para generar movimientos.' : `${instructions.length} instrucciones`}
+                    </span>
+                    <button className="option-chip-button" onClick={handleCopy}>
+                        {copied ? '✓ Copiado' : 'Copiar'}
+                    </button>
+                    <button className="option-action-button" onClick={handleDownload}>
+                        Descargar .{target.extension}
+                    </button>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default CodeExportModal;
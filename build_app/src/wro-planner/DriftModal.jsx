@@ -0,0 +1,223 @@
+import React, { useEffect, useCallback, useMemo } from 'react';
+import { MAX_DRIFT_TRIALS } from './domain/driftSimulation';
+import './DriftModal.css';
+
+const formatPercent = (p) => `${Math.round(p * 1000) / 10} %`;
+
+const ConfigField = ({ label, hint, value, onChange, ...props }) => (
+    <label className="drift__field" title={hint}>
+        <span className="drift__field-label">{label}</span>
+        <input
+            type="number"
+            className="drift__input"
+            value={value}
+            onChange={e => onChange(Number(e.target.value) || 0)}
+            {...props}
+        />
+    </label>
+);
+
+const DriftModal = ({
+    isOpen, onClose, config, setConfig, sections,
+    result, stale, onRun, showOverlay, setShowOverlay
+}) => {
+    // Close on Escape key
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'Escape') {
+            onClose();
+        }
+    }, [onClose]);
+
+    useEffect(() => {
+        if (isOpen) {
+            window.addEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = 'hidden';
+        }
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = '';
+        };
+    }, [isOpen, handleKeyDown]);
+
+    // "Section · P3" for every waypoint of the visible sections
+    const waypointLabels = useMemo(() => {
+        const labels = {};
+        sections.filter(s => s.isVisible !== false).forEach(section => {
+            section.points.forEach((p, i) => { labels[p.id] = { name: `${section.name} · P${i + 1}`, color: section.color }; });
+        });
+        return labels;
+    }, [sections]);
+
+    if (!isOpen) return null;
+
+    const setField = (key) => (v) => setConfig(prev => ({ ...prev, [key]: v }));
+    // Unnamed objects are numbered in field order, then listed by risk
+    const byRisk = (list, fallback) => list
+        .map((item, i) => ({ ...item, name: item.label || `${fallback} ${i + 1}` }))
+        .sort((a, b) => b.probability - a.probability);
+    const riskClass = (p) => (p >= 0.2 ? 'drift__risk--high' : p > 0 ? 'drift__risk--low' : 'drift__risk--none');
+
+    return (
+        <>
+            {/* Backdrop */}
+            <div className="drift__backdrop" onClick={onClose} />
+
+            {/* Modal */}
+            <div className="drift" role="dialog" aria-modal="true">
+                <div className="drift__header">
+                    <h2 className="drift__title">
+                        <span className="drift__icon">📈</span>
+                        Simulación de deriva
+                    </h2>
+                    <button className="drift__close" onClick={onClose} aria-label="Cerrar">
+                        ✕
+                    </button>
+                </div>
+
+                <div className="drift__body">
+                    <div className="drift__config">
+                        <span className="option-field__hint">
+                            La ruta se repite muchas veces con errores aleatorios de odometría: cada giro se desvía, cada recta recorre un poco más o menos y el robot se tuerce mientras avanza.
+                        </span>
+                        <ConfigField
+                            label="Ensayos"
+                            value={config.trials}
+                            onChange={v => setField('trials')(Math.min(MAX_DRIFT_TRIALS, Math.max(1, Math.floor(v))))}
+                            min={1}
+                            max={MAX_DRIFT_TRIALS}
+                        />
+                        <ConfigField
+                            label="Error de giro σ (°)"
+                            hint="Desviación típica del ángulo girado en cada giro"
+                            value={config.turnStdDeg}
+                            onChange={v => setField('turnStdDeg')(Math.max(0, v))}
+                            min={0}
+                            step={0.1}
+                        />
+                        <ConfigField
+                            label="Error de distancia σ (%)"
+                            hint="Desviación típica de la distancia recorrida en cada recta o arco"
+                            value={config.distanceStdPct}
+                            onChange={v => setField('distanceStdPct')(Math.max(0, v))}
+                            min={0}
+                            step={0.1}
+                        />
+                        <ConfigField
+                            label="Deriva de rumbo σ (°/m)"
+                            hint="Giro involuntario por metro recorrido (ruedas desiguales, deslizamiento)"
+                            value={config.driftStdDegPerM}
+                            onChange={v => setField('driftStdDegPerM')(Math.max(0, v))}
+                            min={0}
+                            step={0.1}
+                        />
+                        <ConfigField
+                            label="Semilla"
+                            value={config.seed}
+                            onChange={v => setField('seed')(Math.floor(v))}
+                        />
+                        <button type="button" className="drift__run" onClick={onRun}>
+                            ▶ Simular
+                        </button>
+                        <label className="drift__toggle">
+                            <input
+                                type="checkbox"
+                                checked={showOverlay}
+                                disabled={!result}
+                                onChange={e => setShowOverlay(e.target.checked)}
+                            />
+                            Ver dispersión en el tapete
+                        </label>
+                    </div>
+
+                    <div className="drift__results">
+                        {!result ? (
+                            <div className="drift__empty">Pulsa «Simular» para calcular la dispersión de la ruta.</div>
+                        ) : (
+                            <>
+                                <div className="drift__summary">
+                                    {result.trials} ensayos · {result.waypoints.length} puntos
+                                </div>
+                                {stale && (
+                                    <div className="drift__warning">
+                                        La ruta o el tapete han cambiado desde la última simulación. Vuelve a simular para actualizar los resultados.
+                                    </div>
+                                )}
+
+                                <h3 className="drift__section-title">Misiones</h3>
+                                {result.missions.length === 0 ? (
+                                    <div className="drift__none">No hay misiones en el tapete.</div>
+                                ) : (
+                                    <table className="drift__table">
+                                        <thead>
+                                            <tr><th>Misión</th><th>Ruta planificada</th><th>P(fallar)</th></tr>
+                                        </thead>
+                                        <tbody>
+                                            {byRisk(result.missions, 'Misión').map(m => (
+                                                <tr key={m.id}>
+                                                    <td className="drift__name">{m.name}</td>
+                                                    <td>{m.nominal ? '✓ Alcanza' : '✗ No alcanza'}</td>
+                                                    <td className={riskClass(m.probability)}>{formatPercent(m.probability)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+
+                                <h3 className="drift__section-title">Obstáculos</h3>
+                                {result.obstacles.length === 0 ? (
+                                    <div className="drift__none">No hay obstáculos en el tapete.</div>
+                                ) : (
+                                    <table className="drift__table">
+                                        <thead>
+                                            <tr><th>Obstáculo</th><th>Ruta planificada</th><th>P(choque)</th></tr>
+                                        </thead>
+                                        <tbody>
+                                            {byRisk(result.obstacles, 'Obstáculo').map(o => (
+                                                <tr key={o.id}>
+                                                    <td className="drift__name">{o.name}</td>
+                                                    <td>{o.nominal ? '✗ Choca' : '✓ Libre'}</td>
+                                                    <td className={riskClass(o.probability)}>{formatPercent(o.probability)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+
+                                <h3 className="drift__section-title">Dispersión por punto (95 %)</h3>
+                                <table className="drift__table">
+                                    <thead>
+                                        <tr><th>Punto</th><th>Semieje mayor</th><th>Semieje menor</th><th>σ rumbo</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        {result.waypoints.map(wp => {
+                                            const label = waypointLabels[wp.waypointId];
+                                            return (
+                                                <tr key={wp.waypointId}>
+                                                    <td className="drift__name">
+                                                        {label && <span className="drift__dot" style={{ backgroundColor: label.color }} />}
+                                                        {label ? label.name : wp.waypointId}
+                                                    </td>
+                                                    <td>{Math.round(wp.ellipse.rx)} mm</td>
+                                                    <td>{Math.round(wp.ellipse.ry)} mm</td>
+                                                    <td>{wp.headingStdDeg.toFixed(1)}°</td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </>
+                        )}
+                    </div>
+                </div>
+
+                <div className="drift__footer">
+                    <span className="drift__hint">
+                        Las elipses contienen el 95 % de las posiciones simuladas. P(fallar): ensayos en los que el robot no pasa por la misión; P(choque): ensayos en los que toca el obstáculo.
+                    </span>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default DriftModal;
@@ -0,0 +1,99 @@
+import React, { useEffect, useCallback } from 'react';
+import './HistoryPanel.css';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+});
+
+const HistoryPanel = ({
+    isOpen,
+    onClose,
+    entries = [],
+    currentIndex = 0,
+    onJump,
+    onUndo,
+    onRedo,
+    canUndo,
+    canRedo
+}) => {
+    // Close on Escape key
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'Escape') {
+            onClose();
+        }
+    }, [onClose]);
+
+    useEffect(() => {
+        if (isOpen) {
+            window.addEventListener('keydown', handleKeyDown);
+        }
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen, handleKeyDown]);
+
+    if (!isOpen) return null;
+
+    return (
+        <>
+            {/* Backdrop */}
+            <div className="history-panel__backdrop" onClick={onClose} />
+
+            {/* Modal */}
+            <div className="history-panel" role="dialog" aria-modal="true">
+                <div className="history-panel__header">
+                    <h2 className="history-panel__title">
+                        <span className="history-panel__icon">🕘</span>
+                        Historial de cambios
+                    </h2>
+                    <button className="history-panel__close" onClick={onClose} aria-label="Cerrar">
+                        ✕
+                    </button>
+                </div>
+
+                <div className="history-panel__toolbar">
+                    <button className="option-chip-button" onClick={onUndo} disabled={!canUndo}>
+                        ↶ Deshacer
+                    </button>
+                    <button className="option-chip-button" onClick={onRedo} disabled={!canRedo}>
+                        ↷ Rehacer
+                    </button>
+                    <span className="history-panel__count">
+                        {currentIndex} / {entries.length - 1}
+                    </span>
+                </div>
+
+                <ol className="history-panel__list">
+                    {entries.map((entry, index) => {
+                        const isCurrent = index === currentIndex;
+                        const isUndone = index > currentIndex;
+                        return (
+                            <li key={entry.id}>
+                                <button
+                                    type="button"
+                                    onClick={() => onJump(index)}
+                                    className={`history-panel__item ${isCurrent ? 'history-panel__item--current' : ''} ${isUndone ? 'history-panel__item--undone' : ''}`}
+                                    title={isCurrent ? 'Estado actual' : 'Volver a este punto'}
+                                >
+                                    <span className="history-panel__item-index">{index}</span>
+                                    <span className="history-panel__item-label">{entry.label}</span>
+                                    <span className="history-panel__item-time">{formatTime(entry.timestamp)}</span>
+                                </button>
+                            </li>
+                        );
+                    }).reverse()}
+                </ol>
+
+                <div className="history-panel__footer">
+                    <span className="history-panel__hint">
+                        <kbd>Ctrl+Z</kbd> deshacer · <kbd>Ctrl+Shift+Z</kbd> rehacer
+                    </span>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,128 @@
+import React, { useEffect, useCallback, useMemo, useState } from 'react';
+import { parseInstructionText } from './domain/instructionImport';
+import './InstructionImportModal.css';
+
+const PLACEHOLDER = `Sección 1:
+forward 30, turn right 90
+Adelante 45 cm
+Girar Izquierda 90°
+
+Vuelta:
+atrás 200 mm`;
+
+/**
+ * Route from a plain-text or CSV instruction list, pasted or loaded from a file.
+ * The text is parsed as it is typed; unreadable lines are listed with their number.
+ */
+const InstructionImportModal = ({ isOpen, onClose, onImport, unit }) => {
+    const [text, setText] = useState('');
+
+    // Close on Escape key
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'Escape') {
+            onClose();
+        }
+    }, [onClose]);
+
+    useEffect(() => {
+        if (isOpen) {
+            window.addEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = 'hidden';
+        }
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = '';
+        };
+    }, [isOpen, handleKeyDown]);
+
+    const parsed = useMemo(() => parseInstructionText(text, unit), [text, unit]);
+
+    if (!isOpen) return null;
+
+    const handleFile = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (evt) => setText(String(evt.target.result));
+        reader.onerror = () => {
+            console.error('Error leyendo el archivo', reader.error);
+            alert('No se pudo leer el archivo.');
+        };
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    const actionCount = parsed.sections.reduce((sum, s) => sum + s.actions.length, 0);
+
+    return (
+        <>
+            {/* Backdrop */}
+            <div className="instruction-import__backdrop" onClick={onClose} />
+
+            {/* Modal */}
+            <div className="instruction-import" role="dialog" aria-modal="true">
+                <div className="instruction-import__header">
+                    <h2 className="instruction-import__title">
+                        <span className="instruction-import__icon">📝</span>
+                        Importar instrucciones
+                    </h2>
+                    <button className="instruction-import__close" onClick={onClose} aria-label="Cerrar">
+                        ✕
+                    </button>
+                </div>
+
+                <div className="instruction-import__body">
+                    <div className="instruction-import__hint">
+                        Una instrucción por línea o varias separadas por comas: «adelante 30», «girar derecha 90°», «turn left 45», «atrás 200 mm», filas de tabla (MOV, ADL, 30, cm).
+                        Una línea en blanco o un título («Sección 2:», «# Vuelta») empieza otra sección. Sin unidad, las distancias van en {unit}.
+                    </div>
+                    <textarea
+                        className="instruction-import__text"
+                        value={text}
+                        onChange={e => setText(e.target.value)}
+                        placeholder={PLACEHOLDER}
+                        spellCheck={false}
+                        rows={12}
+                    />
+                    <label className="instruction-import__file">
+                        Abrir archivo (.txt, .csv)
+                        <input type="file" accept=".txt,.csv,text/plain,text/csv" style={{ display: 'none' }} onChange={handleFile} />
+                    </label>
+
+                    {text.trim() && (
+                        <div className="instruction-import__summary">
+                            {parsed.sections.length} {parsed.sections.length === 1 ? 'sección' : 'secciones'} · {actionCount} instrucciones
+                        </div>
+                    )}
+                    {parsed.errors.length > 0 && (
+                        <ul className="instruction-import__errors">
+                            {parsed.errors.map((err, i) => (
+                                <li key={i}>
+                                    <span className="instruction-import__error-line">Línea {err.line}</span>
+                                    {err.message}
+                                    <code>{err.text}</code>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                <div className="instruction-import__footer">
+                    <span className="instruction-import__hint">
+                        Sustituye las secciones de la salida actual, desde la posición inicial.
+                    </span>
+                    <button
+                        type="button"
+                        className="instruction-import__submit"
+                        onClick={() => onImport(parsed.sections)}
+                        disabled={parsed.sections.length === 0}
+                    >
+                        {parsed.errors.length > 0 ? `Importar sin ${parsed.errors.length} ${parsed.errors.length === 1 ? 'línea' : 'líneas'}` : 'Importar'}
+                    </button>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default InstructionImportModal;
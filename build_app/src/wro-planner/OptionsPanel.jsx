@@ -1,13 +1,25 @@
 import React, { useEffect } from "react";
 import { IconTarget } from "./icons";
 import { FIELD_PRESETS, DEG2RAD, RAD2DEG } from "./domain/constants";
+import { DEFAULT_MOTION_PROFILE } from "./domain/motionProfile";
+import { getFieldElements } from "./domain/fieldElements";
+
+const MOTION_FIELDS = [
+    { key: 'maxSpeed', label: 'Velocidad máxima', suffix: 'mm/s', step: 10 },
+    { key: 'acceleration', label: 'Aceleración', suffix: 'mm/s²', step: 10 },
+    { key: 'turnRate', label: 'Velocidad de giro', suffix: '°/s', step: 10 },
+    { key: 'turnAcceleration', label: 'Aceleración de giro', suffix: '°/s²', step: 10 },
+    { key: 'settleTime', label: 'Pausa entre instrucciones', suffix: 's', step: 0.05 },
+];
 
 const OptionsPanel = ({
     showOptions, setShowOptions,
     fieldKey, setFieldKey,
+    onAddFieldElement, onLoadFieldLayout,
     bgOpacity, setBgOpacity,
     grid, setGrid,
     robot, setRobot,
+    motionProfile, setMotionProfile,
     initialPose, setInitialPose,
     handleBgUpload, handleRobotImageUpload,
     setIsSettingOrigin,
@@ -24,6 +36,7 @@ const OptionsPanel = ({
     const sizeMax = isMM ? 50 : 5;
     const sliderStep = isMM ? 1 : 0.1;
     const numberStep = isMM ? 0.1 : 0.01;
+    const fieldElements = getFieldElements(fieldKey);
 
     useEffect(() => {
         if (!showOptions) return undefined;
@@ -105,6 +118,36 @@ const OptionsPanel = ({
                                 </div>
                             </div>
                         </div>
+                        {fieldElements.length > 0 && (
+                            <div className="option-card">
+                                <div className="option-field">
+                                    <span className="option-field__label">Elementos del tapete (aproximados)</span>
+                                    <ul className="field-elements">
+                                        {fieldElements.map(el => (
+                                            <li key={el.key} className="field-elements__item">
+                                                <span className="field-elements__swatch" style={{ backgroundColor: el.color }} />
+                                                <span className="field-elements__info">
+                                                    <span className="field-elements__name">{el.name}</span>
+                                                    <span className="field-elements__meta">
+                                                        {el.type === 'obstacle' ? `Obstáculo · ${el.w} × ${el.h} mm` : `Marcador · ${el.size} mm`}
+                                                        {el.positions.length > 1 ? ` · ×${el.positions.length}` : ''}
+                                                    </span>
+                                                </span>
+                                                <button type="button" className="option-chip-button field-elements__add" onClick={() => onAddFieldElement(el)}>
+                                                    + Añadir
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    <div className="option-field__controls option-field__controls--single">
+                                        <button type="button" className="option-action-button" onClick={onLoadFieldLayout}>
+                                            Cargar disposición aproximada
+                                        </button>
+                                    </div>
+                                    <span className="option-field__hint">Reemplaza los obstáculos y misiones por todos los elementos. Medidas y posiciones aproximadas, tomadas de la imagen del tapete; no son las oficiales: compruébalas con las reglas de la temporada.</span>
+                                </div>
+                            </div>
+                        )}
                     </section>
 
                     <section className="option-section">
@@ -342,6 +385,34 @@ const OptionsPanel = ({
                                         onChange={e => setRobot(r => ({ ...r, wheelOffset: Number(e.target.value) || 0 }))}
                                     />
                                 </label>
+                                <label className="option-field">
+                                    <span className="option-field__label">Diámetro de rueda ({unit})</span>
+                                    <input
+                                        type="number"
+                                        className="option-field__control"
+                                        value={robot.wheelDiameter ?? 0}
+                                        onChange={e => setRobot(r => ({ ...r, wheelDiameter: Number(e.target.value) || 0 }))}
+                                    />
+                                </label>
+                                <label className="option-field">
+                                    <span className="option-field__label">Distancia entre ruedas ({unit})</span>
+                                    <input
+                                        type="number"
+                                        className="option-field__control"
+                                        value={robot.trackWidth ?? 0}
+                                        onChange={e => setRobot(r => ({ ...r, trackWidth: Number(e.target.value) || 0 }))}
+                                    />
+                                </label>
+                                <label className="option-field">
+                                    <span className="option-field__label">Relación de engranajes (motor:rueda)</span>
+                                    <input
+                                        type="number"
+                                        step={0.1}
+                                        className="option-field__control"
+                                        value={robot.gearRatio ?? 1}
+                                        onChange={e => setRobot(r => ({ ...r, gearRatio: Number(e.target.value) || 0 }))}
+                                    />
+                                </label>
                                 <label className="option-field">
                                     <span className="option-field__label">Color</span>
                                     <input
@@ -416,6 +487,41 @@ const OptionsPanel = ({
                         </div>
                     </section>
 
+                    <section className="option-section">
+                        <header className="option-section__header">
+                            <h4 className="option-section__title">Perfil de movimiento</h4>
+                            <p className="option-section__subtitle">Velocidades y aceleraciones reales del robot. Se usan para estimar el tiempo de la ronda y para la simulación.</p>
+                        </header>
+                        <div className="option-card">
+                            <div className="option-card__grid option-card__grid--two">
+                                {MOTION_FIELDS.map(field => (
+                                    <label key={field.key} className="option-field">
+                                        <span className="option-field__label">{field.label} ({field.suffix})</span>
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            step={field.step}
+                                            className="option-field__control"
+                                            value={motionProfile[field.key]}
+                                            onChange={e => {
+                                                const value = Number(e.target.value);
+                                                const minimum = field.key === 'settleTime' ? 0 : field.step;
+                                                setMotionProfile(p => ({ ...p, [field.key]: Number.isFinite(value) ? Math.max(minimum, value) : p[field.key] }));
+                                            }}
+                                        />
+                                    </label>
+                                ))}
+                            </div>
+                            <button
+                                type="button"
+                                className="option-chip-button"
+                                onClick={() => setMotionProfile({ ...DEFAULT_MOTION_PROFILE })}
+                            >
+                                Restablecer valores
+                            </button>
+                        </div>
+                    </section>
+
                     <section className="option-section">
                         <header className="option-section__header">
                             <h4 className="option-section__title">Posición inicial</h4>
@@ -0,0 +1,173 @@
+import React, { useEffect, useCallback, useState } from 'react';
+import './ProjectLibraryModal.css';
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleString([], {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+/**
+ * Shown on startup when the last session did not end normally and its project was reopened.
+ */
+export const RecoveryNotice = ({ project, onOpenLibrary, onDismiss }) => (
+    <div className="project-library__recovered" role="status">
+        <span>
+            Se ha recuperado «{project.name}» (guardado el {formatDate(project.updatedAt)}) tras un cierre inesperado.
+        </span>
+        <button type="button" className="project-library__recovered-link" onClick={onOpenLibrary}>
+            Ver proyectos
+        </button>
+        <button type="button" className="project-library__recovered-close" onClick={onDismiss} aria-label="Cerrar">
+            ✕
+        </button>
+    </div>
+);
+
+const ProjectLibraryModal = ({
+    isOpen, onClose, projects = [], currentProjectId, status,
+    onOpen, onCreate, onRename, onDuplicate, onDelete
+}) => {
+    const [editing, setEditing] = useState({ id: null, name: '' });
+
+    // Close on Escape key
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'Escape') {
+            onClose();
+        }
+    }, [onClose]);
+
+    useEffect(() => {
+        if (isOpen) {
+            window.addEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = 'hidden';
+        }
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = '';
+        };
+    }, [isOpen, handleKeyDown]);
+
+    if (!isOpen) return null;
+
+    const commitRename = () => {
+        const name = editing.name.trim();
+        if (editing.id && name) onRename(editing.id, name);
+        setEditing({ id: null, name: '' });
+    };
+
+    const handleDelete = (project) => {
+        if (window.confirm(`¿Eliminar «${project.name}»? No se puede deshacer.`)) {
+            onDelete(project.id);
+        }
+    };
+
+    return (
+        <>
+            {/* Backdrop */}
+            <div className="project-library__backdrop" onClick={onClose} />
+
+            {/* Modal */}
+            <div className="project-library" role="dialog" aria-modal="true">
+                <div className="project-library__header">
+                    <h2 className="project-library__title">
+                        <span className="project-library__icon">📁</span>
+                        Proyectos
+                    </h2>
+                    <button className="project-library__close" onClick={onClose} aria-label="Cerrar">
+                        ✕
+                    </button>
+                </div>
+
+                <div className="project-library__body">
+                    {status === 'unavailable' ? (
+                        <div className="project-library__warning">
+                            Este navegador no permite guardar proyectos (IndexedDB no disponible, p. ej. en modo privado). Usa «Exportar» para guardar la misión en un archivo.
+                        </div>
+                    ) : (
+                        <>
+                            <button type="button" className="project-library__create" onClick={onCreate}>
+                                + Nuevo proyecto
+                            </button>
+                            <ul className="project-library__list">
+                                {projects.map(project => {
+                                    const isCurrent = project.id === currentProjectId;
+                                    return (
+                                        <li
+                                            key={project.id}
+                                            className={`project-library__item ${isCurrent ? 'project-library__item--current' : ''}`}
+                                        >
+                                            <div className="project-library__info">
+                                                {editing.id === project.id ? (
+                                                    <input
+                                                        className="project-library__name-input"
+                                                        value={editing.name}
+                                                        onChange={e => setEditing({ id: project.id, name: e.target.value })}
+                                                        onBlur={commitRename}
+                                                        onKeyDown={e => { if (e.key === 'Enter') commitRename(); }}
+                                                        autoFocus
+                                                    />
+                                                ) : (
+                                                    <span className="project-library__name">
+                                                        {project.name}
+                                                        {isCurrent && <span className="project-library__badge">Abierto</span>}
+                                                    </span>
+                                                )}
+                                                <span className="project-library__date">
+                                                    Editado el {formatDate(project.updatedAt)}
+                                                </span>
+                                            </div>
+                                            <div className="project-library__actions">
+                                                <button
+                                                    type="button"
+                                                    className="project-library__action project-library__action--primary"
+                                                    onClick={() => onOpen(project.id)}
+                                                    disabled={isCurrent}
+                                                >
+                                                    Abrir
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    className="project-library__action"
+                                                    onClick={() => setEditing({ id: project.id, name: project.name })}
+                                                >
+                                                    Renombrar
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    className="project-library__action"
+                                                    onClick={() => onDuplicate(project.id)}
+                                                >
+                                                    Duplicar
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    className="project-library__action project-library__action--danger"
+                                                    onClick={() => handleDelete(project)}
+                                                    disabled={isCurrent}
+                                                    title={isCurrent ? 'Abre otro proyecto para eliminar este' : undefined}
+                                                >
+                                                    Eliminar
+                                                </button>
+                                            </div>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </>
+                    )}
+                </div>
+
+                <div className="project-library__footer">
+                    <span className="project-library__hint">
+                        Los cambios se guardan solos en este navegador: ruta, obstáculos, misiones, tapete, robot, fondo y ajustes de la interfaz. Para llevar un proyecto a otro equipo, expórtalo en JSON.
+                    </span>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default ProjectLibraryModal;
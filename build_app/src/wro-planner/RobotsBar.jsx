@@ -0,0 +1,84 @@
+import React from 'react';
+import './RobotsBar.css';
+
+const formatSeconds = (s) => `${s.toFixed(1)} s`;
+
+const RobotsBar = ({
+    robots = [],
+    activeRobotId,
+    onSelect,
+    onAdd,
+    onRemove,
+    onRename,
+    timeline = null
+}) => {
+    const active = robots.find(r => r.id === activeRobotId);
+    const durations = Object.fromEntries((timeline?.tracks || []).map(t => [t.id, t.track.duration]));
+
+    return (
+        <div className="robots-bar">
+            <div className="robots-bar__list">
+                {robots.map(r => (
+                    <div
+                        key={r.id}
+                        className={`robots-bar__chip ${r.id === activeRobotId ? 'robots-bar__chip--active' : ''}`}
+                    >
+                        <button
+                            type="button"
+                            className="robots-bar__select"
+                            onClick={() => onSelect(r.id)}
+                            title={durations[r.id] != null ? `Recorrido: ${formatSeconds(durations[r.id])}` : undefined}
+                        >
+                            <span className="robots-bar__dot" style={{ backgroundColor: r.robot.color }} />
+                            {r.name}
+                        </button>
+                        {robots.length > 1 && (
+                            <button
+                                type="button"
+                                className="robots-bar__remove"
+                                onClick={() => onRemove(r.id)}
+                                aria-label={`Eliminar ${r.name}`}
+                                title={`Eliminar ${r.name}`}
+                            >
+                                ×
+                            </button>
+                        )}
+                    </div>
+                ))}
+                <button type="button" className="robots-bar__add" onClick={onAdd} title="Añadir otro robot al proyecto">
+                    + Robot
+                </button>
+            </div>
+
+            {active && robots.length > 1 && (
+                <label className="robots-bar__name">
+                    <span>Nombre</span>
+                    <input
+                        type="text"
+                        value={active.name}
+                        onChange={e => onRename(active.id, e.target.value)}
+                    />
+                </label>
+            )}
+
+            {timeline && (
+                <div className="robots-bar__timeline">
+                    <span className="robots-bar__summary">
+                        Misión conjunta: {formatSeconds(timeline.duration)}
+                    </span>
+                    {timeline.collisions.length === 0 ? (
+                        <span className="robots-bar__ok">✓ Los robots no se tocan</span>
+                    ) : (
+                        timeline.collisions.map(c => (
+                            <span key={`${c.robots.join(':')}-${c.start}`} className="robots-bar__collision">
+                                ⚠ {c.names[0]} y {c.names[1]} chocan de {formatSeconds(c.start)} a {formatSeconds(c.end)}
+                            </span>
+                        ))
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RobotsBar;
@@ -0,0 +1,155 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { parseRouteScript, layOutRouteScript, findRouteScriptCollisions, serializeRouteScript } from './domain/routeScript';
+import './RouteScriptEditor.css';
+
+// Pause after the last keystroke before the script replaces the sections
+const APPLY_DELAY_MS = 400;
+
+/**
+ * Route sections as text (domain/routeScript.js), in place of the sections list.
+ * A script without syntax errors replaces the sections shortly after typing;
+ * changes made elsewhere (canvas drags, undo, the start pose) rewrite the text.
+ * Lines with syntax errors or collisions are marked in the gutter and listed below.
+ * "obstaculo N" numbers the obstacles of `field` (mm), the same ones alignments and
+ * collisions are checked against.
+ */
+const RouteScriptEditor = ({ sections, unit, initialPose, field, paddingMm, onChange, onClose }) => {
+    const { obstacles } = field;
+    const [text, setText] = useState('');
+    const [dirty, setDirty] = useState(false);
+    const textareaRef = useRef(null);
+    const gutterRef = useRef(null);
+    // Sections (and unit) the text describes: any other sections come from outside the editor
+    const syncedRef = useRef({ sections: null, unit: null });
+
+    useEffect(() => {
+        const synced = syncedRef.current;
+        if (synced.sections === sections && synced.unit === unit) return;
+        syncedRef.current = { sections, unit };
+        setText(serializeRouteScript(sections, { unit, obstacles, initialPose }));
+        setDirty(false);
+    }, [sections, unit, obstacles, initialPose]);
+
+    const compiled = useMemo(() => {
+        const parsed = parseRouteScript(text, { unit, obstacles });
+        const laidOut = layOutRouteScript(parsed, { unit, initialPose, field, previous: sections });
+        return {
+            sections: laidOut.sections,
+            errors: [...parsed.errors, ...laidOut.errors].sort((a, b) => a.line - b.line),
+            collisions: findRouteScriptCollisions(laidOut.sections, laidOut.lines, { unit, initialPose, field, paddingMm })
+        };
+    }, [text, unit, obstacles, initialPose, field, paddingMm, sections]);
+
+    const canApply = compiled.errors.length === 0 && compiled.sections.length > 0;
+
+    useEffect(() => {
+        if (!dirty || !canApply) return;
+        const timer = setTimeout(() => {
+            syncedRef.current = { sections: compiled.sections, unit };
+            setDirty(false);
+            onChange(compiled.sections);
+        }, APPLY_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [dirty, canApply, compiled, unit, onChange]);
+
+    const lineCount = text.split('\n').length;
+    const marks = useMemo(() => {
+        const byLine = {};
+        compiled.collisions.forEach(c => { byLine[c.line] = { level: 'collision', message: c.message }; });
+        compiled.errors.forEach(e => { byLine[e.line] = { level: 'error', message: e.message }; });
+        return byLine;
+    }, [compiled]);
+
+    const handleChange = (e) => {
+        setText(e.target.value);
+        setDirty(true);
+    };
+
+    const handleScroll = (e) => {
+        if (gutterRef.current) gutterRef.current.scrollTop = e.target.scrollTop;
+    };
+
+    // Selects a line of the script and scrolls it into view
+    const goToLine = (line) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+        const lines = text.split('\n');
+        const start = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0);
+        textarea.focus();
+        textarea.setSelectionRange(start, start + (lines[line - 1]?.length ?? 0));
+        const lineHeight = parseFloat(window.getComputedStyle(textarea).lineHeight) || 18;
+        textarea.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    };
+
+    let status = 'Sincronizado con el lienzo';
+    if (compiled.sections.length === 0) status = 'Escribe al menos una sección';
+    else if (compiled.errors.length > 0) status = 'Corrige los errores para actualizar la ruta';
+    else if (dirty) status = 'Actualizando…';
+
+    const problems = [
+        ...compiled.errors.map(e => ({ ...e, level: 'error' })),
+        ...compiled.collisions.map(c => ({ ...c, level: 'collision' }))
+    ].sort((a, b) => a.line - b.line);
+
+    return (
+        <div className="route-script">
+            <div className="route-script__header">
+                <h3 className="route-script__title">Ruta en texto</h3>
+                <button type="button" className="options-close-btn route-script__back" onClick={onClose} title="Volver a la lista de secciones">
+                    Lista
+                </button>
+            </div>
+
+            <div className="route-script__hint">
+                Una orden por línea: sección "Nombre", avanzar 30, retroceder 10, girar derecha 90, ir X Y,
+                arco izquierda 31.4 90°, motor 1 angulo 90, esperar 500, pitido, alinear cuadrar abajo. // comentario. Distancias en {unit}.
+            </div>
+
+            <div className="route-script__editor">
+                <div className="route-script__gutter" ref={gutterRef} aria-hidden="true">
+                    {Array.from({ length: lineCount }, (_, i) => {
+                        const mark = marks[i + 1];
+                        return (
+                            <div
+                                key={i}
+                                className={`route-script__line-number${mark ? ` route-script__line-number--${mark.level}` : ''}`}
+                                title={mark?.message}
+                            >
+                                {i + 1}
+                            </div>
+                        );
+                    })}
+                </div>
+                <textarea
+                    ref={textareaRef}
+                    className="route-script__text"
+                    value={text}
+                    onChange={handleChange}
+                    onScroll={handleScroll}
+                    spellCheck={false}
+                    wrap="off"
+                    aria-label="Ruta en texto"
+                />
+            </div>
+
+            <div className={`route-script__status${compiled.errors.length > 0 ? ' route-script__status--error' : ''}`}>
+                {status}
+                {compiled.collisions.length > 0 && ` · ${compiled.collisions.length} ${compiled.collisions.length === 1 ? 'choque' : 'choques'}`}
+            </div>
+            {problems.length > 0 && (
+                <ul className="route-script__problems">
+                    {problems.map((p, i) => (
+                        <li key={i}>
+                            <button type="button" className={`route-script__problem route-script__problem--${p.level}`} onClick={() => goToLine(p.line)}>
+                                <span className="route-script__problem-line">Línea {p.line}</span>
+                                {p.message}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default RouteScriptEditor;
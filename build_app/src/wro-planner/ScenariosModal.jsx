@@ -0,0 +1,364 @@
+import React, { useEffect, useCallback, useMemo } from 'react';
+import { MAT_MM } from './domain/constants';
+import {
+    createScenarioGroup, createScenarioSlot, createScenarioItem,
+    enumerateGroupLayouts, generateScenarios, buildScenarioLayout,
+    describeScenario, validateScenarios
+} from './domain/scenarios';
+import { buildRouteSteps } from './domain/routeValidation';
+import './ScenariosModal.css';
+
+const ScenariosModal = ({
+    isOpen, onClose, config, setConfig,
+    sections, initialPose, robot, unit, collisionPadding, obstacles,
+    selectedObject, onPreview
+}) => {
+    // Close on Escape key
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'Escape') {
+            onClose();
+        }
+    }, [onClose]);
+
+    useEffect(() => {
+        if (isOpen) {
+            window.addEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = 'hidden';
+        }
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = '';
+        };
+    }, [isOpen, handleKeyDown]);
+
+    const generated = useMemo(() => (isOpen ? generateScenarios(config) : null), [isOpen, config]);
+
+    // Robot size and padding are stored in the working unit; the checks run in mm
+    const results = useMemo(() => {
+        if (!generated) return [];
+        const mmPerUnit = unit === 'mm' ? 1 : 10;
+        return validateScenarios({
+            config,
+            generated,
+            steps: buildRouteSteps(sections, initialPose),
+            obstacles,
+            robotMm: {
+                width: robot.width * mmPerUnit,
+                length: robot.length * mmPerUnit,
+                wheelOffset: (robot.wheelOffset ?? robot.length / 2) * mmPerUnit
+            },
+            paddingMm: collisionPadding * mmPerUnit
+        });
+    }, [generated, config, sections, initialPose, obstacles, robot.width, robot.length, robot.wheelOffset, unit, collisionPadding]);
+
+    if (!isOpen) return null;
+
+    const visibleSections = sections.filter(s => s.isVisible !== false);
+    const passing = results.filter(r => r.ok).length;
+
+    const updateGroup = (groupId, updater) => {
+        setConfig(prev => ({
+            ...prev,
+            groups: prev.groups.map(g => (g.id === groupId ? updater(g) : g))
+        }));
+    };
+
+    const updateSlot = (groupId, slotId, props) => updateGroup(groupId, g => ({
+        ...g,
+        slots: g.slots.map(s => (s.id === slotId ? { ...s, ...props } : s))
+    }));
+
+    const updateItem = (groupId, itemId, props) => updateGroup(groupId, g => ({
+        ...g,
+        items: g.items.map(it => (it.id === itemId ? { ...it, ...props } : it))
+    }));
+
+    const addGroup = () => setConfig(prev => ({
+        ...prev,
+        groups: [...prev.groups, createScenarioGroup(prev.groups.length + 1)]
+    }));
+
+    const addSlot = (groupId, position) => updateGroup(groupId, g => ({
+        ...g,
+        slots: [...g.slots, createScenarioSlot(position.x, position.y)]
+    }));
+
+    const handlePreview = (result) => {
+        onPreview({
+            label: result.scenario.label,
+            ...buildScenarioLayout(config, generated, result.scenario)
+        });
+        onClose();
+    };
+
+    const numberInput = (value, onChange, props = {}) => (
+        <input
+            type="number"
+            className="scenarios__input scenarios__input--number"
+            value={value}
+            onChange={e => onChange(Number(e.target.value) || 0)}
+            {...props}
+        />
+    );
+
+    const renderGroup = (group) => {
+        const layoutCount = group.slots.length ? enumerateGroupLayouts(group).length : 0;
+        return (
+            <div key={group.id} className="scenarios__group">
+                <div className="scenarios__group-header">
+                    <input
+                        type="text"
+                        className="scenarios__input scenarios__group-name"
+                        value={group.name}
+                        onChange={e => updateGroup(group.id, g => ({ ...g, name: e.target.value }))}
+                    />
+                    <span className={`scenarios__badge ${group.slots.length && !layoutCount ? 'scenarios__badge--error' : ''}`}>
+                        {!group.slots.length ? 'Sin huecos' : layoutCount ? `${layoutCount} disposiciones` : 'No caben'}
+                    </span>
+                    <button
+                        type="button"
+                        className="scenarios__icon-btn"
+                        title="Eliminar grupo"
+                        onClick={() => setConfig(prev => ({ ...prev, groups: prev.groups.filter(g => g.id !== group.id) }))}
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                <span className="option-field__label">Huecos (mm)</span>
+                {group.slots.map((slot, i) => (
+                    <div key={slot.id} className="scenarios__row">
+                        <span className="scenarios__index">{i + 1}</span>
+                        <label className="scenarios__cell">X{numberInput(Math.round(slot.x), v => updateSlot(group.id, slot.id, { x: v }))}</label>
+                        <label className="scenarios__cell">Y{numberInput(Math.round(slot.y), v => updateSlot(group.id, slot.id, { y: v }))}</label>
+                        <label className="scenarios__cell">Rot{numberInput(slot.rotation, v => updateSlot(group.id, slot.id, { rotation: v }))}</label>
+                        <input
+                            type="text"
+                            className="scenarios__input scenarios__input--grow"
+                            placeholder="Admite: cualquiera"
+                            title="Nombres de los elementos permitidos, separados por comas"
+                            value={slot.accepts.join(', ')}
+                            onChange={e => updateSlot(group.id, slot.id, {
+                                accepts: e.target.value.split(',').map(s => s.trim()).filter(Boolean)
+                            })}
+                        />
+                        <button
+                            type="button"
+                            className="scenarios__icon-btn"
+                            title="Eliminar hueco"
+                            onClick={() => updateGroup(group.id, g => ({ ...g, slots: g.slots.filter(s => s.id !== slot.id) }))}
+                        >
+                            ✕
+                        </button>
+                    </div>
+                ))}
+                <div className="scenarios__actions">
+                    <button type="button" className="scenarios__add-btn" onClick={() => addSlot(group.id, { x: MAT_MM.w / 2, y: MAT_MM.h / 2 })}>
+                        + Hueco
+                    </button>
+                    <button
+                        type="button"
+                        className="scenarios__add-btn"
+                        disabled={!selectedObject}
+                        title="Usa la posición del obstáculo o misión seleccionado en el tapete"
+                        onClick={() => addSlot(group.id, selectedObject)}
+                    >
+                        + Hueco en la selección
+                    </button>
+                </div>
+
+                <span className="option-field__label">Elementos</span>
+                {group.items.map(item => (
+                    <div key={item.id} className="scenarios__row">
+                        <input
+                            type="color"
+                            className="scenarios__color"
+                            value={item.color}
+                            onChange={e => updateItem(group.id, item.id, { color: e.target.value })}
+                        />
+                        <input
+                            type="text"
+                            className="scenarios__input scenarios__input--grow"
+                            value={item.name}
+                            onChange={e => updateItem(group.id, item.id, { name: e.target.value })}
+                        />
+                        <select
+                            className="scenarios__input"
+                            value={item.type}
+                            onChange={e => updateItem(group.id, item.id, { type: e.target.value })}
+                        >
+                            <option value="obstacle">Obstáculo</option>
+                            <option value="marker">Marcador</option>
+                        </select>
+                        {item.type === 'obstacle' ? (
+                            <>
+                                {numberInput(item.w, v => updateItem(group.id, item.id, { w: v }), { title: 'Ancho (mm)', min: 1 })}
+                                ×
+                                {numberInput(item.h, v => updateItem(group.id, item.id, { h: v }), { title: 'Alto (mm)', min: 1 })}
+                            </>
+                        ) : (
+                            <>
+                                {numberInput(item.size, v => updateItem(group.id, item.id, { size: v }), { title: 'Tamaño (mm)', min: 1 })}
+                                <label className="scenarios__cell" title="La ruta debe pasar por encima">
+                                    <input
+                                        type="checkbox"
+                                        checked={item.target}
+                                        onChange={e => updateItem(group.id, item.id, { target: e.target.checked })}
+                                    />
+                                    Objetivo
+                                </label>
+                            </>
+                        )}
+                        <label className="scenarios__cell" title="Copias idénticas">
+                            ×{numberInput(item.count, v => updateItem(group.id, item.id, { count: Math.max(1, Math.floor(v)) }), { min: 1 })}
+                        </label>
+                        <button
+                            type="button"
+                            className="scenarios__icon-btn"
+                            title="Eliminar elemento"
+                            onClick={() => updateGroup(group.id, g => ({ ...g, items: g.items.filter(it => it.id !== item.id) }))}
+                        >
+                            ✕
+                        </button>
+                    </div>
+                ))}
+                <div className="scenarios__actions">
+                    <button
+                        type="button"
+                        className="scenarios__add-btn"
+                        onClick={() => updateGroup(group.id, g => ({ ...g, items: [...g.items, createScenarioItem(g.items.length)] }))}
+                    >
+                        + Elemento
+                    </button>
+                </div>
+            </div>
+        );
+    };
+
+    const renderCell = (result, section) => {
+        const collisions = result.sections[section.id]?.collisions || [];
+        return (
+            <td
+                key={section.id}
+                className={`scenarios__cell-result ${collisions.length ? 'scenarios__cell-result--fail' : 'scenarios__cell-result--ok'}`}
+                title={collisions.length ? `Choca con: ${collisions.join(', ')}` : 'Sin colisiones'}
+            >
+                {collisions.length ? '✗' : '✓'}
+            </td>
+        );
+    };
+
+    return (
+        <>
+            {/* Backdrop */}
+            <div className="scenarios__backdrop" onClick={onClose} />
+
+            {/* Modal */}
+            <div className="scenarios" role="dialog" aria-modal="true">
+                <div className="scenarios__header">
+                    <h2 className="scenarios__title">
+                        <span className="scenarios__icon">🎲</span>
+                        Escenarios aleatorios
+                    </h2>
+                    <button className="scenarios__close" onClick={onClose} aria-label="Cerrar">
+                        ✕
+                    </button>
+                </div>
+
+                <div className="scenarios__body">
+                    <div className="scenarios__editor">
+                        <span className="option-field__hint">
+                            Cada grupo reparte sus elementos entre sus huecos, como el sorteo antes de cada ronda. Los obstáculos y misiones del tapete están presentes en todos los escenarios.
+                        </span>
+                        {config.groups.map(renderGroup)}
+                        <button type="button" className="option-chip-button" onClick={addGroup}>
+                            + Grupo de aleatorización
+                        </button>
+                    </div>
+
+                    <div className="scenarios__results">
+                        <div className="scenarios__toolbar">
+                            <label className="scenarios__cell">
+                                Máx. escenarios
+                                {numberInput(config.sampleSize, v => setConfig(prev => ({ ...prev, sampleSize: Math.min(5000, Math.max(1, Math.floor(v))) })), { min: 1, max: 5000 })}
+                            </label>
+                            <label className="scenarios__cell">
+                                Semilla
+                                {numberInput(config.seed, v => setConfig(prev => ({ ...prev, seed: Math.floor(v) })))}
+                            </label>
+                            <span className="scenarios__summary">
+                                {generated.sampled
+                                    ? `Muestra de ${generated.scenarios.length} de ${generated.total} escenarios`
+                                    : `${generated.scenarios.length} escenarios`}
+                                {results.length > 0 && ` · ${passing}/${results.length} sin fallos`}
+                            </span>
+                        </div>
+                        {generated.invalidGroups.length > 0 && (
+                            <div className="scenarios__warning">
+                                Hay más elementos que huecos en: {generated.invalidGroups.join(', ')}. Esos grupos se ignoran.
+                            </div>
+                        )}
+                        {results.length === 0 ? (
+                            <div className="scenarios__empty">Añade un grupo con huecos y elementos para generar escenarios.</div>
+                        ) : (
+                            <div className="scenarios__table-wrap">
+                                <table className="scenarios__table">
+                                    <thead>
+                                        <tr>
+                                            <th>Escenario</th>
+                                            <th>Disposición</th>
+                                            {visibleSections.map(s => (
+                                                <th key={s.id}>
+                                                    <span className="scenarios__dot" style={{ backgroundColor: s.color }} />
+                                                    {s.name}
+                                                </th>
+                                            ))}
+                                            <th>Misiones</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {results.map(result => (
+                                            <tr
+                                                key={result.scenario.id}
+                                                className={result.ok ? '' : 'scenarios__row--fail'}
+                                                onClick={() => handlePreview(result)}
+                                                title="Ver este escenario en el tapete"
+                                            >
+                                                <td className="scenarios__label">{result.scenario.label}</td>
+                                                <td className="scenarios__layout">{describeScenario(config, generated, result.scenario)}</td>
+                                                {visibleSections.map(s => renderCell(result, s))}
+                                                <td
+                                                    className={`scenarios__cell-result ${result.missed.length ? 'scenarios__cell-result--fail' : 'scenarios__cell-result--ok'}`}
+                                                    title={result.missed.length ? `Sin alcanzar: ${result.missed.join(', ')}` : 'Objetivos alcanzados'}
+                                                >
+                                                    {result.missed.length ? `✗ ${result.missed.length}` : '✓'}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                    <tfoot>
+                                        <tr>
+                                            <td colSpan={2}>Fallos</td>
+                                            {visibleSections.map(s => (
+                                                <td key={s.id}>{results.filter(r => r.sections[s.id]?.collisions.length).length}</td>
+                                            ))}
+                                            <td>{results.filter(r => r.missed.length).length}</td>
+                                        </tr>
+                                    </tfoot>
+                                </table>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="scenarios__footer">
+                    <span className="scenarios__hint">
+                        ✗ en una sección: choca con algún obstáculo en ese escenario. Misiones: objetivos por los que no pasa el robot. Pulsa una fila para verla en el tapete.
+                    </span>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default ScenariosModal;
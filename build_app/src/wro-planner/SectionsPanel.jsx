@@ -1,9 +1,12 @@
 import React, { useState } from "react";
 import { IconChevronRight, IconChevronLeft, IconChevronDown, IconEye, IconEyeOff, IconGripVertical, IconTrash } from "./icons";
-import { RAD2DEG } from "./domain/constants";
+import { DEG2RAD } from "./domain/constants";
+import { ATTACHMENT_MOTORS, ATTACHMENT_TYPES, createAttachmentAction, isAttachmentAction } from "./domain/attachments";
+import { ALIGNMENT_MODES, ALIGNMENT_REFERENCES, createAlignmentAction, isAlignmentAction } from "./domain/alignment";
+import { formatPose } from "./domain/instructionFormat";
 import "./SectionsPanel.css";
 
-const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSectionId, addSection, exportMission, importMission, updateSectionActions, computePoseUpToSection, pxToUnit, isCollapsed, setIsCollapsed, expandedSections, toggleSectionExpansion, toggleSectionVisibility, unit }) => {
+const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSectionId, addSection, exportMission, importMission, onOpenCodeExport, onOpenTextImport, onOpenRouteScript, updateSectionActions, computePoseUpToSection, pxToUnit, isCollapsed, setIsCollapsed, expandedSections, toggleSectionExpansion, toggleSectionVisibility, unit, obstacles = [], runs = null, activeRunId = null, onSelectRun, onAddRun, onRemoveRun, onRenameRun, onPlayRun }) => {
     const [draggedAction, setDraggedAction] = useState(null);
 
     const handleActionDragStart = (e, sectionId, actionIndex) => {
@@ -48,6 +51,277 @@ const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSe
         setDraggedAction(null);
     };
 
+    const dragProps = (sectionId, actionIndex) => ({
+        draggable: true,
+        onDragStart: (e) => handleActionDragStart(e, sectionId, actionIndex),
+        onDragEnd: handleActionDragEnd,
+        onDragOver: (e) => e.preventDefault(),
+        onDrop: (e) => handleActionDrop(e, sectionId, actionIndex)
+    });
+
+    // Arc actions are edited as radius + sweep; the stored arc length is radius × |sweep|
+    const renderArcAction = (s, a, i) => {
+        const sweepRad = Math.abs(a.sweep) * DEG2RAD;
+        const radius = sweepRad > 1e-6 ? Math.abs(a.distance) / sweepRad : 0;
+        const direction = a.distance < 0 ? -1 : 1;
+
+        const commit = (changes) => {
+            const nextRadius = changes.radius ?? radius;
+            const nextSweep = changes.sweep ?? a.sweep;
+            const nextSweepRad = Math.abs(nextSweep) * DEG2RAD;
+            // Straight arc (sweep 0) keeps its length
+            const length = nextSweepRad > 1e-6 && nextRadius > 0 ? nextRadius * nextSweepRad : Math.abs(a.distance);
+            const newActions = [...s.actions];
+            newActions[i] = { ...a, sweep: nextSweep, distance: Number((direction * length).toFixed(2)) };
+            updateSectionActions(s.id, newActions);
+        };
+
+        const numberInputProps = (field, value) => ({
+            type: 'number',
+            className: 'action-item__input',
+            defaultValue: Number(value.toFixed(2)),
+            onBlur: (e) => {
+                const val = parseFloat(e.target.value);
+                const finalVal = isNaN(val) ? value : (field === 'radius' ? Math.max(0, val) : val);
+                e.target.value = Number(finalVal.toFixed(2));
+                if (finalVal !== value) commit({ [field]: finalVal });
+            },
+            onKeyDown: (e) => {
+                if (e.key === 'Enter') e.target.blur();
+            }
+        });
+
+        return (
+            <div key={i} {...dragProps(s.id, i)} className="action-item">
+                <div className="action-item__drag">
+                    <span>{i + 1}</span>
+                    <IconGripVertical style={{ width: 12, height: 12 }} />
+                </div>
+
+                <span className="action-item__type action-item__type--arc" title={direction < 0 ? 'Arco en reversa' : 'Arco'}>
+                    {direction < 0 ? 'ARC R' : 'ARCO'}
+                </span>
+
+                <input key={`${s.id}-${i}-arc-radius-${radius}`} {...numberInputProps('radius', radius)} title="Radio" />
+                <span className="action-item__unit">{unit}</span>
+
+                <input key={`${s.id}-${i}-arc-sweep-${a.sweep}`} {...numberInputProps('sweep', a.sweep)} title="Ángulo barrido (+ derecha, − izquierda)" />
+                <span className="action-item__unit">°</span>
+
+                <button
+                    onClick={() => { const arr = [...s.actions]; arr.splice(i, 1); updateSectionActions(s.id, arr); }}
+                    className="action-item__delete"
+                >
+                    ×
+                </button>
+            </div>
+        );
+    };
+
+    // Attachment actions (motors, waits, beeps): one input per field, no pose change
+    const renderAttachmentAction = (s, a, i) => {
+        const meta = ATTACHMENT_TYPES[a.type];
+
+        const commit = (field, value) => {
+            const newActions = [...s.actions];
+            newActions[i] = { ...a, [field]: value };
+            updateSectionActions(s.id, newActions);
+        };
+
+        const numberField = (field, suffix, title, { min = -Infinity, integer = false } = {}) => (
+            <>
+                <input
+                    key={`${s.id}-${i}-${a.type}-${field}-${a[field]}`}
+                    type="number"
+                    className="action-item__input"
+                    defaultValue={a[field]}
+                    title={title}
+                    onBlur={(e) => {
+                        const val = parseFloat(e.target.value);
+                        let finalVal = isNaN(val) ? a[field] : Math.max(min, val);
+                        if (integer) finalVal = Math.round(finalVal);
+                        e.target.value = finalVal;
+                        if (finalVal !== a[field]) commit(field, finalVal);
+                    }}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') e.target.blur();
+                    }}
+                />
+                <span className="action-item__unit">{suffix}</span>
+            </>
+        );
+
+        const motorSelect = (
+            <select
+                className="action-item__select"
+                value={a.motor}
+                onChange={(e) => commit('motor', Number(e.target.value))}
+                title="Motor auxiliar"
+            >
+                {ATTACHMENT_MOTORS.map(m => <option key={m} value={m}>M{m}</option>)}
+            </select>
+        );
+
+        return (
+            <div key={i} {...dragProps(s.id, i)} className="action-item action-item--attachment">
+                <div className="action-item__drag">
+                    <span>{i + 1}</span>
+                    <IconGripVertical style={{ width: 12, height: 12 }} />
+                </div>
+
+                <span className="action-item__type action-item__type--attachment" title={meta.label}>
+                    {meta.icon}
+                </span>
+
+                {a.type === 'motorAngle' && (
+                    <>
+                        {motorSelect}
+                        {numberField('angle', '°', 'Ángulo objetivo', { integer: true })}
+                        {numberField('speed', '°/s', 'Velocidad', { min: 1 })}
+                    </>
+                )}
+                {a.type === 'motorTime' && (
+                    <>
+                        {motorSelect}
+                        {numberField('duration', 'ms', 'Duración', { min: 0, integer: true })}
+                        {numberField('speed', '°/s', 'Velocidad (negativa = sentido contrario)')}
+                    </>
+                )}
+                {a.type === 'wait' && numberField('duration', 'ms', 'Duración', { min: 0, integer: true })}
+                {a.type === 'beep' && (
+                    <>
+                        <input
+                            key={`${s.id}-${i}-beep-label-${a.label}`}
+                            type="text"
+                            className="action-item__input action-item__input--text"
+                            defaultValue={a.label}
+                            placeholder="Marca"
+                            title="Etiqueta de la marca"
+                            onBlur={(e) => {
+                                if (e.target.value !== a.label) commit('label', e.target.value);
+                            }}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') e.target.blur();
+                            }}
+                        />
+                        {numberField('duration', 'ms', 'Duración del pitido', { min: 0, integer: true })}
+                    </>
+                )}
+
+                <button
+                    onClick={() => { const arr = [...s.actions]; arr.splice(i, 1); updateSectionActions(s.id, arr); }}
+                    className="action-item__delete"
+                >
+                    ×
+                </button>
+            </div>
+        );
+    };
+
+    // Alignment actions: mode, reference and speeds; the result (distance driven) is found on the field
+    const renderAlignmentAction = (s, a, i) => {
+        const meta = ALIGNMENT_MODES[a.mode] ?? ALIGNMENT_MODES.wallSquare;
+
+        const commit = (changes) => {
+            const newActions = [...s.actions];
+            newActions[i] = { ...a, ...changes };
+            updateSectionActions(s.id, newActions);
+        };
+
+        const numberField = (field, suffix, title) => (
+            <>
+                <input
+                    key={`${s.id}-${i}-align-${field}-${a[field]}`}
+                    type="number"
+                    className="action-item__input"
+                    defaultValue={a[field]}
+                    title={title}
+                    onBlur={(e) => {
+                        const val = parseFloat(e.target.value);
+                        const finalVal = isNaN(val) ? a[field] : Math.max(field === 'speed' ? 1 : 0, Math.round(val));
+                        e.target.value = finalVal;
+                        if (finalVal !== a[field]) commit({ [field]: finalVal });
+                    }}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') e.target.blur();
+                    }}
+                />
+                <span className="action-item__unit">{suffix}</span>
+            </>
+        );
+
+        const travel = Math.hypot(a.forward || 0, a.lateral || 0);
+
+        return (
+            <div key={i} {...dragProps(s.id, i)} className="action-item action-item--align">
+                <div className="action-item__drag">
+                    <span>{i + 1}</span>
+                    <IconGripVertical style={{ width: 12, height: 12 }} />
+                </div>
+
+                <span className="action-item__type action-item__type--align" title={meta.label}>
+                    {meta.icon}
+                </span>
+
+                <select
+                    className="action-item__select"
+                    value={a.mode}
+                    onChange={(e) => commit({ mode: e.target.value, duration: a.duration || createAlignmentAction(e.target.value).duration })}
+                    title="Tipo de alineación"
+                >
+                    {Object.entries(ALIGNMENT_MODES).map(([mode, m]) => <option key={mode} value={mode}>{m.short}</option>)}
+                </select>
+
+                <select
+                    className="action-item__select"
+                    value={a.reference}
+                    onChange={(e) => commit({
+                        reference: e.target.value,
+                        obstacleId: e.target.value === 'obstacle' ? (a.obstacleId ?? obstacles[0]?.id ?? null) : null
+                    })}
+                    title="Referencia"
+                >
+                    {Object.entries(ALIGNMENT_REFERENCES)
+                        .filter(([ref]) => ref !== 'obstacle' || obstacles.length > 0 || a.reference === 'obstacle')
+                        .map(([ref, label]) => <option key={ref} value={ref}>{label}</option>)}
+                </select>
+
+                {a.reference === 'obstacle' && (
+                    <select
+                        className="action-item__select"
+                        value={a.obstacleId ?? ''}
+                        onChange={(e) => commit({ obstacleId: e.target.value })}
+                        title="Obstáculo de referencia"
+                    >
+                        {!obstacles.some(o => o.id === a.obstacleId) && <option value={a.obstacleId ?? ''}>(eliminado)</option>}
+                        {obstacles.map((o, n) => <option key={o.id} value={o.id}>{o.label || `Obstáculo ${n + 1}`}</option>)}
+                    </select>
+                )}
+
+                {a.mode === 'lineAlign' && (
+                    <label className="action-item__check" title="Dos sensores: el robot queda perpendicular a la línea">
+                        <input type="checkbox" checked={Boolean(a.square)} onChange={(e) => commit({ square: e.target.checked })} />
+                        ⊥
+                    </label>
+                )}
+
+                {numberField('speed', 'mm/s', 'Velocidad de avance')}
+                {a.mode === 'wallSquare' && numberField('duration', 'ms', 'Tiempo empujando contra el muro')}
+
+                <span className="action-item__result" title="Distancia hasta la referencia">
+                    {travel > 0 ? `${travel.toFixed(1)} ${unit}` : 'sin referencia'}
+                </span>
+
+                <button
+                    onClick={() => { const arr = [...s.actions]; arr.splice(i, 1); updateSectionActions(s.id, arr); }}
+                    className="action-item__delete"
+                >
+                    ×
+                </button>
+            </div>
+        );
+    };
+
     const deleteSection = (sectionId) => {
         if (sections.length <= 1) return;
         setSections(prev => prev.filter(s => s.id !== sectionId));
@@ -57,6 +331,69 @@ const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSe
         }
     };
 
+    const renderRuns = () => {
+        const active = runs.runs.find(r => r.id === activeRunId);
+        return (
+            <div className="sections-panel__runs">
+                <div className="sections-panel__runs-list">
+                    {runs.runs.map(r => (
+                        <div key={r.id} className={`run-chip ${r.id === activeRunId ? 'run-chip--active' : ''}`}>
+                            <button
+                                type="button"
+                                className="run-chip__select"
+                                onClick={() => onSelectRun(r.id)}
+                                title={r.inStartArea ? undefined : 'La posición inicial está fuera de la zona de inicio'}
+                            >
+                                {!r.inStartArea && <span className="run-chip__warning">⚠</span>}
+                                {r.name}
+                                <span className="run-chip__stats">{r.time.toFixed(1)} s</span>
+                            </button>
+                            <button
+                                type="button"
+                                className="run-chip__icon"
+                                onClick={() => onPlayRun(r.id)}
+                                aria-label={`Reproducir ${r.name}`}
+                                title={`Reproducir ${r.name}`}
+                            >
+                                ▶
+                            </button>
+                            {runs.runs.length > 1 && (
+                                <button
+                                    type="button"
+                                    className="run-chip__icon run-chip__icon--remove"
+                                    onClick={() => onRemoveRun(r.id)}
+                                    aria-label={`Eliminar ${r.name}`}
+                                    title={`Eliminar ${r.name}`}
+                                >
+                                    ×
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                    <button type="button" className="sections-panel__run-add" onClick={onAddRun} title="Nueva salida desde la base">
+                        + Salida
+                    </button>
+                </div>
+                {active && (
+                    <div className="sections-panel__run-detail">
+                        <input
+                            className="sections-panel__run-name"
+                            value={active.name}
+                            onChange={e => onRenameRun(active.id, e.target.value)}
+                            aria-label="Nombre de la salida"
+                        />
+                        <span>{active.time.toFixed(1)} s · {active.distance.toFixed(1)} {unit}</span>
+                    </div>
+                )}
+                {runs.runs.length > 1 && (
+                    <div className="sections-panel__run-total">
+                        Total ({runs.runs.length} salidas): {runs.time.toFixed(1)} s · {runs.distance.toFixed(1)} {unit}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
     // Collapsed state
     if (isCollapsed) {
         return (
@@ -96,6 +433,11 @@ const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSe
                     </div>
                     <div style={{ display: 'flex', gap: '0.35rem' }}>
                         <button onClick={addSection} className="option-action-button" style={{ padding: '0.35rem 0.6rem', fontSize: '0.78rem' }}>+ Nueva</button>
+                        {onOpenRouteScript && (
+                            <button onClick={onOpenRouteScript} className="options-close-btn" style={{ padding: '0.35rem 0.6rem', fontSize: '0.78rem' }} title="Editar la ruta como texto">
+                                {'</>'}
+                            </button>
+                        )}
                         <button
                             onClick={() => setIsCollapsed(true)}
                             className="options-close-btn"
@@ -107,6 +449,9 @@ const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSe
                 </div>
             </div>
 
+            {/* Runs: every start from the base with its own sections */}
+            {runs && renderRuns()}
+
             {/* Content - Maximized */}
             <div className="sections-panel__content">
                 {sections.map(s => {
@@ -150,7 +495,7 @@ const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSe
                                     onClick={(e) => { e.stopPropagation(); toggleSectionVisibility(s.id); }}
                                     className="section-card__visibility-btn"
                                 >
-                                    {s.isVisible ? <IconEye style={{ width: 14, height: 14 }} /> : <IconEyeOff style={{ width: 14, height: 14 }} />}
+                                    {s.isVisible !== false ? <IconEye style={{ width: 14, height: 14 }} /> : <IconEyeOff style={{ width: 14, height: 14 }} />}
                                 </button>
 
                                 <button
@@ -176,7 +521,7 @@ const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSe
                                     <div className="section-card__start-info">
                                         <span className="section-card__start-label">INICIO</span>
                                         <span className="section-card__start-value">
-                                            {(() => { const st = computePoseUpToSection(s.id); return `X: ${pxToUnit(st.x).toFixed(1)} | Y: ${pxToUnit(st.y).toFixed(1)} | θ: ${Math.round(st.theta * RAD2DEG)}°`; })()}
+                                            {(() => { const st = computePoseUpToSection(s.id); return formatPose({ x: pxToUnit(st.x), y: pxToUnit(st.y), theta: st.theta }); })()}
                                         </span>
                                     </div>
 
@@ -187,6 +532,15 @@ const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSe
                                     ) : (
                                         s.actions.map((a, i) => {
                                             const isMove = a.type === 'move';
+                                            if (a.type === 'arc') {
+                                                return renderArcAction(s, a, i);
+                                            }
+                                            if (isAttachmentAction(a)) {
+                                                return renderAttachmentAction(s, a, i);
+                                            }
+                                            if (isAlignmentAction(a)) {
+                                                return renderAlignmentAction(s, a, i);
+                                            }
                                             return (
                                                 <div
                                                     key={i}
@@ -240,6 +594,35 @@ const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSe
                                             );
                                         })
                                     )}
+
+                                    <div className="section-card__add-actions">
+                                        {Object.entries(ATTACHMENT_TYPES).map(([type, meta]) => (
+                                            <button
+                                                key={type}
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    updateSectionActions(s.id, [...s.actions, createAttachmentAction(type)]);
+                                                }}
+                                                className="section-card__add-action"
+                                                title={`Añadir: ${meta.label}`}
+                                            >
+                                                + {meta.icon} {meta.label}
+                                            </button>
+                                        ))}
+                                        {Object.entries(ALIGNMENT_MODES).map(([mode, meta]) => (
+                                            <button
+                                                key={mode}
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    updateSectionActions(s.id, [...s.actions, createAlignmentAction(mode)]);
+                                                }}
+                                                className="section-card__add-action section-card__add-action--align"
+                                                title={`Añadir: ${meta.label}`}
+                                            >
+                                                + {meta.icon} {meta.label}
+                                            </button>
+                                        ))}
+                                    </div>
                                 </div>
                             )}
                         </div>
@@ -257,9 +640,19 @@ const SectionsPanel = ({ sections, setSections, selectedSectionId, setSelectedSe
 
             {/* Compact Footer */}
             <div className="sections-panel__footer">
-                <button onClick={exportMission} className="options-close-btn" style={{ flex: 1, justifyContent: 'center' }}>
+                <button onClick={exportMission} className="options-close-btn" style={{ flex: 1, justifyContent: 'center' }} title="Guardar el proyecto completo en un archivo">
                     Guardar
                 </button>
+                {onOpenCodeExport && (
+                    <button onClick={onOpenCodeExport} className="options-close-btn" style={{ flex: 1, justifyContent: 'center' }} title="Exportar código para el robot">
+                        Código
+                    </button>
+                )}
+                {onOpenTextImport && (
+                    <button onClick={onOpenTextImport} className="options-close-btn" style={{ flex: 1, justifyContent: 'center' }} title="Importar la ruta desde una lista de instrucciones (texto o CSV)">
+                        Texto
+                    </button>
+                )}
                 <label className="option-action-button" style={{ flex: 1, textAlign: 'center', cursor: 'pointer' }}>
                     Cargar
                     <input type="file" accept="application/json" style={{ display: 'none' }} onChange={importMission} />
@@ -0,0 +1,146 @@
+import React, { useEffect, useCallback, useState } from 'react';
+import { SHARE_MODES, MAX_SHARE_URL_LENGTH, createShareLink } from './domain/shareLink';
+import './ShareModal.css';
+
+const MODE_OPTIONS = [
+    { mode: SHARE_MODES.VIEW, label: 'Solo lectura', hint: 'Se abre el proyecto para verlo y reproducirlo, sin cambiarlo.' },
+    { mode: SHARE_MODES.FORK, label: 'Copia editable', hint: 'Se añade una copia a los proyectos de quien abre el enlace.' }
+];
+
+/**
+ * Shown while a project opened from a read-only link is on screen.
+ */
+export const SharedProjectBanner = ({ name, onFork, onLeave }) => (
+    <div className="share-modal__banner" role="status">
+        <span>
+            Estás viendo «{name || 'Proyecto compartido'}» desde un enlace, en solo lectura. Los cambios no se guardan.
+        </span>
+        <button type="button" className="share-modal__banner-action" onClick={onFork}>
+            Editar una copia
+        </button>
+        <button type="button" className="share-modal__banner-action share-modal__banner-action--secondary" onClick={onLeave}>
+            Volver a mis proyectos
+        </button>
+    </div>
+);
+
+const ShareModal = ({ isOpen, onClose, project, projectName }) => {
+    const [mode, setMode] = useState(SHARE_MODES.VIEW);
+    const [link, setLink] = useState(null);
+    const [copied, setCopied] = useState(false);
+
+    // Close on Escape key
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'Escape') {
+            onClose();
+        }
+    }, [onClose]);
+
+    useEffect(() => {
+        if (isOpen) {
+            window.addEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = 'hidden';
+        }
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = '';
+        };
+    }, [isOpen, handleKeyDown]);
+
+    // Compress the project again whenever the modal opens or the mode changes
+    useEffect(() => {
+        if (!isOpen) return undefined;
+        let cancelled = false;
+        setLink(null);
+        setCopied(false);
+        const baseUrl = `${window.location.origin}${window.location.pathname}${window.location.search}`;
+        createShareLink({ project, name: projectName || '', mode, baseUrl })
+            .then(result => { if (!cancelled) setLink(result); })
+            .catch(err => {
+                console.error('Error creando el enlace', err);
+                if (!cancelled) setLink({ error: true });
+            });
+        return () => { cancelled = true; };
+    }, [isOpen, project, projectName, mode]);
+
+    if (!isOpen) return null;
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(link.url);
+            setCopied(true);
+        } catch (err) {
+            console.warn('Clipboard not available:', err);
+            window.prompt('Copia el enlace:', link.url);
+        }
+    };
+
+    const canCopy = link && !link.error && !link.tooLarge;
+
+    return (
+        <>
+            {/* Backdrop */}
+            <div className="share-modal__backdrop" onClick={onClose} />
+
+            {/* Modal */}
+            <div className="share-modal" role="dialog" aria-modal="true">
+                <div className="share-modal__header">
+                    <h2 className="share-modal__title">
+                        <span className="share-modal__icon">🔗</span>
+                        Compartir enlace
+                    </h2>
+                    <button className="share-modal__close" onClick={onClose} aria-label="Cerrar">
+                        ✕
+                    </button>
+                </div>
+
+                <div className="share-modal__body">
+                    <div className="share-modal__modes">
+                        {MODE_OPTIONS.map(option => (
+                            <button
+                                key={option.mode}
+                                type="button"
+                                className={`share-modal__mode ${mode === option.mode ? 'share-modal__mode--active' : ''}`}
+                                onClick={() => setMode(option.mode)}
+                            >
+                                <span className="share-modal__mode-label">{option.label}</span>
+                                <span className="share-modal__mode-hint">{option.hint}</span>
+                            </button>
+                        ))}
+                    </div>
+
+                    {!link && <div className="share-modal__hint">Comprimiendo el proyecto…</div>}
+                    {link?.error && (
+                        <div className="share-modal__error">No se pudo crear el enlace.</div>
+                    )}
+                    {link && !link.error && (
+                        <>
+                            <input className="share-modal__url" value={link.url} readOnly onFocus={e => e.target.select()} />
+                            <div className="share-modal__hint">
+                                {link.length.toLocaleString()} caracteres · el proyecto va dentro del enlace, no se sube a ningún servidor.
+                            </div>
+                            {link.dropped.length > 0 && (
+                                <div className="share-modal__warning">
+                                    El enlace no incluye {link.dropped.join(' ni ')}: no cabe en {MAX_SHARE_URL_LENGTH.toLocaleString()} caracteres. Usa «Guardar» para compartir el proyecto completo en un archivo.
+                                </div>
+                            )}
+                            {link.tooLarge && (
+                                <div className="share-modal__error">
+                                    El proyecto es demasiado grande para un enlace, incluso sin imágenes. Usa «Guardar» para compartirlo en un archivo.
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+
+                <div className="share-modal__footer">
+                    <button type="button" className="share-modal__copy" onClick={handleCopy} disabled={!canCopy}>
+                        {copied ? '✓ Copiado' : 'Copiar enlace'}
+                    </button>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default ShareModal;
@@ -5,9 +5,12 @@ const shortcuts = [
     {
         category: 'Edición', items: [
             { key: 'Espacio', description: 'Cambiar dirección (Adelante/Reversa) del punto seleccionado' },
+            { key: 'C', description: 'Alternar tramo curvo (arco) / recto del punto seleccionado o de los nuevos puntos' },
             { key: 'Delete / Backspace', description: 'Eliminar waypoint o sección seleccionada' },
             { key: 'Esc', description: 'Deseleccionar / Cancelar acción actual' },
             { key: 'Tab', description: 'Alternar modo Dibujar/Editar' },
+            { key: 'Ctrl + Z', description: 'Deshacer último cambio' },
+            { key: 'Ctrl + Shift + Z / Ctrl + Y', description: 'Rehacer cambio deshecho' },
         ]
     },
     {
@@ -21,9 +24,10 @@ const shortcuts = [
     {
         category: 'Dibujo', items: [
             { key: 'Q', description: 'Activar/desactivar Snap 45°' },
-            { key: 'R', description: 'Alternar referencia Centro/Punta' },
+            { key: 'R', description: 'Cambiar referencia Eje/Centro/Punta' },
             { key: 'O', description: 'Mostrar/ocultar robot fantasma al 100%' },
             { key: 'A', description: 'Agregar nueva sección' },
+            { key: 'F', description: 'Buscar ruta automática: el siguiente clic (o misión) es el destino' },
         ]
     },
     {
@@ -0,0 +1,160 @@
+import React, { useEffect, useCallback, useMemo, useState } from 'react';
+import { SVG_LAYERS, ROBOT_POSE_MODES, DEFAULT_FIELD_SVG_OPTIONS, buildFieldSvg, imageToDataUrl } from './domain/fieldSvg';
+import './SvgExportModal.css';
+
+const ROBOT_POSE_OPTIONS = [
+    { mode: ROBOT_POSE_MODES.START, label: 'Solo en la salida' },
+    { mode: ROBOT_POSE_MODES.SECTIONS, label: 'Inicio de cada sección y final' },
+    { mode: ROBOT_POSE_MODES.WAYPOINTS, label: 'En cada punto' }
+];
+
+/**
+ * Vector export of the field and the active route (real mm, layers on/off).
+ * `field` holds everything buildFieldSvg needs except the background and options.
+ */
+const SvgExportModal = ({ isOpen, onClose, field, backgroundSrc, backgroundOpacity = 1 }) => {
+    const [options, setOptions] = useState(DEFAULT_FIELD_SVG_OPTIONS);
+    // Background as a data URL: { src, href } once read, href null when it could not be read
+    const [background, setBackground] = useState(null);
+
+    // Close on Escape key
+    const handleKeyDown = useCallback((e) => {
+        if (e.key === 'Escape') {
+            onClose();
+        }
+    }, [onClose]);
+
+    useEffect(() => {
+        if (isOpen) {
+            window.addEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = 'hidden';
+        }
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            document.body.style.overflow = '';
+        };
+    }, [isOpen, handleKeyDown]);
+
+    // Embed the mat image so the file does not depend on the app
+    useEffect(() => {
+        if (!isOpen || !backgroundSrc || background?.src === backgroundSrc) return undefined;
+        let cancelled = false;
+        imageToDataUrl(backgroundSrc)
+            .then(href => { if (!cancelled) setBackground({ src: backgroundSrc, href }); })
+            .catch(err => {
+                console.warn('No se pudo leer la imagen del tapete:', err);
+                if (!cancelled) setBackground({ src: backgroundSrc, href: null });
+            });
+        return () => { cancelled = true; };
+    }, [isOpen, backgroundSrc, background]);
+
+    const backgroundReady = !backgroundSrc || background?.src === backgroundSrc;
+    const backgroundHref = backgroundSrc && background?.src === backgroundSrc ? background.href : null;
+
+    const svg = useMemo(() => {
+        if (!isOpen || !field) return '';
+        return buildFieldSvg({
+            ...field,
+            background: backgroundHref ? { href: backgroundHref, opacity: backgroundOpacity } : null,
+            options
+        });
+    }, [isOpen, field, backgroundHref, backgroundOpacity, options]);
+
+    if (!isOpen) return null;
+
+    const toggleLayer = (key) => {
+        setOptions(prev => ({ ...prev, layers: { ...prev.layers, [key]: !prev.layers[key] } }));
+    };
+
+    const handleDownload = () => {
+        const blob = new Blob([svg], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `tapete_ruta_${new Date().toISOString().slice(0, 10)}.svg`;
+        a.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <>
+            {/* Backdrop */}
+            <div className="svg-export__backdrop" onClick={onClose} />
+
+            {/* Modal */}
+            <div className="svg-export" role="dialog" aria-modal="true">
+                <div className="svg-export__header">
+                    <h2 className="svg-export__title">
+                        <span className="svg-export__icon">📐</span>
+                        Exportar SVG
+                    </h2>
+                    <button className="svg-export__close" onClick={onClose} aria-label="Cerrar">
+                        ✕
+                    </button>
+                </div>
+
+                <div className="svg-export__body">
+                    <div className="svg-export__preview">
+                        {svg && (
+                            <img
+                                src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`}
+                                alt="Vista previa del SVG"
+                            />
+                        )}
+                    </div>
+
+                    <div className="svg-export__options">
+                        <fieldset className="svg-export__group">
+                            <legend className="svg-export__legend">Capas</legend>
+                            {SVG_LAYERS.map(layer => (
+                                <label key={layer.key} className="svg-export__check">
+                                    <input
+                                        type="checkbox"
+                                        checked={options.layers[layer.key]}
+                                        onChange={() => toggleLayer(layer.key)}
+                                    />
+                                    {layer.label}
+                                </label>
+                            ))}
+                        </fieldset>
+
+                        <fieldset className="svg-export__group" disabled={!options.layers.robot}>
+                            <legend className="svg-export__legend">Huella del robot</legend>
+                            {ROBOT_POSE_OPTIONS.map(option => (
+                                <label key={option.mode} className="svg-export__check">
+                                    <input
+                                        type="radio"
+                                        name="svg-export-robot-poses"
+                                        checked={options.robotPoses === option.mode}
+                                        onChange={() => setOptions(prev => ({ ...prev, robotPoses: option.mode }))}
+                                    />
+                                    {option.label}
+                                </label>
+                            ))}
+                        </fieldset>
+                    </div>
+
+                    {!backgroundReady && options.layers.background && (
+                        <div className="svg-export__hint">Leyendo la imagen del tapete…</div>
+                    )}
+                    {backgroundReady && backgroundSrc && !backgroundHref && options.layers.background && (
+                        <div className="svg-export__warning">
+                            No se pudo incluir la imagen del tapete; el resto del SVG se exporta igual.
+                        </div>
+                    )}
+                    <div className="svg-export__hint">
+                        Medidas reales: 1 unidad = 1 mm del tapete. Cada capa es un grupo que se puede ocultar en un editor vectorial.
+                    </div>
+                </div>
+
+                <div className="svg-export__footer">
+                    <button type="button" className="svg-export__download" onClick={handleDownload} disabled={!svg}>
+                        Descargar SVG
+                    </button>
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default SvgExportModal;
@@ -1,13 +1,28 @@
 import React, { useState, useRef, useCallback, useEffect } from "react";
 import { IconRuler, IconTarget, IconDownload, IconUpload } from "./icons";
 import useBreakpoint from "./hooks/useBreakpoint";
+import { PATH_FINDER_OBJECTIVES, PATH_FINDER_HEADINGS } from "./domain/pathFinder";
+import { ROBOT_REFERENCES } from "./domain/geometry";
 import "./TopBar.css";
 
+// Autosave state of the project library (see hooks/useProjectLibrary)
+const SAVE_STATUS_ICONS = { loading: '…', saving: '⟳', saved: '✓', error: '⚠', unavailable: '⚠', readonly: '👁' };
+const SAVE_STATUS_LABELS = {
+    loading: 'Abriendo el proyecto…',
+    saving: 'Guardando…',
+    saved: 'Guardado en este navegador',
+    error: 'No se pudo guardar',
+    unavailable: 'El guardado automático no está disponible en este navegador',
+    readonly: 'Proyecto compartido en solo lectura: los cambios no se guardan'
+};
+
 const TopBar = ({
     drawMode, setDrawMode, snap45, setSnap45,
     isRunning, isPaused, startMission, startMissionReverse, startSection, startSectionReverse,
     pauseResume, stopPlayback, setShowOptions, rulerActive, handleRulerToggle,
-    reverseDrawing, onToggleReverse, referenceMode, onReferenceModeChange,
+    reverseDrawing, onToggleReverse, arcDrawing = false, onToggleArc, referenceMode, onReferenceModeChange,
+    pathFinderActive = false, onTogglePathFinder, pathFinderObjective = 'time', onPathFinderObjectiveChange,
+    pathFinderHeading = 'free', onPathFinderHeadingChange,
     zoom, onZoomIn, onZoomOut, onZoomReset, playbackSpeed, setPlaybackSpeed,
     onOpenShortcuts,
     onAddObstacle,
@@ -15,7 +30,21 @@ const TopBar = ({
     onImportObstacles,
     onAddMission,
     onExportMissions,
-    onImportMissions
+    onImportMissions,
+    onOpenScenarios,
+    onOpenDrift,
+    onUndo,
+    onRedo,
+    canUndo = false,
+    canRedo = false,
+    onOpenHistory,
+    onOpenLibrary,
+    onShare,
+    onPrintRunSheet,
+    onExportSvg,
+    projectName,
+    saveStatus = 'saved',
+    readOnly = false
 }) => {
     const fileInputRef = useRef(null);
     const missionFileInputRef = useRef(null);
@@ -101,38 +130,102 @@ const TopBar = ({
     const zoomLabel = Math.round(zoom * 100);
     const isCollapsed = breakpoint === 'collapsed';
 
-    // Secondary controls for mobile menu
-    const renderMobileMenuContent = () => (
-        <>
-            {/* Direction */}
-            <div className="topbar__group">
-                <span className="topbar__label">Dirección</span>
+    // Path finder objective (shown while the tool is active)
+    const renderObjectiveButtons = () => (
+        <div className="topbar__btn-group">
+            {Object.entries(PATH_FINDER_OBJECTIVES).map(([key, label]) => (
                 <button
-                    onClick={withCloseMenu(onToggleReverse)}
-                    className={`topbar__chip ${reverseDrawing ? 'topbar__chip--warning' : 'topbar__chip--inactive'}`}
+                    key={key}
+                    onClick={() => onPathFinderObjectiveChange(key)}
+                    className={`topbar__chip ${pathFinderObjective === key ? '' : 'topbar__chip--inactive'}`}
                 >
-                    {reverseDrawing ? '◀ Reversa' : 'Adelante ▶'}
+                    {label}
                 </button>
-            </div>
+            ))}
+        </div>
+    );
 
-            {/* Reference */}
-            <div className="topbar__group">
-                <span className="topbar__label">Referencia</span>
-                <div className="topbar__btn-group">
-                    <button
-                        onClick={withCloseMenu(() => onReferenceModeChange('center'))}
-                        className={`topbar__chip ${referenceMode === 'center' ? '' : 'topbar__chip--inactive'}`}
-                    >
-                        Centro
-                    </button>
+    // Final heading chips of the path finder: free or one of the four directions
+    const renderHeadingButtons = () => (
+        <div className="topbar__btn-group">
+            {Object.entries(PATH_FINDER_HEADINGS).map(([key, { label, title }]) => (
+                <button
+                    key={key}
+                    onClick={() => onPathFinderHeadingChange(key)}
+                    className={`topbar__chip ${pathFinderHeading === key ? '' : 'topbar__chip--inactive'}`}
+                    title={title}
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
+    );
+
+    // Reference chips: wheel axis (pivot), geometric centre or front
+    const renderReferenceButtons = (closeMenu = false) => (
+        <div className="topbar__btn-group">
+            {Object.entries(ROBOT_REFERENCES).map(([key, label]) => (
+                <button
+                    key={key}
+                    onClick={closeMenu ? withCloseMenu(() => onReferenceModeChange(key)) : () => onReferenceModeChange(key)}
+                    className={`topbar__chip ${referenceMode === key ? (key === 'tip' ? 'topbar__chip--warning' : '') : 'topbar__chip--inactive'}`}
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
+    );
+
+    // Secondary controls for mobile menu
+    const renderMobileMenuContent = () => (
+        <>
+            {/* Editing tools are disabled while a shared project is viewed read-only */}
+            <fieldset className="topbar__fieldset" disabled={readOnly}>
+                {/* Direction */}
+                <div className="topbar__group">
+                    <span className="topbar__label">Dirección</span>
                     <button
-                        onClick={withCloseMenu(() => onReferenceModeChange('tip'))}
-                        className={`topbar__chip ${referenceMode === 'tip' ? 'topbar__chip--warning' : 'topbar__chip--inactive'}`}
+                        onClick={withCloseMenu(onToggleReverse)}
+                        className={`topbar__chip ${reverseDrawing ? 'topbar__chip--warning' : 'topbar__chip--inactive'}`}
                     >
-                        Punta
+                        {reverseDrawing ? '◀ Reversa' : 'Adelante ▶'}
                     </button>
                 </div>
-            </div>
+
+                {/* Stroke type */}
+                {onToggleArc && (
+                    <div className="topbar__group">
+                        <span className="topbar__label">Trazo</span>
+                        <button
+                            onClick={withCloseMenu(onToggleArc)}
+                            className={`topbar__chip ${arcDrawing ? '' : 'topbar__chip--inactive'}`}
+                        >
+                            {arcDrawing ? '⌒ Curva' : '／ Recta'}
+                        </button>
+                    </div>
+                )}
+
+                {/* Path finder */}
+                {onTogglePathFinder && (
+                    <div className="topbar__group">
+                        <span className="topbar__label">Ruta auto</span>
+                        <button
+                            onClick={withCloseMenu(onTogglePathFinder)}
+                            className={`topbar__chip ${pathFinderActive ? '' : 'topbar__chip--inactive'}`}
+                        >
+                            🧭 Buscar
+                        </button>
+                        {pathFinderActive && renderObjectiveButtons()}
+                        {pathFinderActive && renderHeadingButtons()}
+                    </div>
+                )}
+
+                {/* Reference */}
+                <div className="topbar__group">
+                    <span className="topbar__label">Referencia</span>
+                    {renderReferenceButtons(true)}
+                </div>
+            </fieldset>
 
             {/* Playback */}
             <div className="topbar__group">
@@ -183,141 +276,187 @@ const TopBar = ({
         <div className="topbar">
             {/* LEFT: Mode & Config */}
             <div className="topbar__card">
-                <div className="topbar__group">
-                    <span className="topbar__label">Modo</span>
-                    <div className="topbar__btn-group">
-                        <button onClick={() => setDrawMode(false)} className={`topbar__chip ${!drawMode ? '' : 'topbar__chip--inactive'}`}>
-                            Editar
-                        </button>
-                        <button onClick={() => setDrawMode(true)} className={`topbar__chip ${drawMode ? '' : 'topbar__chip--inactive'}`}>
-                            Dibujar
-                        </button>
-                    </div>
-                </div>
-
-                {!isCollapsed && (
-                    <>
-                        <div className="topbar__divider"></div>
-
-                        <div className="topbar__group">
-                            <span className="topbar__label">Dirección</span>
-                            <button onClick={onToggleReverse} className={`topbar__chip ${reverseDrawing ? 'topbar__chip--warning' : 'topbar__chip--inactive'}`}>
-                                {reverseDrawing ? '◀ Reversa' : 'Adelante ▶'}
+                <fieldset className="topbar__fieldset" disabled={readOnly}>
+                    <div className="topbar__group">
+                        <span className="topbar__label">Modo</span>
+                        <div className="topbar__btn-group">
+                            <button onClick={() => setDrawMode(false)} className={`topbar__chip ${!drawMode ? '' : 'topbar__chip--inactive'}`}>
+                                Editar
+                            </button>
+                            <button onClick={() => setDrawMode(true)} className={`topbar__chip ${drawMode ? '' : 'topbar__chip--inactive'}`}>
+                                Dibujar
                             </button>
                         </div>
+                    </div>
 
-                        <div className="topbar__divider"></div>
+                    {!isCollapsed && (
+                        <>
+                            <div className="topbar__divider"></div>
 
-                        <div className="topbar__group">
-                            <span className="topbar__label">Referencia</span>
-                            <div className="topbar__btn-group">
-                                <button onClick={() => onReferenceModeChange('center')} className={`topbar__chip ${referenceMode === 'center' ? '' : 'topbar__chip--inactive'}`}>
-                                    Centro
-                                </button>
-                                <button onClick={() => onReferenceModeChange('tip')} className={`topbar__chip ${referenceMode === 'tip' ? 'topbar__chip--warning' : 'topbar__chip--inactive'}`}>
-                                    Punta
+                            <div className="topbar__group">
+                                <span className="topbar__label">Dirección</span>
+                                <button onClick={onToggleReverse} className={`topbar__chip ${reverseDrawing ? 'topbar__chip--warning' : 'topbar__chip--inactive'}`}>
+                                    {reverseDrawing ? '◀ Reversa' : 'Adelante ▶'}
                                 </button>
                             </div>
-                        </div>
 
-                        {/* Add Obstacle Button */}
-                        {onAddObstacle && (
-                            <>
-                                <div className="topbar__divider"></div>
-                                <button
-                                    onClick={onAddObstacle}
-                                    className="topbar__chip topbar__chip--inactive"
-                                    title="Agregar Obstáculo"
-                                    aria-label="Agregar Obstáculo"
-                                >
-                                    <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                                        <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
-                                    </svg>
-                                </button>
-                                {onExportObstacles && (
+                            {onToggleArc && (
+                                <div className="topbar__group">
+                                    <span className="topbar__label">Trazo</span>
+                                    <button onClick={onToggleArc} className={`topbar__chip ${arcDrawing ? '' : 'topbar__chip--inactive'}`} title="Curva: arco tangente sin giro en el sitio (C)">
+                                        {arcDrawing ? '⌒ Curva' : '／ Recta'}
+                                    </button>
+                                </div>
+                            )}
+
+                            {onTogglePathFinder && (
+                                <div className="topbar__group">
+                                    <span className="topbar__label">Ruta auto</span>
+                                    <button
+                                        onClick={onTogglePathFinder}
+                                        className={`topbar__chip ${pathFinderActive ? '' : 'topbar__chip--inactive'}`}
+                                        title="Pulsa un punto o una misión del tapete para llegar sin colisiones (F)"
+                                    >
+                                        🧭 Buscar
+                                    </button>
+                                    {pathFinderActive && renderObjectiveButtons()}
+                                    {pathFinderActive && renderHeadingButtons()}
+                                </div>
+                            )}
+
+                            <div className="topbar__divider"></div>
+
+                            <div className="topbar__group">
+                                <span className="topbar__label">Referencia</span>
+                                {renderReferenceButtons()}
+                            </div>
+
+                            {/* Add Obstacle Button */}
+                            {onAddObstacle && (
+                                <>
+                                    <div className="topbar__divider"></div>
                                     <button
-                                        onClick={onExportObstacles}
+                                        onClick={onAddObstacle}
                                         className="topbar__chip topbar__chip--inactive"
-                                        title="Exportar Obstáculos"
-                                        aria-label="Exportar Obstáculos"
+                                        title="Agregar Obstáculo"
+                                        aria-label="Agregar Obstáculo"
                                     >
-                                        <IconDownload width={18} height={18} />
+                                        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                            <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect>
+                                        </svg>
                                     </button>
-                                )}
-                                {onImportObstacles && (
-                                    <>
-                                        <input
-                                            type="file"
-                                            accept=".json"
-                                            ref={fileInputRef}
-                                            style={{ display: 'none' }}
-                                            onChange={onImportObstacles}
-                                        />
+                                    {onExportObstacles && (
                                         <button
-                                            onClick={() => fileInputRef.current?.click()}
+                                            onClick={onExportObstacles}
                                             className="topbar__chip topbar__chip--inactive"
-                                            title="Importar Obstáculos"
-                                            aria-label="Importar Obstáculos"
+                                            title="Exportar Obstáculos"
+                                            aria-label="Exportar Obstáculos"
                                         >
-                                            <IconUpload width={18} height={18} />
+                                            <IconDownload width={18} height={18} />
                                         </button>
-                                    </>
-                                )}
-                            </>
-                        )}
-
-                        {/* Mission Buttons */}
-                        {onAddMission && (
-                            <>
-                                <div className="topbar__divider"></div>
-                                <button
-                                    onClick={onAddMission}
-                                    className="topbar__chip topbar__chip--inactive"
-                                    title="Agregar Misión"
-                                    aria-label="Agregar Misión"
-                                    style={{ color: '#22c55e' }}
-                                >
-                                    <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                                        <circle cx="12" cy="12" r="10"></circle>
-                                        <line x1="12" y1="8" x2="12" y2="16"></line>
-                                        <line x1="8" y1="12" x2="16" y2="12"></line>
-                                    </svg>
-                                </button>
-                                {onExportMissions && (
+                                    )}
+                                    {onImportObstacles && (
+                                        <>
+                                            <input
+                                                type="file"
+                                                accept=".json"
+                                                ref={fileInputRef}
+                                                style={{ display: 'none' }}
+                                                onChange={onImportObstacles}
+                                            />
+                                            <button
+                                                onClick={() => fileInputRef.current?.click()}
+                                                className="topbar__chip topbar__chip--inactive"
+                                                title="Importar Obstáculos"
+                                                aria-label="Importar Obstáculos"
+                                            >
+                                                <IconUpload width={18} height={18} />
+                                            </button>
+                                        </>
+                                    )}
+                                </>
+                            )}
+
+                            {/* Mission Buttons */}
+                            {onAddMission && (
+                                <>
+                                    <div className="topbar__divider"></div>
                                     <button
-                                        onClick={onExportMissions}
+                                        onClick={onAddMission}
                                         className="topbar__chip topbar__chip--inactive"
-                                        title="Exportar Misiones"
-                                        aria-label="Exportar Misiones"
+                                        title="Agregar Misión"
+                                        aria-label="Agregar Misión"
                                         style={{ color: '#22c55e' }}
                                     >
-                                        <IconDownload width={18} height={18} />
+                                        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                            <circle cx="12" cy="12" r="10"></circle>
+                                            <line x1="12" y1="8" x2="12" y2="16"></line>
+                                            <line x1="8" y1="12" x2="16" y2="12"></line>
+                                        </svg>
                                     </button>
-                                )}
-                                {onImportMissions && (
-                                    <>
-                                        <input
-                                            type="file"
-                                            accept=".json"
-                                            ref={missionFileInputRef}
-                                            style={{ display: 'none' }}
-                                            onChange={onImportMissions}
-                                        />
+                                    {onExportMissions && (
                                         <button
-                                            onClick={() => missionFileInputRef.current?.click()}
+                                            onClick={onExportMissions}
                                             className="topbar__chip topbar__chip--inactive"
-                                            title="Importar Misiones"
-                                            aria-label="Importar Misiones"
+                                            title="Exportar Misiones"
+                                            aria-label="Exportar Misiones"
                                             style={{ color: '#22c55e' }}
                                         >
-                                            <IconUpload width={18} height={18} />
+                                            <IconDownload width={18} height={18} />
                                         </button>
-                                    </>
-                                )}
-                            </>
-                        )}
-                    </>
-                )}
+                                    )}
+                                    {onImportMissions && (
+                                        <>
+                                            <input
+                                                type="file"
+                                                accept=".json"
+                                                ref={missionFileInputRef}
+                                                style={{ display: 'none' }}
+                                                onChange={onImportMissions}
+                                            />
+                                            <button
+                                                onClick={() => missionFileInputRef.current?.click()}
+                                                className="topbar__chip topbar__chip--inactive"
+                                                title="Importar Misiones"
+                                                aria-label="Importar Misiones"
+                                                style={{ color: '#22c55e' }}
+                                            >
+                                                <IconUpload width={18} height={18} />
+                                            </button>
+                                        </>
+                                    )}
+                                </>
+                            )}
+
+                            {/* Randomized Scenarios */}
+                            {onOpenScenarios && (
+                                <>
+                                    <div className="topbar__divider"></div>
+                                    <button
+                                        onClick={onOpenScenarios}
+                                        className="topbar__chip topbar__chip--inactive"
+                                        title="Escenarios aleatorios"
+                                        aria-label="Escenarios aleatorios"
+                                    >
+                                        🎲
+                                    </button>
+                                </>
+                            )}
+
+                            {/* Odometry Drift Simulation */}
+                            {onOpenDrift && (
+                                <button
+                                    onClick={onOpenDrift}
+                                    className="topbar__chip topbar__chip--inactive"
+                                    title="Simulación de deriva"
+                                    aria-label="Simulación de deriva"
+                                >
+                                    📈
+                                </button>
+                            )}
+                        </>
+                    )}
+                </fieldset>
             </div>
 
             {/* CENTER: Playback (hidden in collapsed) */}
@@ -381,8 +520,102 @@ const TopBar = ({
                 </div>
             )}
 
-            {/* RIGHT: Zoom + Options (always visible) */}
+            {/* RIGHT: Project + History + Zoom + Options (always visible) */}
             <div className="topbar__card">
+                {onOpenLibrary && (
+                    <>
+                        <div className="topbar__group">
+                            <span className="topbar__label">Proyecto</span>
+                            <button
+                                onClick={onOpenLibrary}
+                                className="topbar__chip topbar__chip--inactive topbar__project"
+                                title="Biblioteca de proyectos"
+                                aria-label="Biblioteca de proyectos"
+                            >
+                                📁
+                                {projectName && <span className="topbar__project-name">{projectName}</span>}
+                                <span className={`topbar__save topbar__save--${saveStatus}`} title={SAVE_STATUS_LABELS[saveStatus]}>
+                                    {SAVE_STATUS_ICONS[saveStatus]}
+                                </span>
+                            </button>
+                            {onShare && (
+                                <button
+                                    onClick={onShare}
+                                    className="topbar__chip topbar__chip--inactive"
+                                    title="Copiar enlace para compartir"
+                                    aria-label="Copiar enlace para compartir"
+                                >
+                                    🔗
+                                </button>
+                            )}
+                            {onPrintRunSheet && (
+                                <button
+                                    onClick={onPrintRunSheet}
+                                    className="topbar__chip topbar__chip--inactive"
+                                    title="Hoja de salida imprimible (PDF)"
+                                    aria-label="Hoja de salida imprimible"
+                                >
+                                    🖨️
+                                </button>
+                            )}
+                            {onExportSvg && (
+                                <button
+                                    onClick={onExportSvg}
+                                    className="topbar__chip topbar__chip--inactive"
+                                    title="Exportar tapete y ruta en SVG (vectorial, mm reales)"
+                                    aria-label="Exportar SVG"
+                                >
+                                    📐
+                                </button>
+                            )}
+                        </div>
+
+                        <div className="topbar__divider"></div>
+                    </>
+                )}
+
+                {onUndo && (
+                    <>
+                        <div className="topbar__group">
+                            <span className="topbar__label">Historial</span>
+                            <div className="topbar__btn-group">
+                                <button
+                                    onClick={onUndo}
+                                    disabled={!canUndo}
+                                    className="topbar__chip topbar__chip--inactive"
+                                    title="Deshacer (Ctrl+Z)"
+                                    aria-label="Deshacer"
+                                    style={{ opacity: canUndo ? 1 : 0.4 }}
+                                >
+                                    ↶
+                                </button>
+                                <button
+                                    onClick={onRedo}
+                                    disabled={!canRedo}
+                                    className="topbar__chip topbar__chip--inactive"
+                                    title="Rehacer (Ctrl+Shift+Z)"
+                                    aria-label="Rehacer"
+                                    style={{ opacity: canRedo ? 1 : 0.4 }}
+                                >
+                                    ↷
+                                </button>
+                                {onOpenHistory && (
+                                    <button
+                                        onClick={onOpenHistory}
+                                        className="topbar__chip topbar__chip--inactive"
+                                        title="Ver historial de cambios"
+                                        aria-label="Ver historial de cambios"
+                                    >
+                                        🕘
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="topbar__divider"></div>
+                    </>
+                )}
+
                 <div className="topbar__group">
                     <span className="topbar__label">Zoom</span>
                     <div className="topbar__zoom-control">
@@ -27,6 +27,18 @@ import CanvasBoard from "./CanvasBoard";
 import WaypointsPanel from "./WaypointsPanel";
 import RobotSizeModal from "./components/RobotSizeModal";
 import ShortcutsModal from "./ShortcutsModal";
+import HistoryPanel from "./HistoryPanel";
+import CodeExportModal from "./CodeExportModal";
+import ScenariosModal from "./ScenariosModal";
+import DriftModal from "./DriftModal";
+import RobotsBar from "./RobotsBar";
+import ProjectLibraryModal, { RecoveryNotice } from "./ProjectLibraryModal";
+import ShareModal, { SharedProjectBanner } from "./ShareModal";
+import SvgExportModal from "./SvgExportModal";
+import InstructionImportModal from "./InstructionImportModal";
+import RouteScriptEditor from "./RouteScriptEditor";
+import useProjectLibrary from "./hooks/useProjectLibrary";
+import useHistory from "./hooks/useHistory";
 import { usePlayback } from "./domain/playback";
 import {
     FIELD_PRESETS,
@@ -40,7 +52,9 @@ import {
     mmToPxPoint,
     pxToMmPoint,
     mmToPxSections,
-    pxToMmSections
+    pxToMmSections,
+    mmToPxFieldObject,
+    pxToMmFieldObject
 } from "./domain/constants";
 import {
     normalizeAngle,
@@ -50,8 +64,10 @@ import {
     buildReversePlayback,
     buildActionsFromPolyline,
     pointsFromActions,
+    resolveActionAlignments,
     projectPointWithReference,
-    getPoseAfterActions
+    getPoseAfterActions,
+    scaleSectionsUnit
 } from "./domain/geometry";
 import {
     recalcAfterEditStable as recalcAllFollowingSections,
@@ -68,6 +84,20 @@ import {
     generatePlaybackActions as generatePlaybackActionsFromCalc,
     flattenSectionsToWaypoints
 } from "./domain/pathCalculator";
+import { getDefaultExportSettings, normalizeExportSettings } from "./domain/exporters";
+import { DEFAULT_MOTION_PROFILE, normalizeMotionProfile } from "./domain/motionProfile";
+import { leadingAttachments } from "./domain/attachments";
+import { isAlignmentAction, reverseAlignment } from "./domain/alignment";
+import { createFieldObject, buildDefaultLayout } from "./domain/fieldElements";
+import { DEFAULT_SCENARIO_CONFIG, normalizeScenarioConfig } from "./domain/scenarios";
+import { findPath, PATH_FINDER_HEADINGS } from "./domain/pathFinder";
+import { DEFAULT_DRIFT_CONFIG, normalizeDriftConfig, simulateDrift } from "./domain/driftSimulation";
+import { buildRouteSteps, analyzeRouteClearance } from "./domain/routeValidation";
+import { createTeamRobot, normalizeTeam, buildRobotTrack, poseAtTime, findRobotCollisions, robotSizeMm, scaleRobotUnit } from "./domain/multiRobot";
+import { createRun, normalizeRuns, getStartAreas, summarizeRun, scaleRunsUnit } from "./domain/runs";
+import { createProjectBundle, readProjectBundle, parseProjectBundle, formatBundleErrors } from "./domain/projectBundle";
+import { SHARE_MODES, buildShareProject, readShareHash, decodeSharePayload, removeShareHash } from "./domain/shareLink";
+import { buildRunSheetHtml } from "./domain/runSheet";
 
 export default function WROPlaybackPlanner() {
     // =========================================================================
@@ -75,6 +105,8 @@ export default function WROPlaybackPlanner() {
     // =========================================================================
     const [fieldKey, setFieldKey] = useState(FIELD_PRESETS[0].key);
     const [bgImage, setBgImage] = useState(null);
+    // Uploaded background (data URL), used when the field is 'custom'
+    const [customBgSrc, setCustomBgSrc] = useState(null);
     const [bgOpacity, setBgOpacity] = useState(1);
     const [grid, setGrid] = useState({ ...DEFAULT_GRID });
 
@@ -86,7 +118,10 @@ export default function WROPlaybackPlanner() {
                 ...DEFAULT_ROBOT,
                 length: savedConfig.length,
                 width: savedConfig.width,
-                wheelOffset: savedConfig.wheelOffset ?? DEFAULT_ROBOT.wheelOffset
+                wheelOffset: savedConfig.wheelOffset ?? DEFAULT_ROBOT.wheelOffset,
+                wheelDiameter: savedConfig.wheelDiameter ?? DEFAULT_ROBOT.wheelDiameter,
+                trackWidth: savedConfig.trackWidth ?? DEFAULT_ROBOT.trackWidth,
+                gearRatio: savedConfig.gearRatio ?? DEFAULT_ROBOT.gearRatio
             };
         }
         return { ...DEFAULT_ROBOT };
@@ -114,6 +149,24 @@ export default function WROPlaybackPlanner() {
     // initialPose and sections.points store x,y in MM (tapete coords) so path keeps correct scale when canvas resizes
     const [initialPose, setInitialPose] = useState({ x: 354, y: 354, theta: 0 });
 
+    // =========================================================================
+    // STATE - Team (several robots, e.g. RoboSports Double Tennis)
+    // The active robot is edited through robot / initialPose / sections; the
+    // entries of the other robots keep their own copy (see multiRobot.js)
+    // =========================================================================
+    const [team, setTeam] = useState(() => [{ id: uid('rob'), name: 'Robot 1' }]);
+    const [activeRobotId, setActiveRobotId] = useState(team[0].id);
+    // The other robots follow the shared timeline during full-mission playback only
+    const [teamPlayback, setTeamPlayback] = useState(false);
+
+    // =========================================================================
+    // STATE - Runs of the active robot (several starts from the base per match)
+    // The active run is edited through initialPose / sections; the entries of
+    // the other runs keep their own copy (see runs.js)
+    // =========================================================================
+    const [runs, setRuns] = useState(() => [{ id: uid('run'), name: 'Salida 1' }]);
+    const [activeRunId, setActiveRunId] = useState(runs[0].id);
+
     // =========================================================================
     // STATE - Drawing & Interaction
     // =========================================================================
@@ -122,7 +175,7 @@ export default function WROPlaybackPlanner() {
     const [snap45, setSnap45] = useState(false);
     const [ghost, setGhost] = useState({
         x: 0, y: 0, theta: 0,
-        reference: 'center',
+        reference: 'axis',
         displayX: 0, displayY: 0,
         originX: 0, originY: 0,
         active: false,
@@ -138,7 +191,15 @@ export default function WROPlaybackPlanner() {
     const [isSettingOrigin, setIsSettingOrigin] = useState(false);
     const [unit, setUnit] = useState('cm');
     const [reverseDrawing, setReverseDrawing] = useState(false);
-    const [referenceMode, setReferenceMode] = useState('center');
+    // New points are driven as tangent arcs instead of turn + straight
+    const [arcDrawing, setArcDrawing] = useState(false);
+    // Path finder tool: next click (or mission marker) is the target of an automatic route
+    const [pathFinderActive, setPathFinderActive] = useState(false);
+    const [pathFinderObjective, setPathFinderObjective] = useState('time');
+    const [pathFinderHeading, setPathFinderHeading] = useState('free');
+    // Colour the route on the canvas by clearance to the obstacles instead of section colours
+    const [showClearance, setShowClearance] = useState(false);
+    const [referenceMode, setReferenceMode] = useState('axis');
     const [zoom, setZoom] = useState(1);
     const [pan, setPan] = useState({ x: 0, y: 0 });
     const [canvasBaseSize, setCanvasBaseSize] = useState({ width: 0, height: 0 });
@@ -157,8 +218,19 @@ export default function WROPlaybackPlanner() {
     // Keyboard shortcuts help modal
     const [showShortcuts, setShowShortcuts] = useState(false);
 
+    // Undo/redo history list modal
+    const [showHistory, setShowHistory] = useState(false);
+
+    // Robot code export (target + per-target options, saved with the project)
+    const [showCodeExport, setShowCodeExport] = useState(false);
+    const [exportSettings, setExportSettings] = useState(getDefaultExportSettings);
+
+    // Robot motion profile (speeds/accelerations) for run-time estimation and playback timing
+    const [motionProfile, setMotionProfile] = useState(DEFAULT_MOTION_PROFILE);
+
     // =========================================================================
     // OBSTACLE STATE
+    // Position and size in field mm, like sections (see obstaclesPx)
     // =========================================================================
     const [obstacles, setObstacles] = useState([]);
     const [selectedObstacleId, setSelectedObstacleId] = useState(null);
@@ -168,10 +240,83 @@ export default function WROPlaybackPlanner() {
     // =========================================================================
     // MISSION MARKERS STATE
     // Missions are visual markers indicating target locations (no collision)
+    // Position and size in field mm (see missionsPx)
     // =========================================================================
     const [missions, setMissions] = useState([]);
     const [selectedMissionId, setSelectedMissionId] = useState(null);
 
+    // =========================================================================
+    // RANDOMIZED SCENARIOS
+    // Randomization groups (saved with the project) and the scenario shown on the
+    // canvas on top of the fixed obstacles/missions ({label, obstacles, missions} in mm)
+    // =========================================================================
+    const [showScenarios, setShowScenarios] = useState(false);
+    const [scenarioConfig, setScenarioConfig] = useState(DEFAULT_SCENARIO_CONFIG);
+    const [scenarioPreview, setScenarioPreview] = useState(null);
+
+    // =========================================================================
+    // ODOMETRY DRIFT SIMULATION
+    // Noise settings (saved with the project) and the last Monte Carlo result,
+    // kept with the route and field it was computed for (see driftStale)
+    // =========================================================================
+    const [showDrift, setShowDrift] = useState(false);
+    const [driftConfig, setDriftConfig] = useState(DEFAULT_DRIFT_CONFIG);
+    const [driftResult, setDriftResult] = useState(null);
+    const [showDriftOverlay, setShowDriftOverlay] = useState(true);
+
+    // =========================================================================
+    // STATE - Project library (autosave to IndexedDB)
+    // =========================================================================
+    const [showLibrary, setShowLibrary] = useState(false);
+    const [showShare, setShowShare] = useState(false);
+    const [showSvgExport, setShowSvgExport] = useState(false);
+    const [showInstructionImport, setShowInstructionImport] = useState(false);
+    const [showRouteScript, setShowRouteScript] = useState(false);
+    // Canvas of CanvasBoard, captured for the printable run sheet
+    const printCanvasRef = useRef(null);
+    // Project opened from a share link: { mode, encoded } until decoded, then
+    // { mode: 'view', name, bundle } while it is viewed read-only. The library
+    // does not autosave meanwhile.
+    const [sharedProject, setSharedProject] = useState(() => readShareHash(window.location.hash));
+    const isReadOnly = Boolean(sharedProject?.bundle);
+
+    // =========================================================================
+    // HISTORY (UNDO / REDO)
+    // Every slice listed here is snapshotted on change; restoring a snapshot
+    // simply puts those references back into state.
+    // =========================================================================
+    const historyState = useMemo(
+        () => ({ sections, obstacles, missions, initialPose, robot, unit, team, activeRobotId, runs, activeRunId }),
+        [sections, obstacles, missions, initialPose, robot, unit, team, activeRobotId, runs, activeRunId]
+    );
+
+    const restoreHistorySnapshot = useCallback((snapshot) => {
+        if (snapshot.unit !== unit) {
+            // Grid cell size is not part of the history, keep it in the restored unit
+            const factor = snapshot.unit === 'mm' ? 10 : 0.1;
+            setGrid(g => ({ ...g, cellSize: g.cellSize * factor }));
+        }
+        setSections(snapshot.sections);
+        setObstacles(snapshot.obstacles);
+        setMissions(snapshot.missions);
+        setInitialPose(snapshot.initialPose);
+        setRobot(snapshot.robot);
+        setUnit(snapshot.unit);
+        setTeam(snapshot.team);
+        setActiveRobotId(snapshot.activeRobotId);
+        setRuns(snapshot.runs);
+        setActiveRunId(snapshot.activeRunId);
+
+        // Drop selections that may point to elements that no longer exist
+        setSelectedNode(null);
+        setDragging({ active: false, sectionId: null, index: -1 });
+        setSelectedObstacleId(prev => snapshot.obstacles.some(o => o.id === prev) ? prev : null);
+        setSelectedMissionId(prev => snapshot.missions.some(m => m.id === prev) ? prev : null);
+        setSelectedSectionId(prev => snapshot.sections.some(s => s.id === prev) ? prev : snapshot.sections[0]?.id);
+    }, [unit]);
+
+    const history = useHistory({ state: historyState, onRestore: restoreHistorySnapshot });
+
     // =========================================================================
     // REFS
     // =========================================================================
@@ -237,6 +382,42 @@ export default function WROPlaybackPlanner() {
         return { sectionsPx, initialPosePx };
     }, [sections, initialPose, canvasBaseSize.width, canvasBaseSize.height]);
 
+    // Obstacles and mission markers on the field (mm). A previewed scenario adds its randomized elements on top.
+    const { fieldObstacles, fieldMissions } = useMemo(() => ({
+        fieldObstacles: scenarioPreview ? [...obstacles, ...scenarioPreview.obstacles] : obstacles,
+        fieldMissions: scenarioPreview ? [...missions, ...scenarioPreview.missions] : missions
+    }), [obstacles, missions, scenarioPreview]);
+
+    // Obstacles and mission markers in pixel coords for the canvas and collision checks
+    const { obstaclesPx, missionsPx } = useMemo(() => {
+        const cw = canvasBaseSize.width || 1;
+        const ch = canvasBaseSize.height || 1;
+        return {
+            obstaclesPx: fieldObstacles.map(o => mmToPxFieldObject(o, cw, ch)),
+            missionsPx: fieldMissions.map(m => mmToPxFieldObject(m, cw, ch))
+        };
+    }, [fieldObstacles, fieldMissions, canvasBaseSize.width, canvasBaseSize.height]);
+
+    // Field that alignment actions drive against (walls, obstacles and robot size), in px and in mm
+    const { alignFieldPx, alignFieldMm } = useMemo(() => {
+        const mmPerUnit = unit === 'mm' ? 1 : 10;
+        const wheelOffset = robot.wheelOffset ?? robot.length / 2;
+        return {
+            alignFieldPx: {
+                width: canvasBaseSize.width || 1,
+                height: canvasBaseSize.height || 1,
+                obstacles: obstaclesPx,
+                robot: { width: unitToPx(robot.width), length: unitToPx(robot.length), wheelOffset: unitToPx(wheelOffset) }
+            },
+            alignFieldMm: {
+                width: MAT_MM.w,
+                height: MAT_MM.h,
+                obstacles: fieldObstacles,
+                robot: { width: robot.width * mmPerUnit, length: robot.length * mmPerUnit, wheelOffset: wheelOffset * mmPerUnit }
+            }
+        };
+    }, [obstaclesPx, fieldObstacles, robot.width, robot.length, robot.wheelOffset, unit, unitToPx, canvasBaseSize.width, canvasBaseSize.height]);
+
     // =========================================================================
     // STATELESS ROUTE CALCULATION
     // 
@@ -246,7 +427,7 @@ export default function WROPlaybackPlanner() {
     const routeData = useMemo(() => {
         // Flatten sections (in px for current canvas) to waypoints array
         const waypoints = flattenSectionsToWaypoints(
-            sectionsPx.filter(s => s.isVisible)
+            sectionsPx.filter(s => s.isVisible !== false)
         );
 
         // Skip if no waypoints or invalid pixelsPerUnit
@@ -263,14 +444,16 @@ export default function WROPlaybackPlanner() {
         const { instructions, pathSegments, poses } = calculateRouteInstructions(
             initialPosePx,
             waypoints,
-            pixelsPerUnit
+            pixelsPerUnit,
+            alignFieldPx
         );
 
         // Generate playback actions
         const playbackActions = generatePlaybackActionsFromCalc(
             initialPosePx,
             waypoints,
-            pixelsPerUnit
+            pixelsPerUnit,
+            alignFieldPx
         );
 
         return {
@@ -280,7 +463,193 @@ export default function WROPlaybackPlanner() {
             playbackActions,
             poses
         };
-    }, [sectionsPx, initialPosePx, pixelsPerUnit]);
+    }, [sectionsPx, initialPosePx, pixelsPerUnit, alignFieldPx]);
+
+    // =========================================================================
+    // CLEARANCE REPORT
+    // Whole-route check in field mm (every drive and turn against every obstacle),
+    // recomputed whenever the route, the obstacles or the robot change.
+    // =========================================================================
+    const routeClearance = useMemo(() => {
+        const mmPerUnit = unit === 'mm' ? 1 : 10;
+        return analyzeRouteClearance(
+            buildRouteSteps(sections, initialPose, alignFieldMm),
+            fieldObstacles,
+            {
+                width: robot.width * mmPerUnit,
+                length: robot.length * mmPerUnit,
+                wheelOffset: (robot.wheelOffset ?? robot.length / 2) * mmPerUnit
+            },
+            collisionPadding * mmPerUnit
+        );
+    }, [sections, initialPose, alignFieldMm, fieldObstacles, robot.width, robot.length, robot.wheelOffset, unit, collisionPadding]);
+
+    // Canvas overlay: clearance level per drive and alignment (by waypoint) and turns that are not clear (px)
+    const clearanceOverlay = useMemo(() => {
+        const cw = canvasBaseSize.width || 1;
+        const ch = canvasBaseSize.height || 1;
+        const drive = {};
+        const align = {};
+        const turns = [];
+        routeClearance.steps.forEach(({ step, level }) => {
+            if (step.type === 'align') {
+                align[step.action.waypointId] = level;
+            } else if (step.type !== 'rotate') {
+                drive[step.action.waypointId] = level;
+            } else if (level !== 'ok') {
+                turns.push({
+                    ...mmToPxPoint(step.from.x, step.from.y, cw, ch),
+                    theta: step.from.theta,
+                    angle: step.action.angle * DEG2RAD,
+                    level
+                });
+            }
+        });
+        return { drive, align, turns, colorize: showClearance };
+    }, [routeClearance, showClearance, canvasBaseSize.width, canvasBaseSize.height]);
+
+    // =========================================================================
+    // RUNS
+    // Every run of the active robot with its time, distance and whether it
+    // starts inside a start area of the field.
+    // =========================================================================
+    const runMembers = useMemo(
+        () => runs.map(r => (r.id === activeRunId ? { ...r, initialPose, sections } : r)),
+        [runs, activeRunId, initialPose, sections]
+    );
+
+    const runSummaries = useMemo(() => {
+        const startAreas = getStartAreas(fieldMissions);
+        const list = runMembers.map(r => ({
+            id: r.id,
+            name: r.name,
+            ...summarizeRun(r, { robot, unit, profile: motionProfile, obstacles: fieldObstacles, startAreas })
+        }));
+        return {
+            runs: list,
+            time: list.reduce((sum, r) => sum + r.time, 0),
+            distance: list.reduce((sum, r) => sum + r.distance, 0)
+        };
+    }, [runMembers, robot, unit, motionProfile, fieldObstacles, fieldMissions]);
+
+    // =========================================================================
+    // TEAM TIMELINE
+    // Every robot's route on one shared clock (field mm) and the moments two
+    // robots touch. Only built when the project has more than one robot.
+    // =========================================================================
+    const teamMembers = useMemo(
+        () => team.map(m => (m.id === activeRobotId ? { ...m, robot, initialPose, sections, runs, activeRunId } : m)),
+        [team, activeRobotId, robot, initialPose, sections, runs, activeRunId]
+    );
+
+    const teamTimeline = useMemo(() => {
+        if (teamMembers.length < 2) return null;
+        const tracks = teamMembers.map(m => ({
+            id: m.id,
+            name: m.name,
+            color: m.robot.color,
+            initialPose: m.initialPose,
+            size: robotSizeMm(m.robot, unit),
+            ...buildRobotTrack(m, { unit, profile: motionProfile, obstacles: fieldObstacles })
+        }));
+        return {
+            tracks,
+            collisions: findRobotCollisions(tracks),
+            duration: Math.max(...tracks.map(t => t.track.duration))
+        };
+    }, [teamMembers, unit, motionProfile, fieldObstacles]);
+
+    // Programs to export: every run of every robot. The route on screen comes from
+    // routeData, the others are only calculated while the export dialog is open.
+    const exportRobots = useMemo(() => {
+        if (!showCodeExport) return [];
+        return teamMembers.map(m => ({
+            id: m.id,
+            name: m.name,
+            robot: m.robot,
+            activeRunId: m.activeRunId,
+            runs: m.runs.map(r => {
+                const run = r.id === m.activeRunId ? { ...r, initialPose: m.initialPose, sections: m.sections } : r;
+                const instructions = m.id === activeRobotId && r.id === activeRunId
+                    ? routeData.instructions
+                    : summarizeRun(run, { robot: m.robot, unit, profile: motionProfile, obstacles: fieldObstacles }).instructions;
+                return { id: r.id, name: r.name, sections: run.sections, instructions };
+            })
+        }));
+    }, [showCodeExport, teamMembers, activeRobotId, activeRunId, routeData.instructions, unit, motionProfile, fieldObstacles]);
+
+    // Canvas overlay: the other robots' routes and bodies, and where robots collide (px)
+    const teamOverlay = useMemo(() => {
+        if (!teamTimeline) return null;
+        const cw = canvasBaseSize.width || 1;
+        const ch = canvasBaseSize.height || 1;
+        const scale = cw / MAT_MM.w;
+        const toPx = (pose) => ({ ...pose, ...mmToPxPoint(pose.x, pose.y, cw, ch) });
+        return {
+            playing: teamPlayback,
+            members: teamTimeline.tracks.filter(t => t.id !== activeRobotId).map(t => ({
+                id: t.id,
+                name: t.name,
+                color: t.color,
+                size: { width: t.size.width * scale, length: t.size.length * scale, wheelOffset: t.size.wheelOffset * scale },
+                start: toPx(t.initialPose),
+                segments: t.pathSegments.map(seg => {
+                    const from = mmToPxPoint(seg.x1, seg.y1, cw, ch);
+                    const to = mmToPxPoint(seg.x2, seg.y2, cw, ch);
+                    const center = seg.arc && mmToPxPoint(seg.arc.cx, seg.arc.cy, cw, ch);
+                    return {
+                        ...seg,
+                        x1: from.x, y1: from.y, x2: to.x, y2: to.y,
+                        arc: seg.arc && { ...seg.arc, cx: center.x, cy: center.y, radius: seg.arc.radius * scale }
+                    };
+                }),
+                poseAt: (time) => toPx(poseAtTime(t.track, t.initialPose, time))
+            })),
+            collisions: teamTimeline.collisions.map(c => ({
+                ...c,
+                footprints: c.footprints.map(poly => poly.map(p => mmToPxPoint(p.x, p.y, cw, ch)))
+            }))
+        };
+    }, [teamTimeline, teamPlayback, activeRobotId, canvasBaseSize.width, canvasBaseSize.height]);
+
+    const handleRunDrift = useCallback(() => {
+        const mmPerUnit = unit === 'mm' ? 1 : 10;
+        const result = simulateDrift({
+            instructions: routeData.instructions,
+            initialPose,
+            mmPerUnit,
+            config: normalizeDriftConfig(driftConfig),
+            obstacles: fieldObstacles,
+            missions: fieldMissions,
+            robotMm: alignFieldMm.robot,
+            field: alignFieldMm
+        });
+        setDriftResult({ ...result, source: { instructions: routeData.instructions, obstacles: fieldObstacles, missions: fieldMissions } });
+        setShowDriftOverlay(true);
+    }, [routeData.instructions, initialPose, unit, driftConfig, fieldObstacles, fieldMissions, alignFieldMm]);
+
+    const driftStale = !!driftResult && (
+        driftResult.source.instructions !== routeData.instructions
+        || driftResult.source.obstacles !== fieldObstacles
+        || driftResult.source.missions !== fieldMissions
+    );
+
+    // Canvas overlay: 95 % ellipse per waypoint and the simulated end poses (px)
+    const driftOverlay = useMemo(() => {
+        if (!driftResult || !showDriftOverlay) return null;
+        const cw = canvasBaseSize.width || 1;
+        const ch = canvasBaseSize.height || 1;
+        const scale = cw / MAT_MM.w;
+        return {
+            ellipses: driftResult.waypoints.map(wp => ({
+                ...mmToPxPoint(wp.mean.x, wp.mean.y, cw, ch),
+                rx: wp.ellipse.rx * scale,
+                ry: wp.ellipse.ry * scale,
+                angle: wp.ellipse.angle
+            })),
+            cloud: driftResult.waypoints.flatMap(wp => wp.samples.map(p => mmToPxPoint(p.x, p.y, cw, ch)))
+        };
+    }, [driftResult, showDriftOverlay, canvasBaseSize.width, canvasBaseSize.height]);
 
     // =========================================================================
     // SYNC REF WITH LATEST ROUTE DATA (STALE CLOSURE FIX)
@@ -308,7 +677,8 @@ export default function WROPlaybackPlanner() {
         unitToPx,
         currentSection,
         playbackSpeed,
-        unit
+        unit,
+        motionProfile
     });
 
     // =========================================================================
@@ -359,9 +729,16 @@ export default function WROPlaybackPlanner() {
 
         // Read fresh data from ref (NOT from closure)
         const latestRouteData = routeDataRef.current;
-        const actions = latestRouteData.playbackActions;
+        let actions = latestRouteData.playbackActions || [];
 
-        if (!actions || actions.length === 0) {
+        // With a team, keep the clock running until the slowest robot has finished
+        const ownTrack = teamTimeline?.tracks.find(t => t.id === activeRobotId);
+        const teamWait = ownTrack ? teamTimeline.duration - ownTrack.track.duration : 0;
+        if (teamWait > 1e-3) {
+            actions = [...actions, { type: 'wait', duration: Math.round(teamWait * 1000) }];
+        }
+
+        if (actions.length === 0) {
             console.warn('[WROPlaybackPlanner] Cannot start mission: no playback actions');
             return;
         }
@@ -369,8 +746,9 @@ export default function WROPlaybackPlanner() {
         console.log('[WROPlaybackPlanner] Starting mission with', actions.length, 'actions');
 
         // Use startPlayback directly with fresh actions
+        setTeamPlayback(true);
         startPlayback(actions, initialPosePx);
-    }, [stopPlayback, startPlayback, initialPosePx]);
+    }, [stopPlayback, startPlayback, initialPosePx, teamTimeline, activeRobotId]);
 
     /**
      * Start reverse mission playback.
@@ -395,6 +773,10 @@ export default function WROPlaybackPlanner() {
                 reversedActions.push({ ...action, angle: -action.angle });
             } else if (action.type === 'move') {
                 reversedActions.push({ ...action, distance: -action.distance });
+            } else if (action.type === 'arc') {
+                reversedActions.push({ ...action, distance: -action.distance, sweep: -action.sweep });
+            } else if (isAlignmentAction(action)) {
+                reversedActions.push(reverseAlignment(action));
             }
         }
 
@@ -405,6 +787,7 @@ export default function WROPlaybackPlanner() {
             : initialPosePx;
 
         console.log('[WROPlaybackPlanner] Starting reverse mission with', reversedActions.length, 'actions');
+        setTeamPlayback(false);
         startPlayback(reversedActions, lastPose);
     }, [stopPlayback, startPlayback, initialPosePx]);
 
@@ -433,11 +816,12 @@ export default function WROPlaybackPlanner() {
         }
 
         // Calculate start pose for this section
-        const startPose = computePoseUpToSection(sectionsPx, initialPosePx, currentSection.id, unitToPx);
+        const startPose = computePoseUpToSection(sectionsPx, initialPosePx, currentSection.id, unitToPx, alignFieldPx);
 
         console.log('[WROPlaybackPlanner] Starting section with', sectionActions.length, 'actions');
+        setTeamPlayback(false);
         startPlayback(sectionActions, startPose);
-    }, [stopPlayback, startPlayback, currentSection, sectionsPx, initialPosePx, unitToPx]);
+    }, [stopPlayback, startPlayback, currentSection, sectionsPx, initialPosePx, unitToPx, alignFieldPx]);
 
     /**
      * Start current section reverse playback.
@@ -470,32 +854,214 @@ export default function WROPlaybackPlanner() {
                 reversedActions.push({ ...action, angle: -action.angle });
             } else if (action.type === 'move') {
                 reversedActions.push({ ...action, distance: -action.distance });
+            } else if (action.type === 'arc') {
+                reversedActions.push({ ...action, distance: -action.distance, sweep: -action.sweep });
+            } else if (isAlignmentAction(action)) {
+                reversedActions.push(reverseAlignment(action));
             }
         }
 
         // Calculate end pose of section to start reverse from there
-        const startPose = computePoseUpToSection(sectionsPx, initialPosePx, currentSection.id, unitToPx);
-        const endPose = getPoseAfterActions(startPose, currentSection.actions, unitToPx);
+        const startPose = computePoseUpToSection(sectionsPx, initialPosePx, currentSection.id, unitToPx, alignFieldPx);
+        const endPose = getPoseAfterActions(startPose, currentSection.actions, unitToPx, alignFieldPx);
 
         console.log('[WROPlaybackPlanner] Starting section reverse with', reversedActions.length, 'actions');
+        setTeamPlayback(false);
         startPlayback(reversedActions, endPose);
-    }, [stopPlayback, startPlayback, currentSection, sectionsPx, initialPosePx, unitToPx]);
+    }, [stopPlayback, startPlayback, currentSection, sectionsPx, initialPosePx, unitToPx, alignFieldPx]);
+
+    const handleUndo = useCallback(() => {
+        if (isReadOnly) return;
+        if (isRunning) {
+            stopPlayback();
+        }
+        history.undo();
+    }, [isReadOnly, isRunning, stopPlayback, history]);
+
+    const handleRedo = useCallback(() => {
+        if (isReadOnly) return;
+        if (isRunning) {
+            stopPlayback();
+        }
+        history.redo();
+    }, [isReadOnly, isRunning, stopPlayback, history]);
+
+    const handleHistoryJump = useCallback((index) => {
+        if (isReadOnly) return;
+        if (isRunning) {
+            stopPlayback();
+        }
+        history.goTo(index);
+    }, [isReadOnly, isRunning, stopPlayback, history]);
+
+    // =========================================================================
+    // TEAM HANDLERS
+    // Switching robots stores the active robot back into the team and loads
+    // the chosen one into the robot / initialPose / sections state.
+    // =========================================================================
+    // Puts a run (or a robot's active run) into the initialPose / sections state
+    const loadRoute = useCallback(({ initialPose: pose, sections: list }) => {
+        setInitialPose(pose);
+        setSections(list);
+        setSelectedSectionId(list[0]?.id ?? null);
+        setExpandedSections(list[0] ? [list[0].id] : []);
+        setSelectedNode(null);
+        setDriftResult(null);
+    }, []);
+
+    // Returns the tracked state it sets (see useHistory)
+    const loadTeamMember = useCallback((member) => {
+        const memberRuns = normalizeRuns(member.runs, member.activeRunId);
+        setActiveRobotId(member.id);
+        setRobot(member.robot);
+        setRuns(memberRuns.runs);
+        setActiveRunId(memberRuns.activeRunId);
+        loadRoute(member);
+        return {
+            activeRobotId: member.id,
+            robot: member.robot,
+            runs: memberRuns.runs,
+            activeRunId: memberRuns.activeRunId,
+            initialPose: member.initialPose,
+            sections: member.sections
+        };
+    }, [loadRoute]);
+
+    const handleSelectRobot = useCallback((id) => {
+        if (id === activeRobotId) return;
+        const target = teamMembers.find(m => m.id === id);
+        if (!target) return;
+        stopPlayback();
+        setTeam(teamMembers);
+        loadTeamMember(target);
+    }, [activeRobotId, teamMembers, stopPlayback, loadTeamMember]);
+
+    const handleAddRobot = useCallback(() => {
+        stopPlayback();
+        const member = createTeamRobot({ index: teamMembers.length, robot, mirrorOf: initialPose });
+        setTeam([...teamMembers, member]);
+        loadTeamMember(member);
+        setShowRobotModal(true);
+    }, [teamMembers, robot, initialPose, stopPlayback, loadTeamMember]);
+
+    const handleRemoveRobot = useCallback((id) => {
+        if (teamMembers.length <= 1) return;
+        const member = teamMembers.find(m => m.id === id);
+        if (!member || !window.confirm(`¿Eliminar ${member.name} y su ruta?`)) return;
+        stopPlayback();
+        const remaining = teamMembers.filter(m => m.id !== id);
+        setTeam(remaining);
+        if (id === activeRobotId) loadTeamMember(remaining[0]);
+    }, [teamMembers, activeRobotId, stopPlayback, loadTeamMember]);
+
+    const handleRenameRobot = useCallback((id, name) => {
+        setTeam(prev => prev.map(m => (m.id === id ? { ...m, name } : m)));
+    }, []);
+
+    // =========================================================================
+    // RUN HANDLERS
+    // Same pattern as the team: the active run is stored back into the list
+    // and the chosen one is loaded into initialPose / sections.
+    // =========================================================================
+    const pendingRunPlaybackRef = useRef(null);
+
+    const handleSelectRun = useCallback((id) => {
+        if (id === activeRunId) return;
+        const target = runMembers.find(r => r.id === id);
+        if (!target) return;
+        stopPlayback();
+        setRuns(runMembers.map(r => (r.id === id ? { id: r.id, name: r.name } : r)));
+        setActiveRunId(id);
+        loadRoute(target);
+    }, [activeRunId, runMembers, stopPlayback, loadRoute]);
+
+    const handleAddRun = useCallback(() => {
+        stopPlayback();
+        // New runs start where the first one does: the robot goes back to the base
+        const run = createRun({ index: runMembers.length, initialPose: runMembers[0].initialPose, color: robot.color });
+        setRuns([...runMembers, { id: run.id, name: run.name }]);
+        setActiveRunId(run.id);
+        loadRoute(run);
+    }, [runMembers, robot.color, stopPlayback, loadRoute]);
+
+    const handleRemoveRun = useCallback((id) => {
+        if (runMembers.length <= 1) return;
+        const run = runMembers.find(r => r.id === id);
+        if (!run || !window.confirm(`¿Eliminar ${run.name} y sus secciones?`)) return;
+        stopPlayback();
+        const remaining = runMembers.filter(r => r.id !== id);
+        if (id === activeRunId) {
+            setRuns(remaining.map((r, i) => (i === 0 ? { id: r.id, name: r.name } : r)));
+            setActiveRunId(remaining[0].id);
+            loadRoute(remaining[0]);
+        } else {
+            setRuns(runs.filter(r => r.id !== id));
+        }
+    }, [runMembers, runs, activeRunId, stopPlayback, loadRoute]);
+
+    const handleRenameRun = useCallback((id, name) => {
+        setRuns(prev => prev.map(r => (r.id === id ? { ...r, name } : r)));
+    }, []);
+
+    // Plays one run: switches to it first, playback starts once its route is loaded
+    const handlePlayRun = useCallback((id) => {
+        if (id === activeRunId) {
+            handleStartMission();
+            return;
+        }
+        pendingRunPlaybackRef.current = id;
+        handleSelectRun(id);
+    }, [activeRunId, handleStartMission, handleSelectRun]);
+
+    useEffect(() => {
+        if (pendingRunPlaybackRef.current && pendingRunPlaybackRef.current === activeRunId) {
+            pendingRunPlaybackRef.current = null;
+            handleStartMission();
+        }
+    }, [activeRunId, handleStartMission]);
 
     // =========================================================================
     // EFFECTS
     // =========================================================================
 
+    // Undo / redo shortcuts (Ctrl+Z, Ctrl+Shift+Z, Ctrl+Y)
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Let inputs keep their native text undo
+            const tag = e.target.tagName.toLowerCase();
+            if (tag === 'input' || tag === 'textarea' || e.target.isContentEditable) {
+                return;
+            }
+            const key = e.key.toLowerCase();
+            if (key === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    handleRedo();
+                } else {
+                    handleUndo();
+                }
+            } else if (key === 'y') {
+                e.preventDefault();
+                handleRedo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [handleUndo, handleRedo]);
+
     // Load field background
     useEffect(() => {
         const preset = FIELD_PRESETS.find(p => p.key === fieldKey);
-        if (preset && preset.bg) {
+        const src = preset?.bg || (fieldKey === 'custom' ? customBgSrc : null);
+        if (src) {
             const img = new Image();
-            img.src = preset.bg;
+            img.src = src;
             img.onload = () => setBgImage(img);
         } else {
             setBgImage(null);
         }
-    }, [fieldKey]);
+    }, [fieldKey, customBgSrc]);
 
     // Load robot image
     useEffect(() => {
@@ -598,13 +1164,15 @@ export default function WROPlaybackPlanner() {
             const prevPx = mmToPxSections(prev, cw, ch);
             const modified = prevPx.map(s => {
                 if (s.id !== sectionId) return s;
-                const startPose = computePoseUpToSection(prevPx, initialPosePx, s.id, unitToPx);
-                const newPoints = pointsFromActions(newActions, startPose, unitToPx);
-                const endPose = getPoseAfterActions(startPose, newActions, unitToPx);
+                const startPose = computePoseUpToSection(prevPx, initialPosePx, s.id, unitToPx, alignFieldPx);
+                const actions = resolveActionAlignments(newActions, startPose, unitToPx, pxToUnit, alignFieldPx);
+                const newPoints = pointsFromActions(actions, startPose, unitToPx);
+                const endPose = getPoseAfterActions(startPose, actions, unitToPx);
                 return {
                     ...s,
                     points: newPoints,
-                    actions: newActions,
+                    startAttachments: leadingAttachments(actions),
+                    actions,
                     startAngle: startPose.theta * RAD2DEG,
                     endAngle: endPose.theta * RAD2DEG
                 };
@@ -617,18 +1185,21 @@ export default function WROPlaybackPlanner() {
 
             let runningPose = getPoseAfterActions(
                 computePoseUpToSection(modified, initialPosePx, sectionId, unitToPx),
-                newActions,
+                modified[changedIndex].actions,
                 unitToPx
             );
 
             const result = [...modified];
             for (let i = changedIndex + 1; i < result.length; i++) {
                 const section = result[i];
-                const endPose = getPoseAfterActions(runningPose, section.actions, unitToPx);
-                const updatedPoints = pointsFromActions(section.actions, runningPose, unitToPx);
+                const actions = resolveActionAlignments(section.actions, runningPose, unitToPx, pxToUnit, alignFieldPx);
+                const endPose = getPoseAfterActions(runningPose, actions, unitToPx);
+                const updatedPoints = pointsFromActions(actions, runningPose, unitToPx);
                 result[i] = {
                     ...section,
                     points: updatedPoints,
+                    actions,
+                    startAttachments: leadingAttachments(actions),
                     startAngle: runningPose.theta * RAD2DEG,
                     endAngle: endPose.theta * RAD2DEG
                 };
@@ -637,7 +1208,7 @@ export default function WROPlaybackPlanner() {
 
             return pxToMmSections(result, cw, ch);
         });
-    }, [initialPosePx, unitToPx, isRunning, stopPlayback, canvasBaseSize.width, canvasBaseSize.height]);
+    }, [initialPosePx, unitToPx, pxToUnit, alignFieldPx, isRunning, stopPlayback, canvasBaseSize.width, canvasBaseSize.height]);
 
     const removeLastPointFromCurrentSection = useCallback(() => {
         if (!currentSection || currentSection.points.length === 0) return;
@@ -656,10 +1227,10 @@ export default function WROPlaybackPlanner() {
                 return { ...s, points: newPts };
             });
             const modifiedPx = mmToPxSections(modified, cw, ch);
-            const result = recalcSectionsFromPointsStable({ sections: modifiedPx, initialPose: initialPosePx, unitToPx, pxToUnit });
+            const result = recalcSectionsFromPointsStable({ sections: modifiedPx, initialPose: initialPosePx, unitToPx, pxToUnit, field: alignFieldPx });
             return pxToMmSections(result, cw, ch);
         });
-    }, [currentSection, initialPosePx, pxToUnit, unitToPx, isRunning, stopPlayback, canvasBaseSize.width, canvasBaseSize.height]);
+    }, [currentSection, initialPosePx, pxToUnit, unitToPx, alignFieldPx, isRunning, stopPlayback, canvasBaseSize.width, canvasBaseSize.height]);
 
     /** Convert sections (mm) to px, run recalc, return result in mm. Used by CanvasBoard when adding/dragging points. Optional initialPosePxOverride (e.g. when dragging start pose). */
     const recalcSectionsAndConvertToMm = useCallback((modifiedMm, initialPosePxOverride) => {
@@ -667,9 +1238,9 @@ export default function WROPlaybackPlanner() {
         const ch = canvasBaseSize.height || 1;
         const modifiedPx = mmToPxSections(modifiedMm, cw, ch);
         const pose = initialPosePxOverride ?? initialPosePx;
-        const result = recalcSectionsFromPointsStable({ sections: modifiedPx, initialPose: pose, unitToPx, pxToUnit });
+        const result = recalcSectionsFromPointsStable({ sections: modifiedPx, initialPose: pose, unitToPx, pxToUnit, field: alignFieldPx });
         return pxToMmSections(result, cw, ch);
-    }, [canvasBaseSize.width, canvasBaseSize.height, initialPosePx, unitToPx, pxToUnit]);
+    }, [canvasBaseSize.width, canvasBaseSize.height, initialPosePx, unitToPx, pxToUnit, alignFieldPx]);
 
     /** Update initialPose from canvas pixel coords (e.g. when user drags start pose). */
     const setInitialPoseFromPx = useCallback((posePx) => {
@@ -699,6 +1270,48 @@ export default function WROPlaybackPlanner() {
         setExpandedSections(prev => [...prev, newId]);
     };
 
+    // Sections from a plain-text / CSV instruction list, replayed from the start pose (mm).
+    // They replace the sections of the active run.
+    const handleImportInstructionText = (parsedSections) => {
+        const hasRoute = sections.some(s => s.points.length > 0);
+        if (hasRoute && !window.confirm('Se reemplazarán las secciones de la salida actual. ¿Continuar?')) return;
+        if (isRunning) {
+            stopPlayback();
+        }
+
+        const unitToMm = (val) => val * (unit === 'mm' ? 1 : 10);
+        let pose = { ...initialPose };
+        const imported = parsedSections.map((parsed, index) => {
+            const endPose = getPoseAfterActions(pose, parsed.actions, unitToMm);
+            const section = {
+                id: uid('sec'),
+                name: parsed.name || `Sección ${index + 1}`,
+                points: pointsFromActions(parsed.actions, pose, unitToMm),
+                actions: parsed.actions,
+                color: '#' + Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0'),
+                isVisible: true,
+                startAngle: pose.theta * RAD2DEG,
+                endAngle: endPose.theta * RAD2DEG
+            };
+            pose = endPose;
+            return section;
+        });
+
+        setSections(imported);
+        setSelectedSectionId(imported[0].id);
+        setExpandedSections([imported[0].id]);
+        setShowInstructionImport(false);
+    };
+
+    // Sections written in the route script editor (already laid out from the start pose, mm)
+    const handleRouteScriptChange = useCallback((nextSections) => {
+        if (isRunning) {
+            stopPlayback();
+        }
+        setSections(nextSections);
+        setSelectedSectionId(prev => (nextSections.some(s => s.id === prev) ? prev : nextSections[0].id));
+    }, [isRunning, stopPlayback]);
+
     const toggleSectionExpansion = (id) => {
         setExpandedSections(prev => prev.includes(id) ? [] : [id]);
     };
@@ -707,7 +1320,7 @@ export default function WROPlaybackPlanner() {
         if (isRunning) {
             stopPlayback();
         }
-        setSections(prev => prev.map(s => s.id === id ? { ...s, isVisible: !s.isVisible } : s));
+        setSections(prev => prev.map(s => s.id === id ? { ...s, isVisible: s.isVisible === false } : s));
     };
 
     // =========================================================================
@@ -724,60 +1337,130 @@ export default function WROPlaybackPlanner() {
     const handleZoomReset = () => { setZoom(1); setPan({ x: 0, y: 0 }); };
 
     /**
-     * Toggle reverse direction for either:
-     * 1. The selected waypoint (if one is selected)
-     * 2. The global reverseDrawing state (for new points)
+     * Flips a boolean property ('reverse' / 'arc') of the selected waypoint and recalculates the route.
      */
-    const handleToggleReverse = useCallback(() => {
-        if (selectedNode && selectedNode.sectionId && selectedNode.index >= 0) {
-            // Toggle the reverse property of the selected waypoint
-            if (isRunning) {
-                stopPlayback();
-            }
-
-            const cw = canvasBaseSize.width || 1;
-            const ch = canvasBaseSize.height || 1;
+    const toggleSelectedPointFlag = useCallback((flag) => {
+        if (isRunning) {
+            stopPlayback();
+        }
 
-            setSections(prevSections => {
-                const modified = prevSections.map(s => {
-                    if (s.id !== selectedNode.sectionId) return s;
+        const cw = canvasBaseSize.width || 1;
+        const ch = canvasBaseSize.height || 1;
 
-                    const newPoints = s.points.map((p, i) => {
-                        if (i !== selectedNode.index) return p;
-                        return { ...p, reverse: !p.reverse };
-                    });
+        setSections(prevSections => {
+            const modified = prevSections.map(s => {
+                if (s.id !== selectedNode.sectionId) return s;
 
-                    return { ...s, points: newPoints };
+                const newPoints = s.points.map((p, i) => {
+                    if (i !== selectedNode.index) return p;
+                    return { ...p, [flag]: !p[flag] };
                 });
 
-                const modifiedPx = mmToPxSections(modified, cw, ch);
-                const result = recalcSectionsFromPointsStable({
-                    sections: modifiedPx,
-                    initialPose: initialPosePx,
-                    unitToPx,
-                    pxToUnit
-                });
-                return pxToMmSections(result, cw, ch);
+                return { ...s, points: newPoints };
             });
 
-            console.log('[WROPlaybackPlanner] Toggled reverse for waypoint:', selectedNode);
+            const modifiedPx = mmToPxSections(modified, cw, ch);
+            const result = recalcSectionsFromPointsStable({
+                sections: modifiedPx,
+                initialPose: initialPosePx,
+                unitToPx,
+                pxToUnit,
+                field: alignFieldPx
+            });
+            return pxToMmSections(result, cw, ch);
+        });
+
+        console.log(`[WROPlaybackPlanner] Toggled ${flag} for waypoint:`, selectedNode);
+    }, [selectedNode, isRunning, stopPlayback, initialPosePx, unitToPx, pxToUnit, alignFieldPx, canvasBaseSize.width, canvasBaseSize.height]);
+
+    /**
+     * Toggle reverse direction for either:
+     * 1. The selected waypoint (if one is selected)
+     * 2. The global reverseDrawing state (for new points)
+     */
+    const handleToggleReverse = useCallback(() => {
+        if (selectedNode && selectedNode.sectionId && selectedNode.index >= 0) {
+            // Toggle the reverse property of the selected waypoint
+            toggleSelectedPointFlag('reverse');
         } else {
             // No waypoint selected - toggle global reverseDrawing for new points
             setReverseDrawing(prev => !prev);
         }
-    }, [selectedNode, isRunning, stopPlayback, initialPosePx, unitToPx, pxToUnit, canvasBaseSize.width, canvasBaseSize.height]);
+    }, [selectedNode, toggleSelectedPointFlag]);
+
+    /**
+     * Toggle arc (curved drive) for either the selected waypoint
+     * or the global arcDrawing state (for new points).
+     */
+    const handleToggleArc = useCallback(() => {
+        if (selectedNode && selectedNode.sectionId && selectedNode.index >= 0) {
+            toggleSelectedPointFlag('arc');
+        } else {
+            setArcDrawing(prev => !prev);
+        }
+    }, [selectedNode, toggleSelectedPointFlag]);
+
+    // =========================================================================
+    // HANDLERS - Path finder
+    // =========================================================================
+
+    /**
+     * Appends an automatic collision-free route to the selected section, from its
+     * last pose to the clicked point (px), ending with a turn to the chosen final
+     * heading unless it is free. Runs in field mm like the stored sections.
+     */
+    const handlePathFinderTarget = useCallback((targetPx) => {
+        if (!currentSection) {
+            alert("Selecciona una sección para añadir la ruta automática.");
+            return;
+        }
+        if (isRunning) {
+            stopPlayback();
+        }
+        const mmPerUnit = unit === 'mm' ? 1 : 10;
+        const unitToMm = (v) => v * mmPerUnit;
+        const goalDeg = PATH_FINDER_HEADINGS[pathFinderHeading]?.degrees ?? null;
+        const goal = {
+            ...pxToMmPoint(targetPx.x, targetPx.y, canvasBaseSize.width || 1, canvasBaseSize.height || 1),
+            ...(goalDeg !== null ? { theta: goalDeg * DEG2RAD } : {})
+        };
+        const start = currentSection.points.length
+            ? getLastPoseOfSection(currentSection, sections, initialPose, unitToMm, alignFieldMm)
+            : computePoseUpToSection(sections, initialPose, currentSection.id, unitToMm, alignFieldMm);
+        const result = findPath({
+            start,
+            goal,
+            obstacles: fieldObstacles,
+            robot: {
+                width: unitToMm(robot.width),
+                length: unitToMm(robot.length),
+                wheelOffset: unitToMm(robot.wheelOffset ?? robot.length / 2)
+            },
+            padding: unitToMm(collisionPadding),
+            profile: motionProfile,
+            objective: pathFinderObjective
+        });
+        if (!result) {
+            alert("No se encontró una ruta sin colisiones hasta ese punto.");
+            return;
+        }
+        const newPoints = result.points.map(p => ({
+            x: p.x, y: p.y, reverse: false, reference: 'axis', heading: p.heading, arc: false,
+            ...(p.finalHeading !== undefined ? { finalHeading: p.finalHeading } : {})
+        }));
+        setSections(prev => recalcSectionsAndConvertToMm(prev.map(s => (
+            s.id === currentSection.id ? { ...s, points: [...s.points, ...newPoints] } : s
+        ))));
+        setPathFinderActive(false);
+    }, [currentSection, sections, initialPose, unit, robot.width, robot.length, robot.wheelOffset, collisionPadding, motionProfile, pathFinderObjective, pathFinderHeading, fieldObstacles, alignFieldMm, isRunning, stopPlayback, recalcSectionsAndConvertToMm, canvasBaseSize.width, canvasBaseSize.height]);
 
     const handleBgUpload = (e) => {
         const file = e.target.files[0];
         if (!file) return;
         const reader = new FileReader();
         reader.onload = (evt) => {
-            const img = new Image();
-            img.onload = () => {
-                setBgImage(img);
-                setFieldKey('custom');
-            };
-            img.src = evt.target.result;
+            setCustomBgSrc(evt.target.result);
+            setFieldKey('custom');
         };
         reader.readAsDataURL(file);
     };
@@ -796,23 +1479,309 @@ export default function WROPlaybackPlanner() {
     // HANDLERS - Import/Export
     // =========================================================================
 
-    const exportMission = () => {
-        const data = {
-            version: 2,
-            timestamp: Date.now(),
-            coordSystem: 'mm',
-            fieldKey,
-            grid,
+    // UI settings saved with the project in the library
+    const uiSettings = useMemo(() => ({
+        bgOpacity,
+        playbackSpeed,
+        collisionPadding,
+        preventCollisions,
+        cursorGuideColor,
+        cursorGuideLineWidth,
+        ghostRobotOpacity,
+        robotImageRotation,
+        showClearance,
+        referenceMode,
+        pathFinderObjective,
+        pathFinderHeading,
+        isSectionsPanelCollapsed,
+        isWaypointsPanelCollapsed
+    }), [bgOpacity, playbackSpeed, collisionPadding, preventCollisions, cursorGuideColor, cursorGuideLineWidth, ghostRobotOpacity, robotImageRotation, showClearance, referenceMode, pathFinderObjective, pathFinderHeading, isSectionsPanelCollapsed, isWaypointsPanelCollapsed]);
+
+    const applyUiSettings = (ui) => {
+        const setters = {
+            bgOpacity: setBgOpacity,
+            playbackSpeed: setPlaybackSpeed,
+            collisionPadding: setCollisionPadding,
+            preventCollisions: setPreventCollisions,
+            cursorGuideColor: setCursorGuideColor,
+            cursorGuideLineWidth: setCursorGuideLineWidth,
+            ghostRobotOpacity: setGhostRobotOpacity,
+            robotImageRotation: setRobotImageRotation,
+            showClearance: setShowClearance,
+            referenceMode: setReferenceMode,
+            pathFinderObjective: setPathFinderObjective,
+            pathFinderHeading: setPathFinderHeading,
+            isSectionsPanelCollapsed: setIsSectionsPanelCollapsed,
+            isWaypointsPanelCollapsed: setIsWaypointsPanelCollapsed
+        };
+        Object.entries(setters).forEach(([key, set]) => {
+            if (ui[key] !== undefined) set(ui[key]);
+        });
+    };
+
+    // Applies a project bundle (see readProjectBundle). Fields missing from `data` keep their current value.
+    // Returns the tracked state it leaves, for history.reset when another project is opened.
+    const applyProjectData = (data) => {
+        const next = { ...historyState };
+        if (data.fieldKey) setFieldKey(data.fieldKey);
+        if (data.grid) setGrid(data.grid);
+        if (data.robot) {
+            setRobot(data.robot);
+            next.robot = data.robot;
+        }
+        if (data.unit) {
+            setUnit(data.unit);
+            next.unit = data.unit;
+        }
+        if (data.exportSettings) setExportSettings(normalizeExportSettings(data.exportSettings));
+        if (data.motionProfile) setMotionProfile(normalizeMotionProfile(data.motionProfile));
+        if (data.scenarios) {
+            setScenarioConfig(normalizeScenarioConfig(data.scenarios));
+            setScenarioPreview(null);
+        }
+        if (data.drift) setDriftConfig(normalizeDriftConfig(data.drift));
+        setDriftResult(null);
+        if (data.initialPose) {
+            setInitialPose(data.initialPose);
+            next.initialPose = data.initialPose;
+        }
+        if (data.sections) {
+            setSections(data.sections);
+            setSelectedSectionId(data.sections[0]?.id ?? null);
+            setExpandedSections(data.sections[0] ? [data.sections[0].id] : []);
+            // Runs and team robots belong to the route: files without them start with one of each
+            const importedRuns = normalizeRuns(data.runs, data.activeRunId);
+            setRuns(importedRuns.runs);
+            setActiveRunId(importedRuns.activeRunId);
+            Object.assign(next, { sections: data.sections, runs: importedRuns.runs, activeRunId: importedRuns.activeRunId });
+            const importedTeam = normalizeTeam(data.robots).map(m => ({ ...m, ...normalizeRuns(m.runs, m.activeRunId) }));
+            if (importedTeam.length > 0) {
+                setTeam(importedTeam);
+                next.team = importedTeam;
+                Object.assign(next, loadTeamMember(importedTeam.find(m => m.id === data.activeRobotId) ?? importedTeam[0]));
+            } else {
+                const member = { id: uid('rob'), name: 'Robot 1' };
+                setTeam([member]);
+                setActiveRobotId(member.id);
+                Object.assign(next, { team: [member], activeRobotId: member.id });
+            }
+        }
+        if (Array.isArray(data.obstacles)) {
+            setObstacles(data.obstacles);
+            setSelectedObstacleId(null);
+            next.obstacles = data.obstacles;
+        }
+        if (Array.isArray(data.missions)) {
+            setMissions(data.missions);
+            setSelectedMissionId(null);
+            next.missions = data.missions;
+        }
+        if ('background' in data) setCustomBgSrc(data.background);
+        if (data.ui) applyUiSettings(data.ui);
+        return next;
+    };
+
+    // The whole project as a bundle: autosaved in the library and written by "Guardar"
+    const projectSnapshot = useMemo(() => createProjectBundle({
+        fieldKey,
+        grid,
+        robot,
+        initialPose,
+        sections,
+        runs: runMembers,
+        activeRunId,
+        robots: teamMembers,
+        activeRobotId,
+        unit,
+        exportSettings,
+        motionProfile,
+        scenarios: scenarioConfig,
+        drift: driftConfig,
+        obstacles,
+        missions,
+        background: customBgSrc,
+        ui: uiSettings
+    }), [fieldKey, grid, robot, initialPose, sections, runMembers, activeRunId, teamMembers, activeRobotId, unit, exportSettings, motionProfile, scenarioConfig, driftConfig, obstacles, missions, customBgSrc, uiSettings]);
+
+    const createBlankProject = useCallback(() => createProjectBundle({
+        fieldKey: FIELD_PRESETS[0].key,
+        grid: { ...DEFAULT_GRID },
+        // The robot is kept: it is usually the same one for every project
+        robot,
+        initialPose: { x: 354, y: 354, theta: 0 },
+        sections: [{ id: uid('sec'), name: 'Sección 1', points: [], actions: [], color: robot.color, isVisible: true }],
+        unit,
+        exportSettings: getDefaultExportSettings(),
+        motionProfile: DEFAULT_MOTION_PROFILE,
+        scenarios: DEFAULT_SCENARIO_CONFIG,
+        drift: DEFAULT_DRIFT_CONFIG,
+        obstacles: [],
+        missions: [],
+        background: null
+    }), [robot, unit]);
+
+    // Canvas size that pixel-based (v1) files are converted with
+    const legacyCanvasSize = { canvasWidth: canvasBaseSize.width || 800, canvasHeight: canvasBaseSize.height || 387 };
+
+    const library = useProjectLibrary({
+        snapshot: projectSnapshot,
+        onLoad: (data) => {
+            if (isRunning) stopPlayback();
+            // Projects autosaved by older versions are migrated like files
+            const { bundle, errors } = readProjectBundle(data, legacyCanvasSize);
+            if (!bundle) {
+                console.error("Proyecto guardado no válido", errors);
+                alert(`No se pudo abrir el proyecto:\n${formatBundleErrors(errors)}`);
+                return;
+            }
+            // Undo must not bring the previous project back into this one
+            history.reset(applyProjectData(bundle));
+        },
+        createBlank: createBlankProject,
+        paused: sharedProject !== null
+    });
+
+    const endSharedView = () => {
+        removeShareHash();
+        setSharedProject(null);
+    };
+
+    const openSharedLink = async ({ mode, encoded }) => {
+        try {
+            const { name, project } = await decodeSharePayload(encoded);
+            const { bundle, errors } = readProjectBundle(project, legacyCanvasSize);
+            if (!bundle) {
+                console.error("Enlace con un proyecto no válido", errors);
+                alert(`El enlace no contiene un proyecto válido:\n${formatBundleErrors(errors)}`);
+                await library.reloadProject();
+                endSharedView();
+            } else if (mode === SHARE_MODES.FORK) {
+                if (library.status === 'unavailable') {
+                    history.reset(applyProjectData(bundle));
+                } else {
+                    await library.importProject(`${name || 'Proyecto compartido'} (copia)`, bundle);
+                }
+                endSharedView();
+            } else {
+                history.reset(applyProjectData(bundle));
+                setSharedProject({ mode: SHARE_MODES.VIEW, name, bundle });
+            }
+        } catch (err) {
+            console.error("Error abriendo el enlace compartido", err);
+            alert("No se pudo abrir el enlace compartido.");
+            await library.reloadProject();
+            endSharedView();
+        }
+    };
+
+    const openSharedLinkRef = useRef(openSharedLink);
+    const sharedLinkHandledRef = useRef(false);
+    useEffect(() => {
+        openSharedLinkRef.current = openSharedLink;
+    });
+
+    // Open a share link once the library knows the user's own project
+    useEffect(() => {
+        if (!sharedProject?.encoded || library.status === 'loading' || sharedLinkHandledRef.current) return;
+        sharedLinkHandledRef.current = true;
+        openSharedLinkRef.current(sharedProject);
+    }, [sharedProject, library.status]);
+
+    // Read-only view: keep an editable copy in the library, or go back to the own project
+    const handleForkSharedProject = async () => {
+        if (library.status !== 'unavailable') {
+            await library.importProject(`${sharedProject.name || 'Proyecto compartido'} (copia)`, sharedProject.bundle);
+        }
+        endSharedView();
+    };
+
+    const handleLeaveSharedProject = async () => {
+        await library.reloadProject();
+        endSharedView();
+    };
+
+    // Opening or creating a library project also ends the read-only view
+    const handleLibraryOpen = async (id) => {
+        setShowLibrary(false);
+        await library.openProject(id);
+        if (isReadOnly) endSharedView();
+    };
+
+    const handleLibraryCreate = async () => {
+        setShowLibrary(false);
+        await library.newProject();
+        if (isReadOnly) endSharedView();
+    };
+
+    // Only built while the share dialog is open
+    const shareProject = useMemo(
+        () => (showShare ? buildShareProject(projectSnapshot) : null),
+        [showShare, projectSnapshot]
+    );
+
+    // Printable run sheet of the active run: the field as drawn on the canvas,
+    // then one page per visible section (printed or saved as PDF by the browser)
+    const handlePrintRunSheet = () => {
+        let fieldImage = null;
+        try {
+            fieldImage = printCanvasRef.current?.toDataURL('image/png') ?? null;
+        } catch (err) {
+            // A cross-origin background taints the canvas
+            console.warn('No se pudo capturar el tapete:', err);
+        }
+        const visibleSections = sectionsPx.filter(s => s.isVisible !== false);
+        const html = buildRunSheetHtml({
+            title: isReadOnly ? (sharedProject.name || 'Proyecto compartido') : (library.currentProject?.name || 'Proyecto'),
+            subtitle: [team.find(m => m.id === activeRobotId)?.name, runs.find(r => r.id === activeRunId)?.name].filter(Boolean).join(' · '),
+            fieldImage,
+            sections: visibleSections.map(s => {
+                const start = computePoseUpToSection(sectionsPx, initialPosePx, s.id, unitToPx, alignFieldPx);
+                return {
+                    id: s.id,
+                    name: s.name,
+                    color: s.color,
+                    startPose: { x: pxToUnit(start.x), y: pxToUnit(start.y), theta: start.theta }
+                };
+            }),
+            instructions: routeData.instructions,
+            unit,
+            motionProfile,
+            obstacles: fieldObstacles,
+            missions: fieldMissions
+        });
+        const win = window.open('', '_blank');
+        if (!win) {
+            alert('El navegador bloqueó la ventana de impresión. Permite las ventanas emergentes para esta página.');
+            return;
+        }
+        win.document.open();
+        win.document.write(html);
+        win.document.close();
+        win.focus();
+    };
+
+    // Field and active route for the SVG export (mm; the grid offset is kept in canvas px)
+    const svgExportField = useMemo(() => {
+        if (!showSvgExport) return null;
+        const mmPerPx = canvasBaseSize.width ? MAT_MM.w / canvasBaseSize.width : 0;
+        return {
             robot,
             initialPose,
             sections,
-            unit
+            unit,
+            obstacles: fieldObstacles,
+            missions: fieldMissions,
+            grid: { ...grid, offsetX: grid.offsetX * mmPerPx, offsetY: grid.offsetY * mmPerPx }
         };
+    }, [showSvgExport, robot, initialPose, sections, unit, fieldObstacles, fieldMissions, grid, canvasBaseSize.width]);
+
+    const exportMission = () => {
+        const data = { ...projectSnapshot, timestamp: Date.now() };
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `wro_mission_${new Date().toISOString().slice(0, 10)}.json`;
+        a.download = `wro_proyecto_${new Date().toISOString().slice(0, 10)}.json`;
         a.click();
         URL.revokeObjectURL(url);
     };
@@ -828,35 +1797,21 @@ export default function WROPlaybackPlanner() {
 
         const reader = new FileReader();
         reader.onload = (evt) => {
+            const { bundle, errors } = parseProjectBundle(evt.target.result, legacyCanvasSize);
+            if (!bundle) {
+                console.error("Proyecto no válido", errors);
+                alert(`Archivo inválido:\n${formatBundleErrors(errors)}`);
+                return;
+            }
             try {
-                const data = JSON.parse(evt.target.result);
-                if (data.fieldKey) setFieldKey(data.fieldKey);
-                if (data.grid) setGrid(data.grid);
-                if (data.robot) setRobot(data.robot);
-                if (data.unit) setUnit(data.unit);
-                const cw = canvasBaseSize.width || 800;
-                const ch = canvasBaseSize.height || 387;
-                if (data.initialPose) {
-                    if (data.coordSystem === 'mm') {
-                        setInitialPose(data.initialPose);
-                    } else {
-                        const mm = pxToMmPoint(data.initialPose.x, data.initialPose.y, cw, ch);
-                        setInitialPose(prev => ({ ...prev, x: mm.x, y: mm.y, theta: data.initialPose.theta ?? prev.theta }));
-                    }
-                }
-                if (data.sections) {
-                    if (data.coordSystem === 'mm') {
-                        setSections(data.sections);
-                    } else {
-                        setSections(pxToMmSections(data.sections, cw, ch));
-                    }
-                }
+                applyProjectData(bundle);
             } catch (err) {
-                console.error("Error importando misión", err);
-                alert("Archivo inválido");
+                console.error("Error importando proyecto", err);
+                alert("No se pudo cargar el proyecto.");
             }
         };
         reader.readAsText(file);
+        e.target.value = null;
     };
 
     const handleContextMenu = useCallback((e) => {
@@ -867,16 +1822,16 @@ export default function WROPlaybackPlanner() {
         const nextUnit = unit === 'cm' ? 'mm' : 'cm';
         const factor = nextUnit === 'mm' ? 10 : 0.1;
 
-        setRobot(r => ({
-            ...r,
-            width: r.width * factor,
-            length: r.length * factor,
-            wheelOffset: r.wheelOffset ? r.wheelOffset * factor : r.wheelOffset
-        }));
+        setRobot(r => scaleRobotUnit(r, factor));
         setGrid(g => ({ ...g, cellSize: g.cellSize * factor }));
-        setSections(secs => secs.map(s => ({
-            ...s,
-            actions: s.actions.map(a => a.type === 'move' ? { ...a, distance: a.distance * factor } : a)
+        setSections(secs => scaleSectionsUnit(secs, factor));
+        setRuns(list => scaleRunsUnit(list, factor));
+        // The other robots of the team and their runs are stored in the working unit too
+        setTeam(members => members.map(m => (m.id === activeRobotId || !m.robot ? m : {
+            ...m,
+            robot: scaleRobotUnit(m.robot, factor),
+            sections: scaleSectionsUnit(m.sections, factor),
+            runs: m.runs && scaleRunsUnit(m.runs, factor)
         })));
         setUnit(nextUnit);
     };
@@ -886,25 +1841,26 @@ export default function WROPlaybackPlanner() {
     // =========================================================================
 
     const handleAddObstacle = useCallback(() => {
-        const sizePx = unitToPx(20); // 20cm default size
         const newObstacle = {
             id: uid('obs'),
-            x: canvasBaseSize.width / 2,
-            y: canvasBaseSize.height / 2,
-            w: sizePx,
-            h: sizePx,
+            x: MAT_MM.w / 2,
+            y: MAT_MM.h / 2,
+            w: 200, // 20cm default size
+            h: 200,
             color: '#f97316', // orange-500
             rotation: 0
         };
         setObstacles(prev => [...prev, newObstacle]);
         setSelectedObstacleId(newObstacle.id);
-    }, [canvasBaseSize, unitToPx]);
+    }, []);
 
+    /** CanvasBoard edits obstacles in px; convert the changed geometry back to mm. */
     const handleUpdateObstacle = useCallback((id, newProps) => {
+        const mmProps = pxToMmFieldObject(newProps, canvasBaseSize.width, canvasBaseSize.height);
         setObstacles(prev => prev.map(obs =>
-            obs.id === id ? { ...obs, ...newProps } : obs
+            obs.id === id ? { ...obs, ...mmProps } : obs
         ));
-    }, []);
+    }, [canvasBaseSize.width, canvasBaseSize.height]);
 
     const handleDeleteObstacle = useCallback(() => {
         if (!selectedObstacleId) return;
@@ -924,10 +1880,8 @@ export default function WROPlaybackPlanner() {
     }, [setSelectedNode]);
 
     const handleExportObstacles = useCallback(() => {
-        const data = {
-            version: "1.0",
-            obstacles: obstacles
-        };
+        // Partial bundle: importing it only replaces the obstacles
+        const data = createProjectBundle({ timestamp: Date.now(), obstacles });
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -947,43 +1901,43 @@ export default function WROPlaybackPlanner() {
 
         const reader = new FileReader();
         reader.onload = (evt) => {
-            try {
-                const data = JSON.parse(evt.target.result);
-                // Validation
-                if (!data.obstacles || !Array.isArray(data.obstacles)) {
-                    alert("Archivo inválido: No se encontró la lista de obstáculos.");
-                    return;
-                }
-
-                // Set obstacles (replaces current ones as per user implication "recuperarlo instantáneamente")
-                setObstacles(data.obstacles);
-
-                // Select nothing
-                setSelectedObstacleId(null);
-            } catch (err) {
-                console.error("Error importando obstáculos", err);
-                alert("Error al leer el archivo JSON.");
+            // Any project file works: only its obstacles are taken
+            const { bundle, errors } = parseProjectBundle(evt.target.result, {
+                canvasWidth: canvasBaseSize.width || 800,
+                canvasHeight: canvasBaseSize.height || 387
+            });
+            if (!bundle) {
+                console.error("Obstáculos no válidos", errors);
+                alert(`Archivo inválido:\n${formatBundleErrors(errors)}`);
+                return;
             }
+            if (!bundle.obstacles) {
+                alert("Archivo inválido: No se encontró la lista de obstáculos.");
+                return;
+            }
+
+            // Replaces the current obstacles
+            setObstacles(bundle.obstacles);
+            setSelectedObstacleId(null);
         };
         reader.readAsText(file);
 
         // Reset input
         e.target.value = null;
-    }, [isRunning, stopPlayback]);
+    }, [isRunning, stopPlayback, canvasBaseSize.width, canvasBaseSize.height]);
 
     // =========================================================================
     // HANDLERS - Missions
     // =========================================================================
 
     const handleAddMission = useCallback(() => {
-        const sizePx = unitToPx(4); // 4cm default size
         const colors = ['#22c55e', '#3b82f6', '#a855f7', '#ec4899', '#f59e0b', '#14b8a6'];
         const colorIndex = Math.floor(Math.random() * colors.length);
         const newMission = {
             id: uid('mission'),
-            x: canvasBaseSize.width / 2,
-            y: canvasBaseSize.height / 2,
-            size: sizePx,
+            x: MAT_MM.w / 2,
+            y: MAT_MM.h / 2,
+            size: 40, // 4cm default size
             color: colors[colorIndex],
             shape: 'circle',
             label: `M${missions.length + 1}`,
@@ -994,13 +1948,15 @@ export default function WROPlaybackPlanner() {
         setSelectedMissionId(newMission.id);
         // Deselect obstacle when adding mission
         setSelectedObstacleId(null);
-    }, [canvasBaseSize, unitToPx, missions.length]);
+    }, [missions.length]);
 
+    /** CanvasBoard edits mission markers in px; convert the changed geometry back to mm. */
     const handleUpdateMission = useCallback((id, newProps) => {
+        const mmProps = pxToMmFieldObject(newProps, canvasBaseSize.width, canvasBaseSize.height);
         setMissions(prev => prev.map(m =>
-            m.id === id ? { ...m, ...newProps } : m
+            m.id === id ? { ...m, ...mmProps } : m
         ));
-    }, []);
+    }, [canvasBaseSize.width, canvasBaseSize.height]);
 
     const handleDeleteMission = useCallback(() => {
         if (!selectedMissionId) return;
@@ -1017,12 +1973,8 @@ export default function WROPlaybackPlanner() {
     }, [setSelectedNode]);
 
     const handleExportMissions = useCallback(() => {
-        const data = {
-            version: "1.0",
-            type: "wro-missions",
-            timestamp: Date.now(),
-            missions: missions
-        };
+        // Partial bundle: importing it only replaces the mission markers
+        const data = createProjectBundle({ timestamp: Date.now(), missions });
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -1038,53 +1990,63 @@ export default function WROPlaybackPlanner() {
 
         const reader = new FileReader();
         reader.onload = (evt) => {
-            try {
-                const data = JSON.parse(evt.target.result);
-                if (!data.missions || !Array.isArray(data.missions)) {
-                    alert("Archivo inválido: No se encontró la lista de misiones.");
-                    return;
-                }
-
-                // Validate and normalize each mission
-                const normalizedMissions = data.missions.map((m, index) => {
-                    // Validate required fields
-                    if (typeof m.x !== 'number' || typeof m.y !== 'number') {
-                        console.warn(`Mission ${index} missing position, using default`);
-                        return null;
-                    }
-
-                    // Create normalized mission with defaults for missing fields
-                    return {
-                        id: m.id || uid('mission'),
-                        x: m.x,
-                        y: m.y,
-                        size: typeof m.size === 'number' && m.size > 0 ? m.size : 40,
-                        color: m.color || '#22c55e',
-                        shape: ['circle', 'square', 'triangle', 'star', 'flag'].includes(m.shape) ? m.shape : 'circle',
-                        label: m.label || '',
-                        rotation: typeof m.rotation === 'number' ? m.rotation : 0,
-                        opacity: typeof m.opacity === 'number' ? Math.max(0, Math.min(1, m.opacity)) : 0.7
-                    };
-                }).filter(m => m !== null); // Remove invalid missions
-
-                if (normalizedMissions.length === 0) {
-                    alert("No se pudieron importar misiones válidas.");
-                    return;
-                }
-
-                setMissions(normalizedMissions);
-                setSelectedMissionId(null);
-
-                console.log(`Importadas ${normalizedMissions.length} misiones de ${data.missions.length} en el archivo`);
-            } catch (err) {
-                console.error("Error importando misiones", err);
-                alert("Error al leer el archivo JSON.");
+            // Any project file works: only its mission markers are taken (defaults filled in)
+            const { bundle, errors } = parseProjectBundle(evt.target.result, {
+                canvasWidth: canvasBaseSize.width || 800,
+                canvasHeight: canvasBaseSize.height || 387
+            });
+            if (!bundle) {
+                console.error("Misiones no válidas", errors);
+                alert(`Archivo inválido:\n${formatBundleErrors(errors)}`);
+                return;
             }
+            if (!bundle.missions) {
+                alert("Archivo inválido: No se encontró la lista de misiones.");
+                return;
+            }
+
+            setMissions(bundle.missions);
+            setSelectedMissionId(null);
         };
         reader.readAsText(file);
         e.target.value = null;
+    }, [canvasBaseSize.width, canvasBaseSize.height]);
+
+    // =========================================================================
+    // HANDLERS - Field elements (approximate)
+    // =========================================================================
+
+    /** Adds one catalogue element at its position on the mat and selects it. */
+    const handleAddFieldElement = useCallback((element) => {
+        const { type, object } = createFieldObject(element);
+        if (type === 'obstacle') {
+            setObstacles(prev => [...prev, object]);
+            setSelectedObstacleId(object.id);
+            setSelectedMissionId(null);
+        } else {
+            setMissions(prev => [...prev, object]);
+            setSelectedMissionId(object.id);
+            setSelectedObstacleId(null);
+        }
     }, []);
 
+    /** Replaces obstacles and mission markers with the mat's default layout. */
+    const handleLoadFieldLayout = useCallback(() => {
+        const layout = buildDefaultLayout(fieldKey);
+        if (!layout.obstacles.length && !layout.missions.length) return;
+        if ((obstacles.length || missions.length) &&
+            !window.confirm("Se reemplazarán los obstáculos y misiones actuales por la disposición aproximada del tapete. ¿Continuar?")) {
+            return;
+        }
+        if (isRunning) {
+            stopPlayback();
+        }
+        setObstacles(layout.obstacles);
+        setMissions(layout.missions);
+        setSelectedObstacleId(null);
+        setSelectedMissionId(null);
+    }, [fieldKey, obstacles.length, missions.length, isRunning, stopPlayback]);
+
     // =========================================================================
     // RENDER
     // =========================================================================
@@ -1112,6 +2074,14 @@ export default function WROPlaybackPlanner() {
                         handleRulerToggle={handleRulerToggle}
                         reverseDrawing={reverseDrawing}
                         onToggleReverse={handleToggleReverse}
+                        arcDrawing={arcDrawing}
+                        onToggleArc={handleToggleArc}
+                        pathFinderActive={pathFinderActive}
+                        onTogglePathFinder={() => setPathFinderActive(prev => !prev)}
+                        pathFinderObjective={pathFinderObjective}
+                        onPathFinderObjectiveChange={setPathFinderObjective}
+                        pathFinderHeading={pathFinderHeading}
+                        onPathFinderHeadingChange={setPathFinderHeading}
                         selectedNode={selectedNode}
                         referenceMode={referenceMode}
                         onReferenceModeChange={setReferenceMode}
@@ -1128,6 +2098,20 @@ export default function WROPlaybackPlanner() {
                         onAddMission={handleAddMission}
                         onExportMissions={handleExportMissions}
                         onImportMissions={handleImportMissions}
+                        onOpenScenarios={() => setShowScenarios(true)}
+                        onOpenLibrary={() => setShowLibrary(true)}
+                        onShare={() => setShowShare(true)}
+                        onPrintRunSheet={handlePrintRunSheet}
+                        onExportSvg={() => setShowSvgExport(true)}
+                        projectName={isReadOnly ? (sharedProject.name || 'Proyecto compartido') : library.currentProject?.name}
+                        saveStatus={isReadOnly ? 'readonly' : library.status}
+                        readOnly={isReadOnly}
+                        onOpenDrift={() => setShowDrift(true)}
+                        onUndo={handleUndo}
+                        onRedo={handleRedo}
+                        canUndo={history.canUndo && !isReadOnly}
+                        canRedo={history.canRedo && !isReadOnly}
+                        onOpenHistory={() => setShowHistory(true)}
                     />
                 </div>
             </header>
@@ -1145,30 +2129,68 @@ export default function WROPlaybackPlanner() {
                     overflow: 'hidden',
                     transition: 'width 0.2s ease'
                 }}>
-                    <SectionsPanel
-                        sections={sections}
-                        setSections={setSections}
-                        selectedSectionId={selectedSectionId}
-                        setSelectedSectionId={setSelectedSectionId}
-                        addSection={addSection}
-                        exportMission={exportMission}
-                        importMission={importMission}
-                        updateSectionActions={updateSectionActions}
-                        computePoseUpToSection={(sectionId) => computePoseUpToSection(sectionsPx, initialPosePx, sectionId, unitToPx)}
-                        pxToUnit={pxToUnit}
-                        isCollapsed={isSectionsPanelCollapsed}
-                        setIsCollapsed={setIsSectionsPanelCollapsed}
-                        expandedSections={expandedSections}
-                        toggleSectionExpansion={toggleSectionExpansion}
-                        toggleSectionVisibility={toggleSectionVisibility}
-                        unit={unit}
-                    />
+                    {/* Read-only view of a shared project: the panel can be read, not edited */}
+                    <fieldset disabled={isReadOnly} className="contents">
+                        {!isSectionsPanelCollapsed && (
+                            <RobotsBar
+                                robots={teamMembers}
+                                activeRobotId={activeRobotId}
+                                onSelect={handleSelectRobot}
+                                onAdd={handleAddRobot}
+                                onRemove={handleRemoveRobot}
+                                onRename={handleRenameRobot}
+                                timeline={teamTimeline}
+                            />
+                        )}
+                        {showRouteScript && !isSectionsPanelCollapsed && !isReadOnly ? (
+                            <RouteScriptEditor
+                                sections={sections}
+                                unit={unit}
+                                initialPose={initialPose}
+                                field={alignFieldMm}
+                                paddingMm={collisionPadding * (unit === 'mm' ? 1 : 10)}
+                                onChange={handleRouteScriptChange}
+                                onClose={() => setShowRouteScript(false)}
+                            />
+                        ) : (
+                            <SectionsPanel
+                                sections={sections}
+                                setSections={setSections}
+                                selectedSectionId={selectedSectionId}
+                                setSelectedSectionId={setSelectedSectionId}
+                                addSection={addSection}
+                                exportMission={exportMission}
+                                importMission={importMission}
+                                onOpenCodeExport={() => setShowCodeExport(true)}
+                                onOpenTextImport={() => setShowInstructionImport(true)}
+                                onOpenRouteScript={() => setShowRouteScript(true)}
+                                updateSectionActions={updateSectionActions}
+                                computePoseUpToSection={(sectionId) => computePoseUpToSection(sectionsPx, initialPosePx, sectionId, unitToPx, alignFieldPx)}
+                                pxToUnit={pxToUnit}
+                                isCollapsed={isSectionsPanelCollapsed}
+                                setIsCollapsed={setIsSectionsPanelCollapsed}
+                                expandedSections={expandedSections}
+                                toggleSectionExpansion={toggleSectionExpansion}
+                                toggleSectionVisibility={toggleSectionVisibility}
+                                unit={unit}
+                                obstacles={obstacles}
+                                runs={runSummaries}
+                                activeRunId={activeRunId}
+                                onSelectRun={handleSelectRun}
+                                onAddRun={handleAddRun}
+                                onRemoveRun={handleRemoveRun}
+                                onRenameRun={handleRenameRun}
+                                onPlayRun={handlePlayRun}
+                            />
+                        )}
+                    </fieldset>
                 </aside>
 
                 {/* Center Panel - CANVAS */}
                 <main ref={containerRef} className="flex-1 bg-white rounded-3xl border border-slate-200 shadow-2xl relative overflow-hidden flex flex-col items-center justify-center bg-slate-50/50">
                     <div className="absolute inset-0 z-0 flex items-center justify-center">
                         <CanvasBoard
+                            canvasRef={printCanvasRef}
                             fieldKey={fieldKey}
                             bgImage={bgImage}
                             bgOpacity={bgOpacity}
@@ -1187,6 +2209,7 @@ export default function WROPlaybackPlanner() {
                             playPose={playPose}
                             isRunning={isRunning}
                             drawMode={drawMode}
+                            readOnly={isReadOnly}
                             setDrawMode={setDrawMode}
                             rulerActive={rulerActive}
                             rulerPoints={rulerPoints}
@@ -1198,6 +2221,7 @@ export default function WROPlaybackPlanner() {
                             setReferenceMode={setReferenceMode}
                             reverseDrawing={reverseDrawing}
                             setReverseDrawing={setReverseDrawing}
+                            arcDrawing={arcDrawing}
                             zoom={zoom}
                             canvasBaseSize={canvasBaseSize}
                             setCanvasBaseSize={setCanvasBaseSize}
@@ -1207,7 +2231,7 @@ export default function WROPlaybackPlanner() {
                             setDragging={setDragging}
                             hoverNode={hoverNode}
                             // Obstacles
-                            obstacles={obstacles}
+                            obstacles={obstaclesPx}
                             onUpdateObstacle={handleUpdateObstacle}
                             selectedObstacleId={selectedObstacleId}
                             onSelectObstacle={handleSelectObstacle}
@@ -1216,7 +2240,7 @@ export default function WROPlaybackPlanner() {
                             preventCollisions={preventCollisions}
 
                             // Missions
-                            missions={missions}
+                            missions={missionsPx}
                             onUpdateMission={handleUpdateMission}
                             selectedMissionId={selectedMissionId}
                             onSelectMission={handleSelectMission}
@@ -1238,7 +2262,7 @@ export default function WROPlaybackPlanner() {
                             unitToPx={unitToPx}
                             pxToUnit={pxToUnit}
                             computePoseUpToSection={(_, __, sectionId, unitToPx) =>
-                                computePoseUpToSection(sectionsPx, initialPosePx, sectionId, unitToPx)
+                                computePoseUpToSection(sectionsPx, initialPosePx, sectionId, unitToPx, alignFieldPx)
                             }
                             handleContextMenu={handleContextMenu}
                             removeLastPointFromCurrentSection={removeLastPointFromCurrentSection}
@@ -1255,14 +2279,41 @@ export default function WROPlaybackPlanner() {
                             setPan={setPan}
                             // Pass calculated path segments for optional overlay rendering
                             calculatedPathSegments={routeData.pathSegments}
+                            clearanceOverlay={clearanceOverlay}
+                            alignField={alignFieldPx}
+                            driftOverlay={driftOverlay}
+                            teamOverlay={teamOverlay}
                             // Selected node for editing
                             selectedNode={selectedNode}
                             setSelectedNode={setSelectedNode}
                             // Toggle reverse handler (respects selectedNode)
                             onToggleReverse={handleToggleReverse}
+                            onToggleArc={handleToggleArc}
+                            // Path finder: clicks pick the target instead of drawing
+                            pathFinderActive={pathFinderActive}
+                            onTogglePathFinder={() => setPathFinderActive(prev => !prev)}
+                            onPathFinderTarget={handlePathFinderTarget}
+                            // Pointer gestures are recorded as a single history entry
+                            onGestureStart={history.beginGesture}
+                            onGestureEnd={history.endGesture}
                         />
                     </div>
 
+                    {/* Scenario preview banner */}
+                    {scenarioPreview && (
+                        <div className="option-card" style={{ position: 'absolute', top: 16, left: 16, zIndex: 10, padding: '0.5rem 0.75rem', display: 'flex', alignItems: 'center', gap: 10 }}>
+                            <span style={{ fontSize: '0.75rem', fontWeight: 600, color: '#475569' }}>
+                                🎲 Escenario {scenarioPreview.label}
+                            </span>
+                            <button type="button" className="option-chip-button" style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }} onClick={() => setShowScenarios(true)}>
+                                Matriz
+                            </button>
+                            <button type="button" className="option-chip-button" style={{ padding: '0.25rem 0.75rem', fontSize: '0.75rem' }} onClick={() => setScenarioPreview(null)}>
+                                Salir
+                            </button>
+                        </div>
+                    )}
+
                     {/* Floating Legend */}
                     <div style={{ position: 'absolute', bottom: 16, right: 16, zIndex: 10, display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: 8, pointerEvents: 'none' }}>
                         <div className="option-card" style={{ padding: '0.5rem 0.75rem', display: 'flex', alignItems: 'center', gap: 8, pointerEvents: 'auto' }}>
@@ -1297,6 +2348,11 @@ export default function WROPlaybackPlanner() {
                         instructions={routeData.instructions}
                         onDeleteSection={handleDeleteSection}
                         unit={unit}
+                        robot={robot}
+                        motionProfile={motionProfile}
+                        clearance={routeClearance}
+                        showClearance={showClearance}
+                        onToggleClearance={() => setShowClearance(prev => !prev)}
                         isCollapsed={isWaypointsPanelCollapsed}
                         setIsCollapsed={setIsWaypointsPanelCollapsed}
                     />
@@ -1308,12 +2364,16 @@ export default function WROPlaybackPlanner() {
                 setShowOptions={setShowOptions}
                 fieldKey={fieldKey}
                 setFieldKey={setFieldKey}
+                onAddFieldElement={handleAddFieldElement}
+                onLoadFieldLayout={handleLoadFieldLayout}
                 bgOpacity={bgOpacity}
                 setBgOpacity={setBgOpacity}
                 grid={grid}
                 setGrid={setGrid}
                 robot={robot}
                 setRobot={setRobot}
+                motionProfile={motionProfile}
+                setMotionProfile={setMotionProfile}
                 preventCollisions={preventCollisions}
                 setPreventCollisions={setPreventCollisions}
                 collisionPadding={collisionPadding}
@@ -1341,14 +2401,20 @@ export default function WROPlaybackPlanner() {
                 robotConfig={{
                     length: robot.length,
                     width: robot.width,
-                    wheelOffset: robot.wheelOffset
+                    wheelOffset: robot.wheelOffset,
+                    wheelDiameter: robot.wheelDiameter,
+                    trackWidth: robot.trackWidth,
+                    gearRatio: robot.gearRatio
                 }}
                 onSave={(config) => {
                     setRobot(r => ({
                         ...r,
                         length: config.length,
                         width: config.width,
-                        wheelOffset: config.wheelOffset
+                        wheelOffset: config.wheelOffset,
+                        wheelDiameter: config.wheelDiameter,
+                        trackWidth: config.trackWidth,
+                        gearRatio: config.gearRatio
                     }));
                     saveRobotConfig(config);
                     setShowRobotModal(false);
@@ -1361,6 +2427,116 @@ export default function WROPlaybackPlanner() {
                 isOpen={showShortcuts}
                 onClose={() => setShowShortcuts(false)}
             />
+
+            {/* Robot Code Export Modal */}
+            <CodeExportModal
+                isOpen={showCodeExport}
+                onClose={() => setShowCodeExport(false)}
+                instructions={routeData.instructions}
+                sections={sections}
+                unit={unit}
+                robot={robot}
+                robots={exportRobots}
+                activeRobotId={activeRobotId}
+                settings={exportSettings}
+                setSettings={setExportSettings}
+            />
+
+            {/* Randomized Scenarios Modal */}
+            <ScenariosModal
+                isOpen={showScenarios}
+                onClose={() => setShowScenarios(false)}
+                config={scenarioConfig}
+                setConfig={setScenarioConfig}
+                sections={sections}
+                initialPose={initialPose}
+                robot={robot}
+                unit={unit}
+                collisionPadding={collisionPadding}
+                obstacles={obstacles}
+                selectedObject={obstacles.find(o => o.id === selectedObstacleId) || missions.find(m => m.id === selectedMissionId) || null}
+                onPreview={setScenarioPreview}
+            />
+
+            {/* Project Library */}
+            <ProjectLibraryModal
+                isOpen={showLibrary}
+                onClose={() => setShowLibrary(false)}
+                projects={library.projects}
+                currentProjectId={library.currentProject?.id ?? null}
+                status={library.status}
+                onOpen={handleLibraryOpen}
+                onCreate={handleLibraryCreate}
+                onRename={library.renameProject}
+                onDuplicate={library.duplicateProject}
+                onDelete={library.deleteProject}
+            />
+            {library.recovered && (
+                <RecoveryNotice
+                    project={library.recovered}
+                    onOpenLibrary={() => { library.dismissRecovered(); setShowLibrary(true); }}
+                    onDismiss={library.dismissRecovered}
+                />
+            )}
+
+            {/* Share link */}
+            <ShareModal
+                isOpen={showShare}
+                onClose={() => setShowShare(false)}
+                project={shareProject}
+                projectName={isReadOnly ? sharedProject.name : library.currentProject?.name}
+            />
+            {isReadOnly && (
+                <SharedProjectBanner
+                    name={sharedProject.name}
+                    onFork={handleForkSharedProject}
+                    onLeave={handleLeaveSharedProject}
+                />
+            )}
+
+            {/* Vector export of the field */}
+            <SvgExportModal
+                isOpen={showSvgExport}
+                onClose={() => setShowSvgExport(false)}
+                field={svgExportField}
+                backgroundSrc={bgImage?.src ?? null}
+                backgroundOpacity={bgOpacity}
+            />
+
+            {/* Route from a text / CSV instruction list */}
+            <InstructionImportModal
+                isOpen={showInstructionImport}
+                onClose={() => setShowInstructionImport(false)}
+                onImport={handleImportInstructionText}
+                unit={unit}
+            />
+
+            {/* Odometry Drift Simulation Modal */}
+            <DriftModal
+                isOpen={showDrift}
+                onClose={() => setShowDrift(false)}
+                config={driftConfig}
+                setConfig={setDriftConfig}
+                sections={sections}
+                result={driftResult}
+                stale={driftStale}
+                onRun={handleRunDrift}
+                showOverlay={showDriftOverlay}
+                setShowOverlay={setShowDriftOverlay}
+            />
+
+            {/* Undo/Redo History Modal */}
+            <HistoryPanel
+                isOpen={showHistory}
+                onClose={() => setShowHistory(false)}
+                entries={history.entries}
+                currentIndex={history.index}
+                onJump={handleHistoryJump}
+                onUndo={handleUndo}
+                onRedo={handleRedo}
+                canUndo={history.canUndo}
+                canRedo={history.canRedo}
+            />
         </div>
     );
 }
@@ -8,95 +8,63 @@
  * - Accordion grouping by section
  * - Section color indicators
  * - Delete section functionality
- * - Instruction formatting (TURN/MOVE)
+ * - Instruction formatting (TURN/MOVE/ARC)
+ * - Run-time estimate (trapezoidal motion profile) per instruction, section and total
+ * - Optional motor view: left/right encoder degrees and rounding error per instruction
+ * - Clearance report: minimum distance to obstacles per instruction, collisions listed and marked
  * 
  * @module WaypointsPanel
  */
 
 import React, { useState, useMemo } from "react";
 import { IconChevronRight, IconChevronDown, IconTrash } from "./icons";
+import { computeRouteKinematics } from "./domain/kinematics";
+import { groupInstructionsBySection, formatInstruction, summarizeInstructions } from "./domain/instructionFormat";
+import { DEFAULT_MOTION_PROFILE, WRO_RUN_TIME_LIMIT, estimateRouteTime, formatDuration } from "./domain/motionProfile";
+import { CLEARANCE_COLORS } from "./domain/routeValidation";
 import "./WaypointsPanel.css";
 
 /**
- * Groups instructions by their sectionId.
- * @param {Array} instructions - Flat list of instructions from pathCalculator
- * @param {Array} waypoints - Flat list of waypoints with section info
- * @returns {Array} Array of section groups with their instructions
+ * Formats the motor commands of an instruction for display.
+ * @param {Object} instr - Instruction object
+ * @param {Object} kin - Result of computeInstructionKinematics
+ * @param {string} unit - Unit for distance ('cm' or 'mm')
+ * @returns {{left: string, right: string, error: string}}
  */
-function groupInstructionsBySection(instructions, waypoints) {
-    // Build a map of sectionId -> section metadata from waypoints
-    const sectionMeta = {};
-    for (const wp of waypoints) {
-        if (wp.sectionId && !sectionMeta[wp.sectionId]) {
-            sectionMeta[wp.sectionId] = {
-                id: wp.sectionId,
-                color: wp.sectionColor || '#888888',
-                name: wp.sectionName || wp.sectionId
-            };
-        }
-    }
-
-    // Group instructions by sectionId
-    const groups = {};
-    const order = [];
-
-    for (const instr of instructions) {
-        const sectionId = instr.sectionId || 'default';
-
-        if (!groups[sectionId]) {
-            groups[sectionId] = {
-                id: sectionId,
-                color: sectionMeta[sectionId]?.color || '#888888',
-                name: sectionMeta[sectionId]?.name || sectionId,
-                instructions: []
-            };
-            order.push(sectionId);
-        }
-
-        groups[sectionId].instructions.push(instr);
-    }
-
-    // Return in order of appearance
-    return order.map(id => groups[id]);
+function formatMotors(instr, kin, unit = 'cm') {
+    const formatMotor = (cmd) => `${cmd.degrees > 0 ? '+' : ''}${cmd.degrees}° (${cmd.rotations.toFixed(2)} rot)`;
+    const headingError = `±${Math.abs(kin.headingError).toFixed(2)}°`;
+    const distanceError = `±${Math.abs(kin.distanceError).toFixed(unit === 'mm' ? 2 : 3)} ${unit}`;
+    const error = instr.type === 'TURN' ? headingError
+        : instr.type === 'ARC' ? `${distanceError}, ${headingError}`
+            : distanceError;
+    return { left: formatMotor(kin.left), right: formatMotor(kin.right), error };
 }
 
 /**
- * Formats an instruction for display.
+ * Clearance entry of an instruction (TURN -> turn at its waypoint, MOVE/ARC -> drive to it,
+ * ALIGN -> the alignment after it).
  * @param {Object} instr - Instruction object
- * @param {string} unit - Unit for distance ('cm' or 'mm')
- * @returns {Object} Formatted instruction data
+ * @param {Object} [clearance] - Result of analyzeRouteClearance
+ * @returns {Object|null}
  */
-function formatInstruction(instr, unit = 'cm') {
-    if (instr.type === 'TURN') {
-        const direction = instr.value >= 0 ? 'Derecha' : 'Izquierda';
-        const directionShort = instr.value >= 0 ? 'DER' : 'IZQ';
-        return {
-            typeLabel: 'GIRO',
-            typeClass: 'turn',
-            directionLabel: directionShort,
-            value: Math.abs(instr.value).toFixed(1),
-            unit: '°',
-            description: `Girar ${direction} ${Math.abs(instr.value).toFixed(1)}°`
-        };
-    } else if (instr.type === 'MOVE') {
-        const direction = instr.direction === 'reverse' ? 'Reversa' : 'Adelante';
-        const directionShort = instr.direction === 'reverse' ? 'REV' : 'ADL';
-        return {
-            typeLabel: 'MOV',
-            typeClass: instr.direction === 'reverse' ? 'reverse' : 'move',
-            directionLabel: directionShort,
-            value: instr.value.toFixed(1),
-            unit: unit,
-            description: `${direction} ${instr.value.toFixed(1)} ${unit}`
-        };
-    }
-    return {
-        typeLabel: '???',
-        typeClass: 'unknown',
-        value: '?',
-        unit: '',
-        description: 'Desconocido'
-    };
+function getInstructionClearance(instr, clearance) {
+    const entry = clearance?.byWaypoint[instr.waypointId];
+    if (!entry) return null;
+    if (instr.type === 'TURN') return entry.turn || null;
+    if (instr.type === 'MOVE' || instr.type === 'ARC') return entry.drive || null;
+    if (instr.type === 'ALIGN') return entry.align || null;
+    return null;
+}
+
+/**
+ * Formats a clearance in mm in the working unit.
+ * @param {number} mm
+ * @param {string} unit - 'cm' or 'mm'
+ * @returns {string}
+ */
+function formatClearance(mm, unit = 'cm') {
+    return `${(unit === 'mm' ? mm : mm / 10).toFixed(1)} ${unit}`;
 }
 
 /**
@@ -109,6 +77,11 @@ function formatInstruction(instr, unit = 'cm') {
  * @param {Array} props.instructions - Array of TURN/MOVE instructions from pathCalculator
  * @param {Function} props.onDeleteSection - Callback when section delete is requested (sectionId) => void
  * @param {string} [props.unit='cm'] - Unit for distance display
+ * @param {Object} [props.robot] - Robot config (wheelDiameter, trackWidth, gearRatio) for the motor view
+ * @param {Object} [props.motionProfile] - Speeds/accelerations used for the time estimate
+ * @param {Object} [props.clearance] - Clearance report of the route (analyzeRouteClearance)
+ * @param {boolean} [props.showClearance=false] - Whether the canvas colours segments by clearance
+ * @param {Function} [props.onToggleClearance] - Toggles the clearance colouring
  * @param {boolean} [props.isCollapsed=false] - Whether panel is collapsed
  * @param {Function} [props.setIsCollapsed] - Callback to toggle collapse state
  */
@@ -117,17 +90,61 @@ const WaypointsPanel = ({
     instructions = [],
     onDeleteSection,
     unit = 'cm',
+    robot = null,
+    motionProfile = DEFAULT_MOTION_PROFILE,
+    clearance = null,
+    showClearance = false,
+    onToggleClearance,
     isCollapsed = false,
     setIsCollapsed
 }) => {
     // Track which sections are expanded
     const [expandedSections, setExpandedSections] = useState([]);
+    // Show left/right motor degrees instead of plain distances
+    const [showMotors, setShowMotors] = useState(false);
+
+    // Motor commands per instruction (null when the robot has no kinematics config)
+    const kinematics = useMemo(() => {
+        const route = computeRouteKinematics(instructions, robot);
+        if (!route) return null;
+        return {
+            byInstruction: new Map(instructions.map((instr, i) => [instr, route.steps[i]])),
+            totals: route.totals
+        };
+    }, [instructions, robot]);
+    const motorsVisible = showMotors && kinematics !== null;
+
+    // Estimated run time per instruction / section / total
+    const timing = useMemo(() => {
+        const route = estimateRouteTime(instructions, motionProfile, unit);
+        return {
+            byInstruction: new Map(instructions.map((instr, i) => [instr, route.steps[i]])),
+            bySection: route.bySection,
+            total: route.total
+        };
+    }, [instructions, motionProfile, unit]);
+    const overTimeLimit = timing.total > WRO_RUN_TIME_LIMIT;
 
     // Group instructions by section
     const sectionGroups = useMemo(() => {
         return groupInstructionsBySection(instructions, waypoints);
     }, [instructions, waypoints]);
 
+    // Collisions in route order, with their section and instruction number
+    const collisionList = useMemo(() => {
+        const list = [];
+        for (const section of sectionGroups) {
+            section.instructions.forEach((instr, index) => {
+                const entry = getInstructionClearance(instr, clearance);
+                if (entry?.level === 'collision') {
+                    list.push({ section, index, instr, entry });
+                }
+            });
+        }
+        return list;
+    }, [sectionGroups, clearance]);
+    const hasObstacles = clearance !== null && Number.isFinite(clearance.minClearance);
+
     // Toggle section expansion
     const toggleSection = (sectionId) => {
         setExpandedSections(prev =>
@@ -148,20 +165,7 @@ const WaypointsPanel = ({
     };
 
     // Calculate totals
-    const totals = useMemo(() => {
-        let totalDistance = 0;
-        let totalRotation = 0;
-
-        for (const instr of instructions) {
-            if (instr.type === 'MOVE') {
-                totalDistance += instr.value;
-            } else if (instr.type === 'TURN') {
-                totalRotation += Math.abs(instr.value);
-            }
-        }
-
-        return { totalDistance, totalRotation };
-    }, [instructions]);
+    const totals = useMemo(() => summarizeInstructions(instructions), [instructions]);
 
     // Collapsed state - show expand button
     if (isCollapsed) {
@@ -191,6 +195,24 @@ const WaypointsPanel = ({
                     )}
                 </div>
                 <div className="waypoints-panel__header-right">
+                    {onToggleClearance && (
+                        <button
+                            onClick={onToggleClearance}
+                            className={`waypoints-panel__motor-toggle ${showClearance ? 'waypoints-panel__motor-toggle--active' : ''}`}
+                            title={showClearance ? 'Colores de sección en el tapete' : 'Colorear la ruta por holgura a los obstáculos'}
+                        >
+                            ↔ Holgura
+                        </button>
+                    )}
+                    {kinematics && (
+                        <button
+                            onClick={() => setShowMotors(v => !v)}
+                            className={`waypoints-panel__motor-toggle ${showMotors ? 'waypoints-panel__motor-toggle--active' : ''}`}
+                            title={showMotors ? 'Ver distancias' : 'Ver grados de motor (izquierdo/derecho)'}
+                        >
+                            ⚙ Motores
+                        </button>
+                    )}
                     {setIsCollapsed && (
                         <button
                             onClick={() => setIsCollapsed(true)}
@@ -218,6 +240,56 @@ const WaypointsPanel = ({
                             {totals.totalRotation.toFixed(1)}°
                         </span>
                     </div>
+                    <div
+                        className="waypoints-panel__summary-item"
+                        title={`Estimación con el perfil de movimiento (límite WRO: ${WRO_RUN_TIME_LIMIT} s)`}
+                    >
+                        <span className="waypoints-panel__summary-label">Tiempo:</span>
+                        <span className={`waypoints-panel__summary-value ${overTimeLimit ? 'waypoints-panel__summary-value--warning' : ''}`}>
+                            {formatDuration(timing.total)}
+                        </span>
+                    </div>
+                </div>
+            )}
+            {instructions.length > 0 && hasObstacles && (
+                <div className="waypoints-panel__summary waypoints-panel__summary--clearance">
+                    <div className="waypoints-panel__summary-item" title="Distancia mínima entre el robot y los obstáculos en toda la ruta">
+                        <span className="waypoints-panel__summary-label">Holgura mín.:</span>
+                        <span className={`waypoints-panel__summary-value ${clearance.minClearance < 0 ? 'waypoints-panel__summary-value--warning' : ''}`}>
+                            {formatClearance(clearance.minClearance, unit)}
+                        </span>
+                    </div>
+                    <div className="waypoints-panel__summary-item">
+                        <span className="waypoints-panel__summary-label">Colisiones:</span>
+                        <span className={`waypoints-panel__summary-value ${collisionList.length ? 'waypoints-panel__summary-value--warning' : ''}`}>
+                            {collisionList.length}
+                        </span>
+                    </div>
+                </div>
+            )}
+            {collisionList.length > 0 && (
+                <ul className="waypoints-panel__collisions">
+                    {collisionList.map(({ section, index, instr, entry }) => (
+                        <li key={`${section.id}-${index}`} className="waypoints-panel__collision">
+                            ⚠ {section.name} · #{index + 1} {formatInstruction(instr, unit).typeLabel} choca con {entry.obstacle} ({formatClearance(entry.clearance, unit)})
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {instructions.length > 0 && motorsVisible && (
+                <div className="waypoints-panel__summary waypoints-panel__summary--motors">
+                    <div className="waypoints-panel__summary-item">
+                        <span className="waypoints-panel__summary-label">Motor I/D:</span>
+                        <span className="waypoints-panel__summary-value">
+                            {kinematics.totals.leftDegrees}° / {kinematics.totals.rightDegrees}°
+                        </span>
+                    </div>
+                    <div className="waypoints-panel__summary-item" title="Error acumulado por redondear a grados enteros">
+                        <span className="waypoints-panel__summary-label">Error:</span>
+                        <span className="waypoints-panel__summary-value">
+                            {kinematics.totals.distanceError >= 0 ? '+' : ''}{kinematics.totals.distanceError.toFixed(2)} {unit}, {kinematics.totals.headingError >= 0 ? '+' : ''}{kinematics.totals.headingError.toFixed(2)}°
+                        </span>
+                    </div>
                 </div>
             )}
 
@@ -266,6 +338,11 @@ const WaypointsPanel = ({
                                         {section.instructions.length} cmd
                                     </span>
 
+                                    {/* Estimated section time */}
+                                    <span className="waypoints-section__time">
+                                        {formatDuration(timing.bySection[section.id] || 0)}
+                                    </span>
+
                                     {/* Delete button */}
                                     {onDeleteSection && (
                                         <button
@@ -286,11 +363,14 @@ const WaypointsPanel = ({
                                     <div className="waypoints-section__content">
                                         {section.instructions.map((instr, instrIndex) => {
                                             const formatted = formatInstruction(instr, unit);
+                                            const kin = motorsVisible ? kinematics.byInstruction.get(instr) : null;
+                                            const motors = kin ? formatMotors(instr, kin, unit) : null;
+                                            const clear = hasObstacles ? getInstructionClearance(instr, clearance) : null;
 
                                             return (
                                                 <div
                                                     key={`${section.id}-${instrIndex}`}
-                                                    className="waypoints-instruction"
+                                                    className={`waypoints-instruction ${clear?.level === 'collision' ? 'waypoints-instruction--collision' : ''}`}
                                                 >
                                                     <span className="waypoints-instruction__index">
                                                         {instrIndex + 1}
@@ -311,6 +391,30 @@ const WaypointsPanel = ({
                                                     <span className="waypoints-instruction__unit">
                                                         {formatted.unit}
                                                     </span>
+
+                                                    <span className="waypoints-instruction__time">
+                                                        {(timing.byInstruction.get(instr) || 0).toFixed(2)} s
+                                                    </span>
+
+                                                    {clear && (
+                                                        <span
+                                                            className="waypoints-instruction__clearance"
+                                                            style={{ color: CLEARANCE_COLORS[clear.level] }}
+                                                            title={`Holgura mínima a ${clear.obstacle}`}
+                                                        >
+                                                            ↔ {formatClearance(clear.clearance, unit)}
+                                                        </span>
+                                                    )}
+
+                                                    {motors && (
+                                                        <span className="waypoints-instruction__motors">
+                                                            <span>I {motors.left}</span>
+                                                            <span>D {motors.right}</span>
+                                                            <span className="waypoints-instruction__motors-error" title="Error introducido al redondear a grados enteros">
+                                                                {motors.error}
+                                                            </span>
+                                                        </span>
+                                                    )}
                                                 </div>
                                             );
                                         })}
@@ -10,7 +10,10 @@ const RobotSizeModal = ({ isOpen, robotConfig, onSave, unit = 'cm' }) => {
     const [draft, setDraft] = useState({
         length: robotConfig?.length ?? 20,
         width: robotConfig?.width ?? 18,
-        wheelOffset: robotConfig?.wheelOffset ?? 10
+        wheelOffset: robotConfig?.wheelOffset ?? 10,
+        wheelDiameter: robotConfig?.wheelDiameter ?? 5.6,
+        trackWidth: robotConfig?.trackWidth ?? 11.2,
+        gearRatio: robotConfig?.gearRatio ?? 1
     });
 
     // Sync draft with robotConfig when modal opens
@@ -19,7 +22,10 @@ const RobotSizeModal = ({ isOpen, robotConfig, onSave, unit = 'cm' }) => {
             setDraft({
                 length: robotConfig.length ?? 20,
                 width: robotConfig.width ?? 18,
-                wheelOffset: robotConfig.wheelOffset ?? 10
+                wheelOffset: robotConfig.wheelOffset ?? 10,
+                wheelDiameter: robotConfig.wheelDiameter ?? 5.6,
+                trackWidth: robotConfig.trackWidth ?? 11.2,
+                gearRatio: robotConfig.gearRatio ?? 1
             });
         }
     }, [isOpen, robotConfig]);
@@ -53,7 +59,10 @@ const RobotSizeModal = ({ isOpen, robotConfig, onSave, unit = 'cm' }) => {
             onSave({
                 length: draft.length,
                 width: draft.width,
-                wheelOffset: draft.wheelOffset
+                wheelOffset: draft.wheelOffset,
+                wheelDiameter: draft.wheelDiameter,
+                trackWidth: draft.trackWidth,
+                gearRatio: draft.gearRatio
             });
         }
     };
@@ -121,6 +130,45 @@ const RobotSizeModal = ({ isOpen, robotConfig, onSave, unit = 'cm' }) => {
                         />
                         <span className="robot-modal-hint">Desde el frente del robot hasta el eje de las ruedas</span>
                     </label>
+
+                    <label className="robot-modal-field">
+                        <span className="robot-modal-label">Diámetro de rueda ({unit})</span>
+                        <input
+                            type="number"
+                            className="robot-modal-input"
+                            value={draft.wheelDiameter}
+                            min={0.1}
+                            step={0.1}
+                            onChange={(e) => handleChange('wheelDiameter', e.target.value)}
+                        />
+                        <span className="robot-modal-hint">Para convertir avances en grados de motor</span>
+                    </label>
+
+                    <label className="robot-modal-field">
+                        <span className="robot-modal-label">Distancia entre ruedas ({unit})</span>
+                        <input
+                            type="number"
+                            className="robot-modal-input"
+                            value={draft.trackWidth}
+                            min={0.1}
+                            step={0.1}
+                            onChange={(e) => handleChange('trackWidth', e.target.value)}
+                        />
+                        <span className="robot-modal-hint">Entre los puntos de contacto de ambas ruedas motrices</span>
+                    </label>
+
+                    <label className="robot-modal-field">
+                        <span className="robot-modal-label">Relación de engranajes</span>
+                        <input
+                            type="number"
+                            className="robot-modal-input"
+                            value={draft.gearRatio}
+                            min={0.1}
+                            step={0.1}
+                            onChange={(e) => handleChange('gearRatio', e.target.value)}
+                        />
+                        <span className="robot-modal-hint">Vueltas del motor por cada vuelta de la rueda (1 = directo)</span>
+                    </label>
                 </div>
 
                 {/* Actions */}
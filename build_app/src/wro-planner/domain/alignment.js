@@ -0,0 +1,356 @@
+/**
+ * alignment.js
+ * Alignment actions: the robot drives against a reference to cancel the error
+ * it has accumulated (see driftSimulation.js).
+ * - wallBack: reverse until the back of the robot touches the reference
+ *   (the distance to it is reset, the heading is kept)
+ * - wallSquare: reverse into the reference and keep pushing until the back is
+ *   flush with it (distance and heading are reset)
+ * - lineAlign: drive forward until the line sensor (at the front of the robot)
+ *   reaches the reference; with `square` two sensors also reset the heading
+ *
+ * References are the field walls or an obstacle edge: 'auto' takes the first
+ * one in the way, 'top' / 'right' / 'bottom' / 'left' a given wall and
+ * 'obstacle' the obstacle `obstacleId`.
+ *
+ * Storage: like attachments (attachments.js) they run after the robot reaches a
+ * waypoint, so they live in `point.attachments` / `section.startAttachments`
+ * and are re-emitted in order inside `section.actions`.
+ *
+ * Action shape: { type: 'align', mode, reference, obstacleId, square, speed, duration, forward, lateral, angle }
+ * - speed: drive speed (mm/s); duration: time pushing against the wall (ms, wallSquare)
+ * - forward / lateral / angle: the resulting motion in the robot frame (working
+ *   unit, degrees; lateral positive = right), refreshed whenever the section is
+ *   laid out so poses can be replayed without the field (geometry.advancePose)
+ * Route instructions use type 'ALIGN' with the same fields plus value (distance
+ * driven), contact (a reference was found) and contactId (obstacle touched).
+ */
+
+import { DEG2RAD, RAD2DEG } from "./constants";
+
+export const ALIGNMENT_MODES = {
+    wallBack: { label: 'Retroceder hasta el muro', short: 'MURO', icon: '⇤' },
+    wallSquare: { label: 'Cuadrar contra el muro', short: 'CUADRAR', icon: '⊥' },
+    lineAlign: { label: 'Avanzar hasta la línea', short: 'LÍNEA', icon: '┅' }
+};
+
+export const ALIGNMENT_REFERENCES = {
+    auto: 'Lo primero que encuentre',
+    top: 'Muro superior',
+    right: 'Muro derecho',
+    bottom: 'Muro inferior',
+    left: 'Muro izquierdo',
+    obstacle: 'Obstáculo'
+};
+
+// Tolerance for parallel rays and segment ends
+const EPSILON = 1e-6;
+
+/**
+ * Default action for a new alignment.
+ * @param {'wallBack'|'wallSquare'|'lineAlign'} mode
+ * @returns {Object}
+ */
+export const createAlignmentAction = (mode) => ({
+    type: 'align',
+    mode: mode in ALIGNMENT_MODES ? mode : 'wallSquare',
+    reference: 'auto',
+    obstacleId: null,
+    square: false,
+    speed: 100,
+    duration: mode === 'wallSquare' ? 500 : 0,
+    forward: 0,
+    lateral: 0,
+    angle: 0
+});
+
+/**
+ * Whether an action or instruction is an alignment.
+ * @param {{type: string}} step
+ * @returns {boolean}
+ */
+export const isAlignmentAction = (step) => Boolean(step) && (step.type === 'align' || step.type === 'ALIGN');
+
+// Reference edges {a, b, n}: n is the unit normal towards the free side
+const wallEdges = (width, height) => ({
+    top: { a: { x: 0, y: 0 }, b: { x: width, y: 0 }, n: { x: 0, y: 1 } },
+    right: { a: { x: width, y: 0 }, b: { x: width, y: height }, n: { x: -1, y: 0 } },
+    bottom: { a: { x: width, y: height }, b: { x: 0, y: height }, n: { x: 0, y: -1 } },
+    left: { a: { x: 0, y: height }, b: { x: 0, y: 0 }, n: { x: 1, y: 0 } }
+});
+
+const obstacleEdges = (obs) => {
+    const rad = (obs.rotation || 0) * DEG2RAD;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+        const lx = sx * obs.w / 2;
+        const ly = sy * obs.h / 2;
+        return { x: obs.x + lx * cos - ly * sin, y: obs.y + lx * sin + ly * cos };
+    });
+    return corners.map((a, i) => {
+        const b = corners[(i + 1) % 4];
+        const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        // Corners run clockwise on the canvas, so the outward normal is the edge turned left
+        return { a, b, n: { x: (b.y - a.y) / len, y: -(b.x - a.x) / len }, obstacleId: obs.id };
+    });
+};
+
+const referenceEdges = (action, field) => {
+    const walls = wallEdges(field.width, field.height);
+    if (action.reference in walls) return [walls[action.reference]];
+    const obstacles = field.obstacles || [];
+    if (action.reference === 'obstacle') {
+        const obs = obstacles.find(o => o.id === action.obstacleId);
+        return obs ? obstacleEdges(obs) : [];
+    }
+    return [...Object.values(walls), ...obstacles.flatMap(obstacleEdges)];
+};
+
+// Distance along dir from p to segment ab (Infinity when the ray misses it)
+const raySegment = (p, dir, a, b) => {
+    const ex = b.x - a.x;
+    const ey = b.y - a.y;
+    const denom = dir.x * ey - dir.y * ex;
+    if (Math.abs(denom) < EPSILON) return Infinity;
+    const qx = a.x - p.x;
+    const qy = a.y - p.y;
+    const t = (qx * ey - qy * ex) / denom;
+    const u = (qx * dir.y - qy * dir.x) / denom;
+    return t >= -EPSILON && u >= -EPSILON && u <= 1 + EPSILON ? Math.max(0, t) : Infinity;
+};
+
+/**
+ * First edge a face of the robot (segment c1-c2, or a point when c1 = c2)
+ * meets while translating along dir.
+ * @returns {{distance: number, edge: Object}|null}
+ */
+const firstContact = (c1, c2, dir, edges) => {
+    let best = null;
+    for (const edge of edges) {
+        // Only surfaces the robot drives into
+        if (edge.n.x * dir.x + edge.n.y * dir.y >= -EPSILON) continue;
+        const back = { x: -dir.x, y: -dir.y };
+        const distance = Math.min(
+            raySegment(c1, dir, edge.a, edge.b),
+            raySegment(c2, dir, edge.a, edge.b),
+            raySegment(edge.a, back, c1, c2),
+            raySegment(edge.b, back, c1, c2)
+        );
+        if (distance < Infinity && (!best || distance < best.distance)) best = { distance, edge };
+    }
+    return best;
+};
+
+/**
+ * Pose after an alignment, found against the field.
+ * @param {{x: number, y: number, theta: number}} pose - Wheel axis before the alignment
+ * @param {Object} action - Alignment action or instruction
+ * @param {Object} field - The field in the units of the pose:
+ *   { width, height, obstacles, robot: {width, length, wheelOffset} }
+ * @returns {{pose: Object, forward: number, lateral: number, angle: number, travel: number,
+ *   contact: boolean, contactId: string|null}} forward / lateral / travel in pose units, angle in degrees
+ */
+export const resolveAlignment = (pose, action, field) => {
+    const { robot } = field;
+    const front = robot.wheelOffset ?? robot.length / 2;
+    const back = robot.length - front;
+    const h = { x: Math.cos(pose.theta), y: Math.sin(pose.theta) };
+    const r = { x: -h.y, y: h.x };
+    const edges = referenceEdges(action, field);
+
+    let contact;
+    let target;
+    if (action.mode === 'lineAlign') {
+        const sensor = { x: pose.x + h.x * front, y: pose.y + h.y * front };
+        contact = firstContact(sensor, sensor, h, edges);
+        if (contact) {
+            const { edge, distance } = contact;
+            target = { x: pose.x + h.x * distance, y: pose.y + h.y * distance, theta: pose.theta };
+            if (action.square) {
+                // Both sensors on the line: facing it, the sensor midpoint on the line
+                const ex = edge.b.x - edge.a.x;
+                const ey = edge.b.y - edge.a.y;
+                const len = Math.hypot(ex, ey) || 1;
+                const along = ((target.x - edge.a.x) * ex + (target.y - edge.a.y) * ey) / len;
+                target = {
+                    x: edge.a.x + ex / len * along + edge.n.x * front,
+                    y: edge.a.y + ey / len * along + edge.n.y * front,
+                    theta: Math.atan2(-edge.n.y, -edge.n.x)
+                };
+            }
+        }
+    } else {
+        const dir = { x: -h.x, y: -h.y };
+        const center = { x: pose.x - h.x * back, y: pose.y - h.y * back };
+        const halfW = robot.width / 2;
+        contact = firstContact(
+            { x: center.x + r.x * halfW, y: center.y + r.y * halfW },
+            { x: center.x - r.x * halfW, y: center.y - r.y * halfW },
+            dir,
+            edges
+        );
+        if (contact) {
+            const { edge, distance } = contact;
+            target = { x: pose.x + dir.x * distance, y: pose.y + dir.y * distance, theta: pose.theta };
+            if (action.mode === 'wallSquare') {
+                // Back flush with the edge, facing away from it; the robot keeps its place along the edge
+                const ex = edge.b.x - edge.a.x;
+                const ey = edge.b.y - edge.a.y;
+                const len = Math.hypot(ex, ey) || 1;
+                const along = ((target.x - edge.a.x) * ex + (target.y - edge.a.y) * ey) / len;
+                target = {
+                    x: edge.a.x + ex / len * along + edge.n.x * back,
+                    y: edge.a.y + ey / len * along + edge.n.y * back,
+                    theta: Math.atan2(edge.n.y, edge.n.x)
+                };
+            }
+        }
+    }
+
+    if (!target) {
+        return { pose: { ...pose }, forward: 0, lateral: 0, angle: 0, travel: 0, contact: false, contactId: null };
+    }
+    const dx = target.x - pose.x;
+    const dy = target.y - pose.y;
+    let angle = (target.theta - pose.theta) * RAD2DEG;
+    angle -= 360 * Math.round(angle / 360);
+    return {
+        pose: target,
+        forward: dx * h.x + dy * h.y,
+        lateral: dx * r.x + dy * r.y,
+        angle,
+        travel: Math.hypot(dx, dy),
+        contact: true,
+        contactId: contact.edge.obstacleId ?? null
+    };
+};
+
+/**
+ * Replays the stored result of an alignment (forward / lateral / angle).
+ * @param {{x: number, y: number, theta: number}} pose
+ * @param {Object} action
+ * @param {(val: number) => number} unitToPx
+ * @returns {{x: number, y: number, theta: number}}
+ */
+export const applyAlignment = (pose, action, unitToPx) => {
+    const forward = unitToPx(action.forward || 0);
+    const lateral = unitToPx(action.lateral || 0);
+    const cos = Math.cos(pose.theta);
+    const sin = Math.sin(pose.theta);
+    return {
+        x: pose.x + cos * forward - sin * lateral,
+        y: pose.y + sin * forward + cos * lateral,
+        theta: pose.theta + (action.angle || 0) * DEG2RAD
+    };
+};
+
+/**
+ * The stored result of an alignment in the shape of resolveAlignment, for
+ * callers without the field.
+ * @param {{x: number, y: number, theta: number}} pose
+ * @param {Object} action
+ * @param {(val: number) => number} unitToPx
+ * @returns {Object}
+ */
+export const storedAlignment = (pose, action, unitToPx) => {
+    const forward = unitToPx(action.forward || 0);
+    const lateral = unitToPx(action.lateral || 0);
+    return {
+        pose: applyAlignment(pose, action, unitToPx),
+        forward,
+        lateral,
+        angle: action.angle || 0,
+        travel: Math.hypot(forward, lateral),
+        contact: action.contact ?? true,
+        contactId: action.contactId ?? null
+    };
+};
+
+/**
+ * Alignment that undoes another one (reverse playback): the same motion
+ * seen from the end pose, backwards.
+ * @param {Object} action
+ * @returns {Object}
+ */
+export const reverseAlignment = (action) => {
+    const rad = (action.angle || 0) * DEG2RAD;
+    const forward = action.forward || 0;
+    const lateral = action.lateral || 0;
+    return {
+        ...action,
+        forward: -(forward * Math.cos(rad) + lateral * Math.sin(rad)),
+        lateral: -(lateral * Math.cos(rad) - forward * Math.sin(rad)),
+        angle: -(action.angle || 0)
+    };
+};
+
+/**
+ * The action with its result stored (see resolveAlignment).
+ * @param {Object} action
+ * @param {Object} resolved - resolveAlignment result
+ * @param {(px: number) => number} pxToUnit
+ * @returns {Object}
+ */
+export const withAlignmentResult = (action, resolved, pxToUnit) => ({
+    ...action,
+    forward: Number(pxToUnit(resolved.forward).toFixed(2)),
+    lateral: Number(pxToUnit(resolved.lateral).toFixed(2)),
+    angle: Number(resolved.angle.toFixed(2))
+});
+
+/**
+ * Route instruction for an alignment.
+ * @param {Object} action
+ * @param {Object} resolved - resolveAlignment result (pose units)
+ * @param {number} pixelsPerUnit
+ * @param {Object} context - { sectionId, waypointId }
+ * @returns {Object}
+ */
+export const alignmentToInstruction = (action, resolved, pixelsPerUnit, context) => ({
+    ...withAlignmentResult(action, resolved, (px) => px / pixelsPerUnit),
+    type: 'ALIGN',
+    value: Number((resolved.travel / pixelsPerUnit).toFixed(2)),
+    contact: resolved.contact,
+    contactId: resolved.contactId,
+    ...context
+});
+
+/**
+ * Playback action for an alignment instruction (keeps `value` for its duration).
+ * @param {Object} instr
+ * @returns {Object}
+ */
+export const instructionToAlignment = (instr) => ({ ...instr, type: 'align' });
+
+/**
+ * Duration of an alignment in seconds: the drive at its speed plus the push against the wall.
+ * @param {Object} step - Alignment action or instruction (distances in the working unit)
+ * @param {'cm'|'mm'} unit
+ * @returns {number}
+ */
+export const alignmentDuration = (step, unit = 'cm') => {
+    const toMm = unit === 'cm' ? 10 : 1;
+    const travel = step.value ?? Math.hypot(step.forward || 0, step.lateral || 0);
+    const drive = step.speed > 0 ? (travel * toMm) / step.speed : 0;
+    return drive + (step.mode === 'wallSquare' ? Math.max(0, step.duration || 0) / 1000 : 0);
+};
+
+/**
+ * Short Spanish description for lists and canvas labels.
+ * @param {Object} step - Alignment action or instruction
+ * @param {Array} [obstacles] - To name the reference obstacle
+ * @returns {string}
+ */
+export const describeAlignment = (step, obstacles = []) => {
+    const mode = ALIGNMENT_MODES[step.mode]?.label ?? 'Alinear';
+    let reference = ALIGNMENT_REFERENCES[step.reference] ?? ALIGNMENT_REFERENCES.auto;
+    if (step.reference === 'obstacle') {
+        const obs = obstacles.find(o => o.id === step.obstacleId);
+        reference = obs ? (obs.label || 'obstáculo') : 'obstáculo eliminado';
+    } else if (step.reference === 'auto') {
+        reference = null;
+    }
+    const square = step.mode === 'lineAlign' && step.square ? ' (dos sensores)' : '';
+    return `${mode}${square}${reference ? ` · ${reference}` : ''}`;
+};
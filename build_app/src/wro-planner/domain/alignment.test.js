@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Unit tests for alignment.js
+ *
+ * Run with: node src/wro-planner/domain/alignment.test.js
+ *
+ * These tests verify the pose after an alignment:
+ * - Reversing into a wall, with and without squaring
+ * - Driving to a line, with one or two sensors
+ * - The reference chosen: a given wall, an obstacle or the first one in the way
+ * - Replaying the stored result without the field
+ */
+
+import { test, assertEqual, assertApprox, assertTrue, summary } from './testHarness.js';
+
+const { createAlignmentAction, resolveAlignment, applyAlignment, withAlignmentResult } = await import('./alignment.js');
+
+const DEG = Math.PI / 180;
+
+// 100 wide, 200 long, wheel axis 150 behind the front: the back is 50 behind the axis
+const robot = { width: 100, length: 200, wheelOffset: 150 };
+const tower = { id: 'obs_t', x: 1000, y: 500, w: 100, h: 300, rotation: 0 }; // left face at x = 950
+const post = { id: 'obs_p', x: 300, y: 500, w: 100, h: 100, rotation: 0 }; // right face at x = 350
+const field = (obstacles = []) => ({ width: 2000, height: 1000, obstacles, robot });
+
+const align = (mode, extra = {}) => ({ ...createAlignmentAction(mode), ...extra });
+const facingEast = { x: 500, y: 500, theta: 0 };
+const tilted = { x: 500, y: 500, theta: 10 * DEG };
+
+const assertPose = (actual, expected, message) => {
+    assertApprox(actual.x, expected.x, 1e-6, `${message}: x`);
+    assertApprox(actual.y, expected.y, 1e-6, `${message}: y`);
+    assertApprox(actual.theta, expected.theta, 1e-9, `${message}: heading`);
+};
+
+// =====================================================================
+// WALLS
+// =====================================================================
+
+test('Test 1: Reverse into a wall');
+{
+    const cases = [
+        // [pose, action, pose after, description]
+        [facingEast, align('wallBack'), { x: 50, y: 500, theta: 0 }, 'Facing east: back against the left wall'],
+        [{ x: 500, y: 500, theta: 90 * DEG }, align('wallBack'), { x: 500, y: 50, theta: 90 * DEG }, 'Facing down: back against the top wall'],
+        [{ x: 500, y: 500, theta: 180 * DEG }, align('wallBack', { reference: 'right' }), { x: 1950, y: 500, theta: 180 * DEG }, 'Given wall behind'],
+        [facingEast, align('wallSquare'), { x: 50, y: 500, theta: 0 }, 'Square when already square: same as reversing']
+    ];
+    cases.forEach(([pose, action, expected, message]) => assertPose(resolveAlignment(pose, action, field()).pose, expected, message));
+
+    const result = resolveAlignment(facingEast, align('wallBack'), field());
+    assertEqual([result.forward, result.lateral, result.angle, result.travel], [-450, 0, 0, 450], 'Motion in the robot frame');
+    assertEqual([result.contact, result.contactId], [true, null], 'Contact with a wall');
+}
+
+test('Test 2: Squaring against a wall');
+{
+    const kept = resolveAlignment(tilted, align('wallBack'), field());
+    assertApprox(kept.pose.theta, 10 * DEG, 1e-9, 'Reversing keeps the 10° tilt');
+
+    const squared = resolveAlignment(tilted, align('wallSquare'), field());
+    assertApprox(squared.pose.x, 50, 1e-6, 'Back flush with the left wall');
+    assertApprox(squared.pose.theta, 0, 1e-9, 'Heading reset to face away from the wall');
+    assertApprox(squared.angle, -10, 1e-9, 'Turned back 10°');
+    assertApprox(squared.pose.y, kept.pose.y, 1e-6, 'Keeps its place along the wall');
+}
+
+// =====================================================================
+// LINES
+// =====================================================================
+
+test('Test 3: Drive to a line');
+{
+    // The sensor starts 150 ahead of the axis (x = 650) and stops on the tower face (x = 950)
+    const single = resolveAlignment(facingEast, align('lineAlign', { reference: 'obstacle', obstacleId: 'obs_t' }), field([tower]));
+    assertPose(single.pose, { x: 800, y: 500, theta: 0 }, 'Sensor on the tower face');
+    assertEqual([single.forward, single.contactId], [300, 'obs_t'], 'Drives 300 forward, contact with the tower');
+
+    const tiltedSingle = resolveAlignment(tilted, align('lineAlign', { reference: 'obstacle', obstacleId: 'obs_t' }), field([tower]));
+    assertApprox(tiltedSingle.pose.theta, 10 * DEG, 1e-9, 'One sensor keeps the tilt');
+    assertApprox(tiltedSingle.pose.x + 150 * Math.cos(10 * DEG), 950, 1e-6, 'Sensor on the face');
+
+    const double = resolveAlignment(tilted, align('lineAlign', { reference: 'obstacle', obstacleId: 'obs_t', square: true }), field([tower]));
+    assertApprox(double.pose.x, 800, 1e-6, 'Two sensors: sensor midpoint on the face');
+    assertApprox(double.pose.theta, 0, 1e-9, 'Two sensors: facing the face');
+    assertApprox(double.pose.y, tiltedSingle.pose.y, 1e-6, 'Keeps its place along the face');
+}
+
+// =====================================================================
+// REFERENCES
+// =====================================================================
+
+test('Test 4: Reference chosen');
+{
+    const auto = resolveAlignment(facingEast, align('wallBack'), field([post]));
+    assertPose(auto.pose, { x: 400, y: 500, theta: 0 }, "'auto': the post is in the way before the wall");
+    assertEqual(auto.contactId, 'obs_p', 'Contact with the post');
+
+    const wall = resolveAlignment(facingEast, align('wallBack', { reference: 'left' }), field([post]));
+    assertApprox(wall.pose.x, 50, 1e-6, "'left': the post is ignored");
+
+    const cases = [
+        [align('wallBack', { reference: 'right' }), 'Wall in front while reversing'],
+        [align('lineAlign', { reference: 'left' }), 'Wall behind while driving forward'],
+        [align('wallBack', { reference: 'obstacle', obstacleId: 'gone' }), 'Obstacle that no longer exists']
+    ];
+    cases.forEach(([action, message]) => {
+        const result = resolveAlignment(facingEast, action, field([post]));
+        assertTrue(!result.contact && result.pose.x === 500 && result.travel === 0, `${message}: no contact, pose kept`);
+    });
+}
+
+// =====================================================================
+// STORED RESULT
+// =====================================================================
+
+test('Test 5: Replay without the field');
+{
+    const resolved = resolveAlignment(tilted, align('wallSquare'), field());
+    // Stored in cm, replayed in mm
+    const stored = withAlignmentResult(align('wallSquare'), resolved, (mm) => mm / 10);
+    const replayed = applyAlignment(tilted, stored, (cm) => cm * 10);
+    // Stored values keep two decimals: 0.01 cm = 0.1 mm
+    assertApprox(replayed.x, resolved.pose.x, 0.1, 'Stored motion gives the same x');
+    assertApprox(replayed.y, resolved.pose.y, 0.1, 'and the same y');
+    assertApprox(replayed.theta, resolved.pose.theta, 0.01 * DEG, 'and the same heading');
+}
+
+summary();
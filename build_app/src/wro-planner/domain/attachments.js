@@ -0,0 +1,154 @@
+/**
+ * attachments.js
+ * Non-motion actions in the section timeline: attachment (medium) motors,
+ * waits and beeps/markers.
+ *
+ * Storage: an attachment runs after the robot reaches a waypoint, so it is kept
+ * in `point.attachments`. Attachments placed before the first movement of a
+ * section live in `section.startAttachments`. Both are re-emitted in order
+ * inside `section.actions` (see geometry.buildActionsFromPolyline).
+ *
+ * Action shapes (section.actions / playback actions):
+ * - { type: 'motorAngle', motor, angle, speed }  run to an absolute angle (deg) at speed (°/s)
+ * - { type: 'motorTime', motor, duration, speed } run for duration (ms), negative speed = backwards
+ * - { type: 'wait', duration }                     pause (ms)
+ * - { type: 'beep', label, duration }              beep (ms) and marker label
+ *
+ * Route instructions use the same fields with the upper-case types
+ * MOTOR_ANGLE, MOTOR_TIME, WAIT and BEEP.
+ *
+ * Alignment actions (alignment.js) are stored the same way but move the robot.
+ */
+
+import { isAlignmentAction } from "./alignment";
+
+/** Attachment motors available in the planner (exporters map them to ports) */
+export const ATTACHMENT_MOTORS = [1, 2];
+
+export const ATTACHMENT_TYPES = {
+    motorAngle: { instruction: 'MOTOR_ANGLE', label: 'Motor a ángulo', icon: '⟳' },
+    motorTime: { instruction: 'MOTOR_TIME', label: 'Motor por tiempo', icon: '⏱' },
+    wait: { instruction: 'WAIT', label: 'Esperar', icon: '⏸' },
+    beep: { instruction: 'BEEP', label: 'Pitido / marca', icon: '♪' }
+};
+
+const INSTRUCTION_TO_ACTION = Object.fromEntries(
+    Object.entries(ATTACHMENT_TYPES).map(([type, meta]) => [meta.instruction, type])
+);
+
+/**
+ * Default action for a new attachment of the given type.
+ * @param {'motorAngle'|'motorTime'|'wait'|'beep'} type
+ * @returns {Object}
+ */
+export const createAttachmentAction = (type) => {
+    switch (type) {
+        case 'motorAngle': return { type, motor: 1, angle: 90, speed: 300 };
+        case 'motorTime': return { type, motor: 1, duration: 1000, speed: 300 };
+        case 'beep': return { type, label: '', duration: 200 };
+        default: return { type: 'wait', duration: 500 };
+    }
+};
+
+/**
+ * Whether an action or instruction is an attachment (no robot movement).
+ * @param {{type: string}} step
+ * @returns {boolean}
+ */
+export const isAttachmentAction = (step) => (
+    Boolean(step) && (step.type in ATTACHMENT_TYPES || step.type in INSTRUCTION_TO_ACTION)
+);
+
+/**
+ * Action type of an attachment action or instruction ('MOTOR_ANGLE' -> 'motorAngle').
+ * @param {{type: string}} step
+ * @returns {string|null}
+ */
+export const getAttachmentType = (step) => {
+    if (!step) return null;
+    if (step.type in ATTACHMENT_TYPES) return step.type;
+    return INSTRUCTION_TO_ACTION[step.type] ?? null;
+};
+
+/**
+ * Route instruction for an attachment action.
+ * @param {Object} action
+ * @param {Object} context - { sectionId, waypointId }
+ * @returns {Object}
+ */
+export const attachmentToInstruction = ({ type, ...fields }, context) => ({
+    type: ATTACHMENT_TYPES[type].instruction,
+    ...fields,
+    ...context
+});
+
+/**
+ * Playback action for an attachment instruction (inverse of attachmentToInstruction).
+ * @param {Object} instr
+ * @returns {Object}
+ */
+export const instructionToAttachment = ({ type, ...fields }) => ({
+    type: INSTRUCTION_TO_ACTION[type],
+    ...fields
+});
+
+/**
+ * Attachments and alignments placed before the first movement (move/arc) or turn of an
+ * action list. The ones after a leading turn belong to the waypoint that keeps the turn
+ * (see geometry.pointsFromActions).
+ * @param {Array} actions
+ * @returns {Array}
+ */
+export const leadingAttachments = (actions = []) => {
+    const leading = [];
+    for (const a of actions) {
+        if (a.type === 'move' || a.type === 'arc' || a.type === 'rotate') break;
+        if (isAttachmentAction(a) || isAlignmentAction(a)) leading.push(a);
+    }
+    return leading;
+};
+
+/**
+ * Sets `travel` (degrees the motor actually turns) on every run-to-angle step,
+ * following each motor's position along the list. Motors start at 0°.
+ * @param {Array} steps - Actions or instructions in run order
+ * @returns {Array} New list
+ */
+export const annotateMotorTravel = (steps = []) => {
+    const positions = {};
+    return steps.map(step => {
+        if (getAttachmentType(step) !== 'motorAngle') return step;
+        const from = positions[step.motor] ?? 0;
+        positions[step.motor] = step.angle;
+        return { ...step, travel: Math.abs(step.angle - from) };
+    });
+};
+
+/**
+ * Duration of an attachment step in seconds (constant speed, no settle pause).
+ * Run-to-angle uses `travel` when annotated, otherwise the target angle from 0°.
+ * @param {Object} step - Attachment action or instruction
+ * @returns {number}
+ */
+export const attachmentDuration = (step) => {
+    if (getAttachmentType(step) === 'motorAngle') {
+        const speed = Math.abs(step.speed);
+        return speed > 0 ? Math.abs(step.travel ?? step.angle) / speed : 0;
+    }
+    return Math.max(0, step.duration || 0) / 1000;
+};
+
+/**
+ * Short Spanish description for lists and canvas labels.
+ * @param {Object} step - Attachment action or instruction
+ * @returns {string}
+ */
+export const describeAttachment = (step) => {
+    switch (getAttachmentType(step)) {
+        case 'motorAngle': return `Motor ${step.motor} → ${step.angle}° a ${Math.abs(step.speed)}°/s`;
+        case 'motorTime': return `Motor ${step.motor} ${step.duration} ms a ${step.speed}°/s`;
+        case 'beep': return step.label ? `♪ ${step.label}` : `Pitido ${step.duration} ms`;
+        case 'wait': return `Esperar ${step.duration} ms`;
+        default: return '';
+    }
+};
@@ -2,9 +2,13 @@
  * collision.js
  * Collision detection module for WRO Planner.
  * Uses Determinant method for robust Segment-vs-Segment intersection.
- * Implements "Thick Line" (Triple Line) check for physical robot width.
+ * The robot body is its real rectangle (offset by wheelOffset from the wheel
+ * axis): drives and turns sweep it into convex pieces that are tested against
+ * the obstacles with the Separating Axis Theorem.
  */
 
+import { arcPose } from "./geometry";
+
 // Epsilon for floating point comparison to handle edge cases
 const EPSILON = 0.000001;
 
@@ -58,73 +62,283 @@ export const checkIntersection = (p1, p2, obstacles, padding = 0) => {
     return false;
 };
 
+// Max heading change between footprint samples when sweeping turns and arcs (radians)
+const SWEEP_STEP = Math.PI / 36;
+
 /**
- * Check if a "Thick Path" (Robot Body) intersects with any obstacle.
- * Uses Triple Line method: Center, Left Edge, Right Edge.
- * @param {Object} p1 - Start point {x, y}
- * @param {Object} p2 - End point {x, y}
- * @param {number} width - Robot width (in pixels) // Or units? Caller should pass consistent unit, likely px.
- * @param {Array} obstacles - Array of obstacles
- * @param {number} padding - Optional padding (inflation) in pixels
- * @returns {boolean}
+ * Get the 4 corners of the robot body at a pose.
+ * The pose is the wheel axis: the body reaches wheelOffset ahead of it and
+ * length - wheelOffset behind it (same layout as the robot drawn on the canvas).
+ * @param {Object} pose - {x, y, theta} (theta = body heading in radians)
+ * @param {Object} robot - {width, length, wheelOffset} in the same units as the pose
+ * @returns {Array<{x: number, y: number}>}
  */
-export const checkPathCollision = (p1, p2, width, obstacles, padding = 0) => {
-    // 1. Check Center Line
-    if (checkIntersection(p1, p2, obstacles, padding)) return true;
+export const getRobotFootprint = (pose, robot) => {
+    const front = robot.wheelOffset ?? robot.length / 2;
+    const back = front - robot.length;
+    const halfW = robot.width / 2;
+    const cos = Math.cos(pose.theta || 0);
+    const sin = Math.sin(pose.theta || 0);
+
+    return [
+        { x: front, y: -halfW },
+        { x: front, y: halfW },
+        { x: back, y: halfW },
+        { x: back, y: -halfW }
+    ].map(p => ({
+        x: pose.x + (p.x * cos - p.y * sin),
+        y: pose.y + (p.x * sin + p.y * cos)
+    }));
+};
 
-    // Avoid calculation if points are same
-    if (Math.abs(p1.x - p2.x) < EPSILON && Math.abs(p1.y - p2.y) < EPSILON) {
-        // Just point check (already covered by center line check mostly, but robustly:)
-        return checkIntersection(p1, p2, obstacles, padding);
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+/**
+ * Convex hull of a point set (monotone chain), counter-clockwise.
+ */
+const convexHull = (points) => {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+
+    const lower = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    lower.pop();
+    upper.pop();
+    return lower.concat(upper);
+};
+
+/**
+ * Area swept by the robot body through a sequence of poses, as convex pieces:
+ * the hull of every pair of consecutive footprints.
+ * Exact for a straight drive (one piece). For turns and arcs the poses are
+ * SWEEP_STEP apart, so the true sweep only bulges out of the hulls by a
+ * fraction of a millimetre.
+ * @param {Array<Object>} poses - Poses {x, y, theta}
+ * @param {Object} robot - {width, length, wheelOffset}
+ * @returns {Array<Array<{x: number, y: number}>>}
+ */
+export const sweepFootprint = (poses, robot) => {
+    const footprints = poses.map(pose => getRobotFootprint(pose, robot));
+    if (footprints.length === 1) return footprints;
+
+    const pieces = [];
+    for (let i = 1; i < footprints.length; i++) {
+        pieces.push(convexHull([...footprints[i - 1], ...footprints[i]]));
     }
+    return pieces;
+};
+
+/**
+ * Swept area of a straight drive: the body keeps the heading of the start pose
+ * (forwards or backwards) while the wheel axis goes from `from` to `to`.
+ */
+export const sweepMove = (from, to, robot) => sweepFootprint([from, { x: to.x, y: to.y, theta: from.theta }], robot);
 
-    // 2. Calculate Offsets
-    // Vector V = P2 - P1
-    const dx = p2.x - p1.x;
-    const dy = p2.y - p1.y;
-    const len = Math.hypot(dx, dy);
+/**
+ * Swept area of a turn in place around the wheel axis.
+ * @param {Object} pose - Pose before the turn {x, y, theta}
+ * @param {number} angleRad - Heading change in radians (positive = clockwise)
+ */
+export const sweepTurn = (pose, angleRad, robot) => {
+    const steps = Math.max(1, Math.ceil(Math.abs(angleRad) / SWEEP_STEP));
+    const poses = [];
+    for (let i = 0; i <= steps; i++) {
+        poses.push({ x: pose.x, y: pose.y, theta: pose.theta + angleRad * i / steps });
+    }
+    return sweepFootprint(poses, robot);
+};
 
-    // Normal vector (-dy, dx) normalized
-    // Left normal (if Y is down? or up? checking both sides so sign mostly matters for consistency)
-    // Assume standard screen coords (Y down):
-    // V = (dx, dy). Normal = (-dy, dx).
-    const nx = -dy / len;
-    const ny = dx / len;
+/**
+ * Swept area of a curved drive (ARC).
+ * @param {Object} startPose - Pose at the start of the arc {x, y, theta}
+ * @param {number} distance - Arc length (negative = reverse)
+ * @param {number} sweepRad - Heading change in radians (positive = clockwise)
+ */
+export const sweepArc = (startPose, distance, sweepRad, robot) => {
+    const steps = Math.max(1, Math.ceil(Math.abs(sweepRad) / SWEEP_STEP));
+    const poses = [startPose];
+    for (let i = 1; i <= steps; i++) {
+        const f = i / steps;
+        poses.push(arcPose(startPose, distance * f, sweepRad * f));
+    }
+    return sweepFootprint(poses, robot);
+};
 
-    const halfWidth = width / 2;
-    const offX = nx * halfWidth;
-    const offY = ny * halfWidth;
+// Unit normals of the polygon edges (separating axis candidates)
+const edgeNormals = (poly) => {
+    const normals = [];
+    for (let i = 0; i < poly.length; i++) {
+        const a = poly[i];
+        const b = poly[(i + 1) % poly.length];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        if (len > EPSILON) normals.push({ x: -(b.y - a.y) / len, y: (b.x - a.x) / len });
+    }
+    return normals;
+};
 
-    // 3. Generate Parallel Lines
-    const leftP1 = { x: p1.x + offX, y: p1.y + offY };
-    const leftP2 = { x: p2.x + offX, y: p2.y + offY };
+const projectPolygon = (poly, axis) => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const p of poly) {
+        const d = p.x * axis.x + p.y * axis.y;
+        if (d < min) min = d;
+        if (d > max) max = d;
+    }
+    return { min, max };
+};
 
-    const rightP1 = { x: p1.x - offX, y: p1.y - offY };
-    const rightP2 = { x: p2.x - offX, y: p2.y - offY };
+// Gap between the projections on an axis (negative = they overlap by that much)
+const axisGap = (a, b, axis) => {
+    const pa = projectPolygon(a, axis);
+    const pb = projectPolygon(b, axis);
+    return Math.max(pb.min - pa.max, pa.min - pb.max);
+};
 
-    // 4. Check Parallel Lines
-    if (checkIntersection(leftP1, leftP2, obstacles, padding)) return true;
-    if (checkIntersection(rightP1, rightP2, obstacles, padding)) return true;
+const distPointToSegment = (p, a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    const t = lenSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq)) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
 
-    return false;
+const minVertexEdgeDistance = (a, b) => {
+    let min = Infinity;
+    for (const p of a) {
+        for (let i = 0; i < b.length; i++) {
+            min = Math.min(min, distPointToSegment(p, b[i], b[(i + 1) % b.length]));
+        }
+    }
+    return min;
 };
 
 /**
- * Check if the robot can rotate at a point without hitting obstacles (Circle collision)
+ * Separating Axis Theorem: do two convex polygons overlap (touching counts)?
+ * @param {Array<{x: number, y: number}>} a
+ * @param {Array<{x: number, y: number}>} b
+ * @returns {boolean}
+ */
+export const polygonsOverlap = (a, b) => {
+    for (const axis of [...edgeNormals(a), ...edgeNormals(b)]) {
+        if (axisGap(a, b, axis) > EPSILON) return false;
+    }
+    return true;
+};
+
+/**
+ * Signed distance between two convex polygons: the gap when they are apart,
+ * minus the penetration depth when they overlap.
+ * @returns {number}
+ */
+export const polygonDistance = (a, b) => {
+    let depth = Infinity;
+    for (const axis of [...edgeNormals(a), ...edgeNormals(b)]) {
+        const gap = axisGap(a, b, axis);
+        if (gap > 0) {
+            return Math.min(minVertexEdgeDistance(a, b), minVertexEdgeDistance(b, a));
+        }
+        depth = Math.min(depth, -gap);
+    }
+    return -depth;
+};
+
+/**
+ * Get the obstacle rectangle as a polygon, inflated by the padding
+ */
+const getObstaclePolygon = (obs, padding = 0) => getCorners(padding > 0
+    ? { ...obs, w: obs.w + padding * 2, h: obs.h + padding * 2 }
+    : obs);
+
+/**
+ * Check if a swept area (sweepMove / sweepTurn / sweepArc) hits any obstacle.
+ * @param {Array<Array<{x: number, y: number}>>} sweep - Convex pieces
+ * @param {Array} obstacles - Array of obstacles
+ * @param {number} padding - Optional padding (inflation)
+ * @returns {boolean}
+ */
+export const checkSweepCollision = (sweep, obstacles, padding = 0) => {
+    if (!obstacles || obstacles.length === 0) return false;
+
+    return obstacles.some(obs => {
+        const poly = getObstaclePolygon(obs, padding);
+        return sweep.some(piece => polygonsOverlap(piece, poly));
+    });
+};
+
+/**
+ * Clearance between a swept area and one obstacle (negative = overlap depth).
+ * @returns {number}
+ */
+export const sweepClearance = (sweep, obs) => {
+    const poly = getObstaclePolygon(obs);
+    return Math.min(...sweep.map(piece => polygonDistance(piece, poly)));
+};
+
+/**
+ * Check if a straight drive hits any obstacle (real robot footprint).
+ * @param {Object} from - Start pose {x, y, theta}; theta is the body heading
+ * @param {Object} to - End point {x, y}
+ * @param {Object} robot - {width, length, wheelOffset} in the same units as the points
+ * @param {Array} obstacles - Array of obstacles
+ * @param {number} padding - Optional padding (inflation)
+ * @returns {boolean}
+ */
+export const checkMoveCollision = (from, to, robot, obstacles, padding = 0) => (
+    checkSweepCollision(sweepMove(from, to, robot), obstacles, padding)
+);
+
+/**
+ * Check if a turn in place hits any obstacle (real robot footprint).
+ * @param {Object} pose - Pose before the turn {x, y, theta}
+ * @param {number} angleRad - Heading change in radians (positive = clockwise)
+ * @param {Object} robot - {width, length, wheelOffset}
+ * @param {Array} obstacles - Array of obstacles
+ * @param {number} padding - Optional padding (inflation)
+ * @returns {boolean}
+ */
+export const checkTurnCollision = (pose, angleRad, robot, obstacles, padding = 0) => (
+    checkSweepCollision(sweepTurn(pose, angleRad, robot), obstacles, padding)
+);
+
+/**
+ * Check if a curved drive (ARC) hits any obstacle (real robot footprint).
+ * @param {Object} startPose - Pose at the start of the arc {x, y, theta}
+ * @param {number} distance - Arc length (negative = reverse)
+ * @param {number} sweepRad - Heading change in radians (positive = clockwise)
+ * @param {Object} robot - {width, length, wheelOffset}
+ * @param {Array} obstacles - Array of obstacles
+ * @param {number} padding - Optional padding (inflation)
+ * @returns {boolean}
+ */
+export const checkArcCollision = (startPose, distance, sweepRad, robot, obstacles, padding = 0) => (
+    checkSweepCollision(sweepArc(startPose, distance, sweepRad, robot), obstacles, padding)
+);
+
+/**
+ * Check if the robot can spin a full turn at a point without hitting obstacles.
+ * For when the turn angle is not known yet: a full turn sweeps the circle
+ * through the body corner farthest from the wheel axis.
  * @param {Object} point - {x, y}
  * @param {Array} obstacles - Array of obstacles
- * @param {Object} robot - Robot config {width, length} (in generic units, function expects pixels or consistent units)
+ * @param {Object} robot - {width, length, wheelOffset}
  * @param {number} padding - Optional padding
  * @returns {boolean}
  */
 export const checkRotationCollision = (point, obstacles, robot, padding = 0) => {
     if (!obstacles || obstacles.length === 0) return false;
 
-    // Calculate rotation radius (hypotenuse of half-width/half-length)
-    // Assuming robot dimensions passed are already in pixels or consistent with point/obstacles
-    const halfW = (robot.width || 0) / 2;
-    const halfL = (robot.length || 0) / 2;
-    const radius = Math.hypot(halfW, halfL);
+    const front = robot.wheelOffset ?? robot.length / 2;
+    const reach = Math.max(Math.abs(front), Math.abs(robot.length - front));
+    const radius = Math.hypot(robot.width / 2, reach);
 
     for (const obs of obstacles) {
         // Inflate obstacle by padding
@@ -132,11 +346,8 @@ export const checkRotationCollision = (point, obstacles, robot, padding = 0) =>
             ? { ...obs, w: obs.w + padding * 2, h: obs.h + padding * 2 }
             : obs;
 
-        // Check distance from point to rotated rectangle
-        const dist = distPointToRotatedRect(point, effectiveObs);
-
         // If distance is 0 (inside) or less than radius, collision!
-        if (dist < radius) return true;
+        if (distPointToRotatedRect(point, effectiveObs) < radius) return true;
     }
     return false;
 };
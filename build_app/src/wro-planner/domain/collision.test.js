@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Unit tests for collision.js
+ *
+ * Run with: node src/wro-planner/domain/collision.test.js
+ *
+ * These tests verify the swept robot footprint against obstacles:
+ * - Straight drives that hit or miss an obstacle
+ * - Corner grazes (body edge or corner clipping an obstacle)
+ * - Turns in place next to a wall
+ * - Obstacle padding
+ */
+
+import { test, assertTrue, assertEqual, summary } from './testHarness.js';
+
+const {
+    getRobotFootprint,
+    checkMoveCollision,
+    checkTurnCollision,
+    checkRotationCollision,
+    checkIntersection
+} = await import('./collision.js');
+
+const DEG = Math.PI / 180;
+
+// 10 wide, 20 long, wheel axis in the middle: the body spans x -10..10, y -5..5 at the origin
+const robot = { width: 10, length: 20, wheelOffset: 10 };
+const start = { x: 0, y: 0, theta: 0 };
+const end = { x: 100, y: 0 };
+
+// Axis-aligned box from its edges
+const box = (left, top, right, bottom) => ({ x: (left + right) / 2, y: (top + bottom) / 2, w: right - left, h: bottom - top, rotation: 0 });
+
+// =====================================================================
+// FOOTPRINT
+// =====================================================================
+
+test('Test 1: Footprint corners');
+{
+    const corners = getRobotFootprint({ x: 0, y: 0, theta: 90 * DEG }, robot);
+    const ys = corners.map(c => c.y);
+    const xs = corners.map(c => c.x);
+    assertEqual(Math.max(...ys), 10, 'Heading 90°: front reaches y = 10');
+    assertEqual(Math.min(...ys), -10, 'Heading 90°: back reaches y = -10');
+    assertEqual(Math.max(...xs), 5, 'Heading 90°: half the width on each side');
+
+    const offset = getRobotFootprint(start, { width: 10, length: 20, wheelOffset: 15 });
+    assertEqual(Math.max(...offset.map(c => c.x)), 15, 'wheelOffset moves the front ahead of the axis');
+    assertEqual(Math.min(...offset.map(c => c.x)), -5, 'and the back closer to it');
+}
+
+// =====================================================================
+// STRAIGHT SWEEP
+// =====================================================================
+
+test('Test 2: Straight sweep hit and miss');
+{
+    assertTrue(checkMoveCollision(start, end, robot, [box(45, -5, 55, 5)]), 'Obstacle on the path is hit');
+    assertTrue(!checkMoveCollision(start, end, robot, [box(45, 20, 55, 30)]), 'Obstacle 15 beside the path is missed');
+    assertTrue(!checkMoveCollision(start, end, robot, [box(115, -5, 125, 5)]), 'Obstacle 5 past the front at the end is missed');
+    assertTrue(checkMoveCollision(start, end, robot, [box(105, -5, 115, 5)]), 'Obstacle the front reaches at the end is hit');
+    assertTrue(!checkMoveCollision(start, end, robot, []), 'No obstacles, no collision');
+
+    // The centre line misses, the body does not
+    const beside = box(45, 3, 55, 13);
+    assertTrue(!checkIntersection(start, end, [beside]), 'Centre-line check misses an obstacle beside the axis');
+    assertTrue(checkMoveCollision(start, end, robot, [beside]), 'Footprint sweep hits it');
+}
+
+// =====================================================================
+// CORNER GRAZE
+// =====================================================================
+
+test('Test 3: Corner graze');
+{
+    // Box edge 1 inside / outside the side of the body (y = 5)
+    assertTrue(checkMoveCollision(start, end, robot, [box(60, 4, 70, 14)]), 'Side of the body grazes a box 1 deep');
+    assertTrue(!checkMoveCollision(start, end, robot, [box(60, 6, 70, 16)]), 'Box 1 away from the side is missed');
+
+    // Box turned 45°: only its corner points at the path
+    const halfDiagonal = Math.hypot(5, 5);
+    const diamond = (cornerY) => ({ x: 50, y: cornerY + halfDiagonal, w: 10, h: 10, rotation: 45 });
+    assertTrue(checkMoveCollision(start, end, robot, [diamond(4)]), 'Rotated box corner 1 inside the sweep is hit');
+    assertTrue(!checkMoveCollision(start, end, robot, [diamond(6)]), 'Rotated box corner 1 outside the sweep is missed');
+
+    // Body corner at the end of a diagonal drive
+    const diagonalEnd = { x: 50, y: 50 };
+    const heading = { ...start, theta: 45 * DEG };
+    const frontCorner = getRobotFootprint({ ...diagonalEnd, theta: 45 * DEG }, robot)
+        .reduce((best, c) => (c.x > best.x ? c : best));
+    assertTrue(checkMoveCollision(heading, diagonalEnd, robot, [box(frontCorner.x - 1, frontCorner.y - 5, frontCorner.x + 9, frontCorner.y + 5)]),
+        'Body corner reaching 1 into a box is hit');
+    assertTrue(!checkMoveCollision(heading, diagonalEnd, robot, [box(frontCorner.x + 1, frontCorner.y - 5, frontCorner.x + 11, frontCorner.y + 5)]),
+        'Box 1 past the body corner is missed');
+}
+
+// =====================================================================
+// ROTATION IN PLACE NEAR A WALL
+// =====================================================================
+
+test('Test 4: Rotation in place near a wall');
+{
+    // Wall whose near face is 8 from the wheel axis: the body (y up to 5) fits, a quarter turn (y up to 10) does not
+    const wall = box(-100, 8, 100, 20);
+    assertTrue(!checkMoveCollision(start, { x: 0, y: 0 }, robot, [wall]), 'Robot at rest clears the wall');
+    assertTrue(!checkTurnCollision(start, 10 * DEG, robot, [wall]), 'A 10° turn clears the wall');
+    assertTrue(checkTurnCollision(start, 90 * DEG, robot, [wall]), 'A 90° turn swings the front into the wall');
+    assertTrue(checkTurnCollision(start, -90 * DEG, robot, [wall]), 'A -90° turn swings the back into the wall');
+    assertTrue(checkRotationCollision({ x: 0, y: 0 }, [wall], robot), 'A full spin does not fit');
+
+    // Farthest corner is hypot(5, 10) ≈ 11.18 from the axis
+    const farWall = box(-100, 11.5, 100, 20);
+    assertTrue(!checkTurnCollision(start, 180 * DEG, robot, [farWall]), 'A half turn clears a wall 11.5 away');
+    assertTrue(!checkRotationCollision({ x: 0, y: 0 }, [farWall], robot), 'A full spin fits');
+}
+
+// =====================================================================
+// PADDING
+// =====================================================================
+
+test('Test 5: Padding');
+{
+    const beside = box(45, 20, 55, 30); // 15 from the side of the body
+    assertTrue(!checkMoveCollision(start, end, robot, [beside], 10), 'Padding 10 still misses a 15 gap');
+    assertTrue(checkMoveCollision(start, end, robot, [beside], 20), 'Padding 20 closes a 15 gap');
+
+    const wall = box(-100, 11.5, 100, 20);
+    assertTrue(!checkTurnCollision(start, 90 * DEG, robot, [wall]), 'Quarter turn clears the wall without padding');
+    assertTrue(checkTurnCollision(start, 90 * DEG, robot, [wall], 2), 'Padding 2 makes the quarter turn hit it');
+    assertTrue(checkRotationCollision({ x: 0, y: 0 }, [wall], robot, 1), 'Padding 1 makes the full spin hit it');
+}
+
+summary();
@@ -8,15 +8,46 @@ export const uid = (p = "id") => `${p}_${Math.random().toString(36).slice(2, 9)}
 export const MAT_MM = { w: 2362, h: 1143 };
 export const MAT_CM = { w: MAT_MM.w / 10, h: MAT_MM.h / 10 };
 
+/**
+ * Approximate field elements per mat (mm, field coordinates, origin top-left).
+ * They are not the official layout: sizes and positions were read from the mat images,
+ * and the UI labels them as approximate.
+ * - type 'obstacle': solid element (walls, mission models) -> w × h rectangle, collides with the route
+ * - type 'marker': flat area (start, parking zones) or small object -> mission marker of `size`
+ * - positions: where the element sits on the mat image (centre, rotation in degrees)
+ */
+const JUNIOR_2025_ELEMENTS = [
+    { key: "start", name: "Zona de inicio", type: "marker", shape: "square", size: 300, color: "#22c55e", positions: [{ x: 180, y: 960 }] },
+    { key: "finish", name: "Zona de llegada", type: "marker", shape: "flag", size: 250, color: "#3b82f6", positions: [{ x: 2180, y: 960 }] },
+    { key: "border-wall", name: "Muro lateral", type: "obstacle", w: 600, h: 50, color: "#334155", positions: [{ x: 1181, y: 25 }] },
+    { key: "mission-model", name: "Modelo de misión", type: "obstacle", w: 120, h: 120, color: "#f97316", positions: [{ x: 700, y: 330 }, { x: 1181, y: 330 }, { x: 1660, y: 330 }] },
+    { key: "game-object", name: "Objeto de juego", type: "marker", shape: "circle", size: 40, color: "#f59e0b", positions: [{ x: 560, y: 760 }, { x: 640, y: 760 }, { x: 720, y: 760 }, { x: 800, y: 760 }] },
+];
+
+const ELEMENTARY_2025_ELEMENTS = [
+    { key: "start", name: "Zona de inicio", type: "marker", shape: "square", size: 300, color: "#22c55e", positions: [{ x: 180, y: 960 }] },
+    { key: "parking", name: "Zona de estacionamiento", type: "marker", shape: "flag", size: 250, color: "#3b82f6", positions: [{ x: 2180, y: 180 }] },
+    { key: "wall", name: "Muro", type: "obstacle", w: 50, h: 400, color: "#334155", positions: [{ x: 1181, y: 943 }] },
+    { key: "mission-model", name: "Modelo de misión", type: "obstacle", w: 160, h: 100, color: "#f97316", positions: [{ x: 760, y: 300 }, { x: 1600, y: 300 }] },
+    { key: "game-object", name: "Objeto de juego", type: "marker", shape: "square", size: 50, color: "#a855f7", positions: [{ x: 900, y: 700 }, { x: 1000, y: 700 }, { x: 1100, y: 700 }] },
+];
+
+const DOUBLE_TENNIS_2025_ELEMENTS = [
+    { key: "net", name: "Red central", type: "obstacle", w: 30, h: 1143, color: "#334155", positions: [{ x: 1181, y: 571.5 }] },
+    { key: "start-a", name: "Zona de inicio equipo A", type: "marker", shape: "square", size: 250, color: "#22c55e", positions: [{ x: 170, y: 571.5 }] },
+    { key: "start-b", name: "Zona de inicio equipo B", type: "marker", shape: "square", size: 250, color: "#ec4899", positions: [{ x: 2192, y: 571.5 }] },
+    { key: "ball", name: "Pelota", type: "marker", shape: "circle", size: 40, color: "#f59e0b", positions: [{ x: 700, y: 300 }, { x: 700, y: 843 }, { x: 1662, y: 300 }, { x: 1662, y: 843 }] },
+];
+
 export const FIELD_PRESETS = [
-    { key: "junior", name: "RoboMission Junior 2025", bg: juniorFieldImg },
-    { key: "elementary", name: "RoboMission Elementary 2025", bg: elementaryFieldImg },
-    { key: "double-tennis", name: "RoboSports Double Tennis 2025", bg: doubleTennisFieldImg },
-    { key: "custom", name: "Personalizado", bg: null },
+    { key: "junior", name: "RoboMission Junior 2025", bg: juniorFieldImg, elements: JUNIOR_2025_ELEMENTS },
+    { key: "elementary", name: "RoboMission Elementary 2025", bg: elementaryFieldImg, elements: ELEMENTARY_2025_ELEMENTS },
+    { key: "double-tennis", name: "RoboSports Double Tennis 2025", bg: doubleTennisFieldImg, elements: DOUBLE_TENNIS_2025_ELEMENTS },
+    { key: "custom", name: "Personalizado", bg: null, elements: [] },
 ];
 
 export const DEFAULT_GRID = { cellSize: 1, pixelsPerUnit: 5, lineAlpha: 0.35, offsetX: 0, offsetY: 0, color: "#ffffff" };
-export const DEFAULT_ROBOT = { width: 18, length: 20, color: "#0ea5e9", imageSrc: null, opacity: 1, wheelOffset: 10 };
+export const DEFAULT_ROBOT = { width: 18, length: 20, color: "#0ea5e9", imageSrc: null, opacity: 1, wheelOffset: 10, wheelDiameter: 5.6, trackWidth: 11.2, gearRatio: 1 };
 export const ZOOM_LIMITS = { min: 0.5, max: 2, step: 0.25 };
 export const SNAP_45_BASE_ANGLES = [0, Math.PI / 4, Math.PI / 2, (3 * Math.PI) / 4];
 
@@ -68,3 +99,32 @@ export function pxToMmSections(sections, canvasWidth, canvasHeight) {
         })
     }));
 }
+
+/**
+ * Convert the geometry of a field object (obstacle or mission marker) from mm to px.
+ * Converts x/y and, when present, w/h/size; other properties are kept.
+ * Also works on partial objects (e.g. { x, y } updates).
+ */
+export function mmToPxFieldObject(obj, canvasWidth, canvasHeight) {
+    if (!canvasWidth || !canvasHeight) return obj;
+    return scaleFieldObject(obj, canvasWidth / MAT_MM.w, canvasHeight / MAT_MM.h);
+}
+
+/**
+ * Convert the geometry of a field object (obstacle or mission marker) from px to mm.
+ */
+export function pxToMmFieldObject(obj, canvasWidth, canvasHeight) {
+    if (!canvasWidth || !canvasHeight) return obj;
+    return scaleFieldObject(obj, MAT_MM.w / canvasWidth, MAT_MM.h / canvasHeight);
+}
+
+function scaleFieldObject(obj, scaleX, scaleY) {
+    const scaled = { ...obj };
+    if (typeof obj.x === 'number') scaled.x = obj.x * scaleX;
+    if (typeof obj.y === 'number') scaled.y = obj.y * scaleY;
+    if (typeof obj.w === 'number') scaled.w = obj.w * scaleX;
+    if (typeof obj.h === 'number') scaled.h = obj.h * scaleY;
+    // Markers are round/regular: size follows the horizontal scale
+    if (typeof obj.size === 'number') scaled.size = obj.size * scaleX;
+    return scaled;
+}
@@ -0,0 +1,234 @@
+/**
+ * driftSimulation.js
+ * Monte Carlo model of odometry drift (field millimetres).
+ *
+ * The route instructions (TURN / MOVE / ARC, as shown in the waypoints panel)
+ * are replayed many times with random errors:
+ * - every turn is off by a normal error of turnStdDeg degrees,
+ * - every drive covers its distance ± distanceStdPct percent,
+ * - and veers while driving: driftStdDegPerM degrees of heading per metre,
+ *   so a straight drive becomes a slight arc.
+ * Alignments (ALIGN, see alignment.js) are found again from each noisy pose, so
+ * squaring against a wall or a line collapses the error they reset.
+ * Each trial is checked like the real route (routeValidation): the swept robot
+ * footprint against the obstacles and the body passing over mission markers.
+ * Trials are seeded, so the same configuration gives the same result.
+ */
+
+import { DEG2RAD } from "./constants";
+import { arcPose } from "./geometry";
+import { instructionToAlignment, isAlignmentAction, resolveAlignment, storedAlignment } from "./alignment";
+import { stepCollisions, distanceToStep } from "./routeValidation";
+import { createRandom } from "./scenarios";
+
+export const DEFAULT_DRIFT_CONFIG = {
+    trials: 300,
+    turnStdDeg: 1,
+    distanceStdPct: 2,
+    driftStdDegPerM: 1,
+    seed: 1
+};
+
+/** Most trials a simulation runs (keeps the page responsive) */
+export const MAX_DRIFT_TRIALS = 2000;
+
+// Scale of the 95 % confidence ellipse of a 2D normal (sqrt of chi-square, 2 dof)
+const ELLIPSE_95 = Math.sqrt(5.991);
+
+/**
+ * Fills defaults in a stored drift configuration (project files).
+ * @param {Object} raw
+ * @returns {Object}
+ */
+export const normalizeDriftConfig = (raw) => {
+    const config = { ...DEFAULT_DRIFT_CONFIG, ...raw };
+    return {
+        ...config,
+        trials: Math.min(MAX_DRIFT_TRIALS, Math.max(1, Math.floor(Number(config.trials) || 1))),
+        turnStdDeg: Math.max(0, Number(config.turnStdDeg) || 0),
+        distanceStdPct: Math.max(0, Number(config.distanceStdPct) || 0),
+        driftStdDegPerM: Math.max(0, Number(config.driftStdDegPerM) || 0)
+    };
+};
+
+// Standard normal sample (Box-Muller)
+const createGaussian = (random) => () => {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Replays the instructions as route steps (same shape as routeValidation.buildRouteSteps).
+ * @param {Array} instructions - Route instructions (values in the working unit)
+ * @param {Object} initialPose - {x, y, theta} in mm
+ * @param {number} mmPerUnit
+ * @param {Object} config - Drift configuration
+ * @param {() => number} noise - Standard normal sampler (() => 0 for the nominal route)
+ * @param {Object} [field] - Field in mm for alignments (alignment.resolveAlignment)
+ * @returns {Array} Steps {type, sectionId, from, to, action}
+ */
+const runInstructions = (instructions, initialPose, mmPerUnit, config, noise, field) => {
+    const steps = [];
+    let pose = { x: initialPose.x, y: initialPose.y, theta: initialPose.theta };
+    for (const instr of instructions) {
+        if (isAlignmentAction(instr)) {
+            const action = instructionToAlignment(instr);
+            const resolved = field
+                ? resolveAlignment(pose, action, field)
+                : storedAlignment(pose, instr, (val) => val * mmPerUnit);
+            action.contactId = resolved.contactId;
+            steps.push({ type: 'align', sectionId: instr.sectionId, from: pose, to: resolved.pose, action });
+            pose = resolved.pose;
+            continue;
+        }
+        const sign = instr.direction === 'reverse' ? -1 : 1;
+        let action;
+        if (instr.type === 'TURN') {
+            action = { type: 'rotate', angle: instr.value + config.turnStdDeg * noise() };
+        } else if (instr.type === 'MOVE' || instr.type === 'ARC') {
+            const distance = sign * instr.value * mmPerUnit * (1 + config.distanceStdPct / 100 * noise());
+            const veer = config.driftStdDegPerM * Math.abs(distance) / 1000 * noise();
+            const sweep = (instr.type === 'ARC' ? instr.sweep : 0) + veer;
+            action = sweep === 0 ? { type: 'move', distance } : { type: 'arc', distance, sweep };
+        } else {
+            continue;
+        }
+        action.waypointId = instr.waypointId;
+        const next = action.type === 'rotate'
+            ? { ...pose, theta: pose.theta + action.angle * DEG2RAD }
+            : arcPose(pose, action.distance, (action.sweep || 0) * DEG2RAD);
+        steps.push({ type: action.type, sectionId: instr.sectionId, from: pose, to: next, action });
+        pose = next;
+    }
+    return steps;
+};
+
+// Obstacles a step could touch: within its length plus the robot and obstacle sizes
+const nearbyObstacles = (step, obstacles, reach) => {
+    const travel = Math.abs(step.action.distance ?? Math.hypot(step.to.x - step.from.x, step.to.y - step.from.y));
+    return obstacles.filter(o => Math.hypot(o.x - step.from.x, o.y - step.from.y)
+        <= travel + reach + Math.hypot(o.w, o.h) / 2);
+};
+
+const markerReached = (steps, marker, robotMm) => {
+    const reach = robotMm.width / 2 + (marker.size || 0) / 2;
+    return steps.some(step => distanceToStep(step, marker) <= reach);
+};
+
+/**
+ * Mean, 95 % ellipse and heading spread of a set of poses.
+ * @param {Array<{x: number, y: number, theta: number}>} poses
+ * @returns {{mean: {x: number, y: number}, ellipse: {rx: number, ry: number, angle: number}, headingStdDeg: number}}
+ *   ellipse: semi-axes in mm, angle of rx in radians
+ */
+export const summarizePoses = (poses) => {
+    const n = poses.length;
+    const mean = {
+        x: poses.reduce((acc, p) => acc + p.x, 0) / n,
+        y: poses.reduce((acc, p) => acc + p.y, 0) / n
+    };
+    let sxx = 0;
+    let syy = 0;
+    let sxy = 0;
+    let sin = 0;
+    let cos = 0;
+    for (const p of poses) {
+        sxx += (p.x - mean.x) ** 2;
+        syy += (p.y - mean.y) ** 2;
+        sxy += (p.x - mean.x) * (p.y - mean.y);
+        sin += Math.sin(p.theta);
+        cos += Math.cos(p.theta);
+    }
+    sxx /= n;
+    syy /= n;
+    sxy /= n;
+    const half = (sxx + syy) / 2;
+    const spread = Math.sqrt(((sxx - syy) / 2) ** 2 + sxy ** 2);
+    // Circular standard deviation of the heading
+    const resultant = Math.min(1, Math.hypot(sin, cos) / n);
+    return {
+        mean,
+        ellipse: {
+            rx: ELLIPSE_95 * Math.sqrt(half + spread),
+            ry: ELLIPSE_95 * Math.sqrt(Math.max(0, half - spread)),
+            angle: Math.atan2(2 * sxy, sxx - syy) / 2
+        },
+        headingStdDeg: Math.sqrt(-2 * Math.log(resultant || Number.EPSILON)) / DEG2RAD
+    };
+};
+
+/**
+ * Runs the Monte Carlo simulation.
+ * @param {Object} params
+ * @param {Array} params.instructions - routeData.instructions (values in the working unit)
+ * @param {Object} params.initialPose - {x, y, theta} in mm
+ * @param {number} params.mmPerUnit - 1 (mm) or 10 (cm)
+ * @param {Object} params.config - Drift configuration (normalizeDriftConfig)
+ * @param {Array} params.obstacles - Obstacles in mm
+ * @param {Array} params.missions - Mission markers in mm
+ * @param {{width: number, length: number, wheelOffset: number}} params.robotMm
+ * @param {Object} [params.field] - Field in mm for alignments
+ * @returns {{
+ *   trials: number,
+ *   waypoints: Array<{waypointId: string, nominal: Object, mean: Object, ellipse: Object, headingStdDeg: number, samples: Array}>,
+ *   obstacles: Array<{id: string, label: string, probability: number, nominal: boolean}>,
+ *   missions: Array<{id: string, label: string, probability: number, nominal: boolean}>
+ * }} obstacles: probability of hitting (nominal = the planned route hits it);
+ *   missions: probability of missing the marker (nominal = the planned route reaches it)
+ */
+export const simulateDrift = ({ instructions, initialPose, mmPerUnit, config, obstacles, missions, robotMm, field = null }) => {
+    const front = robotMm.wheelOffset ?? robotMm.length / 2;
+    const reach = Math.hypot(robotMm.width / 2, Math.max(front, robotMm.length - front));
+    const gaussian = createGaussian(createRandom(config.seed ?? 1));
+
+    const hitsOf = (steps) => {
+        const hit = new Set();
+        for (const step of steps) {
+            for (const obs of stepCollisions(step, nearbyObstacles(step, obstacles, reach), robotMm)) {
+                hit.add(obs.id);
+            }
+        }
+        return hit;
+    };
+
+    const nominalSteps = runInstructions(instructions, initialPose, mmPerUnit, config, () => 0, field);
+    const nominalHits = hitsOf(nominalSteps);
+    const waypointIds = [...new Set(nominalSteps.map(s => s.action.waypointId))];
+    const nominalPose = {};
+    nominalSteps.forEach(s => { nominalPose[s.action.waypointId] = s.to; });
+
+    const samples = Object.fromEntries(waypointIds.map(id => [id, []]));
+    const hitCount = Object.fromEntries(obstacles.map(o => [o.id, 0]));
+    const missCount = Object.fromEntries(missions.map(m => [m.id, 0]));
+
+    for (let t = 0; t < config.trials; t++) {
+        const steps = runInstructions(instructions, initialPose, mmPerUnit, config, gaussian, field);
+        const end = {};
+        steps.forEach(s => { end[s.action.waypointId] = s.to; });
+        waypointIds.forEach(id => { if (end[id]) samples[id].push(end[id]); });
+        hitsOf(steps).forEach(id => { hitCount[id]++; });
+        missions.forEach(m => { if (!markerReached(steps, m, robotMm)) missCount[m.id]++; });
+    }
+
+    return {
+        trials: config.trials,
+        waypoints: waypointIds.filter(id => samples[id].length).map(id => ({
+            waypointId: id,
+            nominal: nominalPose[id],
+            ...summarizePoses(samples[id]),
+            samples: samples[id]
+        })),
+        obstacles: obstacles.map(o => ({
+            id: o.id,
+            label: o.label || '',
+            probability: hitCount[o.id] / config.trials,
+            nominal: nominalHits.has(o.id)
+        })),
+        missions: missions.map(m => ({
+            id: m.id,
+            label: m.label || '',
+            probability: missCount[m.id] / config.trials,
+            nominal: markerReached(nominalSteps, m, robotMm)
+        }))
+    };
+};
@@ -0,0 +1,150 @@
+/**
+ * arduino.js
+ * Export target: Arduino C++ sketch.
+ * The route calls motion and attachment functions the team implements for its own
+ * hardware (usually in another tab of the sketch). The templates are opt-in: they
+ * stop the build with #error until each one is written, so a sketch never uploads
+ * with helpers that do nothing.
+ */
+
+import { alignmentComment, formatNumber, hasStepType } from "./shared";
+
+// Helper template: the signature, the given body and an #error naming the function
+const helperTemplate = (signature, name, body) => [
+    `${signature} {`,
+    ...body.map(l => `  ${l}`),
+    `#error "Implementa ${name}() para tus motores y borra esta línea"`,
+    '}'
+];
+
+export const arduinoTarget = {
+    id: 'arduino',
+    name: 'Arduino',
+    language: 'C++',
+    extension: 'ino',
+    mimeType: 'text/x-c++src',
+    identifierStyle: 'camel',
+    reservedNames: ['setup', 'loop', 'runRoute', 'runAttachmentTo', 'runAttachmentFor', 'beep', 'alignToWall', 'alignToLine'],
+    options: [
+        { key: 'driveFunction', label: 'Función de avance', type: 'text', default: 'driveStraight' },
+        { key: 'turnFunction', label: 'Función de giro', type: 'text', default: 'turnDegrees' },
+        { key: 'arcFunction', label: 'Función de arco', type: 'text', default: 'driveArc' },
+        { key: 'driveSpeed', label: 'Velocidad recta', type: 'number', suffix: 'PWM', step: 5, default: 150 },
+        { key: 'turnSpeed', label: 'Velocidad de giro', type: 'number', suffix: 'PWM', step: 5, default: 100 },
+        { key: 'includeStubs', label: 'Incluir plantillas de funciones (#error hasta implementarlas)', type: 'boolean', default: false },
+    ],
+
+    // Positive degrees = right (clockwise)
+    renderTurn: (step, options) => [`${options.turnFunction}(${formatNumber(step.degrees)}, TURN_SPEED);`],
+
+    // Negative millimetres = reverse
+    renderMove: (step, options) => [`${options.driveFunction}(${formatNumber(step.reverse ? -step.mm : step.mm)}, DRIVE_SPEED);`],
+
+    // Arc length in mm (negative = reverse), radius in mm, heading change in degrees
+    renderArc: (step, options) => [
+        `${options.arcFunction}(${formatNumber(step.reverse ? -step.mm : step.mm)}, ${formatNumber(step.radiusMm)}, ${formatNumber(step.degrees)}, DRIVE_SPEED);`
+    ],
+
+    // Attachment motor number, target angle (deg from start) and speed (°/s)
+    renderMotorAngle: (step) => [`runAttachmentTo(${step.motor}, ${formatNumber(step.angle, 0)}, ${formatNumber(Math.abs(step.speed), 0)});`],
+
+    renderMotorTime: (step) => [`runAttachmentFor(${step.motor}, ${formatNumber(step.duration, 0)}, ${formatNumber(step.speed, 0)});`],
+
+    renderWait: (step) => [`delay(${formatNumber(step.duration, 0)});`],
+
+    renderBeep: (step) => [`beep(${formatNumber(step.duration, 0)});${step.label ? ` // ${step.label}` : ''}`],
+
+    // Planned distance in mm (a limit for the search), speed in mm/s, push time in ms
+    renderAlign: (step) => [
+        `// ${alignmentComment(step)}`,
+        step.mode === 'lineAlign'
+            ? `alignToLine(${formatNumber(step.mm)}, ${formatNumber(step.speed, 0)}, ${step.square ? 'true' : 'false'});`
+            : `alignToWall(${formatNumber(step.mm)}, ${formatNumber(step.speed, 0)}, ${formatNumber(step.mode === 'wallSquare' ? step.duration : 0, 0)});`
+    ],
+
+    renderSection: (block, lines) => [
+        `// ${block.name}`,
+        `void ${block.identifier}() {`,
+        ...lines.map(l => `  ${l}`),
+        '}'
+    ],
+
+    template: ({ blocks, options }) => [
+        '// Generado por WRO Playback Planner',
+        '// Distancias en mm (negativo = reversa), giros en grados (positivo = derecha).',
+        '',
+        `const float WHEEL_DIAMETER_MM = ${formatNumber(options.wheelDiameter)};`,
+        `const float AXLE_TRACK_MM = ${formatNumber(options.axleTrack)};`,
+        `const float GEAR_RATIO = ${formatNumber(options.gearRatio, 3)}; // vueltas de motor por vuelta de rueda`,
+        `const int DRIVE_SPEED = ${formatNumber(options.driveSpeed, 0)};`,
+        `const int TURN_SPEED = ${formatNumber(options.turnSpeed, 0)};`,
+        '',
+        `void ${options.driveFunction}(float mm, int speed);`,
+        `void ${options.turnFunction}(float degrees, int speed);`,
+        `void ${options.arcFunction}(float mm, float radius, float degrees, int speed);`,
+        'void runAttachmentTo(int motor, float degrees, int speed);',
+        'void runAttachmentFor(int motor, unsigned long ms, int speed);',
+        'void beep(unsigned long ms);',
+        ...(hasStepType(blocks, 'ALIGN') ? [
+            'void alignToWall(float maxMm, int speed, unsigned long pushMs);',
+            'void alignToLine(float maxMm, int speed, bool square);'
+        ] : []),
+        '',
+        ...blocks.flatMap(block => [...block.code, '']),
+        'void runRoute() {',
+        ...blocks.map(block => `  ${block.identifier}();`),
+        '}',
+        '',
+        'void setup() {',
+        '  runRoute();',
+        '}',
+        '',
+        'void loop() {',
+        '}',
+        ...(options.includeStubs ? [
+            '',
+            '// ---- Implementa estas funciones para tus motores ----',
+            '// Cada una detiene la compilación con #error hasta que la escribas.',
+            '',
+            ...helperTemplate(`void ${options.driveFunction}(float mm, int speed)`, options.driveFunction, [
+                'float wheelDegrees = mm / (PI * WHEEL_DIAMETER_MM) * 360.0 * GEAR_RATIO;',
+                '// Girar ambos motores wheelDegrees a la velocidad indicada'
+            ]),
+            '',
+            ...helperTemplate(`void ${options.turnFunction}(float degrees, int speed)`, options.turnFunction, [
+                'float wheelDegrees = degrees * AXLE_TRACK_MM / WHEEL_DIAMETER_MM * GEAR_RATIO;',
+                '// Motor izquierdo +wheelDegrees, motor derecho -wheelDegrees'
+            ]),
+            '',
+            ...helperTemplate(`void ${options.arcFunction}(float mm, float radius, float degrees, int speed)`, options.arcFunction, [
+                'float offset = AXLE_TRACK_MM / 2.0 * degrees * PI / 180.0;',
+                'float leftDegrees = (mm + offset) / (PI * WHEEL_DIAMETER_MM) * 360.0 * GEAR_RATIO;',
+                'float rightDegrees = (mm - offset) / (PI * WHEEL_DIAMETER_MM) * 360.0 * GEAR_RATIO;',
+                '// Girar cada motor sus grados, con velocidades en la misma proporción'
+            ]),
+            '',
+            ...helperTemplate('void runAttachmentTo(int motor, float degrees, int speed)', 'runAttachmentTo', [
+                '// Llevar el motor auxiliar al ángulo indicado (desde la posición inicial)'
+            ]),
+            '',
+            ...helperTemplate('void runAttachmentFor(int motor, unsigned long ms, int speed)', 'runAttachmentFor', [
+                '// Girar el motor auxiliar durante ms milisegundos (velocidad negativa = sentido contrario)'
+            ]),
+            '',
+            ...helperTemplate('void beep(unsigned long ms)', 'beep', [
+                '// Por ejemplo: tone(PIN_BUZZER, 440, ms); delay(ms);'
+            ]),
+            ...(hasStepType(blocks, 'ALIGN') ? [
+                '',
+                ...helperTemplate('void alignToWall(float maxMm, int speed, unsigned long pushMs)', 'alignToWall', [
+                    '// Retroceder hasta tocar el muro (sensor o motores bloqueados) y empujar pushMs milisegundos'
+                ]),
+                '',
+                ...helperTemplate('void alignToLine(float maxMm, int speed, bool square)', 'alignToLine', [
+                    '// Avanzar hasta que el sensor vea la línea (como mucho maxMm); con square, parar cada rueda en su sensor'
+                ])
+            ] : [])
+        ] : []),
+        ''
+    ].join('\n')
+};
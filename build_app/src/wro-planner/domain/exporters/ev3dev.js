@@ -0,0 +1,172 @@
+/**
+ * ev3dev.js
+ * Export target: ev3dev-python (ev3dev2) script using MoveDifferential.
+ */
+
+import { alignmentComment, formatNumber, hasStepType, lineSearchLimitMm, mmToMotorDegrees, motorWheelDiameter, usedAttachmentMotors, usedLineAlignments } from "./shared";
+
+const PORTS = ['A', 'B', 'C', 'D'];
+const SENSOR_PORTS = ['1', '2', '3', '4'];
+
+// Wheel-motor degrees travelled since left_start/right_start (the farther wheel)
+const TRAVELLED = 'max(abs(robot.left_motor.position - left_start), abs(robot.right_motor.position - right_start))';
+
+// Drives until the line sensor reads the line, giving up after max_deg
+const ALIGN_TO_LINE = [
+    'def align_to_line(max_deg, speed):',
+    '    left_start, right_start = robot.left_motor.position, robot.right_motor.position',
+    '    robot.on(SpeedDPS(speed), SpeedDPS(speed))',
+    `    while line_sensor.reflected_light_intensity > LINE_THRESHOLD and ${TRAVELLED} < max_deg:`,
+    '        sleep(0.005)',
+    '    robot.off()'
+];
+
+// Drives both wheels and stops each one as soon as its own sensor reads the line
+const SQUARE_TO_LINE = [
+    'def square_to_line(max_deg, speed):',
+    '    left_start, right_start = robot.left_motor.position, robot.right_motor.position',
+    '    left = right = speed',
+    `    while (left or right) and ${TRAVELLED} < max_deg:`,
+    '        if left and line_sensor.reflected_light_intensity <= LINE_THRESHOLD:',
+    '            left = 0',
+    '        if right and right_line_sensor.reflected_light_intensity <= LINE_THRESHOLD:',
+    '            right = 0',
+    '        robot.on(SpeedDPS(left), SpeedDPS(right))',
+    '        sleep(0.005)',
+    '    robot.off()'
+];
+
+export const ev3devTarget = {
+    id: 'ev3dev',
+    name: 'ev3dev-python',
+    language: 'Python',
+    extension: 'py',
+    mimeType: 'text/x-python',
+    identifierStyle: 'snake',
+    reservedNames: ['main', 'robot', 'RobotWheel', 'attachment_1', 'attachment_2', 'sound', 'sleep',
+        'line_sensor', 'right_line_sensor', 'align_to_line', 'square_to_line'],
+    options: [
+        { key: 'leftPort', label: 'Motor izquierdo', type: 'select', choices: PORTS, default: 'B' },
+        { key: 'rightPort', label: 'Motor derecho', type: 'select', choices: PORTS, default: 'C' },
+        { key: 'attachmentPort1', label: 'Motor auxiliar 1', type: 'select', choices: PORTS, default: 'A' },
+        { key: 'attachmentPort2', label: 'Motor auxiliar 2', type: 'select', choices: PORTS, default: 'D' },
+        { key: 'wheelWidth', label: 'Ancho de rueda', type: 'number', suffix: 'mm', step: 0.1, default: 28 },
+        { key: 'speedRpm', label: 'Velocidad recta', type: 'number', suffix: 'RPM', step: 5, default: 60 },
+        { key: 'turnSpeedRpm', label: 'Velocidad de giro', type: 'number', suffix: 'RPM', step: 5, default: 30 },
+        { key: 'lineSensorPort', label: 'Sensor de línea (izquierdo)', type: 'select', choices: SENSOR_PORTS, default: '3' },
+        { key: 'rightLineSensorPort', label: 'Sensor de línea derecho', type: 'select', choices: SENSOR_PORTS, default: '4' },
+        { key: 'lineThreshold', label: 'Umbral de línea', type: 'number', suffix: '%', step: 1, default: 50 },
+    ],
+
+    renderTurn: (step, options) => [
+        `robot.${step.degrees >= 0 ? 'turn_right' : 'turn_left'}(SpeedRPM(${formatNumber(options.turnSpeedRpm)}), ${formatNumber(Math.abs(step.degrees))})`
+    ],
+
+    // on_for_distance always takes a positive distance: reverse uses a negative speed
+    renderMove: (step, options) => [
+        `robot.on_for_distance(SpeedRPM(${formatNumber(step.reverse ? -options.speedRpm : options.speedRpm)}), ${formatNumber(step.mm)})`
+    ],
+
+    // The circle centre is on the right when the heading change and travel direction agree
+    renderArc: (step, options) => {
+        const centreRight = (step.degrees >= 0) !== step.reverse;
+        const speed = step.reverse ? -options.speedRpm : options.speedRpm;
+        return [`robot.${centreRight ? 'on_arc_right' : 'on_arc_left'}(SpeedRPM(${formatNumber(speed)}), ${formatNumber(step.radiusMm)}, ${formatNumber(step.mm)})`];
+    },
+
+    renderMotorAngle: (step) => [
+        `attachment_${step.motor}.on_to_position(SpeedDPS(${formatNumber(Math.abs(step.speed), 0)}), ${formatNumber(step.angle, 0)})`
+    ],
+
+    renderMotorTime: (step) => [
+        `attachment_${step.motor}.on_for_seconds(SpeedDPS(${formatNumber(step.speed, 0)}), ${formatNumber(step.duration / 1000, 3)})`
+    ],
+
+    renderWait: (step) => [`sleep(${formatNumber(step.duration / 1000, 3)})`],
+
+    renderBeep: (step) => [
+        ...(step.label ? [`# ${step.label}`] : []),
+        `sound.play_tone(440, ${formatNumber(step.duration / 1000, 3)})`
+    ],
+
+    // Lines: drive until the sensor (one per wheel when squaring) reads the line.
+    // Walls: planned distance to the reference, then a timed push to square against the wall.
+    renderAlign: (step, options) => (step.mode === 'lineAlign' ? [
+        `# ${alignmentComment(step)}`,
+        `${step.square ? 'square_to_line' : 'align_to_line'}(${Math.round(mmToMotorDegrees(lineSearchLimitMm(step), options))}, ${Math.round(mmToMotorDegrees(step.speed, options) * (step.reverse ? -1 : 1))})`
+    ] : [
+        `# ${alignmentComment(step)}`,
+        `robot.on_for_distance(SpeedRPM(${formatNumber(step.reverse ? -options.speedRpm : options.speedRpm)}), ${formatNumber(step.mm)})`,
+        ...(step.mode === 'wallSquare'
+            ? [`robot.on_for_seconds(SpeedRPM(${formatNumber(-options.speedRpm)}), SpeedRPM(${formatNumber(-options.speedRpm)}), ${formatNumber(step.duration / 1000, 3)})`]
+            : [])
+    ]),
+
+    renderSection: (block, lines) => [
+        `def ${block.identifier}():`,
+        `    # ${block.name}`,
+        ...(lines.length ? lines.map(l => `    ${l}`) : ['    pass'])
+    ],
+
+    template: ({ blocks, options }) => {
+        const attachments = usedAttachmentMotors(blocks);
+        const lineAlign = usedLineAlignments(blocks);
+        const usesLine = lineAlign.single || lineAlign.square;
+        const ports = [options.leftPort, options.rightPort, ...attachments.map(m => options[`attachmentPort${m}`])];
+        const motorImports = [
+            'MoveDifferential',
+            ...(attachments.length ? ['MediumMotor'] : []),
+            ...[...new Set(ports)].map(p => `OUTPUT_${p}`),
+            'SpeedRPM',
+            ...(attachments.length || usesLine ? ['SpeedDPS'] : [])
+        ];
+        const sensorPorts = [
+            ...(usesLine ? [options.lineSensorPort] : []),
+            ...(lineAlign.square ? [options.rightLineSensorPort] : [])
+        ];
+        return [
+            '#!/usr/bin/env python3',
+            '# Generado por WRO Playback Planner',
+            '# Distancias en mm, giros en grados.',
+            '',
+            ...(hasStepType(blocks, 'WAIT') || usesLine ? ['from time import sleep', ''] : []),
+            `from ev3dev2.motor import ${motorImports.join(', ')}`,
+            ...(usesLine ? [
+                `from ev3dev2.sensor import ${[...new Set(sensorPorts)].map(p => `INPUT_${p}`).join(', ')}`,
+                'from ev3dev2.sensor.lego import ColorSensor'
+            ] : []),
+            ...(hasStepType(blocks, 'BEEP') ? ['from ev3dev2.sound import Sound'] : []),
+            'from ev3dev2.wheel import Wheel',
+            '',
+            '',
+            ...(options.gearRatio !== 1 ? [`# Rueda de ${formatNumber(options.wheelDiameter)} mm con reducción ${formatNumber(options.gearRatio, 2)}:1 (diámetro visto desde el motor)`] : []),
+            'class RobotWheel(Wheel):',
+            '    def __init__(self):',
+            `        Wheel.__init__(self, ${formatNumber(motorWheelDiameter(options), 2)}, ${formatNumber(options.wheelWidth)})`,
+            '',
+            '',
+            `robot = MoveDifferential(OUTPUT_${options.leftPort}, OUTPUT_${options.rightPort}, RobotWheel, ${formatNumber(options.axleTrack)})`,
+            ...attachments.map(m => `attachment_${m} = MediumMotor(OUTPUT_${options[`attachmentPort${m}`]})`),
+            ...(hasStepType(blocks, 'BEEP') ? ['sound = Sound()'] : []),
+            ...(usesLine ? [
+                '',
+                '# Reflexión (%) por debajo de la cual el sensor está sobre la línea',
+                `LINE_THRESHOLD = ${formatNumber(options.lineThreshold, 0)}`,
+                `line_sensor = ColorSensor(INPUT_${options.lineSensorPort})`
+            ] : []),
+            ...(lineAlign.square ? [`right_line_sensor = ColorSensor(INPUT_${options.rightLineSensorPort})`] : []),
+            ...(lineAlign.single ? ['', '', ...ALIGN_TO_LINE] : []),
+            ...(lineAlign.square ? ['', '', ...SQUARE_TO_LINE] : []),
+            '',
+            ...blocks.flatMap(block => ['', ...block.code, '']),
+            '',
+            'def main():',
+            ...(blocks.length ? blocks.map(block => `    ${block.identifier}()`) : ['    pass']),
+            '',
+            '',
+            "if __name__ == '__main__':",
+            '    main()',
+            ''
+        ].join('\n');
+    }
+};
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Code-export registry.
+ *
+ * Every export target is a plain descriptor object:
+ * - id, name, language, extension, mimeType
+ * - options: [{ key, label, type: 'number'|'select'|'text'|'boolean', default, choices?, suffix?, step? }]
+ * - identifierStyle / reservedNames: how section names become function names
+ * - renderTurn(step, options) / renderMove(step, options) / renderArc(step, options): lines for one instruction
+ * - renderMotorAngle / renderMotorTime / renderWait / renderBeep (step, options): attachment actions
+ * - renderAlign(step, options): alignment against a wall or line (see alignment.js)
+ *   (steps come from buildSectionBlocks, so reverse and units are already resolved;
+ *   TURN / MOVE / ARC steps carry step.motors, the left/right encoder degrees)
+ * Renderers and templates also get the robot drive geometry in mm as
+ * options.wheelDiameter / axleTrack / gearRatio (shared.robotDriveGeometry): wheel
+ * sizes come from the robot config, not from per-target options.
+ * - renderSection(block, lines, options): wraps one section (function, comment, object...)
+ * - template({ blocks, options, unit }): the final file
+ *
+ * To add a platform, create a module next to this one and append it to EXPORT_TARGETS.
+ *
+ * @module exporters
+ */
+
+import { buildSectionBlocks, robotDriveGeometry } from "./shared";
+import { pybricksTarget } from "./pybricks";
+import { spikeTarget } from "./spike";
+import { ev3devTarget } from "./ev3dev";
+import { arduinoTarget } from "./arduino";
+import { jsonTarget } from "./json";
+
+export const EXPORT_TARGETS = [
+    pybricksTarget,
+    spikeTarget,
+    ev3devTarget,
+    arduinoTarget,
+    jsonTarget
+];
+
+export const DEFAULT_EXPORT_TARGET_ID = pybricksTarget.id;
+
+// Step type -> target renderer
+const RENDERERS = {
+    TURN: 'renderTurn',
+    MOVE: 'renderMove',
+    ARC: 'renderArc',
+    MOTOR_ANGLE: 'renderMotorAngle',
+    MOTOR_TIME: 'renderMotorTime',
+    WAIT: 'renderWait',
+    BEEP: 'renderBeep',
+    ALIGN: 'renderAlign'
+};
+
+/**
+ * @param {string} targetId
+ * @returns {Object} Target descriptor (falls back to the default target)
+ */
+export const getExportTarget = (targetId) => (
+    EXPORT_TARGETS.find(t => t.id === targetId) ?? EXPORT_TARGETS[0]
+);
+
+/**
+ * Default option values declared by a target.
+ * @param {Object} target
+ * @returns {Object}
+ */
+export const getTargetDefaults = (target) => Object.fromEntries(
+    target.options.map(opt => [opt.key, opt.default])
+);
+
+/**
+ * Export settings stored with each project: selected target plus the options of every target.
+ * @returns {{targetId: string, options: Object.<string, Object>}}
+ */
+export const getDefaultExportSettings = () => ({
+    targetId: DEFAULT_EXPORT_TARGET_ID,
+    options: Object.fromEntries(EXPORT_TARGETS.map(t => [t.id, getTargetDefaults(t)]))
+});
+
+/**
+ * Merges saved export settings (e.g. from an imported project) with the defaults,
+ * dropping unknown targets and options with the wrong type.
+ * @param {Object} [saved]
+ * @returns {{targetId: string, options: Object.<string, Object>}}
+ */
+export const normalizeExportSettings = (saved) => {
+    const defaults = getDefaultExportSettings();
+    if (!saved || typeof saved !== 'object') return defaults;
+
+    const options = {};
+    EXPORT_TARGETS.forEach(target => {
+        const savedOptions = saved.options?.[target.id] || {};
+        options[target.id] = { ...defaults.options[target.id] };
+        target.options.forEach(opt => {
+            const value = savedOptions[opt.key];
+            const valid = opt.type === 'select'
+                ? opt.choices.includes(value)
+                : typeof value === typeof opt.default;
+            if (valid) options[target.id][opt.key] = value;
+        });
+    });
+
+    return {
+        targetId: EXPORT_TARGETS.some(t => t.id === saved.targetId) ? saved.targetId : defaults.targetId,
+        options
+    };
+};
+
+/**
+ * Generates the export file for a target.
+ *
+ * @param {string} targetId
+ * @param {Object} route
+ * @param {Array} route.instructions - routeData.instructions
+ * @param {Array} route.sections - Sections in route order
+ * @param {'cm'|'mm'} route.unit - Unit of MOVE instruction values
+ * @param {Object} [route.robot] - Robot config (wheel sizes in the planner unit)
+ * @param {Object} [options] - Target options (missing keys use the target defaults)
+ * @returns {string}
+ */
+export const generateExportCode = (targetId, { instructions = [], sections = [], unit = 'cm', robot = null }, options = {}) => {
+    const target = getExportTarget(targetId);
+    const drive = robotDriveGeometry(robot, unit);
+    const opts = { ...getTargetDefaults(target), ...options, ...drive };
+    // Motor degrees always follow the drive geometry, default wheels included
+    const toUnit = unit === 'cm' ? 0.1 : 1;
+    const kinematicsRobot = { wheelDiameter: drive.wheelDiameter * toUnit, trackWidth: drive.axleTrack * toUnit, gearRatio: drive.gearRatio };
+
+    const blocks = buildSectionBlocks({
+        instructions,
+        sections,
+        unit,
+        identifierStyle: target.identifierStyle,
+        reservedNames: target.reservedNames,
+        robot: kinematicsRobot
+    }).map(block => {
+        const lines = block.steps.flatMap(step => target[RENDERERS[step.type] ?? 'renderMove'](step, opts));
+        return { ...block, code: target.renderSection(block, lines, opts) };
+    });
+
+    return target.template({ blocks, options: opts, unit });
+};
@@ -0,0 +1,90 @@
+/**
+ * json.js
+ * Export target: plain JSON list of steps per section, for custom firmware or tooling.
+ */
+
+import { formatNumber } from "./shared";
+
+// Rounded encoder degrees per wheel plus the error that rounding introduces
+const motorFields = (step, options) => {
+    if (!options.includeMotorDegrees || !step.motors) return {};
+    const { left, right, roundingDegrees } = step.motors;
+    return {
+        motors: {
+            left: { degrees: left.degrees, rotations: Number(formatNumber(left.rotations, 3)) },
+            right: { degrees: right.degrees, rotations: Number(formatNumber(right.rotations, 3)) },
+            roundingErrorDegrees: Number(formatNumber(roundingDegrees, 3))
+        }
+    };
+};
+
+export const jsonTarget = {
+    id: 'json',
+    name: 'JSON',
+    language: 'JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+    identifierStyle: 'snake',
+    reservedNames: [],
+    options: [
+        { key: 'distanceUnit', label: 'Unidad de distancia', type: 'select', choices: ['mm', 'cm'], default: 'mm' },
+        { key: 'pretty', label: 'Formato legible', type: 'boolean', default: true },
+        { key: 'includeMotorDegrees', label: 'Incluir grados de motor', type: 'boolean', default: true },
+    ],
+
+    renderTurn: (step, options) => [{
+        type: 'turn',
+        degrees: Number(formatNumber(step.degrees, 2)),
+        ...motorFields(step, options)
+    }],
+
+    renderMove: (step, options) => {
+        const value = options.distanceUnit === 'cm' ? step.mm / 10 : step.mm;
+        return [{
+            type: 'move',
+            distance: Number(formatNumber(value, 2)),
+            reverse: step.reverse,
+            ...motorFields(step, options)
+        }];
+    },
+
+    renderArc: (step, options) => {
+        const scale = options.distanceUnit === 'cm' ? 0.1 : 1;
+        return [{
+            type: 'arc',
+            distance: Number(formatNumber(step.mm * scale, 2)),
+            radius: Number(formatNumber(step.radiusMm * scale, 2)),
+            sweep: Number(formatNumber(step.degrees, 2)),
+            reverse: step.reverse,
+            ...motorFields(step, options)
+        }];
+    },
+
+    renderMotorAngle: (step) => [{ type: 'motorAngle', motor: step.motor, angle: step.angle, speed: step.speed }],
+
+    renderMotorTime: (step) => [{ type: 'motorTime', motor: step.motor, duration: step.duration, speed: step.speed }],
+
+    renderWait: (step) => [{ type: 'wait', duration: step.duration }],
+
+    renderBeep: (step) => [{ type: 'beep', label: step.label, duration: step.duration }],
+
+    renderAlign: (step, options) => [{
+        type: 'align',
+        mode: step.mode,
+        reference: step.reference,
+        square: step.square,
+        speed: step.speed,
+        duration: step.duration,
+        distance: Number(formatNumber(options.distanceUnit === 'cm' ? step.mm / 10 : step.mm, 2))
+    }],
+
+    renderSection: (block, steps) => [{ id: block.id, name: block.name, steps }],
+
+    template: ({ blocks, options }) => JSON.stringify({
+        version: 1,
+        generator: 'WRO Playback Planner',
+        distanceUnit: options.distanceUnit,
+        angleUnit: 'deg',
+        sections: blocks.flatMap(block => block.code)
+    }, null, options.pretty ? 2 : 0) + '\n'
+};
@@ -0,0 +1,155 @@
+/**
+ * pybricks.js
+ * Export target: Pybricks (DriveBase) Python script.
+ * Each section becomes a Python function; main() calls them in order.
+ */
+
+import { alignmentComment, formatNumber, hasStepType, lineSearchLimitMm, motorWheelDiameter, usedAttachmentMotors, usedLineAlignments } from "./shared";
+
+export const PYBRICKS_HUBS = ['PrimeHub', 'InventorHub', 'EssentialHub', 'TechnicHub', 'CityHub'];
+const PORTS = ['A', 'B', 'C', 'D', 'E', 'F'];
+// Hubs with a built-in speaker
+const SPEAKER_HUBS = ['PrimeHub', 'InventorHub'];
+
+// Drives until the line sensor reads the line, giving up after max_mm
+const ALIGN_TO_LINE = [
+    'def align_to_line(max_mm, speed):',
+    '    start = robot.distance()',
+    '    robot.drive(speed, 0)',
+    '    while line_sensor.reflection() > LINE_THRESHOLD and abs(robot.distance() - start) < max_mm:',
+    '        wait(5)',
+    '    robot.stop()'
+];
+
+// Drives both wheels and holds each one as soon as its own sensor reads the line
+const SQUARE_TO_LINE = [
+    'def square_to_line(max_mm, speed):',
+    '    robot.stop()',
+    '    left_start, right_start = left_motor.angle(), right_motor.angle()',
+    '    max_deg = max_mm * MOTOR_DEG_PER_MM',
+    '    left_motor.run(speed * MOTOR_DEG_PER_MM)',
+    '    right_motor.run(speed * MOTOR_DEG_PER_MM)',
+    '    left_done = right_done = False',
+    '    while not (left_done and right_done) and max(abs(left_motor.angle() - left_start), abs(right_motor.angle() - right_start)) < max_deg:',
+    '        if not left_done and line_sensor.reflection() <= LINE_THRESHOLD:',
+    '            left_motor.hold()',
+    '            left_done = True',
+    '        if not right_done and right_line_sensor.reflection() <= LINE_THRESHOLD:',
+    '            right_motor.hold()',
+    '            right_done = True',
+    '        wait(5)',
+    '    left_motor.hold()',
+    '    right_motor.hold()'
+];
+
+export const pybricksTarget = {
+    id: 'pybricks',
+    name: 'Pybricks',
+    language: 'Python',
+    extension: 'py',
+    mimeType: 'text/x-python',
+    identifierStyle: 'snake',
+    reservedNames: ['main', 'hub', 'robot', 'left_motor', 'right_motor', 'attachment_1', 'attachment_2', 'wait',
+        'line_sensor', 'right_line_sensor', 'align_to_line', 'square_to_line'],
+    options: [
+        { key: 'hub', label: 'Hub', type: 'select', choices: PYBRICKS_HUBS, default: 'PrimeHub' },
+        { key: 'leftPort', label: 'Motor izquierdo', type: 'select', choices: PORTS, default: 'A' },
+        { key: 'rightPort', label: 'Motor derecho', type: 'select', choices: PORTS, default: 'B' },
+        { key: 'attachmentPort1', label: 'Motor auxiliar 1', type: 'select', choices: PORTS, default: 'C' },
+        { key: 'attachmentPort2', label: 'Motor auxiliar 2', type: 'select', choices: PORTS, default: 'D' },
+        { key: 'straightSpeed', label: 'Velocidad recta', type: 'number', suffix: 'mm/s', step: 10, default: 300 },
+        { key: 'straightAcceleration', label: 'Aceleración recta', type: 'number', suffix: 'mm/s²', step: 10, default: 600 },
+        { key: 'turnRate', label: 'Velocidad de giro', type: 'number', suffix: '°/s', step: 10, default: 150 },
+        { key: 'turnAcceleration', label: 'Aceleración de giro', type: 'number', suffix: '°/s²', step: 10, default: 300 },
+        { key: 'lineSensorPort', label: 'Sensor de línea (izquierdo)', type: 'select', choices: PORTS, default: 'E' },
+        { key: 'rightLineSensorPort', label: 'Sensor de línea derecho', type: 'select', choices: PORTS, default: 'F' },
+        { key: 'lineThreshold', label: 'Umbral de línea', type: 'number', suffix: '%', step: 1, default: 50 },
+    ],
+
+    // DriveBase.turn: positive = clockwise, same convention as the planner
+    renderTurn: (step) => [`robot.turn(${formatNumber(step.degrees)})`],
+
+    // Reverse moves are negative straights
+    renderMove: (step) => [`robot.straight(${formatNumber(step.reverse ? -step.mm : step.mm)})`],
+
+    // DriveBase.curve: negative radius drives backwards, angle is the heading change
+    renderArc: (step) => [`robot.curve(${formatNumber(step.reverse ? -step.radiusMm : step.radiusMm)}, ${formatNumber(step.degrees)})`],
+
+    // Angles are relative to the position at program start
+    renderMotorAngle: (step) => [`attachment_${step.motor}.run_target(${formatNumber(Math.abs(step.speed), 0)}, ${formatNumber(step.angle, 0)})`],
+
+    renderMotorTime: (step) => [`attachment_${step.motor}.run_time(${formatNumber(step.speed, 0)}, ${formatNumber(step.duration, 0)})`],
+
+    renderWait: (step) => [`wait(${formatNumber(step.duration, 0)})`],
+
+    renderBeep: (step, options) => [
+        ...(step.label ? [`# ${step.label}`] : []),
+        SPEAKER_HUBS.includes(options.hub)
+            ? `hub.speaker.beep(500, ${formatNumber(step.duration, 0)})`
+            : `wait(${formatNumber(step.duration, 0)})  # ${options.hub} no tiene altavoz`
+    ],
+
+    // Walls: reverse until the drive base stalls against it (and keep pushing to square up).
+    // Lines: drive until the sensor (one per wheel when squaring) reads the line.
+    renderAlign: (step) => (step.mode === 'lineAlign' ? [
+        `# ${alignmentComment(step)}`,
+        `${step.square ? 'square_to_line' : 'align_to_line'}(${formatNumber(lineSearchLimitMm(step))}, ${formatNumber(step.reverse ? -step.speed : step.speed, 0)})`
+    ] : [
+        `# ${alignmentComment(step)}`,
+        `robot.drive(${formatNumber(-step.speed, 0)}, 0)`,
+        'while not robot.stalled():',
+        '    wait(10)',
+        ...(step.mode === 'wallSquare' ? [`wait(${formatNumber(step.duration, 0)})`] : []),
+        'robot.stop()'
+    ]),
+
+    renderSection: (block, lines) => [
+        `def ${block.identifier}():`,
+        `    """${String(block.name).replace(/"/g, "'")}"""`,
+        ...(lines.length ? lines.map(l => `    ${l}`) : ['    pass'])
+    ],
+
+    template: ({ blocks, options }) => {
+        const lineAlign = usedLineAlignments(blocks);
+        const usesLine = lineAlign.single || lineAlign.square;
+        return [
+            '# Generado por WRO Playback Planner',
+            '# Distancias en mm, giros en grados (positivo = derecha).',
+            '',
+            `from pybricks.hubs import ${options.hub}`,
+            `from pybricks.pupdevices import Motor${usesLine ? ', ColorSensor' : ''}`,
+            'from pybricks.parameters import Port, Direction',
+            'from pybricks.robotics import DriveBase',
+            ...(['WAIT', 'BEEP', 'ALIGN'].some(type => hasStepType(blocks, type)) ? ['from pybricks.tools import wait'] : []),
+            '',
+            `hub = ${options.hub}()`,
+            `left_motor = Motor(Port.${options.leftPort}, Direction.COUNTERCLOCKWISE)`,
+            `right_motor = Motor(Port.${options.rightPort})`,
+            ...usedAttachmentMotors(blocks).map(m => `attachment_${m} = Motor(Port.${options[`attachmentPort${m}`]})`),
+            ...(options.gearRatio !== 1 ? [`# Rueda de ${formatNumber(options.wheelDiameter)} mm con reducción ${formatNumber(options.gearRatio, 2)}:1 (diámetro visto desde el motor)`] : []),
+            `robot = DriveBase(left_motor, right_motor, wheel_diameter=${formatNumber(motorWheelDiameter(options), 2)}, axle_track=${formatNumber(options.axleTrack)})`,
+            `robot.settings(straight_speed=${formatNumber(options.straightSpeed)}, straight_acceleration=${formatNumber(options.straightAcceleration)}, turn_rate=${formatNumber(options.turnRate)}, turn_acceleration=${formatNumber(options.turnAcceleration)})`,
+            ...(usesLine ? [
+                '',
+                '# Reflexión (%) por debajo de la cual el sensor está sobre la línea',
+                `LINE_THRESHOLD = ${formatNumber(options.lineThreshold, 0)}`,
+                `line_sensor = ColorSensor(Port.${options.lineSensorPort})`
+            ] : []),
+            ...(lineAlign.square ? [
+                `right_line_sensor = ColorSensor(Port.${options.rightLineSensorPort})`,
+                `MOTOR_DEG_PER_MM = ${formatNumber(360 / (Math.PI * motorWheelDiameter(options)), 4)}`
+            ] : []),
+            ...(lineAlign.single ? ['', '', ...ALIGN_TO_LINE] : []),
+            ...(lineAlign.square ? ['', '', ...SQUARE_TO_LINE] : []),
+            '',
+            ...blocks.flatMap(block => ['', ...block.code, '']),
+            '',
+            'def main():',
+            ...(blocks.length ? blocks.map(block => `    ${block.identifier}()`) : ['    pass']),
+            '',
+            '',
+            'main()',
+            ''
+        ].join('\n');
+    }
+};
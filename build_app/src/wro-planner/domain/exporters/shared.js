@@ -0,0 +1,200 @@
+/**
+ * shared.js
+ * Helpers shared by every code-export target: identifiers, number formatting
+ * and the section/instruction normalization that feeds the templates.
+ */
+
+import { computeInstructionKinematics, hasKinematics } from "../kinematics";
+import { isAttachmentAction } from "../attachments";
+import { describeAlignment, isAlignmentAction } from "../alignment";
+
+/**
+ * Turns a section name into a valid identifier.
+ * "Sección 1" -> "seccion_1" (snake) / "seccion1" (camel)
+ * @param {string} name
+ * @param {Object} [opts]
+ * @param {'snake'|'camel'} [opts.style='snake']
+ * @param {string} [opts.fallback='seccion']
+ * @returns {string}
+ */
+export const toIdentifier = (name, { style = 'snake', fallback = 'seccion' } = {}) => {
+    const words = String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+    const parts = words.length ? words : [fallback];
+    const id = style === 'camel'
+        ? parts.map((w, i) => (i === 0 ? w : w[0].toUpperCase() + w.slice(1))).join('')
+        : parts.join('_');
+    if (!/^[0-9]/.test(id)) return id;
+    return style === 'camel' ? `${fallback}${id}` : `${fallback}_${id}`;
+};
+
+/**
+ * Formats a number without trailing zeros.
+ * @param {number} value
+ * @param {number} [decimals=1]
+ * @returns {string}
+ */
+export const formatNumber = (value, decimals = 1) => {
+    const factor = 10 ** decimals;
+    const rounded = Math.round(value * factor) / factor;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+};
+
+// One instruction as a unit-free step (see buildSectionBlocks)
+const toStep = (instr, toMm) => {
+    if (isAttachmentAction(instr)) {
+        const { sectionId: _sectionId, waypointId: _waypointId, ...fields } = instr;
+        return fields;
+    }
+    if (isAlignmentAction(instr)) {
+        const { mode, reference, square, speed, duration } = instr;
+        return { type: 'ALIGN', mode, reference, square, speed, duration, mm: instr.value * toMm, reverse: mode !== 'lineAlign' };
+    }
+    const reverse = instr.direction === 'reverse';
+    if (instr.type === 'TURN') return { type: 'TURN', degrees: instr.value };
+    if (instr.type === 'ARC') {
+        return { type: 'ARC', mm: instr.value * toMm, radiusMm: instr.radius * toMm, degrees: instr.sweep, reverse };
+    }
+    return { type: 'MOVE', mm: instr.value * toMm, reverse };
+};
+
+/**
+ * Groups route instructions by section and normalizes them into steps the
+ * templates can use without knowing the planner unit:
+ * - TURN: { type: 'TURN', degrees } (positive = clockwise / right)
+ * - MOVE: { type: 'MOVE', mm, reverse } (mm is always positive)
+ * - ARC: { type: 'ARC', mm, radiusMm, degrees, reverse } (mm = arc length, degrees = heading change)
+ * - MOTOR_ANGLE / MOTOR_TIME / WAIT / BEEP: the attachment fields as-is (see attachments.js)
+ * - ALIGN: { type: 'ALIGN', mode, reference, square, speed, duration, mm, reverse } (see alignment.js;
+ *   mm = planned distance to the reference, speed in mm/s, duration = push time in ms)
+ *
+ * When the robot has a kinematics config, every step also carries `motors`
+ * (see computeInstructionKinematics) so targets can emit encoder degrees.
+ *
+ * Hidden sections are skipped (they are not part of the route).
+ *
+ * @param {Object} params
+ * @param {Array} params.instructions - routeData.instructions
+ * @param {Array} params.sections - Sections in route order
+ * @param {'cm'|'mm'} params.unit - Unit of MOVE instruction values
+ * @param {'snake'|'camel'} [params.identifierStyle='snake']
+ * @param {string[]} [params.reservedNames] - Identifiers the template already uses
+ * @param {Object} [params.robot] - Robot with wheelDiameter/trackWidth/gearRatio (planner unit)
+ * @returns {Array<{id: string, name: string, identifier: string, steps: Array}>}
+ */
+export const buildSectionBlocks = ({ instructions = [], sections = [], unit = 'cm', identifierStyle = 'snake', reservedNames = [], robot = null }) => {
+    const toMm = unit === 'cm' ? 10 : 1;
+    const usedNames = new Set(reservedNames);
+
+    return sections
+        .filter(s => s.isVisible !== false)
+        .map((section, index) => {
+            const fallback = identifierStyle === 'camel' ? `seccion${index + 1}` : `seccion_${index + 1}`;
+            let identifier = toIdentifier(section.name, { style: identifierStyle, fallback });
+            while (usedNames.has(identifier)) {
+                identifier = identifierStyle === 'camel' ? `${identifier}${index + 1}` : `${identifier}_${index + 1}`;
+            }
+            usedNames.add(identifier);
+
+            const steps = instructions
+                .filter(instr => instr.sectionId === section.id)
+                .map(instr => ({
+                    ...toStep(instr, toMm),
+                    motors: computeInstructionKinematics(instr, robot)
+                }));
+
+            return {
+                id: section.id,
+                name: section.name || identifier,
+                identifier,
+                steps
+            };
+        });
+};
+
+// Wheels of DEFAULT_ROBOT in mm, for robots saved without a wheel config
+const DEFAULT_DRIVE = { wheelDiameter: 56, axleTrack: 112, gearRatio: 1 };
+
+/**
+ * Drive geometry of the robot config in mm, the only source of wheel sizes for
+ * every target (DriveBase, MoveDifferential, motor degrees...).
+ * @param {Object} [robot] - Robot with wheelDiameter/trackWidth (planner unit) and gearRatio
+ * @param {'cm'|'mm'} unit - Planner unit
+ * @returns {{wheelDiameter: number, axleTrack: number, gearRatio: number}} DEFAULT_DRIVE when the config is incomplete
+ */
+export const robotDriveGeometry = (robot, unit) => {
+    if (!hasKinematics(robot)) return { ...DEFAULT_DRIVE };
+    const toMm = unit === 'cm' ? 10 : 1;
+    return { wheelDiameter: robot.wheelDiameter * toMm, axleTrack: robot.trackWidth * toMm, gearRatio: robot.gearRatio };
+};
+
+/**
+ * Wheel diameter seen from the motor: with a gear ratio of r motor turns per
+ * wheel turn, one motor turn moves the robot as a wheel r times smaller would.
+ * For targets that take a wheel diameter and measure the drive motors.
+ * @param {{wheelDiameter: number, gearRatio: number}} drive - robotDriveGeometry result
+ * @returns {number} mm
+ */
+export const motorWheelDiameter = (drive) => drive.wheelDiameter / drive.gearRatio;
+
+/**
+ * Encoder degrees a drive motor has to rotate to travel a distance.
+ * @param {number} mm - Distance in mm
+ * @param {{wheelDiameter: number, gearRatio: number}} drive - robotDriveGeometry result
+ * @returns {number}
+ */
+export const mmToMotorDegrees = (mm, drive) => (
+    drive.wheelDiameter > 0 ? (mm / (Math.PI * drive.wheelDiameter)) * 360 * drive.gearRatio : 0
+);
+
+/**
+ * Comment text for an ALIGN step: what the robot aligns against.
+ * @param {Object} step - ALIGN step
+ * @returns {string}
+ */
+export const alignmentComment = (step) => `${describeAlignment(step)} (previsto: ${formatNumber(step.mm)} mm)`;
+
+// Extra distance a line search may drive past the planned one before giving up
+const LINE_SEARCH_MARGIN_MM = 100;
+
+/**
+ * Longest distance a line alignment may drive while looking for the line (mm).
+ * @param {Object} step - ALIGN step with mode 'lineAlign'
+ * @returns {number}
+ */
+export const lineSearchLimitMm = (step) => Math.max(0, step.mm) + LINE_SEARCH_MARGIN_MM;
+
+/**
+ * Which line alignments the blocks use, so templates only define the helpers
+ * (and declare the sensors) the route needs.
+ * @param {Array} blocks
+ * @returns {{single: boolean, square: boolean}} single = one sensor, square = one sensor per wheel
+ */
+export const usedLineAlignments = (blocks) => {
+    const steps = blocks.flatMap(block => block.steps).filter(step => step.type === 'ALIGN' && step.mode === 'lineAlign');
+    return { single: steps.some(step => !step.square), square: steps.some(step => step.square) };
+};
+
+/**
+ * Attachment motors (1, 2...) used anywhere in the blocks, so templates only
+ * declare the motors the route needs.
+ * @param {Array} blocks
+ * @returns {number[]}
+ */
+export const usedAttachmentMotors = (blocks) => [...new Set(
+    blocks.flatMap(block => block.steps)
+        .filter(step => step.type === 'MOTOR_ANGLE' || step.type === 'MOTOR_TIME')
+        .map(step => step.motor)
+)].sort();
+
+/**
+ * Whether any block contains a step of the given type.
+ * @param {Array} blocks
+ * @param {string} type
+ * @returns {boolean}
+ */
+export const hasStepType = (blocks, type) => blocks.some(block => block.steps.some(step => step.type === type));
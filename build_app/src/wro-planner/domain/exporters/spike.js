@@ -0,0 +1,156 @@
+/**
+ * spike.js
+ * Export target: LEGO SPIKE App (v3) Python with motor_pair.
+ * Distances and turns are sent as wheel-motor degrees (step.motors, from the
+ * robot wheel diameter, track width and gear ratio).
+ */
+
+import { alignmentComment, formatNumber, hasStepType, lineSearchLimitMm, mmToMotorDegrees, usedAttachmentMotors, usedLineAlignments } from "./shared";
+
+const PORTS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// Wheel-motor degrees travelled since left_start/right_start (the farther wheel)
+const travelled = (options) =>
+    `max(abs(motor.relative_position(port.${options.leftPort}) - left_start), abs(motor.relative_position(port.${options.rightPort}) - right_start))`;
+
+// Drives until the line sensor reads the line, giving up after max_deg
+const alignToLine = (options) => [
+    'async def align_to_line(max_deg, velocity):',
+    `    left_start, right_start = motor.relative_position(port.${options.leftPort}), motor.relative_position(port.${options.rightPort})`,
+    '    motor_pair.move(motor_pair.PAIR_1, 0, velocity=velocity)',
+    `    while color_sensor.reflection(port.${options.lineSensorPort}) > LINE_THRESHOLD and ${travelled(options)} < max_deg:`,
+    '        await runloop.sleep_ms(5)',
+    '    motor_pair.stop(motor_pair.PAIR_1)'
+];
+
+// Drives both wheels and stops each one as soon as its own sensor reads the line
+const squareToLine = (options) => [
+    'async def square_to_line(max_deg, velocity):',
+    `    left_start, right_start = motor.relative_position(port.${options.leftPort}), motor.relative_position(port.${options.rightPort})`,
+    '    left = right = velocity',
+    `    while (left or right) and ${travelled(options)} < max_deg:`,
+    `        if left and color_sensor.reflection(port.${options.lineSensorPort}) <= LINE_THRESHOLD:`,
+    '            left = 0',
+    `        if right and color_sensor.reflection(port.${options.rightLineSensorPort}) <= LINE_THRESHOLD:`,
+    '            right = 0',
+    '        motor_pair.move_tank(motor_pair.PAIR_1, left, right)',
+    '        await runloop.sleep_ms(5)',
+    '    motor_pair.stop(motor_pair.PAIR_1)'
+];
+
+export const spikeTarget = {
+    id: 'spike',
+    name: 'LEGO SPIKE App',
+    language: 'Python',
+    extension: 'py',
+    mimeType: 'text/x-python',
+    identifierStyle: 'snake',
+    reservedNames: ['main', 'port', 'motor_pair', 'runloop', 'motor', 'sound', 'color_sensor', 'align_to_line', 'square_to_line'],
+    options: [
+        { key: 'leftPort', label: 'Motor izquierdo', type: 'select', choices: PORTS, default: 'A' },
+        { key: 'rightPort', label: 'Motor derecho', type: 'select', choices: PORTS, default: 'B' },
+        { key: 'attachmentPort1', label: 'Motor auxiliar 1', type: 'select', choices: PORTS, default: 'C' },
+        { key: 'attachmentPort2', label: 'Motor auxiliar 2', type: 'select', choices: PORTS, default: 'D' },
+        { key: 'velocity', label: 'Velocidad recta', type: 'number', suffix: '°/s', step: 10, default: 360 },
+        { key: 'turnVelocity', label: 'Velocidad de giro', type: 'number', suffix: '°/s', step: 10, default: 200 },
+        { key: 'lineSensorPort', label: 'Sensor de línea (izquierdo)', type: 'select', choices: PORTS, default: 'E' },
+        { key: 'rightLineSensorPort', label: 'Sensor de línea derecho', type: 'select', choices: PORTS, default: 'F' },
+        { key: 'lineThreshold', label: 'Umbral de línea', type: 'number', suffix: '%', step: 1, default: 50 },
+    ],
+
+    // Steering 100 spins right, -100 spins left; degrees are per wheel motor
+    renderTurn: (step, options) => {
+        const steering = step.degrees >= 0 ? 100 : -100;
+        return [`await motor_pair.move_for_degrees(motor_pair.PAIR_1, ${Math.abs(step.motors.left.degrees)}, ${steering}, velocity=${formatNumber(options.turnVelocity, 0)})`];
+    },
+
+    // Negative degrees drive backwards
+    renderMove: (step, options) => [
+        `await motor_pair.move_for_degrees(motor_pair.PAIR_1, ${step.motors.left.degrees}, 0, velocity=${formatNumber(options.velocity, 0)})`
+    ],
+
+    // Tank drive: the faster wheel runs the given degrees, velocities keep the wheel ratio
+    renderArc: (step, options) => {
+        const { left, right } = step.motors;
+        const degrees = Math.max(Math.abs(left.degrees), Math.abs(right.degrees));
+        if (degrees === 0) return [];
+        const leftVelocity = Math.round((options.velocity * left.degrees) / degrees);
+        const rightVelocity = Math.round((options.velocity * right.degrees) / degrees);
+        return [`await motor_pair.move_tank_for_degrees(motor_pair.PAIR_1, ${degrees}, ${leftVelocity}, ${rightVelocity})`];
+    },
+
+    // Relative position counter starts at 0 when the program starts
+    renderMotorAngle: (step, options) => [
+        `await motor.run_to_relative_position(port.${options[`attachmentPort${step.motor}`]}, ${formatNumber(step.angle, 0)}, ${formatNumber(Math.abs(step.speed), 0)})`
+    ],
+
+    renderMotorTime: (step, options) => [
+        `await motor.run_for_time(port.${options[`attachmentPort${step.motor}`]}, ${formatNumber(step.duration, 0)}, ${formatNumber(step.speed, 0)})`
+    ],
+
+    renderWait: (step) => [`await runloop.sleep_ms(${formatNumber(step.duration, 0)})`],
+
+    renderBeep: (step) => [
+        ...(step.label ? [`# ${step.label}`] : []),
+        `await sound.beep(440, ${formatNumber(step.duration, 0)})`
+    ],
+
+    // Lines: drive until the sensor (one per wheel when squaring) reads the line.
+    // Walls, no stall detection: drive the planned distance, then push against the wall for the set time.
+    renderAlign: (step, options) => {
+        if (step.mode === 'lineAlign') {
+            const velocity = mmToMotorDegrees(step.speed, options) * (step.reverse ? -1 : 1);
+            return [
+                `# ${alignmentComment(step)}`,
+                `await ${step.square ? 'square_to_line' : 'align_to_line'}(${Math.round(mmToMotorDegrees(lineSearchLimitMm(step), options))}, ${Math.round(velocity)})`
+            ];
+        }
+        const degrees = mmToMotorDegrees(step.mm, options) * (step.reverse ? -1 : 1);
+        return [
+            `# ${alignmentComment(step)}`,
+            `await motor_pair.move_for_degrees(motor_pair.PAIR_1, ${Math.round(degrees)}, 0, velocity=${formatNumber(options.velocity, 0)})`,
+            ...(step.mode === 'wallSquare'
+                ? [`await motor_pair.move_for_time(motor_pair.PAIR_1, ${formatNumber(step.duration, 0)}, 0, velocity=${formatNumber(-options.velocity, 0)})`]
+                : [])
+        ];
+    },
+
+    renderSection: (block, lines) => [
+        `async def ${block.identifier}():`,
+        `    # ${block.name}`,
+        ...(lines.length ? lines.map(l => `    ${l}`) : ['    pass'])
+    ],
+
+    template: ({ blocks, options }) => {
+        const lineAlign = usedLineAlignments(blocks);
+        const usesLine = lineAlign.single || lineAlign.square;
+        return [
+            '# Generado por WRO Playback Planner',
+            `# Grados de motor calculados con rueda de ${formatNumber(options.wheelDiameter)} mm, ${formatNumber(options.axleTrack)} mm entre ruedas y reducción ${formatNumber(options.gearRatio, 2)}:1.`,
+            '',
+            hasStepType(blocks, 'BEEP') ? 'from hub import port, sound' : 'from hub import port',
+            ...(usesLine ? ['import color_sensor'] : []),
+            ...(usedAttachmentMotors(blocks).length || usesLine ? ['import motor'] : []),
+            'import motor_pair',
+            'import runloop',
+            '',
+            `motor_pair.pair(motor_pair.PAIR_1, port.${options.leftPort}, port.${options.rightPort})`,
+            ...(usesLine ? [
+                '',
+                '# Reflexión (%) por debajo de la cual el sensor está sobre la línea',
+                `LINE_THRESHOLD = ${formatNumber(options.lineThreshold, 0)}`
+            ] : []),
+            ...(lineAlign.single ? ['', '', ...alignToLine(options)] : []),
+            ...(lineAlign.square ? ['', '', ...squareToLine(options)] : []),
+            '',
+            ...blocks.flatMap(block => ['', ...block.code, '']),
+            '',
+            'async def main():',
+            ...(blocks.length ? blocks.map(block => `    await ${block.identifier}()`) : ['    pass']),
+            '',
+            '',
+            'runloop.run(main())',
+            ''
+        ].join('\n');
+    }
+};
@@ -0,0 +1,72 @@
+/**
+ * fieldElements.js
+ * Turns the approximate field elements of a mat (FIELD_PRESETS[].elements) into
+ * obstacles and mission markers, in field mm like the rest of the planner state.
+ */
+
+import { FIELD_PRESETS, uid } from "./constants";
+import { createMission } from "./missions";
+
+/**
+ * Element catalogue of a mat.
+ * @param {string} fieldKey
+ * @returns {Array} Elements (empty for custom mats)
+ */
+export const getFieldElements = (fieldKey) => (
+    FIELD_PRESETS.find(p => p.key === fieldKey)?.elements ?? []
+);
+
+/**
+ * Creates one obstacle or mission marker for an element.
+ * @param {Object} element - Catalogue entry
+ * @param {{x: number, y: number, rotation?: number}} [position] - Defaults to the element's first position
+ * @returns {{type: 'obstacle'|'marker', object: Object}}
+ */
+export const createFieldObject = (element, position = element.positions[0]) => {
+    const rotation = position.rotation ?? 0;
+    if (element.type === 'obstacle') {
+        return {
+            type: 'obstacle',
+            object: {
+                id: uid('obs'),
+                x: position.x,
+                y: position.y,
+                w: element.w,
+                h: element.h,
+                color: element.color,
+                rotation,
+                label: element.name,
+                elementKey: element.key
+            }
+        };
+    }
+    return {
+        type: 'marker',
+        object: {
+            ...createMission(position.x, position.y, {
+                size: element.size,
+                color: element.color,
+                shape: element.shape,
+                label: element.name,
+                rotation
+            }),
+            elementKey: element.key
+        }
+    };
+};
+
+/**
+ * Full default layout of a mat: every element at every position.
+ * @param {string} fieldKey
+ * @returns {{obstacles: Array, missions: Array}}
+ */
+export const buildDefaultLayout = (fieldKey) => {
+    const layout = { obstacles: [], missions: [] };
+    getFieldElements(fieldKey).forEach(element => {
+        element.positions.forEach(position => {
+            const { type, object } = createFieldObject(element, position);
+            (type === 'obstacle' ? layout.obstacles : layout.missions).push(object);
+        });
+    });
+    return layout;
+};
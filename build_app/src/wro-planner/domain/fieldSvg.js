@@ -0,0 +1,213 @@
+/**
+ * fieldSvg.js
+ * Vector export of the field: background, grid, obstacles, mission markers,
+ * route with direction arrows, numbered waypoints and robot footprints, as an
+ * SVG document in real millimetres (viewBox = the mat, 1 user unit = 1 mm).
+ *
+ * Every layer is a <g> with an id (and an Inkscape layer label), so it can
+ * also be hidden later in a vector editor. Stroke widths and text sizes are
+ * the canvas ones scaled to the mat (about 3 mm per canvas pixel).
+ */
+
+import { MAT_MM, RAD2DEG } from "./constants";
+import { calculateRouteInstructions, flattenSectionsToWaypoints } from "./pathCalculator";
+import { computePoseUpToSection } from "./geometry";
+import { robotSizeMm } from "./multiRobot";
+import { missionShapeToSvg } from "./missions";
+
+/** Layers in drawing order (bottom to top) */
+export const SVG_LAYERS = [
+    { key: 'background', label: 'Imagen del tapete' },
+    { key: 'grid', label: 'Cuadrícula' },
+    { key: 'obstacles', label: 'Obstáculos' },
+    { key: 'missions', label: 'Misiones' },
+    { key: 'route', label: 'Ruta y flechas' },
+    { key: 'waypoints', label: 'Puntos numerados' },
+    { key: 'robot', label: 'Huella del robot' }
+];
+
+/** Where the robot footprint is drawn */
+export const ROBOT_POSE_MODES = {
+    START: 'start',
+    SECTIONS: 'sections',
+    WAYPOINTS: 'waypoints'
+};
+
+export const DEFAULT_FIELD_SVG_OPTIONS = {
+    layers: Object.fromEntries(SVG_LAYERS.map(layer => [layer.key, true])),
+    robotPoses: ROBOT_POSE_MODES.SECTIONS
+};
+
+// Canvas pixel -> mm on the default 800 px wide canvas
+const SCALE = 3;
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const round = (value) => Number(value.toFixed(2));
+
+const layerGroup = (key, content) => {
+    const label = SVG_LAYERS.find(layer => layer.key === key)?.label ?? key;
+    return `<g id="${key}" inkscape:groupmode="layer" inkscape:label="${escapeXml(label)}">${content}</g>`;
+};
+
+const arrow = (x, y, angle, color) => (
+    `<path d="M${8 * SCALE} 0L0 ${-4 * SCALE}L0 ${4 * SCALE}Z" fill="${color}" transform="translate(${round(x)} ${round(y)}) rotate(${round(angle * RAD2DEG)})"/>`
+);
+
+const renderGrid = (grid, mmPerUnit) => {
+    const cell = grid.cellSize * mmPerUnit;
+    // Same limit as the canvas: finer grids are just noise
+    if (!(cell >= 5)) return '';
+    const offX = ((grid.offsetX || 0) % cell + cell) % cell;
+    const offY = ((grid.offsetY || 0) % cell + cell) % cell;
+    let d = '';
+    for (let x = offX; x <= MAT_MM.w; x += cell) d += `M${round(x)} 0V${MAT_MM.h}`;
+    for (let y = offY; y <= MAT_MM.h; y += cell) d += `M0 ${round(y)}H${MAT_MM.w}`;
+    return `<path d="${d}" fill="none" stroke="${grid.color || '#ffffff'}" stroke-opacity="${grid.lineAlpha ?? 0.35}" stroke-width="1"/>`;
+};
+
+const renderObstacle = (obs) => {
+    const label = obs.label
+        ? `<text y="${obs.h / 2 + 12 * SCALE}" text-anchor="middle" font-size="${11 * SCALE}" font-weight="bold" fill="#1e293b">${escapeXml(obs.label)}</text>`
+        : '';
+    return `<g transform="translate(${obs.x} ${obs.y}) rotate(${obs.rotation || 0})">`
+        + `<rect x="${-obs.w / 2}" y="${-obs.h / 2}" width="${obs.w}" height="${obs.h}" fill="${obs.color || '#f97316'}" fill-opacity="0.7" stroke="#c2410c" stroke-width="${2 * SCALE}"/>`
+        + label
+        + '</g>';
+};
+
+const renderMission = (mission) => {
+    const label = mission.label
+        ? `<text x="${mission.x}" y="${mission.y + mission.size / 2 + 14 * SCALE}" text-anchor="middle" font-size="${11 * SCALE}" font-weight="bold" fill="#1e293b">${escapeXml(mission.label)}</text>`
+        : '';
+    return missionShapeToSvg(mission, SCALE) + label;
+};
+
+// Direction of an SVG arc and the point/tangent halfway along it (same parameters as ctx.arc)
+const renderArcSegment = (seg, style) => {
+    const { cx, cy, radius, startAngle, endAngle, anticlockwise } = seg.arc;
+    let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+    while (sweep < 0) sweep += Math.PI * 2;
+    const x1 = cx + Math.cos(startAngle) * radius;
+    const y1 = cy + Math.sin(startAngle) * radius;
+    const x2 = cx + Math.cos(endAngle) * radius;
+    const y2 = cy + Math.sin(endAngle) * radius;
+    const midAngle = startAngle + (anticlockwise ? -sweep / 2 : sweep / 2);
+    const path = `<path d="M${round(x1)} ${round(y1)}A${round(radius)} ${round(radius)} 0 ${sweep > Math.PI ? 1 : 0} ${anticlockwise ? 0 : 1} ${round(x2)} ${round(y2)}" ${style}/>`;
+    return path + arrow(
+        cx + Math.cos(midAngle) * radius,
+        cy + Math.sin(midAngle) * radius,
+        midAngle + (anticlockwise ? -Math.PI / 2 : Math.PI / 2),
+        seg.color
+    );
+};
+
+const renderSegment = (seg) => {
+    const dash = seg.align ? `${2 * SCALE} ${4 * SCALE}` : seg.isReverse ? `${6 * SCALE} ${4 * SCALE}` : null;
+    const style = `fill="none" stroke="${seg.color}" stroke-width="${3 * SCALE}" stroke-linecap="round"${dash ? ` stroke-dasharray="${dash}"` : ''}`;
+    if (seg.arc) return renderArcSegment(seg, style);
+    return `<line x1="${round(seg.x1)}" y1="${round(seg.y1)}" x2="${round(seg.x2)}" y2="${round(seg.y2)}" ${style}/>`
+        + arrow((seg.x1 + seg.x2) / 2, (seg.y1 + seg.y2) / 2, Math.atan2(seg.y2 - seg.y1, seg.x2 - seg.x1), seg.color);
+};
+
+const renderWaypoints = (section) => section.points.map((p, i) => {
+    const text = String(i + 1);
+    const tx = p.x + 12 * SCALE;
+    const ty = p.y - 12 * SCALE;
+    const boxWidth = (text.length * 7 + 6) * SCALE;
+    return `<circle cx="${round(p.x)}" cy="${round(p.y)}" r="${4 * SCALE}" fill="${section.color}" stroke="#000000" stroke-width="${SCALE}"/>`
+        + `<rect x="${round(tx - boxWidth / 2)}" y="${round(ty - 6 * SCALE)}" width="${boxWidth}" height="${12 * SCALE}" fill="#ffffff" fill-opacity="0.9"/>`
+        + `<text x="${round(tx)}" y="${round(ty)}" text-anchor="middle" dominant-baseline="central" font-size="${11 * SCALE}" font-weight="bold" fill="#1e293b">${text}</text>`;
+}).join('');
+
+const renderRobot = (pose, robotMm, color) => {
+    const front = robotMm.wheelOffset;
+    const back = front - robotMm.length;
+    const halfWidth = robotMm.width / 2;
+    const tip = robotMm.length * 0.25;
+    return `<g transform="translate(${round(pose.x)} ${round(pose.y)}) rotate(${round(pose.theta * RAD2DEG)})">`
+        + `<rect x="${back}" y="${-halfWidth}" width="${robotMm.length}" height="${robotMm.width}" fill="${color}" fill-opacity="0.25" stroke="${color}" stroke-width="${SCALE}"/>`
+        + `<line x1="0" y1="${-halfWidth}" x2="0" y2="${halfWidth}" stroke="#ef4444" stroke-width="${SCALE / 2}"/>`
+        + `<path d="M${front} 0L${front - tip} ${-halfWidth * 0.4}L${front - tip} ${halfWidth * 0.4}Z" fill="${color}"/>`
+        + '</g>';
+};
+
+// Poses of the robot footprints for the chosen mode (mm)
+const footprintPoses = (mode, { sections, initialPose, poses, mmPerUnit, field }) => {
+    if (mode === ROBOT_POSE_MODES.WAYPOINTS) return poses;
+    if (mode === ROBOT_POSE_MODES.START) return [initialPose];
+    const starts = sections.map(s => computePoseUpToSection(sections, initialPose, s.id, (val) => val * mmPerUnit, field));
+    // Start of every section and the end of the route
+    return poses.length > 1 ? [...starts, poses[poses.length - 1]] : starts;
+};
+
+/**
+ * SVG document of the field and the route of a robot.
+ * @param {Object} params
+ * @param {Object} params.robot - Robot config (working unit)
+ * @param {Object} params.initialPose - {x, y, theta} in mm
+ * @param {Array} params.sections - Sections with points in mm (hidden ones are left out)
+ * @param {'cm'|'mm'} params.unit
+ * @param {Array} [params.obstacles] - In mm
+ * @param {Array} [params.missions] - In mm
+ * @param {Object} params.grid - Grid config, with offsetX / offsetY already in mm
+ * @param {{href: string, opacity: number}|null} [params.background] - Image (ideally a data URL so the file stands alone)
+ * @param {Object} [params.options] - { layers: {key: boolean}, robotPoses } (see DEFAULT_FIELD_SVG_OPTIONS)
+ * @returns {string}
+ */
+export const buildFieldSvg = ({
+    robot, initialPose, sections, unit, obstacles = [], missions = [], grid, background = null,
+    options = DEFAULT_FIELD_SVG_OPTIONS
+}) => {
+    const layers = { ...DEFAULT_FIELD_SVG_OPTIONS.layers, ...options.layers };
+    const mmPerUnit = unit === 'mm' ? 1 : 10;
+    const robotMm = robotSizeMm(robot, unit);
+    const field = { width: MAT_MM.w, height: MAT_MM.h, obstacles, robot: robotMm };
+    const visibleSections = sections.filter(s => s.isVisible !== false);
+    const waypoints = flattenSectionsToWaypoints(visibleSections);
+    const { pathSegments, poses } = waypoints.length > 0
+        ? calculateRouteInstructions(initialPose, waypoints, mmPerUnit, field)
+        : { pathSegments: [], poses: [initialPose] };
+
+    const content = [];
+    if (layers.background && background?.href) {
+        content.push(layerGroup('background',
+            `<image href="${escapeXml(background.href)}" x="0" y="0" width="${MAT_MM.w}" height="${MAT_MM.h}" preserveAspectRatio="none" opacity="${background.opacity ?? 1}"/>`));
+    }
+    if (layers.grid) content.push(layerGroup('grid', renderGrid(grid, mmPerUnit)));
+    if (layers.obstacles) content.push(layerGroup('obstacles', obstacles.map(renderObstacle).join('')));
+    if (layers.missions) content.push(layerGroup('missions', missions.map(renderMission).join('')));
+    if (layers.route) content.push(layerGroup('route', pathSegments.map(renderSegment).join('')));
+    if (layers.waypoints) content.push(layerGroup('waypoints', visibleSections.map(renderWaypoints).join('')));
+    if (layers.robot) {
+        const robotPoses = footprintPoses(options.robotPoses, { sections: visibleSections, initialPose, poses, mmPerUnit, field });
+        content.push(layerGroup('robot', robotPoses.map(pose => renderRobot(pose, robotMm, robot.color || '#0ea5e9')).join('')));
+    }
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" width="${MAT_MM.w}mm" height="${MAT_MM.h}mm" viewBox="0 0 ${MAT_MM.w} ${MAT_MM.h}" font-family="sans-serif">\n`
+        + `<rect width="${MAT_MM.w}" height="${MAT_MM.h}" fill="#ffffff"/>\n`
+        + content.join('\n')
+        + '\n</svg>\n';
+};
+
+/**
+ * Reads an image URL (e.g. the bundled mat) as a data URL, so the SVG file
+ * does not depend on the app being online.
+ * @param {string} src
+ * @returns {Promise<string>}
+ */
+export const imageToDataUrl = async (src) => {
+    if (src.startsWith('data:')) return src;
+    const blob = await (await fetch(src)).blob();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+};
@@ -1,4 +1,6 @@
 import { SNAP_45_BASE_ANGLES, DEG2RAD, RAD2DEG } from "./constants";
+import { isAttachmentAction } from "./attachments";
+import { isAlignmentAction, resolveAlignment, applyAlignment, reverseAlignment, withAlignmentResult } from "./alignment";
 
 export const normalizeAngle = (angle) => {
     let a = angle;
@@ -7,65 +9,160 @@ export const normalizeAngle = (angle) => {
     return a;
 };
 
-export const getReferencePoint = (pose, reference, halfRobotLengthPx) => {
-    if (!pose) return { x: 0, y: 0 };
-    if (reference === 'tip') {
+/**
+ * Pose after driving an arc. The robot heading changes by sweepRad (positive =
+ * clockwise on canvas) while the wheels travel distancePx (negative = reverse).
+ * With sweepRad = 0 this is a straight move.
+ */
+export const arcPose = (pose, distancePx, sweepRad) => {
+    const travelHeading = pose.theta + (distancePx < 0 ? Math.PI : 0);
+    const length = Math.abs(distancePx);
+    if (Math.abs(sweepRad) < 1e-9) {
         return {
-            x: pose.x + Math.cos(pose.theta) * halfRobotLengthPx,
-            y: pose.y + Math.sin(pose.theta) * halfRobotLengthPx,
+            x: pose.x + Math.cos(travelHeading) * length,
+            y: pose.y + Math.sin(travelHeading) * length,
+            theta: pose.theta,
         };
     }
-    return { x: pose.x, y: pose.y };
+    // Signed radius: positive when turning clockwise
+    const rho = length / sweepRad;
+    return {
+        x: pose.x + rho * (Math.sin(travelHeading + sweepRad) - Math.sin(travelHeading)),
+        y: pose.y + rho * (Math.cos(travelHeading) - Math.cos(travelHeading + sweepRad)),
+        theta: normalizeAngle(pose.theta + sweepRad),
+    };
+};
+
+/**
+ * Tangent-continuous arc from a pose to a target point: the circle that leaves
+ * the pose along its current heading (or backwards when reversing) and passes
+ * through the target. Returns null when the target is (almost) straight behind
+ * the travel direction, where no usable arc exists.
+ * @returns {{distancePx: number, sweepRad: number, radiusPx: number, theta: number}|null}
+ */
+export const tangentArc = (pose, target, reverse = false) => {
+    const dx = target.x - pose.x;
+    const dy = target.y - pose.y;
+    const chord = Math.hypot(dx, dy);
+    if (chord < 1e-6) return null;
+    const travelHeading = pose.theta + (reverse ? Math.PI : 0);
+    const phi = normalizeAngle(Math.atan2(dy, dx) - travelHeading);
+    if (Math.abs(phi) > Math.PI - 1e-3) return null;
+    const length = Math.abs(phi) < 1e-6 ? chord : chord * phi / Math.sin(phi);
+    const sweepRad = 2 * phi;
+    return {
+        distancePx: reverse ? -length : length,
+        sweepRad,
+        radiusPx: Math.abs(sweepRad) < 1e-9 ? Infinity : length / Math.abs(sweepRad),
+        theta: normalizeAngle(pose.theta + sweepRad),
+    };
+};
+
+/**
+ * Applies one section action (rotate / move / arc / align) to a pose.
+ * Attachment actions (motors, waits, beeps) leave the pose unchanged.
+ * Alignments are found against the field when `field` is given (same units as
+ * the pose, see alignment.resolveAlignment); otherwise their stored result is replayed.
+ */
+export const advancePose = (pose, act, unitToPx, field = null) => {
+    if (isAttachmentAction(act)) {
+        return { ...pose };
+    }
+    if (isAlignmentAction(act)) {
+        const next = field ? resolveAlignment(pose, act, field).pose : applyAlignment(pose, act, unitToPx);
+        return { ...next, theta: normalizeAngle(next.theta) };
+    }
+    if (act.type === 'rotate') {
+        return { ...pose, theta: normalizeAngle(pose.theta + act.angle * DEG2RAD) };
+    }
+    if (act.type === 'arc') {
+        return arcPose(pose, unitToPx(act.distance), act.sweep * DEG2RAD);
+    }
+    const delta = unitToPx(act.distance);
+    return {
+        x: pose.x + Math.cos(pose.theta) * delta,
+        y: pose.y + Math.sin(pose.theta) * delta,
+        theta: pose.theta,
+    };
+};
+
+/**
+ * Points of the robot a waypoint can target. Poses (and stored waypoints) are
+ * always the wheel axis, the point the robot turns around; the other
+ * references sit on the heading line in front of or behind it.
+ */
+export const ROBOT_REFERENCES = {
+    axis: 'Eje',
+    center: 'Centro',
+    tip: 'Punta',
+};
+
+/**
+ * Distance from the wheel axis to a reference point, along the heading.
+ * The body reaches wheelOffset ahead of the axis, so its geometric centre is
+ * at wheelOffset - length / 2 (negative = behind the axis).
+ * @param {'axis'|'center'|'tip'} reference
+ * @param {{length: number, wheelOffset?: number}} robot - Any unit; the result uses the same one
+ * @returns {number}
+ */
+export const getReferenceOffset = (reference, robot) => {
+    const front = robot.wheelOffset ?? robot.length / 2;
+    if (reference === 'tip') return front;
+    if (reference === 'center') return front - robot.length / 2;
+    return 0;
+};
+
+export const getReferencePoint = (pose, referenceOffsetPx) => {
+    if (!pose) return { x: 0, y: 0 };
+    return {
+        x: pose.x + Math.cos(pose.theta) * referenceOffsetPx,
+        y: pose.y + Math.sin(pose.theta) * referenceOffsetPx,
+    };
 };
 
-export const computePoseUpToSection = (sections, initialPose, sectionId, unitToPx) => {
+export const computePoseUpToSection = (sections, initialPose, sectionId, unitToPx, field = null) => {
     let pose = { ...initialPose };
     for (const s of sections) {
         if (sectionId && s.id === sectionId) break;
         for (const act of s.actions) {
-            if (act.type === 'rotate') { pose.theta = normalizeAngle(pose.theta + act.angle * DEG2RAD); }
-            else { pose.x += Math.cos(pose.theta) * unitToPx(act.distance); pose.y += Math.sin(pose.theta) * unitToPx(act.distance); }
+            pose = advancePose(pose, act, unitToPx, field);
         }
     }
     return pose;
 };
 
-export const getPoseAfterActions = (startPose, actions, unitToPx) => {
+export const getPoseAfterActions = (startPose, actions, unitToPx, field = null) => {
     let pose = { ...startPose };
     for (const act of actions) {
-        if (act.type === 'rotate') {
-            pose.theta = normalizeAngle(pose.theta + act.angle * DEG2RAD);
-        } else {
-            const delta = unitToPx(act.distance);
-            pose = {
-                x: pose.x + Math.cos(pose.theta) * delta,
-                y: pose.y + Math.sin(pose.theta) * delta,
-                theta: pose.theta,
-            };
-        }
+        pose = advancePose(pose, act, unitToPx, field);
     }
     return pose;
 };
 
-export const getLastPoseOfSection = (section, sections, initialPose, unitToPx) => {
+export const getLastPoseOfSection = (section, sections, initialPose, unitToPx, field = null) => {
     if (!section) return { ...initialPose };
     // We need to compute pose up to this section first
     // But wait, computePoseUpToSection calculates UP TO the start of the section.
     // So we can use that.
-    let pose = computePoseUpToSection(sections, initialPose, section.id, unitToPx);
+    let pose = computePoseUpToSection(sections, initialPose, section.id, unitToPx, field);
+    pose = getPoseAfterActions(pose, section.startAttachments || [], unitToPx, field);
 
     for (const pt of section.points || []) {
         const dx = pt.x - pose.x;
         const dy = pt.y - pose.y;
         const dist = Math.hypot(dx, dy);
         let nextTheta = typeof pt.heading === 'number' ? pt.heading : pose.theta;
-        if (dist >= 1e-3) {
+        const arc = pt.arc && dist >= 1e-3 ? tangentArc(pose, pt, pt.reverse) : null;
+        if (arc) {
+            nextTheta = arc.theta;
+        } else if (dist >= 1e-3) {
             const headingToPoint = Math.atan2(dy, dx);
             nextTheta = typeof pt.heading === 'number'
                 ? pt.heading
                 : normalizeAngle((pt.reverse ? headingToPoint + Math.PI : headingToPoint));
         }
-        pose = { x: pt.x, y: pt.y, theta: nextTheta };
+        pose = { x: pt.x, y: pt.y, theta: typeof pt.finalHeading === 'number' ? normalizeAngle(pt.finalHeading) : nextTheta };
+        pose = getPoseAfterActions(pose, pt.attachments || [], unitToPx, field);
     }
     return pose;
 };
@@ -79,29 +176,69 @@ export const buildReversePlayback = (actions) => {
             if (Math.abs(angle) > 1e-3) {
                 reversed.push({ type: 'rotate', angle });
             }
+        } else if (isAttachmentAction(act)) {
+            // Attachments are not mirrored: reverse playback only retraces the path
+            continue;
+        } else if (isAlignmentAction(act)) {
+            reversed.push(reverseAlignment(act));
+        } else if (act.type === 'arc') {
+            // Retrace the same arc: opposite travel direction, opposite heading change
+            reversed.push({ type: 'arc', distance: -act.distance, sweep: -act.sweep, reference: act.reference || 'axis' });
         } else {
             const distance = Number((-act.distance).toFixed(2));
             if (Math.abs(distance) > 1e-3) {
-                reversed.push({ type: 'move', distance, reference: act.reference || 'center' });
+                reversed.push({ type: 'move', distance, reference: act.reference || 'axis' });
             }
         }
     }
     return reversed;
 };
 
-export const buildActionsFromPolyline = (points, startPose, pxToUnit) => {
+/**
+ * Section actions that drive through the points from startPose. Each point's final
+ * turn (finalHeading), attachments and alignments follow its drive; alignments are found against
+ * `field` (px, see advancePose) and store their result.
+ */
+export const buildActionsFromPolyline = (points, startPose, pxToUnit, field = null) => {
     const acts = [];
     let prev = { ...startPose };
+    const pushPointActions = (pt) => {
+        // Turn in place to the point's final heading before its attachments
+        if (typeof pt.finalHeading === 'number') {
+            const deg = normalizeAngle(pt.finalHeading - prev.theta) * RAD2DEG;
+            if (Math.abs(deg) > 1e-3) acts.push({ type: 'rotate', angle: Number(deg.toFixed(2)) });
+            prev = { ...prev, theta: normalizeAngle(pt.finalHeading) };
+        }
+        for (const a of pt.attachments || []) {
+            if (isAlignmentAction(a) && field) {
+                const resolved = resolveAlignment(prev, a, field);
+                acts.push(withAlignmentResult(a, resolved, pxToUnit));
+                prev = { ...resolved.pose, theta: normalizeAngle(resolved.pose.theta) };
+            } else {
+                acts.push(a);
+                prev = advancePose(prev, a, (val) => val / pxToUnit(1));
+            }
+        }
+    };
     for (const pt of points) {
         const dx = pt.x - prev.x;
         const dy = pt.y - prev.y;
         const distPx = Math.hypot(dx, dy);
         if (distPx < 1e-3) {
             prev = { ...prev, x: pt.x, y: pt.y };
+            pushPointActions(pt);
             continue;
         }
         const segmentReverse = Boolean(pt.reverse);
-        const segmentReference = pt.reference || 'center';
+        const segmentReference = pt.reference || 'axis';
+        const arc = pt.arc ? tangentArc(prev, pt, segmentReverse) : null;
+        if (arc) {
+            const signed = pxToUnit(Math.abs(arc.distancePx)) * (segmentReverse ? -1 : 1);
+            acts.push({ type: 'arc', distance: Number(signed.toFixed(2)), sweep: Number((arc.sweepRad * RAD2DEG).toFixed(2)), reference: segmentReference });
+            prev = { x: pt.x, y: pt.y, theta: arc.theta };
+            pushPointActions(pt);
+            continue;
+        }
         const headingToPoint = Math.atan2(dy, dx);
         const storedHeading = typeof pt.heading === 'number'
             ? normalizeAngle(pt.heading)
@@ -118,17 +255,96 @@ export const buildActionsFromPolyline = (points, startPose, pxToUnit) => {
             acts.push({ type: 'move', distance: Number(signed.toFixed(2)), reference: segmentReference });
         }
         prev = { x: pt.x, y: pt.y, theta: targetHeading };
+        pushPointActions(pt);
     }
     return acts;
 };
 
-export const pointsFromActions = (actions, startPose, unitToPx) => {
+/**
+ * Refreshes the stored result of every alignment in an action list, walking it
+ * from startPose against `field` (px). Other actions are returned as they are.
+ * @returns {Array}
+ */
+export const resolveActionAlignments = (actions, startPose, unitToPx, pxToUnit, field) => {
+    if (!field) return actions;
+    let pose = { ...startPose };
+    return actions.map(a => {
+        if (!isAlignmentAction(a)) {
+            pose = advancePose(pose, a, unitToPx);
+            return a;
+        }
+        const resolved = resolveAlignment(pose, a, field);
+        pose = { ...resolved.pose, theta: normalizeAngle(resolved.pose.theta) };
+        return withAlignmentResult(a, resolved, pxToUnit);
+    });
+};
+
+// Distances of one action in the working unit: drives and arcs, and the stored result of an alignment
+const scaleActionUnit = (a, factor) => {
+    if (a.type === 'move' || a.type === 'arc') return { ...a, distance: a.distance * factor };
+    if (isAlignmentAction(a)) return { ...a, forward: (a.forward || 0) * factor, lateral: (a.lateral || 0) * factor };
+    return a;
+};
+
+/**
+ * Sections with their action distances converted to another working unit,
+ * including alignments stored in the points and before the first point.
+ * Points are in field units and do not change.
+ * @param {Array} sections
+ * @param {number} factor - New units per old unit (10 for cm → mm)
+ * @returns {Array}
+ */
+export const scaleSectionsUnit = (sections, factor) => (sections || []).map(s => ({
+    ...s,
+    points: (s.points || []).map(p => (p.attachments ? { ...p, attachments: p.attachments.map(a => scaleActionUnit(a, factor)) } : p)),
+    ...(s.startAttachments ? { startAttachments: s.startAttachments.map(a => scaleActionUnit(a, factor)) } : {}),
+    actions: (s.actions || []).map(a => scaleActionUnit(a, factor))
+}));
+
+/**
+ * Rebuilds waypoints from a section's actions. Attachment and alignment actions
+ * are stored on the preceding waypoint; the ones before the first movement or turn are
+ * left out (see attachments.leadingAttachments). A turn that is not followed by a straight
+ * drive becomes the final heading of the preceding waypoint, or of a waypoint on the spot
+ * when that one already has attachments or the section has none yet.
+ */
+export const pointsFromActions = (actions, startPose, unitToPx, field = null) => {
     const pts = [];
     let pose = { ...startPose };
+    let turnFrom = null; // Heading before the turns not yet kept
+    const keepTurn = () => {
+        if (turnFrom === null) return;
+        const last = pts[pts.length - 1];
+        if (last && !last.attachments) {
+            last.finalHeading = pose.theta;
+        } else {
+            pts.push({ x: pose.x, y: pose.y, reverse: false, reference: 'axis', heading: turnFrom, finalHeading: pose.theta });
+        }
+        turnFrom = null;
+    };
     for (const a of actions) {
-        if (a.type === 'rotate') {
+        if (isAttachmentAction(a) || isAlignmentAction(a)) {
+            keepTurn();
+            const last = pts[pts.length - 1];
+            if (last) last.attachments = [...(last.attachments || []), a];
+            pose = advancePose(pose, a, unitToPx, field);
+        } else if (a.type === 'rotate') {
+            if (turnFrom === null) turnFrom = pose.theta;
             pose.theta = normalizeAngle(pose.theta + a.angle * DEG2RAD);
+        } else if (a.type === 'arc') {
+            keepTurn();
+            pose = arcPose(pose, unitToPx(a.distance), a.sweep * DEG2RAD);
+            pts.push({
+                x: pose.x,
+                y: pose.y,
+                reverse: a.distance < 0,
+                reference: a.reference || 'axis',
+                heading: pose.theta,
+                arc: true,
+            });
         } else {
+            // The drive's heading already holds the turns before it
+            turnFrom = null;
             const direction = Math.sign(a.distance) || 1;
             const travelPx = unitToPx(Math.abs(a.distance));
             const dx = Math.cos(pose.theta) * travelPx * direction;
@@ -142,38 +358,49 @@ export const pointsFromActions = (actions, startPose, unitToPx) => {
                 x: pose.x,
                 y: pose.y,
                 reverse: a.distance < 0,
-                reference: a.reference || 'center',
+                reference: a.reference || 'axis',
                 heading: pose.theta,
             });
         }
     }
+    keepTurn();
     return pts;
 };
 
+/**
+ * Projects the cursor onto the next straight segment from the anchor pose.
+ * The cursor marks where the chosen reference point (ROBOT_REFERENCES) should
+ * end; the returned pose is always the wheel axis, shifted back from that
+ * point by the reference offset along the final heading.
+ * @param {Object} params
+ * @param {{x: number, y: number}} params.rawPoint - Cursor (px)
+ * @param {{x: number, y: number, theta: number}} params.anchorPose - Wheel axis pose the segment starts from
+ * @param {boolean} [params.reverse]
+ * @param {number} [params.referenceOffsetPx] - getReferenceOffset of the reference, in px
+ * @returns {{axis: {x: number, y: number}, theta: number, distanceAxis: number, referenceDistance: number}}
+ */
 export const projectPointWithReference = ({
     rawPoint,
     anchorPose,
-    reference,
     reverse = false,
-    halfRobotLengthPx,
+    referenceOffsetPx = 0,
     snap45,
     baseAngles = SNAP_45_BASE_ANGLES
 }) => {
-    // CRITICAL: The trajectory ALWAYS starts from the robot's CENTER (anchorPose.x, anchorPose.y)
-    // The reference mode only affects the visual display, not the trajectory calculation
-    const anchorCenter = { x: anchorPose.x, y: anchorPose.y };
+    // The trajectory ALWAYS starts from the robot's wheel axis (anchorPose.x, anchorPose.y)
+    const anchorAxis = { x: anchorPose.x, y: anchorPose.y };
 
-    // Calculate the direction and distance from robot center to cursor
-    const dx = rawPoint.x - anchorCenter.x;
-    const dy = rawPoint.y - anchorCenter.y;
+    // Calculate the direction and distance from the wheel axis to the cursor
+    const dx = rawPoint.x - anchorAxis.x;
+    const dy = rawPoint.y - anchorAxis.y;
     let distanceRef = Math.hypot(dx, dy);
 
     if (distanceRef < 1e-6) {
         const thetaIdle = reverse ? normalizeAngle(anchorPose.theta + Math.PI) : anchorPose.theta;
         return {
-            center: { x: anchorPose.x, y: anchorPose.y },
+            axis: { x: anchorPose.x, y: anchorPose.y },
             theta: thetaIdle,
-            distanceCenter: 0,
+            distanceAxis: 0,
             referenceDistance: 0,
         };
     }
@@ -185,8 +412,8 @@ export const projectPointWithReference = ({
             const ux = Math.cos(baseAngle);
             const uy = Math.sin(baseAngle);
             const projection = dx * ux + dy * uy;
-            const projX = anchorCenter.x + ux * projection;
-            const projY = anchorCenter.y + uy * projection;
+            const projX = anchorAxis.x + ux * projection;
+            const projY = anchorAxis.y + uy * projection;
             const error = Math.hypot(projX - rawPoint.x, projY - rawPoint.y);
             const thetaCandidate = projection >= 0 ? baseAngle : normalizeAngle(baseAngle + Math.PI);
             const distanceCandidate = Math.abs(projection);
@@ -202,30 +429,19 @@ export const projectPointWithReference = ({
 
     const facingTheta = reverse ? normalizeAngle(travelTheta + Math.PI) : normalizeAngle(travelTheta);
 
-    // Calculate the new center position
-    let centerX, centerY;
-
-    if (reference === 'tip') {
-        // If reference is tip, the projected point (based on rawPoint) is where the TIP should be.
-        // So the center is shifted backwards by halfRobotLength.
-        // We use the projected point (anchor + vector) instead of rawPoint directly to respect snapping if active
-        const projectedTipX = anchorPose.x + Math.cos(travelTheta) * distanceRef;
-        const projectedTipY = anchorPose.y + Math.sin(travelTheta) * distanceRef;
-
-        centerX = projectedTipX - Math.cos(facingTheta) * halfRobotLengthPx;
-        centerY = projectedTipY - Math.sin(facingTheta) * halfRobotLengthPx;
-    } else {
-        // If reference is center, the projected point IS the center.
-        centerX = anchorPose.x + Math.cos(travelTheta) * distanceRef;
-        centerY = anchorPose.y + Math.sin(travelTheta) * distanceRef;
-    }
+    // The projected point (anchor + vector, respects snapping) is where the reference
+    // point should be; the wheel axis sits referenceOffsetPx behind it along the heading
+    const projectedX = anchorPose.x + Math.cos(travelTheta) * distanceRef;
+    const projectedY = anchorPose.y + Math.sin(travelTheta) * distanceRef;
+    const axisX = projectedX - Math.cos(facingTheta) * referenceOffsetPx;
+    const axisY = projectedY - Math.sin(facingTheta) * referenceOffsetPx;
 
-    const distanceCenter = Math.hypot(centerX - anchorPose.x, centerY - anchorPose.y);
+    const distanceAxis = Math.hypot(axisX - anchorPose.x, axisY - anchorPose.y);
 
     return {
-        center: { x: centerX, y: centerY },
+        axis: { x: axisX, y: axisY },
         theta: facingTheta,
-        distanceCenter,
+        distanceAxis,
         referenceDistance: distanceRef,
     };
 };
@@ -0,0 +1,155 @@
+/**
+ * instructionFormat.js
+ * Text of the calculated instructions, shared by the instructions panel and
+ * the printable run sheet: grouping by section, one row per instruction,
+ * totals and start poses.
+ */
+
+import { RAD2DEG } from "./constants";
+import { describeAttachment, getAttachmentType } from "./attachments";
+import { ALIGNMENT_MODES, describeAlignment, isAlignmentAction } from "./alignment";
+
+/**
+ * Groups instructions by their sectionId.
+ * @param {Array} instructions - Flat list of instructions from pathCalculator
+ * @param {Array} waypoints - Flat list of waypoints with section info
+ * @returns {Array} Array of section groups with their instructions
+ */
+export function groupInstructionsBySection(instructions, waypoints) {
+    // Build a map of sectionId -> section metadata from waypoints
+    const sectionMeta = {};
+    for (const wp of waypoints) {
+        if (wp.sectionId && !sectionMeta[wp.sectionId]) {
+            sectionMeta[wp.sectionId] = {
+                id: wp.sectionId,
+                color: wp.sectionColor || '#888888',
+                name: wp.sectionName || wp.sectionId
+            };
+        }
+    }
+
+    // Group instructions by sectionId
+    const groups = {};
+    const order = [];
+
+    for (const instr of instructions) {
+        const sectionId = instr.sectionId || 'default';
+
+        if (!groups[sectionId]) {
+            groups[sectionId] = {
+                id: sectionId,
+                color: sectionMeta[sectionId]?.color || '#888888',
+                name: sectionMeta[sectionId]?.name || sectionId,
+                instructions: []
+            };
+            order.push(sectionId);
+        }
+
+        groups[sectionId].instructions.push(instr);
+    }
+
+    // Return in order of appearance
+    return order.map(id => groups[id]);
+}
+
+/**
+ * Formats an instruction for display.
+ * @param {Object} instr - Instruction object
+ * @param {string} unit - Unit for distance ('cm' or 'mm')
+ * @returns {Object} Formatted instruction data
+ */
+export function formatInstruction(instr, unit = 'cm') {
+    if (instr.type === 'TURN') {
+        const direction = instr.value >= 0 ? 'Derecha' : 'Izquierda';
+        const directionShort = instr.value >= 0 ? 'DER' : 'IZQ';
+        return {
+            typeLabel: 'GIRO',
+            typeClass: 'turn',
+            directionLabel: directionShort,
+            value: Math.abs(instr.value).toFixed(1),
+            unit: '°',
+            description: `Girar ${direction} ${Math.abs(instr.value).toFixed(1)}°`
+        };
+    } else if (instr.type === 'ARC') {
+        const side = instr.sweep >= 0 ? 'DER' : 'IZQ';
+        const isReverse = instr.direction === 'reverse';
+        return {
+            typeLabel: 'ARCO',
+            typeClass: 'arc',
+            directionLabel: isReverse ? `R·${side}` : side,
+            value: instr.value.toFixed(1),
+            unit: `${unit} · r${instr.radius.toFixed(1)} · ${Math.abs(instr.sweep).toFixed(0)}°`,
+            description: `Arco ${isReverse ? 'en reversa ' : ''}hacia la ${instr.sweep >= 0 ? 'derecha' : 'izquierda'}: ${instr.value.toFixed(1)} ${unit}, radio ${instr.radius.toFixed(1)} ${unit}, ${Math.abs(instr.sweep).toFixed(1)}°`
+        };
+    } else if (instr.type === 'MOVE') {
+        const direction = instr.direction === 'reverse' ? 'Reversa' : 'Adelante';
+        const directionShort = instr.direction === 'reverse' ? 'REV' : 'ADL';
+        return {
+            typeLabel: 'MOV',
+            typeClass: instr.direction === 'reverse' ? 'reverse' : 'move',
+            directionLabel: directionShort,
+            value: instr.value.toFixed(1),
+            unit: unit,
+            description: `${direction} ${instr.value.toFixed(1)} ${unit}`
+        };
+    }
+    if (isAlignmentAction(instr)) {
+        return {
+            typeLabel: 'ALIN',
+            typeClass: 'align',
+            directionLabel: ALIGNMENT_MODES[instr.mode]?.short ?? '',
+            value: instr.contact ? instr.value.toFixed(1) : '—',
+            unit: instr.contact ? unit : 'sin referencia',
+            description: describeAlignment(instr)
+        };
+    }
+    const attachmentType = getAttachmentType(instr);
+    if (attachmentType) {
+        const isMotor = attachmentType === 'motorAngle' || attachmentType === 'motorTime';
+        return {
+            typeLabel: isMotor ? 'MOTOR' : attachmentType === 'wait' ? 'ESPERA' : 'PITIDO',
+            typeClass: 'attachment',
+            directionLabel: isMotor ? `M${instr.motor}` : (instr.label || ''),
+            value: String(attachmentType === 'motorAngle' ? instr.angle : instr.duration),
+            unit: attachmentType === 'motorAngle' ? `° · ${Math.abs(instr.speed)}°/s`
+                : attachmentType === 'motorTime' ? `ms · ${instr.speed}°/s` : 'ms',
+            description: describeAttachment(instr)
+        };
+    }
+    return {
+        typeLabel: '???',
+        typeClass: 'unknown',
+        value: '?',
+        unit: '',
+        description: 'Desconocido'
+    };
+}
+
+/**
+ * Driven distance (MOVE and ARC, in the instruction unit) and total turning (°) of a route.
+ * @param {Array} instructions
+ * @returns {{totalDistance: number, totalRotation: number}}
+ */
+export function summarizeInstructions(instructions) {
+    let totalDistance = 0;
+    let totalRotation = 0;
+
+    for (const instr of instructions) {
+        if (instr.type === 'MOVE' || instr.type === 'ARC') {
+            totalDistance += instr.value;
+        } else if (instr.type === 'TURN') {
+            totalRotation += Math.abs(instr.value);
+        }
+    }
+
+    return { totalDistance, totalRotation };
+}
+
+/**
+ * Start pose of a section as shown to the user.
+ * @param {{x: number, y: number, theta: number}} pose - x/y in the working unit, theta in radians
+ * @returns {string}
+ */
+export function formatPose(pose) {
+    return `X: ${pose.x.toFixed(1)} | Y: ${pose.y.toFixed(1)} | θ: ${Math.round(pose.theta * RAD2DEG)}°`;
+}
@@ -0,0 +1,206 @@
+/**
+ * instructionImport.js
+ * Route from a plain-text or CSV instruction list, as coaches write it:
+ *
+ *   Sección 1:
+ *   forward 30, turn right 90
+ *   Girar Izquierda 45.0°
+ *   Arco hacia la derecha: 31.4 cm, radio 20.0 cm, 90.0°
+ *
+ *   MOV,REV,12,cm
+ *
+ * Accepted forms of each instruction:
+ * - The descriptions of formatInstruction ("Adelante 30.0 cm", "Girar Derecha 90.0°", arcs).
+ * - Rows of the instruction table (run sheet, CSV): [#,] Tipo, Dir., Valor, Unidad, ...
+ *   separated by tabs, semicolons or commas.
+ * - Common variants in Spanish and English: "avanzar 30", "atrás 10 cm", "turn left 90",
+ *   "right 45", "MOVE -10", "TURN 90" (positive = right), "back 200 mm".
+ * Several instructions can share a line separated by commas or semicolons.
+ *
+ * A blank line or a header line ("Sección 2:", "# Recoger", "[Vuelta]") starts a
+ * new section. Text after "//" is a comment. Distances without a unit are in
+ * the working unit. Lines that cannot be read are reported with their number
+ * and left out.
+ */
+
+const LENGTH_UNITS_MM = { mm: 1, cm: 10, m: 1000 };
+
+const WORDS = {
+    turn: ['girar', 'gira', 'giro', 'turn', 'rotate', 'rotar', 'rota', 'rot'],
+    right: ['derecha', 'der', 'dcha', 'right', 'cw', 'horario'],
+    left: ['izquierda', 'izq', 'izda', 'left', 'ccw', 'antihorario'],
+    forward: ['adelante', 'avanzar', 'avanza', 'avance', 'forward', 'fwd', 'fw', 'recto', 'straight', 'adl', 'drive', 'go', 'move', 'mover', 'mueve', 'mov'],
+    back: ['reversa', 'atras', 'retroceder', 'retrocede', 'retroceso', 'back', 'backward', 'backwards', 'reverse', 'rev'],
+    arc: ['arco', 'arc', 'curva', 'curve'],
+    // Units and filler words that carry no meaning of their own
+    filler: ['a', 'al', 'la', 'el', 'en', 'de', 'hacia', 'to', 'the', 'by', 'mm', 'cm', 'm', 'grados', 'grado', 'degrees', 'degree', 'deg', 'radio', 'radius', 'r']
+};
+
+const KNOWN_WORDS = new Set(Object.values(WORDS).flat());
+
+// Number, optionally after a radius keyword, with its unit
+const NUMBER_PATTERN = /(?:\b(radio|radius|r)\s*)?(-?\d+(?:\.\d+)?)\s*(mm|cm|m(?![a-z])|°|º|deg(?:rees)?\b|grados?\b)?/g;
+
+const HEADER_PATTERNS = [
+    /^#+\s*(.+)$/,              // # Name
+    /^\[(.+)\]$/,               // [Name]
+    /^(.+?):$/,                 // Name:
+    /^((?:secci[oó]n|section)\b.*)$/i
+];
+
+const normalize = (text) => text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/,(?=\d)/g, '.')
+    .trim();
+
+const round = (value) => Number(value.toFixed(2));
+
+const hasAny = (words, key) => words.some(w => WORDS[key].includes(w));
+
+const splitCells = (line) => {
+    const separator = line.includes('\t') ? '\t' : line.includes(';') ? ';' : ',';
+    return line.split(separator).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+};
+
+const TABLE_TYPES = ['mov', 'giro', 'arco', 'move', 'turn', 'arc', 'rotate'];
+
+// Row of the instruction table: [#], Tipo, Dir., Valor, Unidad, ... -> text for parseInstructionCommand
+const tableRowToCommand = (line) => {
+    const cells = splitCells(line);
+    if (/^\d+$/.test(cells[0])) cells.shift();
+    if (cells.length < 3 || !TABLE_TYPES.includes(normalize(cells[0]))) return null;
+    if (!/^-?\d+(?:[.,]\d+)?$/.test(cells[2])) return null;
+    return `${cells[0]} ${cells[1]} ${cells[2]} ${cells[3] || ''}`;
+};
+
+/**
+ * One instruction as a section action.
+ * @param {string} text - e.g. "turn right 90", "Adelante 30.0 cm", "MOV REV 12 cm",
+ *   or a row of the instruction table ("1,GIRO,DER,90.0,°")
+ * @param {'cm'|'mm'} unit - Working unit (distances without unit, result)
+ * @returns {{action: Object}|{error: string}}
+ */
+export const parseInstructionCommand = (text, unit = 'cm') => {
+    const s = normalize(tableRowToCommand(text) ?? text).replace(/\br·/g, 'rev ');
+    const words = s.split(/[^a-z]+/).filter(Boolean);
+    const unknown = words.find(w => !KNOWN_WORDS.has(w));
+    if (unknown) return { error: `palabra desconocida «${unknown}»` };
+
+    const mmPerUnit = unit === 'mm' ? 1 : 10;
+    const numbers = [...s.matchAll(NUMBER_PATTERN)].map(m => ({
+        radius: Boolean(m[1]),
+        value: Number(m[2]),
+        unit: m[3] || null
+    }));
+    const toUnit = (n) => (LENGTH_UNITS_MM[n.unit] ? n.value * LENGTH_UNITS_MM[n.unit] / mmPerUnit : n.value);
+    const isAngle = (n) => Boolean(n.unit) && !LENGTH_UNITS_MM[n.unit];
+    const side = hasAny(words, 'left') ? -1 : 1;
+    const backwards = hasAny(words, 'back');
+
+    if (hasAny(words, 'arc')) {
+        if (!hasAny(words, 'right') && !hasAny(words, 'left')) return { error: 'falta el lado del arco (derecha / izquierda)' };
+        const length = numbers.find(n => !n.radius && !isAngle(n));
+        const radius = numbers.find(n => n.radius);
+        const sweep = numbers.find(isAngle);
+        let distance = length ? Math.abs(toUnit(length)) : null;
+        let sweepDeg = sweep ? Math.abs(sweep.value) : null;
+        if (distance === null && radius && sweepDeg !== null) distance = Math.abs(toUnit(radius)) * sweepDeg * Math.PI / 180;
+        if (sweepDeg === null && radius && distance !== null && toUnit(radius) !== 0) sweepDeg = distance / Math.abs(toUnit(radius)) * 180 / Math.PI;
+        if (distance === null || sweepDeg === null) return { error: 'un arco necesita dos de: longitud, radio y ángulo' };
+        if (distance === 0) return { error: 'el arco no puede medir 0' };
+        return { action: { type: 'arc', distance: round(backwards ? -distance : distance), sweep: round(side * sweepDeg), reference: 'axis' } };
+    }
+
+    const isTurn = hasAny(words, 'turn')
+        || ((hasAny(words, 'right') || hasAny(words, 'left')) && !hasAny(words, 'forward') && !backwards);
+    if (isTurn) {
+        if (numbers.length !== 1) return { error: numbers.length ? 'sobran números' : 'falta el ángulo' };
+        if (LENGTH_UNITS_MM[numbers[0].unit]) return { error: 'un giro se mide en grados' };
+        const angle = hasAny(words, 'right') || hasAny(words, 'left') ? side * Math.abs(numbers[0].value) : numbers[0].value;
+        if (angle === 0) return { error: 'el giro no puede ser de 0°' };
+        return { action: { type: 'rotate', angle: round(angle) } };
+    }
+
+    if (hasAny(words, 'forward') || backwards) {
+        // "go to the left 30": a drive has no side, the text may mean a turn
+        if (hasAny(words, 'right') || hasAny(words, 'left')) return { error: 'ambiguo: un avance no tiene lado (¿querías girar?)' };
+        if (numbers.length !== 1) return { error: numbers.length ? 'sobran números' : 'falta la distancia' };
+        if (isAngle(numbers[0])) return { error: 'un avance se mide en cm o mm' };
+        const distance = toUnit(numbers[0]);
+        if (distance === 0) return { error: 'la distancia no puede ser 0' };
+        return { action: { type: 'move', distance: round(backwards ? -Math.abs(distance) : distance), reference: 'axis' } };
+    }
+
+    return { error: 'no es un giro, un avance ni un arco' };
+};
+
+const isTableHeader = (line) => {
+    const cells = splitCells(normalize(line));
+    return cells.length >= 3 && cells.some(c => c === 'tipo' || c === 'type') && cells.some(c => c === 'valor' || c === 'value');
+};
+
+// Splits "forward 30, turn right 90" keeping the parts of an arc description together
+const splitCommands = (line) => line
+    .split(/[;,](?!\d)/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .reduce((parts, part) => {
+        if (parts.length > 0 && /^(radio|radius|r\s*\d|\d)/i.test(part)) {
+            parts[parts.length - 1] += `, ${part}`;
+        } else {
+            parts.push(part);
+        }
+        return parts;
+    }, []);
+
+/**
+ * Sections of a plain-text / CSV instruction list.
+ * @param {string} text
+ * @param {'cm'|'mm'} unit - Working unit
+ * @returns {{sections: Array<{name: string|null, line: number, actions: Array}>, errors: Array<{line: number, text: string, message: string}>}}
+ *   name is null for sections without a header; line is where the section starts (1-based)
+ */
+export const parseInstructionText = (text, unit = 'cm') => {
+    const sections = [];
+    const errors = [];
+    let current = null;
+
+    const closeSection = () => {
+        if (current && current.actions.length > 0) sections.push(current);
+        current = null;
+    };
+
+    String(text ?? '').split(/\r?\n/).forEach((raw, index) => {
+        const lineNumber = index + 1;
+        const line = raw.replace(/\/\/.*$/, '').trim();
+        if (!line) {
+            closeSection();
+            return;
+        }
+        if (isTableHeader(line)) return;
+
+        const tableCommand = tableRowToCommand(line);
+        const header = tableCommand ? null : HEADER_PATTERNS.map(p => p.exec(line)).find(Boolean);
+        if (header) {
+            closeSection();
+            current = { name: header[1].trim(), line: lineNumber, actions: [] };
+            return;
+        }
+
+        if (!current) current = { name: null, line: lineNumber, actions: [] };
+        const commands = tableCommand ? [tableCommand] : splitCommands(line.replace(/^\d+\s*[.)]\s+/, ''));
+        for (const command of commands) {
+            const result = parseInstructionCommand(command, unit);
+            if (result.error) {
+                errors.push({ line: lineNumber, text: raw.trim(), message: commands.length > 1 ? `«${command}»: ${result.error}` : result.error });
+                continue;
+            }
+            current.actions.push(result.action);
+        }
+    });
+    closeSection();
+
+    return { sections, errors };
+};
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Unit tests for instructionImport.js
+ *
+ * Run with: node src/wro-planner/domain/instructionImport.test.js
+ *
+ * These tests verify reading instruction lists:
+ * - The descriptions of formatInstruction and the Spanish / English variants
+ * - Rows of the instruction table, alone and inside a list
+ * - Errors for unreadable or ambiguous instructions
+ * - Sections and line numbers of a whole list
+ * - Instructions of a planned route read back as the same actions and waypoints
+ */
+
+import { test, assertEqual, assertTrue, summary } from './testHarness.js';
+
+const { parseInstructionCommand, parseInstructionText } = await import('./instructionImport.js');
+const { calculateRouteInstructions } = await import('./pathCalculator.js');
+const { formatInstruction } = await import('./instructionFormat.js');
+const { pointsFromActions, buildActionsFromPolyline } = await import('./geometry.js');
+
+const action = (text, unit = 'cm') => parseInstructionCommand(text, unit).action ?? null;
+const error = (text, unit = 'cm') => parseInstructionCommand(text, unit).error ?? null;
+
+const move = (distance) => ({ type: 'move', distance, reference: 'axis' });
+const rotate = (angle) => ({ type: 'rotate', angle });
+
+// =====================================================================
+// SINGLE INSTRUCTIONS
+// =====================================================================
+
+test('Test 1: Descriptions from the planner');
+{
+    assertEqual(action('Adelante 30.0 cm'), move(30), 'Adelante 30.0 cm');
+    assertEqual(action('Reversa 12.5 cm'), move(-12.5), 'Reversa 12.5 cm');
+    assertEqual(action('Girar Derecha 90.0°'), rotate(90), 'Girar Derecha 90.0°');
+    assertEqual(action('Girar Izquierda 45.0°'), rotate(-45), 'Girar Izquierda 45.0°');
+    assertEqual(action('Arco hacia la derecha: 31.4 cm, radio 20.0 cm, 90.0°'),
+        { type: 'arc', distance: 31.4, sweep: 90, reference: 'axis' }, 'Arc description');
+}
+
+test('Test 2: Spanish variants');
+{
+    const cases = [
+        ['avanzar 30', move(30)],
+        ['avanza 30 cm', move(30)],
+        ['atrás 10 cm', move(-10)],
+        ['retroceder 100 mm', move(-10)],
+        ['recto 2,5', move(2.5)],
+        ['girar izquierda 90', rotate(-90)],
+        ['gira a la derecha 45 grados', rotate(45)],
+        ['derecha 45', rotate(45)],
+        ['izq 30º', rotate(-30)],
+        ['arco izquierda radio 20 cm 90°', { type: 'arc', distance: 31.42, sweep: -90, reference: 'axis' }],
+        ['curva a la derecha 31.4 cm 90°', { type: 'arc', distance: 31.4, sweep: 90, reference: 'axis' }]
+    ];
+    cases.forEach(([text, expected]) => assertEqual(action(text), expected, text));
+}
+
+test('Test 3: English variants');
+{
+    const cases = [
+        ['forward 30', move(30)],
+        ['back 200 mm', move(-20)],
+        ['backwards 5', move(-5)],
+        ['drive 1 m', move(100)],
+        ['MOVE -10', move(-10)],
+        ['turn left 90', rotate(-90)],
+        ['turn right 90 degrees', rotate(90)],
+        ['right 45', rotate(45)],
+        ['TURN 90', rotate(90)],
+        ['TURN -30', rotate(-30)],
+        ['arc right radius 10 cm 180 deg', { type: 'arc', distance: 31.42, sweep: 180, reference: 'axis' }],
+        ['reverse arc left 20 cm 45°', { type: 'arc', distance: -20, sweep: -45, reference: 'axis' }]
+    ];
+    cases.forEach(([text, expected]) => assertEqual(action(text), expected, text));
+}
+
+test('Test 4: Millimetre working unit');
+{
+    assertEqual(action('forward 30', 'mm'), move(30), 'No unit: working unit');
+    assertEqual(action('forward 3 cm', 'mm'), move(30), 'cm converted to mm');
+}
+
+test('Test 5: Table rows');
+{
+    assertEqual(action('1,GIRO,DER,90.0,°'), rotate(90), 'Numbered turn row with commas');
+    assertEqual(action('GIRO;IZQ;45,5;°'), rotate(-45.5), 'Turn row with semicolons and decimal comma');
+    assertEqual(action('MOV,REV,12,cm'), move(-12), 'Move row');
+    assertEqual(action('3\tMOV\tADL\t300\tmm\tAdelante 300 mm'), move(30), 'Tab-separated row with description');
+}
+
+// =====================================================================
+// ERRORS
+// =====================================================================
+
+test('Test 6: Errors');
+{
+    assertTrue(error('go to the left 30')?.startsWith('ambiguo'), 'go to the left 30: a drive with a side is ambiguous');
+    assertTrue(error('avanzar a la derecha 30')?.startsWith('ambiguo'), 'avanzar a la derecha 30: ambiguous');
+    assertTrue(error('retroceder izquierda 10')?.startsWith('ambiguo'), 'retroceder izquierda 10: ambiguous');
+    assertEqual(error('saltar 30'), 'palabra desconocida «saltar»', 'Unknown word');
+    assertEqual(error('turn right'), 'falta el ángulo', 'Turn without angle');
+    assertEqual(error('turn right 90 cm'), 'un giro se mide en grados', 'Turn in cm');
+    assertEqual(error('forward 90°'), 'un avance se mide en cm o mm', 'Drive in degrees');
+    assertEqual(error('forward 10 20'), 'sobran números', 'Two distances');
+    assertEqual(error('arc 30 90°'), 'falta el lado del arco (derecha / izquierda)', 'Arc without side');
+    assertEqual(error('arc right 30'), 'un arco necesita dos de: longitud, radio y ángulo', 'Arc with one measure');
+}
+
+// =====================================================================
+// WHOLE LISTS
+// =====================================================================
+
+test('Test 7: Sections and errors of a list');
+{
+    const text = [
+        'Sección 1:',
+        'forward 30, turn right 90',
+        'Girar Izquierda 45.0° // comentario',
+        '',
+        '# Recoger',
+        '#,Tipo,Dir.,Valor,Unidad',
+        '1,MOV,ADL,20,cm',
+        '2,GIRO,DER,90.0,°',
+        'go to the left 30',
+        '[Vuelta]',
+        'back 10',
+        'turn left 90, arc right 20 cm 90°',
+        'turn right 90',
+        '[Última]',
+        'arc left 10 cm 45°'
+    ].join('\n');
+    const { sections, errors } = parseInstructionText(text, 'cm');
+
+    assertEqual(sections.map(s => s.name), ['Sección 1', 'Recoger', 'Vuelta', 'Última'], 'Four named sections');
+    assertEqual(sections.map(s => s.line), [1, 5, 10, 14], 'Section start lines');
+    assertEqual(sections[0].actions, [move(30), rotate(90), rotate(-45)], 'First section: comma-separated and commented lines');
+    assertEqual(sections[1].actions, [move(20), rotate(90)], 'Second section: table rows, header skipped');
+    assertEqual(sections[2].actions, [move(-10), rotate(-90), { type: 'arc', distance: 20, sweep: 90, reference: 'axis' }, rotate(90)],
+        'Third section: arc after a turn, ending with a turn');
+    assertEqual(sections[3].actions, [{ type: 'arc', distance: 10, sweep: -45, reference: 'axis' }], 'Fourth section: opens with an arc');
+    assertEqual(errors.map(e => e.line), [9], 'Error on line 9');
+    assertTrue(errors[0].message.startsWith('ambiguo'), 'Line 9: ambiguous drive');
+}
+
+// =====================================================================
+// ROUND TRIP
+// =====================================================================
+
+test('Test 8: Planner instructions → text → actions');
+{
+    // Field in mm, working unit cm; turns on the spot before arcs, inside and at the start of a section
+    const DEG = Math.PI / 180;
+    const initialPose = { x: 200, y: 300, theta: 0 };
+    const unitToMm = (cm) => cm * 10;
+    const mmToUnit = (mm) => mm / 10;
+    const sectionsOf = (waypoints) => [...new Set(waypoints.map(p => p.sectionId))];
+    const waypoints = [
+        { x: 600, y: 300, sectionId: 'a', finalHeading: -90 * DEG },
+        { x: 800, y: 100, sectionId: 'a', arc: true },
+        { x: 1000, y: 100, sectionId: 'a', finalHeading: 90 * DEG },
+        { x: 1000, y: 100, sectionId: 'b', finalHeading: 0 },
+        { x: 1100, y: 200, sectionId: 'b', arc: true, reverse: true },
+        { x: 1100, y: 500, sectionId: 'b' }
+    ];
+
+    const { instructions } = calculateRouteInstructions(initialPose, waypoints, 10);
+    const text = sectionsOf(waypoints).map(id => [
+        `# ${id}`,
+        ...instructions.filter(i => i.sectionId === id).map(i => formatInstruction(i, 'cm').description)
+    ].join('\n')).join('\n');
+    const { sections, errors } = parseInstructionText(text, 'cm');
+
+    assertEqual(errors, [], 'Every formatted instruction is read back');
+    assertEqual(sections.map(s => s.actions.map(a => a.type)).flat(),
+        instructions.map(i => ({ MOVE: 'move', TURN: 'rotate', ARC: 'arc' })[i.type]), 'One action per instruction, in order');
+
+    let pose = initialPose;
+    sections.forEach((section, index) => {
+        const points = pointsFromActions(section.actions, pose, unitToMm);
+        const rebuilt = buildActionsFromPolyline(points, pose, mmToUnit);
+        assertEqual(rebuilt.length, section.actions.length, `Section ${index + 1}: its waypoints drive the same steps`);
+        section.actions.forEach((a, i) => {
+            assertEqual(rebuilt[i].type, a.type, `Section ${index + 1}, step ${i + 1}: type`);
+            assertEqual(rebuilt[i].angle ?? rebuilt[i].distance, a.angle ?? a.distance, `Section ${index + 1}, step ${i + 1}: value`);
+        });
+        const last = points[points.length - 1];
+        pose = { x: last.x, y: last.y, theta: last.finalHeading ?? last.heading };
+    });
+    assertEqual([Math.round(pose.x), Math.round(pose.y)], [1100, 500], 'Ends where the route ends');
+}
+
+summary();
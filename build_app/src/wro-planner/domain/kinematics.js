@@ -0,0 +1,121 @@
+/**
+ * kinematics.js
+ * Differential-drive kinematics: converts TURN/MOVE instructions into
+ * left/right wheel-motor encoder degrees.
+ *
+ * Conventions (same as pathCalculator):
+ * - MOVE value is in the planner unit, direction 'reverse' drives backwards.
+ * - ARC value is the arc length (planner unit), sweep the heading change in degrees.
+ * - TURN value is in degrees, positive = clockwise (right) -> left wheel forward, right wheel backward.
+ * - Robot wheelDiameter and trackWidth are in the planner unit; gearRatio = motor turns per wheel turn.
+ *
+ * Motors only accept whole degrees, so every conversion also reports the
+ * error introduced by rounding, expressed as distance (MOVE) or heading (TURN).
+ */
+
+import { DEG2RAD, RAD2DEG } from "./constants";
+import { isAttachmentAction } from "./attachments";
+import { isAlignmentAction } from "./alignment";
+
+/**
+ * @typedef {Object} MotorCommand
+ * @property {number} degrees - Rounded encoder degrees sent to the motor
+ * @property {number} exactDegrees - Unrounded encoder degrees
+ * @property {number} rotations - Motor rotations (exactDegrees / 360)
+ */
+
+/**
+ * @typedef {Object} InstructionKinematics
+ * @property {MotorCommand} left
+ * @property {MotorCommand} right
+ * @property {number} roundingDegrees - Largest rounding error of both motors (encoder degrees)
+ * @property {number} distanceError - Travel error caused by rounding (planner unit, MOVE and ARC)
+ * @property {number} headingError - Heading error caused by rounding (degrees, TURN and ARC)
+ */
+
+/**
+ * Whether the robot has enough data for the kinematics model.
+ * @param {Object} robot
+ * @returns {boolean}
+ */
+export const hasKinematics = (robot) => (
+    robot?.wheelDiameter > 0 && robot?.trackWidth > 0 && robot?.gearRatio > 0
+);
+
+/**
+ * Converts one instruction into motor commands.
+ * @param {Object} instr - TURN, MOVE or ARC instruction
+ * @param {Object} robot - { wheelDiameter, trackWidth, gearRatio }
+ * @returns {InstructionKinematics|null} null if the robot config is incomplete
+ *   or the instruction is not a planned wheel motion (attachments, alignments)
+ */
+export const computeInstructionKinematics = (instr, robot) => {
+    if (!hasKinematics(robot) || isAttachmentAction(instr) || isAlignmentAction(instr)) return null;
+
+    const { wheelDiameter, trackWidth, gearRatio } = robot;
+    const circumference = Math.PI * wheelDiameter;
+
+    // Distance each wheel travels on the mat
+    let leftTravel = 0;
+    let rightTravel = 0;
+    if (instr.type === 'MOVE') {
+        const distance = instr.value * (instr.direction === 'reverse' ? -1 : 1);
+        leftTravel = distance;
+        rightTravel = distance;
+    } else if (instr.type === 'TURN') {
+        const arc = (trackWidth / 2) * instr.value * DEG2RAD;
+        leftTravel = arc;
+        rightTravel = -arc;
+    } else if (instr.type === 'ARC') {
+        // Outer wheel travels further: arc length ± half track times the sweep
+        const distance = instr.value * (instr.direction === 'reverse' ? -1 : 1);
+        const offset = (trackWidth / 2) * instr.sweep * DEG2RAD;
+        leftTravel = distance + offset;
+        rightTravel = distance - offset;
+    }
+
+    const toMotorDegrees = (travel) => (travel / circumference) * 360 * gearRatio;
+    const toTravel = (motorDegrees) => (motorDegrees / 360 / gearRatio) * circumference;
+
+    const buildCommand = (travel) => {
+        const exactDegrees = toMotorDegrees(travel);
+        const degrees = Math.round(exactDegrees);
+        return { degrees: Object.is(degrees, -0) ? 0 : degrees, exactDegrees, rotations: exactDegrees / 360 };
+    };
+
+    const left = buildCommand(leftTravel);
+    const right = buildCommand(rightTravel);
+    const leftError = left.degrees - left.exactDegrees;
+    const rightError = right.degrees - right.exactDegrees;
+
+    return {
+        left,
+        right,
+        roundingDegrees: Math.max(Math.abs(leftError), Math.abs(rightError)),
+        distanceError: instr.type !== 'TURN' ? toTravel((leftError + rightError) / 2) : 0,
+        headingError: instr.type !== 'MOVE' ? ((toTravel(leftError) - toTravel(rightError)) / trackWidth) * RAD2DEG : 0
+    };
+};
+
+/**
+ * Converts a whole route and accumulates the rounding error.
+ * @param {Array} instructions
+ * @param {Object} robot
+ * @returns {{steps: Array<InstructionKinematics|null>, totals: Object}|null}
+ */
+export const computeRouteKinematics = (instructions, robot) => {
+    if (!hasKinematics(robot)) return null;
+
+    const totals = { leftDegrees: 0, rightDegrees: 0, distanceError: 0, headingError: 0 };
+    const steps = instructions.map(instr => {
+        const step = computeInstructionKinematics(instr, robot);
+        if (!step) return null;
+        totals.leftDegrees += Math.abs(step.left.degrees);
+        totals.rightDegrees += Math.abs(step.right.degrees);
+        totals.distanceError += step.distanceError;
+        totals.headingError += step.headingError;
+        return step;
+    });
+
+    return { steps, totals };
+};
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Unit tests for kinematics.js
+ *
+ * Run with: node src/wro-planner/domain/kinematics.test.js
+ *
+ * These tests verify the wheel-motor degrees of each instruction:
+ * - Drives: distance ↔ wheel degrees, gear ratio
+ * - Turns and arcs: wheel travel around the track
+ * - Rounding to whole degrees and the error it leaves
+ */
+
+import { test, assertEqual, assertApprox, assertTrue, summary } from './testHarness.js';
+
+const { hasKinematics, computeInstructionKinematics, computeRouteKinematics } = await import('./kinematics.js');
+
+// Wheel circumference 20 cm: 1 cm of travel = 18 motor degrees.
+// Track 40/π cm: a 90° turn moves each wheel 10 cm.
+const robot = { wheelDiameter: 20 / Math.PI, trackWidth: 40 / Math.PI, gearRatio: 1 };
+
+const degrees = (instr, config = robot) => {
+    const result = computeInstructionKinematics(instr, config);
+    return [result.left.degrees, result.right.degrees];
+};
+
+// =====================================================================
+// DRIVES
+// =====================================================================
+
+test('Test 1: Distance to wheel degrees');
+{
+    const cases = [
+        // [instruction, [left, right], description]
+        [{ type: 'MOVE', value: 10 }, [180, 180], '10 cm: half a wheel turn'],
+        [{ type: 'MOVE', value: 20 }, [360, 360], 'One circumference: one turn'],
+        [{ type: 'MOVE', value: 5, direction: 'reverse' }, [-90, -90], 'Reverse: negative degrees'],
+        [{ type: 'MOVE', value: 0 }, [0, 0], 'No distance: 0, not -0']
+    ];
+    cases.forEach(([instr, expected, message]) => assertEqual(degrees(instr), expected, message));
+
+    assertEqual(degrees({ type: 'MOVE', value: 10 }, { ...robot, gearRatio: 2 }), [360, 360], 'Gear ratio 2: twice the motor degrees');
+    const move = computeInstructionKinematics({ type: 'MOVE', value: 10 }, robot);
+    assertApprox(move.left.rotations, 0.5, 1e-9, 'Rotations');
+    assertEqual(move.headingError, 0, 'A drive has no heading error');
+}
+
+// =====================================================================
+// TURNS AND ARCS
+// =====================================================================
+
+test('Test 2: Wheel travel on turns and arcs');
+{
+    const cases = [
+        // [instruction, [left, right], description]
+        [{ type: 'TURN', value: 90 }, [180, -180], 'Right 90°: left wheel forward, right wheel back'],
+        [{ type: 'TURN', value: -45 }, [-90, 90], 'Left 45°: the other way round'],
+        [{ type: 'TURN', value: 360 }, [720, -720], 'Full spin: each wheel drives the track circumference'],
+        [{ type: 'ARC', value: 20, sweep: 90 }, [540, 180], 'Arc right: outer (left) wheel 30 cm, inner 10 cm'],
+        [{ type: 'ARC', value: 20, sweep: -90 }, [180, 540], 'Arc left: right wheel outside'],
+        [{ type: 'ARC', value: 20, sweep: -90, direction: 'reverse' }, [-540, -180], 'Reverse arc: both backwards'],
+        [{ type: 'ARC', value: 10, sweep: 90 }, [360, 0], 'Arc around the right wheel: it stays still']
+    ];
+    cases.forEach(([instr, expected, message]) => assertEqual(degrees(instr), expected, message));
+}
+
+// =====================================================================
+// ROUNDING
+// =====================================================================
+
+test('Test 3: Rounding error');
+{
+    // 10.01 cm = 180.18° → 180°: 0.18° short = 0.01 cm
+    const move = computeInstructionKinematics({ type: 'MOVE', value: 10.01 }, robot);
+    assertEqual(move.left.degrees, 180, 'Rounded to whole degrees');
+    assertApprox(move.left.exactDegrees, 180.18, 1e-9, 'Exact degrees kept');
+    assertApprox(move.roundingDegrees, 0.18, 1e-9, 'Rounding in motor degrees');
+    assertApprox(move.distanceError, -0.01, 1e-9, 'Travel error: 0.01 cm short');
+
+    // 90.05° = 180.2° per wheel → 180°: each wheel 0.2° short = 0.05° of heading
+    const turn = computeInstructionKinematics({ type: 'TURN', value: 90.05 }, robot);
+    assertApprox(turn.headingError, -0.05, 1e-9, 'Heading error of a turn');
+    assertEqual(turn.distanceError, 0, 'A turn has no travel error');
+}
+
+test('Test 4: Incomplete robot and whole routes');
+{
+    assertTrue(hasKinematics(robot), 'Complete robot');
+    assertTrue(!hasKinematics({ ...robot, trackWidth: 0 }), 'Track 0: incomplete');
+    assertEqual(computeInstructionKinematics({ type: 'MOVE', value: 10 }, { wheelDiameter: 5.6 }), null, 'Incomplete robot: no kinematics');
+    assertEqual(computeInstructionKinematics({ type: 'wait', duration: 500 }, robot), null, 'Attachment: no wheel motion');
+    assertEqual(computeInstructionKinematics({ type: 'ALIGN', mode: 'wallBack' }, robot), null, 'Alignment: no planned wheel motion');
+
+    const route = computeRouteKinematics([
+        { type: 'MOVE', value: 10 },
+        { type: 'TURN', value: -90 },
+        { type: 'wait', duration: 500 },
+        { type: 'MOVE', value: 5, direction: 'reverse' }
+    ], robot);
+    assertEqual(route.steps.map(s => s && s.left.degrees), [180, -180, null, -90], 'One result per instruction, null for attachments');
+    assertEqual([route.totals.leftDegrees, route.totals.rightDegrees], [450, 450], 'Totals add absolute degrees');
+}
+
+summary();
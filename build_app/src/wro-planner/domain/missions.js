@@ -211,6 +211,55 @@ const drawFlag = (ctx, halfSize, color, isSelected) => {
     ctx.stroke();
 };
 
+/**
+ * SVG markup of a mission marker shape and its crosshair (same shapes as
+ * drawMission, no label or selection), in the units of the mission.
+ * @param {Object} mission - Mission object
+ * @param {number} [scale] - Multiplies stroke widths and the flag pole (canvas px -> target units)
+ * @returns {string}
+ */
+export const missionShapeToSvg = (mission, scale = 1) => {
+    const { x, y, size, color, shape, rotation, opacity } = mission;
+    const halfSize = size / 2;
+    const stroke = `stroke="${adjustColor(color, -30)}" stroke-width="${2 * scale}"`;
+    const fill = `fill="${color}"`;
+    const polygon = (points) => `<polygon points="${points.map(p => `${p[0].toFixed(1)},${p[1].toFixed(1)}`).join(' ')}" ${fill} ${stroke}/>`;
+
+    let body;
+    switch (shape) {
+        case MISSION_SHAPES.SQUARE:
+            body = `<rect x="${-halfSize}" y="${-halfSize}" width="${size}" height="${size}" ${fill} ${stroke}/>`;
+            break;
+        case MISSION_SHAPES.TRIANGLE:
+            body = polygon([[0, -halfSize], [halfSize, halfSize], [-halfSize, halfSize]]);
+            break;
+        case MISSION_SHAPES.STAR: {
+            const points = [];
+            for (let i = 0; i < 10; i++) {
+                const radius = i % 2 === 0 ? halfSize : halfSize * 0.5;
+                const angle = (Math.PI / 5) * i - Math.PI / 2;
+                points.push([Math.cos(angle) * radius, Math.sin(angle) * radius]);
+            }
+            body = polygon(points);
+            break;
+        }
+        case MISSION_SHAPES.FLAG:
+            body = `<rect x="${-2 * scale}" y="${-halfSize}" width="${4 * scale}" height="${size}" fill="#4b5563"/>`
+                + polygon([[2 * scale, -halfSize], [halfSize, -halfSize * 0.5], [2 * scale, 0]]);
+            break;
+        case MISSION_SHAPES.CIRCLE:
+        default:
+            body = `<circle r="${halfSize}" ${fill} ${stroke}/>`;
+            break;
+    }
+
+    const cross = halfSize * 0.4;
+    return `<g transform="translate(${x} ${y}) rotate(${rotation || 0})">`
+        + `<g opacity="${opacity || 0.7}">${body}</g>`
+        + `<path d="M${-cross} 0H${cross}M0 ${-cross}V${cross}" stroke="#ffffff" stroke-width="${2 * scale}"/>`
+        + '</g>';
+};
+
 /**
  * Adjust color brightness
  * @param {string} color - Hex color
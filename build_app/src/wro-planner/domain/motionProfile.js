@@ -0,0 +1,178 @@
+/**
+ * motionProfile.js
+ * Run-time estimation with trapezoidal velocity profiles.
+ *
+ * Every MOVE accelerates to maxSpeed, cruises and decelerates to a stop
+ * (triangular profile when the distance is too short to reach maxSpeed).
+ * ARCs use the linear profile on the arc length; TURNs do the same with
+ * turnRate / turnAcceleration. After each instruction
+ * the robot waits settleTime before the next one starts.
+ * Attachment steps (motors, waits, beeps) take their own duration; attachment
+ * motors also wait settleTime. Alignments drive at their own speed (plus the
+ * push time of wallSquare) and wait settleTime.
+ *
+ * The profile is stored in mm and seconds, independent of the planner unit.
+ * Playback (usePlayback) uses the same functions, so the animation matches the estimate.
+ */
+
+import { attachmentDuration, getAttachmentType, isAttachmentAction } from "./attachments";
+import { alignmentDuration, isAlignmentAction } from "./alignment";
+
+/**
+ * @typedef {Object} MotionProfile
+ * @property {number} maxSpeed - mm/s
+ * @property {number} acceleration - mm/s²
+ * @property {number} turnRate - °/s
+ * @property {number} turnAcceleration - °/s²
+ * @property {number} settleTime - Pause after each instruction (s)
+ */
+
+/** @type {MotionProfile} */
+export const DEFAULT_MOTION_PROFILE = {
+    maxSpeed: 300,
+    acceleration: 600,
+    turnRate: 150,
+    turnAcceleration: 300,
+    settleTime: 0.1
+};
+
+/** WRO RoboMission run time limit (s) */
+export const WRO_RUN_TIME_LIMIT = 120;
+
+/**
+ * Merges a saved profile with the defaults, keeping only valid values.
+ * @param {Object} [saved]
+ * @returns {MotionProfile}
+ */
+export const normalizeMotionProfile = (saved) => {
+    const profile = { ...DEFAULT_MOTION_PROFILE };
+    if (!saved || typeof saved !== 'object') return profile;
+    Object.keys(profile).forEach(key => {
+        const value = saved[key];
+        const minimum = key === 'settleTime' ? 0 : Number.EPSILON;
+        if (typeof value === 'number' && Number.isFinite(value) && value >= minimum) {
+            profile[key] = value;
+        }
+    });
+    return profile;
+};
+
+/**
+ * Duration of a rest-to-rest trapezoidal profile.
+ * @param {number} distance - Absolute distance (mm or degrees)
+ * @param {number} maxSpeed - Cruise speed (per second)
+ * @param {number} acceleration - Acceleration and deceleration (per second²)
+ * @returns {number} Seconds
+ */
+export const trapezoidalDuration = (distance, maxSpeed, acceleration) => {
+    const d = Math.abs(distance);
+    if (d === 0 || !(maxSpeed > 0) || !(acceleration > 0)) return 0;
+    const rampDistance = (maxSpeed * maxSpeed) / acceleration; // accel + decel
+    if (d <= rampDistance) {
+        // Triangular: never reaches maxSpeed
+        return 2 * Math.sqrt(d / acceleration);
+    }
+    return (2 * maxSpeed) / acceleration + (d - rampDistance) / maxSpeed;
+};
+
+/**
+ * Distance covered after t seconds of a rest-to-rest trapezoidal profile.
+ * @param {number} t - Elapsed seconds
+ * @param {number} distance - Absolute total distance
+ * @param {number} maxSpeed
+ * @param {number} acceleration
+ * @returns {number} Covered distance, clamped to [0, distance]
+ */
+export const trapezoidalPosition = (t, distance, maxSpeed, acceleration) => {
+    const d = Math.abs(distance);
+    const total = trapezoidalDuration(d, maxSpeed, acceleration);
+    if (t <= 0 || total === 0) return 0;
+    if (t >= total) return d;
+
+    const peak = Math.min(maxSpeed, Math.sqrt(d * acceleration));
+    const rampTime = peak / acceleration;
+    if (t <= rampTime) return 0.5 * acceleration * t * t;
+
+    const rampDistance = 0.5 * peak * rampTime;
+    const cruiseTime = total - 2 * rampTime;
+    if (t <= rampTime + cruiseTime) return rampDistance + peak * (t - rampTime);
+
+    const remaining = total - t;
+    return d - 0.5 * acceleration * remaining * remaining;
+};
+
+/**
+ * Motion parameters of one instruction or playback action, in profile units.
+ * @param {{type: string, value?: number, angle?: number, distance?: number}} step
+ *   TURN/MOVE/ARC instruction ({type, value}) or playback action ({type:'rotate', angle} / {type:'move'|'arc', distance})
+ * @param {MotionProfile} profile
+ * @param {'cm'|'mm'} unit - Unit of MOVE values / move distances
+ * @returns {{amount: number, maxSpeed: number, acceleration: number}}
+ */
+export const getStepMotion = (step, profile, unit = 'cm') => {
+    const isTurn = step.type === 'TURN' || step.type === 'rotate';
+    if (isTurn) {
+        return {
+            amount: Math.abs(step.value ?? step.angle ?? 0),
+            maxSpeed: profile.turnRate,
+            acceleration: profile.turnAcceleration
+        };
+    }
+    const toMm = unit === 'cm' ? 10 : 1;
+    return {
+        amount: Math.abs(step.value ?? step.distance ?? 0) * toMm,
+        maxSpeed: profile.maxSpeed,
+        acceleration: profile.acceleration
+    };
+};
+
+/**
+ * Time of one instruction including the settle pause.
+ * @param {Object} step - Instruction or playback action
+ * @param {MotionProfile} profile
+ * @param {'cm'|'mm'} unit
+ * @returns {number} Seconds
+ */
+export const estimateStepTime = (step, profile, unit = 'cm') => {
+    if (isAttachmentAction(step)) {
+        const duration = attachmentDuration(step);
+        const isMotor = getAttachmentType(step).startsWith('motor');
+        return duration > 0 && isMotor ? duration + profile.settleTime : duration;
+    }
+    if (isAlignmentAction(step)) return alignmentDuration(step, unit) + profile.settleTime;
+    const { amount, maxSpeed, acceleration } = getStepMotion(step, profile, unit);
+    if (amount === 0) return 0;
+    return trapezoidalDuration(amount, maxSpeed, acceleration) + profile.settleTime;
+};
+
+/**
+ * Per-instruction, per-section and total run time.
+ * @param {Array} instructions - routeData.instructions
+ * @param {MotionProfile} profile
+ * @param {'cm'|'mm'} unit
+ * @returns {{steps: number[], bySection: Object.<string, number>, total: number}}
+ */
+export const estimateRouteTime = (instructions, profile, unit = 'cm') => {
+    const bySection = {};
+    let total = 0;
+    const steps = instructions.map(instr => {
+        const time = estimateStepTime(instr, profile, unit);
+        const sectionId = instr.sectionId || 'default';
+        bySection[sectionId] = (bySection[sectionId] || 0) + time;
+        total += time;
+        return time;
+    });
+    return { steps, bySection, total };
+};
+
+/**
+ * Formats seconds as "12.3 s" or "1:05.2".
+ * @param {number} seconds
+ * @returns {string}
+ */
+export const formatDuration = (seconds) => {
+    if (seconds < 60) return `${seconds.toFixed(1)} s`;
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds - minutes * 60;
+    return `${minutes}:${rest.toFixed(1).padStart(4, '0')}`;
+};
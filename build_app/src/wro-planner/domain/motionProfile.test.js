@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Unit tests for motionProfile.js
+ *
+ * Run with: node src/wro-planner/domain/motionProfile.test.js
+ *
+ * These tests verify the run-time estimate:
+ * - Trapezoid and triangle profile durations
+ * - Position along the profile
+ * - Step and route times with the settle pause
+ * - Saved profiles merged with the defaults
+ */
+
+import { test, assertEqual, assertApprox, summary } from './testHarness.js';
+
+const {
+    DEFAULT_MOTION_PROFILE,
+    normalizeMotionProfile,
+    trapezoidalDuration,
+    trapezoidalPosition,
+    estimateStepTime,
+    estimateRouteTime,
+    formatDuration
+} = await import('./motionProfile.js');
+
+// Default drive: 300 mm/s, 600 mm/s² → ramps cover 150 mm (75 up, 75 down)
+// Default turn: 150 °/s, 300 °/s² → ramps cover 75°
+const { maxSpeed, acceleration, turnRate, turnAcceleration } = DEFAULT_MOTION_PROFILE;
+
+// =====================================================================
+// PROFILE DURATION
+// =====================================================================
+
+test('Test 1: Trapezoid and triangle durations');
+{
+    const cases = [
+        // [distance, maxSpeed, acceleration, seconds, description]
+        [0, maxSpeed, acceleration, 0, 'No distance'],
+        [100, maxSpeed, acceleration, 2 * Math.sqrt(100 / 600), 'Triangle: 100 mm never reaches cruise speed'],
+        [150, maxSpeed, acceleration, 1, 'Boundary: ramps only, both formulas agree'],
+        [600, maxSpeed, acceleration, 1 + 450 / 300, 'Trapezoid: 1 s of ramps + 450 mm at 300 mm/s'],
+        [-600, maxSpeed, acceleration, 2.5, 'Reverse takes as long as forward'],
+        [45, turnRate, turnAcceleration, 2 * Math.sqrt(45 / 300), 'Triangle turn: 45°'],
+        [90, turnRate, turnAcceleration, 1 + 15 / 150, 'Trapezoid turn: 90°'],
+        [100, 0, acceleration, 0, 'No speed: no time'],
+        [100, maxSpeed, 0, 0, 'No acceleration: no time']
+    ];
+    cases.forEach(([distance, speed, accel, expected, message]) => (
+        assertApprox(trapezoidalDuration(distance, speed, accel), expected, 1e-9, message)
+    ));
+}
+
+test('Test 2: Position along the profile');
+{
+    const cases = [
+        // [t, distance, covered, description]
+        [0, 600, 0, 'Start'],
+        [0.5, 600, 75, 'End of the acceleration ramp'],
+        [1.25, 600, 300, 'Half the time, half the distance'],
+        [2.25, 600, 600 - 0.5 * 600 * 0.25 * 0.25, 'Decelerating, 0.25 s before the end'],
+        [3, 600, 600, 'Past the end: clamped'],
+        [Math.sqrt(100 / 600), 100, 50, 'Triangle: half the time, half the distance'],
+        [-1, 100, 0, 'Negative time: clamped']
+    ];
+    cases.forEach(([t, distance, expected, message]) => (
+        assertApprox(trapezoidalPosition(t, distance, maxSpeed, acceleration), expected, 1e-9, message)
+    ));
+}
+
+// =====================================================================
+// STEPS AND ROUTES
+// =====================================================================
+
+test('Test 3: Step time');
+{
+    const settle = DEFAULT_MOTION_PROFILE.settleTime;
+    const cases = [
+        // [step, unit, seconds, description]
+        [{ type: 'MOVE', value: 60 }, 'cm', 2.5 + settle, 'MOVE 60 cm'],
+        [{ type: 'MOVE', value: 600 }, 'mm', 2.5 + settle, 'MOVE 600 mm'],
+        [{ type: 'move', distance: -10 }, 'cm', 2 * Math.sqrt(100 / 600) + settle, 'Playback move backwards'],
+        [{ type: 'TURN', value: 90 }, 'cm', 1.1 + settle, 'TURN 90°'],
+        [{ type: 'rotate', angle: -90 }, 'cm', 1.1 + settle, 'Playback rotate -90°'],
+        [{ type: 'ARC', value: 60 }, 'cm', 2.5 + settle, 'ARC uses the arc length'],
+        [{ type: 'TURN', value: 0 }, 'cm', 0, 'Empty step: no settle pause'],
+        [{ type: 'wait', duration: 500 }, 'cm', 0.5, 'Wait: its own duration, no settle pause'],
+        [{ type: 'motorAngle', motor: 1, angle: 180, speed: 360 }, 'cm', 0.5 + settle, 'Attachment motor: angle / speed + settle']
+    ];
+    cases.forEach(([step, unit, expected, message]) => (
+        assertApprox(estimateStepTime(step, DEFAULT_MOTION_PROFILE, unit), expected, 1e-9, message)
+    ));
+}
+
+test('Test 4: Route time per section');
+{
+    const instructions = [
+        { type: 'MOVE', value: 60, sectionId: 'a' },
+        { type: 'TURN', value: 90, sectionId: 'a' },
+        { type: 'MOVE', value: 15, sectionId: 'b' },
+        { type: 'wait', duration: 1000 }
+    ];
+    const { steps, bySection, total } = estimateRouteTime(instructions, DEFAULT_MOTION_PROFILE, 'cm');
+    [2.6, 1.2, 1.1, 1].forEach((expected, i) => assertApprox(steps[i], expected, 1e-9, `Instruction ${i + 1}`));
+    assertEqual(Object.keys(bySection), ['a', 'b', 'default'], 'Grouped by section, no section → default');
+    assertApprox(bySection.a, 3.8, 1e-9, 'Section a: drive and turn');
+    assertApprox(bySection.default, 1, 1e-9, 'Instruction without section');
+    assertApprox(total, 5.9, 1e-9, 'Total');
+}
+
+// =====================================================================
+// SAVED PROFILES AND FORMAT
+// =====================================================================
+
+test('Test 5: Saved profile and duration format');
+{
+    assertEqual(normalizeMotionProfile(null), DEFAULT_MOTION_PROFILE, 'Nothing saved: defaults');
+    assertEqual(
+        normalizeMotionProfile({ maxSpeed: 500, acceleration: 0, turnRate: '90', settleTime: 0 }),
+        { ...DEFAULT_MOTION_PROFILE, maxSpeed: 500, settleTime: 0 },
+        'Valid values kept, zero acceleration and text dropped, zero settle allowed'
+    );
+    assertEqual(formatDuration(12.34), '12.3 s', 'Under a minute');
+    assertEqual(formatDuration(65.2), '1:05.2', 'Over a minute');
+}
+
+summary();
@@ -0,0 +1,236 @@
+/**
+ * multiRobot.js
+ * Several robots on one field (RoboSports Double Tennis): every robot has its
+ * own size, start pose, sections and colour (robot.color).
+ *
+ * The planner edits one robot at a time (the active one lives in the usual
+ * robot / initialPose / sections state); the others are kept as team members
+ * { id, name, robot, initialPose, sections, runs, activeRunId } in field
+ * millimetres (initialPose / sections are those of the robot's active run).
+ *
+ * For the shared timeline every robot's route is turned into a track: its
+ * playback actions with start times from the motion profile (the same timing
+ * as usePlayback), so the pose of any robot can be found at any moment and the
+ * robots can be checked against each other over time.
+ */
+
+import { DEFAULT_ROBOT, DEG2RAD, MAT_MM, uid } from "./constants";
+import { arcPose } from "./geometry";
+import { calculateRouteInstructions, flattenSectionsToWaypoints, generatePlaybackActions } from "./pathCalculator";
+import { estimateStepTime, getStepMotion, trapezoidalPosition } from "./motionProfile";
+import { isAttachmentAction } from "./attachments";
+import { applyAlignment, isAlignmentAction } from "./alignment";
+import { getRobotFootprint, polygonsOverlap } from "./collision";
+
+/** Colours given to new robots, in order */
+export const TEAM_COLORS = ['#0ea5e9', '#f97316', '#22c55e', '#a855f7', '#ec4899', '#eab308'];
+
+// Time between the poses compared when looking for robot-to-robot collisions (s)
+const COLLISION_STEP = 0.05;
+
+/**
+ * New team member with one run. The start pose mirrors `mirrorOf` through the
+ * field centre (the opposite side of a Double Tennis court) when given.
+ * @param {Object} params
+ * @param {number} params.index - Position in the team (name and colour)
+ * @param {Object} [params.robot] - Size config to copy
+ * @param {Object} [params.mirrorOf] - Start pose {x, y, theta} in mm of another robot
+ * @returns {{id: string, name: string, robot: Object, initialPose: Object, sections: Array, runs: Array, activeRunId: string}}
+ */
+export const createTeamRobot = ({ index, robot = DEFAULT_ROBOT, mirrorOf = null }) => {
+    const color = TEAM_COLORS[index % TEAM_COLORS.length];
+    const runId = uid('run');
+    const initialPose = mirrorOf
+        ? { x: MAT_MM.w - mirrorOf.x, y: MAT_MM.h - mirrorOf.y, theta: mirrorOf.theta + Math.PI }
+        : { x: 354, y: 354, theta: 0 };
+    return {
+        id: uid('rob'),
+        name: `Robot ${index + 1}`,
+        robot: { ...robot, color },
+        initialPose,
+        sections: [{
+            id: uid('sec'),
+            name: 'Sección 1',
+            points: [],
+            actions: [],
+            color,
+            isVisible: true
+        }],
+        runs: [{ id: runId, name: 'Salida 1' }],
+        activeRunId: runId
+    };
+};
+
+/**
+ * Team members read from a project file, with defaults for missing fields
+ * (runs are checked separately, see runs.normalizeRuns).
+ * @param {Array} raw
+ * @returns {Array}
+ */
+export const normalizeTeam = (raw) => (Array.isArray(raw) ? raw : [])
+    .filter(m => m && Array.isArray(m.sections) && m.sections.length)
+    .map((m, index) => ({
+        id: m.id || uid('rob'),
+        name: m.name || `Robot ${index + 1}`,
+        robot: { ...DEFAULT_ROBOT, ...m.robot },
+        initialPose: { x: 354, y: 354, theta: 0, ...m.initialPose },
+        sections: m.sections,
+        runs: m.runs,
+        activeRunId: m.activeRunId
+    }));
+
+/**
+ * Robot config converted to another working unit.
+ * @param {Object} robot
+ * @param {number} factor - New units per old unit (10 for cm → mm)
+ * @returns {Object}
+ */
+export const scaleRobotUnit = (robot, factor) => ({
+    ...robot,
+    width: robot.width * factor,
+    length: robot.length * factor,
+    wheelOffset: robot.wheelOffset ? robot.wheelOffset * factor : robot.wheelOffset,
+    wheelDiameter: robot.wheelDiameter ? robot.wheelDiameter * factor : robot.wheelDiameter,
+    trackWidth: robot.trackWidth ? robot.trackWidth * factor : robot.trackWidth
+});
+
+/**
+ * Robot size in mm (robot config is stored in the working unit).
+ * @param {Object} robot
+ * @param {'cm'|'mm'} unit
+ * @returns {{width: number, length: number, wheelOffset: number}}
+ */
+export const robotSizeMm = (robot, unit) => {
+    const mmPerUnit = unit === 'mm' ? 1 : 10;
+    return {
+        width: robot.width * mmPerUnit,
+        length: robot.length * mmPerUnit,
+        wheelOffset: (robot.wheelOffset ?? robot.length / 2) * mmPerUnit
+    };
+};
+
+/**
+ * Pose part-way through one playback action (same motion as usePlayback).
+ * @param {Object} from - Pose at the start of the action (mm)
+ * @param {Object} action - Playback action (distances in the working unit)
+ * @param {number} elapsed - Seconds since the action started
+ * @param {Object} profile - Motion profile
+ * @param {'cm'|'mm'} unit
+ * @returns {{x: number, y: number, theta: number}}
+ */
+const poseDuringAction = (from, action, elapsed, profile, unit) => {
+    const toMm = unit === 'cm' ? 10 : 1;
+    if (isAttachmentAction(action)) return from;
+    if (isAlignmentAction(action)) {
+        const target = applyAlignment(from, action, (val) => val * toMm);
+        const driveTime = estimateStepTime(action, profile, unit) - profile.settleTime;
+        const f = driveTime > 0 ? Math.min(1, elapsed / driveTime) : 1;
+        return {
+            x: from.x + (target.x - from.x) * f,
+            y: from.y + (target.y - from.y) * f,
+            theta: from.theta + (target.theta - from.theta) * f
+        };
+    }
+    const { amount, maxSpeed, acceleration } = getStepMotion(action, profile, unit);
+    const covered = trapezoidalPosition(elapsed, amount, maxSpeed, acceleration);
+    if (action.type === 'rotate') {
+        return { ...from, theta: from.theta + Math.sign(action.angle) * covered * DEG2RAD };
+    }
+    if (action.type === 'arc') {
+        const f = amount > 0 ? covered / amount : 1;
+        return arcPose(from, action.distance * toMm * f, action.sweep * DEG2RAD * f);
+    }
+    const distance = Math.sign(action.distance) * covered;
+    return { x: from.x + Math.cos(from.theta) * distance, y: from.y + Math.sin(from.theta) * distance, theta: from.theta };
+};
+
+/**
+ * Route and timeline of one robot (field mm).
+ * @param {Object} member - { robot, initialPose, sections } in mm
+ * @param {Object} params
+ * @param {'cm'|'mm'} params.unit - Unit of the robot config and the instruction values
+ * @param {Object} params.profile - Motion profile
+ * @param {Array} [params.obstacles] - Obstacles in mm, for alignments against them
+ * @returns {{instructions: Array, pathSegments: Array, track: Object}} track: { steps, duration,
+ *   end, profile, unit } with steps { start, duration, from, action } (start in seconds) and
+ *   the end pose of the route
+ */
+export const buildRobotTrack = (member, { unit, profile, obstacles = [] }) => {
+    const mmPerUnit = unit === 'mm' ? 1 : 10;
+    const field = { width: MAT_MM.w, height: MAT_MM.h, obstacles, robot: robotSizeMm(member.robot, unit) };
+    const waypoints = flattenSectionsToWaypoints(member.sections.filter(s => s.isVisible !== false));
+    const { instructions, pathSegments } = calculateRouteInstructions(member.initialPose, waypoints, mmPerUnit, field);
+    const actions = generatePlaybackActions(member.initialPose, waypoints, mmPerUnit, field);
+
+    const steps = [];
+    let pose = { ...member.initialPose };
+    let time = 0;
+    for (const action of actions) {
+        const duration = estimateStepTime(action, profile, unit);
+        steps.push({ start: time, duration, from: pose, action });
+        pose = poseDuringAction(pose, action, Infinity, profile, unit);
+        time += duration;
+    }
+    return {
+        instructions,
+        pathSegments,
+        track: { steps, duration: time, end: pose, profile, unit }
+    };
+};
+
+/**
+ * Pose of a robot at a moment of the shared timeline (mm). Before the start it
+ * is at its start pose, after its last action it waits at the end.
+ * @param {Object} track - buildRobotTrack(...).track
+ * @param {Object} initialPose
+ * @param {number} time - Seconds
+ * @returns {{x: number, y: number, theta: number}}
+ */
+export const poseAtTime = (track, initialPose, time) => {
+    if (time >= track.duration) return track.end;
+    const step = track.steps.find(s => time < s.start + s.duration);
+    if (!step) return { ...initialPose };
+    return poseDuringAction(step.from, step.action, Math.max(0, time - step.start), track.profile, track.unit);
+};
+
+/**
+ * Robot-to-robot collisions over the shared timeline: the body footprints are
+ * compared every COLLISION_STEP seconds until every robot has finished.
+ * @param {Array<{id: string, name: string, size: Object, initialPose: Object, track: Object}>} tracks - size in mm
+ * @returns {Array<{robots: string[], names: string[], start: number, end: number, poses: Object[], footprints: Array[]}>}
+ *   One entry per contact interval; poses and footprints are the robots' when it starts
+ */
+export const findRobotCollisions = (tracks) => {
+    const duration = Math.max(0, ...tracks.map(t => t.track.duration));
+    const open = {};
+    const collisions = [];
+    const samples = Math.ceil(duration / COLLISION_STEP);
+    for (let i = 0; i <= samples; i++) {
+        const time = Math.min(duration, i * COLLISION_STEP);
+        const poses = tracks.map(t => poseAtTime(t.track, t.initialPose, time));
+        const footprints = tracks.map((t, n) => getRobotFootprint(poses[n], t.size));
+        for (let a = 0; a < tracks.length; a++) {
+            for (let b = a + 1; b < tracks.length; b++) {
+                const key = `${a}:${b}`;
+                if (polygonsOverlap(footprints[a], footprints[b])) {
+                    if (open[key]) {
+                        open[key].end = time;
+                    } else {
+                        open[key] = {
+                            robots: [tracks[a].id, tracks[b].id],
+                            names: [tracks[a].name, tracks[b].name],
+                            start: time,
+                            end: time,
+                            poses: [poses[a], poses[b]],
+                            footprints: [footprints[a], footprints[b]]
+                        };
+                        collisions.push(open[key]);
+                    }
+                } else {
+                    delete open[key];
+                }
+            }
+        }
+    }
+    return collisions;
+};
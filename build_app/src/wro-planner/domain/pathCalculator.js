@@ -15,6 +15,9 @@
  */
 
 import { DEG2RAD, RAD2DEG } from "./constants";
+import { tangentArc } from "./geometry";
+import { annotateMotorTravel, attachmentToInstruction, describeAttachment, instructionToAttachment, isAttachmentAction } from "./attachments";
+import { alignmentToInstruction, describeAlignment, instructionToAlignment, isAlignmentAction, resolveAlignment, storedAlignment } from "./alignment";
 
 /* =====================================================================
  * HELPER FUNCTIONS
@@ -57,12 +60,38 @@ export const radToDeg = (rad) => rad * RAD2DEG;
  */
 export const degToRad = (deg) => deg * DEG2RAD;
 
+/**
+ * Canvas arc parameters (ctx.arc) for a tangent arc starting at a pose.
+ * @param {Pose} start - Pose at the start of the arc.
+ * @param {{distancePx: number, sweepRad: number}} arc - Result of tangentArc.
+ * @returns {{cx: number, cy: number, radius: number, startAngle: number, endAngle: number, anticlockwise: boolean}|null}
+ *   null for a straight (zero-sweep) arc.
+ */
+export const arcSegmentGeometry = (start, arc) => {
+    if (Math.abs(arc.sweepRad) < 1e-9) return null;
+    const travelHeading = start.theta + (arc.distancePx < 0 ? Math.PI : 0);
+    const rho = Math.abs(arc.distancePx) / arc.sweepRad; // signed radius
+    const cx = start.x - rho * Math.sin(travelHeading);
+    const cy = start.y + rho * Math.cos(travelHeading);
+    const startAngle = Math.atan2(start.y - cy, start.x - cx);
+    return {
+        cx,
+        cy,
+        radius: Math.abs(rho),
+        startAngle,
+        endAngle: startAngle + arc.sweepRad,
+        anticlockwise: arc.sweepRad < 0
+    };
+};
+
 /* =====================================================================
  * MAIN CALCULATION FUNCTION
  * ===================================================================== */
 
 /**
  * @typedef {Object} Pose
+ * The pose is the wheel axis: the point the robot turns around. The body sits
+ * wheelOffset ahead of it (see geometry.getReferenceOffset).
  * @property {number} x - X coordinate in pixels.
  * @property {number} y - Y coordinate in pixels.
  * @property {number} theta - Heading angle in radians (0 = East, positive = CCW in math, but CW on canvas due to inverted Y).
@@ -71,18 +100,31 @@ export const degToRad = (deg) => deg * DEG2RAD;
 /**
  * @typedef {Object} Waypoint
  * @property {string} id - Unique identifier for the waypoint.
- * @property {number} x - X coordinate in pixels.
- * @property {number} y - Y coordinate in pixels.
+ * @property {number} x - X coordinate in pixels (wheel axis at the end of the segment).
+ * @property {number} y - Y coordinate in pixels (wheel axis at the end of the segment).
  * @property {boolean} [reverse=false] - If true, robot backs into this point.
+ * @property {boolean} [arc=false] - If true, the robot drives a tangent-continuous arc
+ *   to this point (no turn in place; the heading changes along the curve).
  * @property {string} [sectionId] - ID of the section this waypoint belongs to.
  * @property {string} [sectionColor] - Color for visualizing this section.
- * @property {string} [reference='center'] - Reference point: 'center' or 'tip'.
+ * @property {string} [reference='axis'] - Robot point that was aimed at when placing it:
+ *   'axis', 'center' (geometric centre) or 'tip' (front). x / y are still the wheel axis.
+ * @property {number} [finalHeading] - Heading (radians) the robot turns to in place on reaching
+ *   this point, before its attachments.
+ * @property {Object[]} [attachments] - Attachment and alignment actions run after reaching this point
+ *   (see attachments.js and alignment.js).
+ * @property {boolean} [anchor=false] - Section-start marker without coordinates: only carries the
+ *   attachments that run before the section's first movement.
  */
 
 /**
  * @typedef {Object} Instruction
- * @property {string} type - Either 'TURN' or 'MOVE'.
- * @property {number} value - Degrees for TURN, centimeters for MOVE.
+ * @property {string} type - 'TURN', 'MOVE', 'ARC', 'ALIGN' (fields of the alignment action, see
+ *   alignment.js) or an attachment type ('MOTOR_ANGLE', 'MOTOR_TIME', 'WAIT', 'BEEP', with the
+ *   fields of the attachment action).
+ * @property {number} value - Degrees for TURN, centimeters for MOVE, arc length (centimeters) for ARC.
+ * @property {number} [radius] - ARC only: radius in centimeters.
+ * @property {number} [sweep] - ARC only: heading change in degrees (positive = clockwise / right).
  * @property {string} sectionId - Section this instruction belongs to.
  * @property {string} waypointId - Waypoint that triggered this instruction.
  * @property {string} [direction] - 'forward' or 'reverse' for MOVE instructions.
@@ -98,13 +140,15 @@ export const degToRad = (deg) => deg * DEG2RAD;
  * @property {string} sectionId - Section this segment belongs to.
  * @property {string} waypointId - Target waypoint ID.
  * @property {boolean} isReverse - Whether this is a reverse movement.
+ * @property {Object} [arc] - Present for curved segments: { cx, cy, radius, startAngle, endAngle, anticlockwise } (canvas arc parameters, px).
+ * @property {boolean} [align] - Drive of an alignment action (ends where the robot meets its reference).
  */
 
 /**
  * @typedef {Object} RouteCalculationResult
  * @property {Instruction[]} instructions - Array of TURN and MOVE commands.
  * @property {PathSegment[]} pathSegments - Array of line segments for drawing.
- * @property {Pose[]} poses - Array of robot poses at each waypoint (for debugging/visualization).
+ * @property {Pose[]} poses - Array of robot poses at each waypoint and after each alignment (for debugging/visualization).
  */
 
 /**
@@ -120,6 +164,12 @@ export const degToRad = (deg) => deg * DEG2RAD;
  *    d. Update virtual robot state.
  *    e. Generate TURN and MOVE instructions.
  *    f. Generate path segment with section color.
+ *    Arc waypoints skip steps b-e: a single ARC instruction follows the circle
+ *    tangent to the current heading (see geometry.tangentArc).
+ *    g. With a final heading, TURN in place to it.
+ *    h. Emit the waypoint's attachment instructions (motors, waits, beeps) and
+ *       alignments; an alignment moves the virtual robot to where it meets its
+ *       reference, so the next waypoint starts from the aligned pose.
  * 
  * **Coordinate System:**
  * - HTML5 Canvas: Y increases downwards.
@@ -129,9 +179,12 @@ export const degToRad = (deg) => deg * DEG2RAD;
  * @param {Pose} initialPose - Starting pose of the robot.
  * @param {Waypoint[]} waypoints - List of waypoints to visit.
  * @param {number} pixelsPerUnit - Conversion factor (pixels per cm).
+ * @param {Object} [field] - Field for alignments, in the units of the poses
+ *   ({ width, height, obstacles, robot }, see alignment.resolveAlignment). Without it
+ *   alignments replay the result stored when their section was laid out.
  * @returns {RouteCalculationResult} Calculated instructions and path segments.
  */
-export function calculateRouteInstructions(initialPose, waypoints, pixelsPerUnit = 1) {
+export function calculateRouteInstructions(initialPose, waypoints, pixelsPerUnit = 1, field = null) {
     const instructions = [];
     const pathSegments = [];
     const poses = [{ ...initialPose }];  // Track all poses for debugging
@@ -143,9 +196,59 @@ export function calculateRouteInstructions(initialPose, waypoints, pixelsPerUnit
         theta: initialPose.theta  // radians
     };
 
+    // Turn in place to the waypoint's final heading (see Waypoint.finalHeading)
+    const pushFinalTurn = (point) => {
+        if (typeof point.finalHeading !== 'number') return;
+        const turnAngleDeg = radToDeg(shortestTurnAngle(robot.theta, point.finalHeading));
+        if (Math.abs(turnAngleDeg) > 0.1) {
+            instructions.push({
+                type: 'TURN',
+                value: Number(turnAngleDeg.toFixed(2)),
+                sectionId: point.sectionId || null,
+                waypointId: point.id,
+                direction: turnAngleDeg >= 0 ? 'right' : 'left'
+            });
+        }
+        robot = { ...robot, theta: normalizeAngle(point.finalHeading) };
+    };
+
+    const pushAttachments = (point) => {
+        const context = { sectionId: point.sectionId || null, waypointId: point.id };
+        for (const action of point.attachments || []) {
+            if (!isAlignmentAction(action)) {
+                instructions.push(attachmentToInstruction(action, context));
+                continue;
+            }
+            const resolved = field
+                ? resolveAlignment(robot, action, field)
+                : storedAlignment(robot, action, (val) => val * pixelsPerUnit);
+            instructions.push(alignmentToInstruction(action, resolved, pixelsPerUnit, context));
+            if (resolved.travel > 1e-6) {
+                pathSegments.push({
+                    x1: robot.x,
+                    y1: robot.y,
+                    x2: resolved.pose.x,
+                    y2: resolved.pose.y,
+                    color: point.sectionColor || '#888888',
+                    ...context,
+                    isReverse: action.mode !== 'lineAlign',
+                    align: true
+                });
+            }
+            robot = { ...resolved.pose, theta: normalizeAngle(resolved.pose.theta) };
+            poses.push({ ...robot });
+        }
+    };
+
     for (let i = 0; i < waypoints.length; i++) {
         const point = waypoints[i];
 
+        // Section-start anchor: attachments only, the robot does not move
+        if (point.anchor) {
+            pushAttachments(point);
+            continue;
+        }
+
         // Calculate vector to target
         const dx = point.x - robot.x;
         const dy = point.y - robot.y;
@@ -154,6 +257,43 @@ export function calculateRouteInstructions(initialPose, waypoints, pixelsPerUnit
         // Skip if we're already at the target (prevents division by zero)
         if (distancePx < 1e-6) {
             poses.push({ x: point.x, y: point.y, theta: robot.theta });
+            pushFinalTurn(point);
+            pushAttachments(point);
+            continue;
+        }
+
+        // Arc waypoint: one ARC instruction, heading changes along the curve
+        const arc = point.arc ? tangentArc(robot, point, point.reverse) : null;
+        if (arc) {
+            const isReverse = Boolean(point.reverse);
+            const lengthUnits = Math.abs(arc.distancePx) / pixelsPerUnit;
+            const sweepDeg = radToDeg(arc.sweepRad);
+            instructions.push({
+                type: 'ARC',
+                value: Number(lengthUnits.toFixed(2)),
+                radius: Number((arc.radiusPx / pixelsPerUnit).toFixed(2)),
+                sweep: Number(sweepDeg.toFixed(2)),
+                sectionId: point.sectionId || null,
+                waypointId: point.id,
+                direction: isReverse ? 'reverse' : 'forward'
+            });
+
+            pathSegments.push({
+                x1: robot.x,
+                y1: robot.y,
+                x2: point.x,
+                y2: point.y,
+                color: point.sectionColor || '#888888',
+                sectionId: point.sectionId || null,
+                waypointId: point.id,
+                isReverse: isReverse,
+                arc: arcSegmentGeometry(robot, arc)
+            });
+
+            robot = { x: point.x, y: point.y, theta: arc.theta };
+            poses.push({ ...robot });
+            pushFinalTurn(point);
+            pushAttachments(point);
             continue;
         }
 
@@ -226,10 +366,13 @@ export function calculateRouteInstructions(initialPose, waypoints, pixelsPerUnit
             y: robot.y,
             theta: robot.theta
         });
+
+        pushFinalTurn(point);
+        pushAttachments(point);
     }
 
     return {
-        instructions,
+        instructions: annotateMotorTravel(instructions),
         pathSegments,
         poses
     };
@@ -241,9 +384,11 @@ export function calculateRouteInstructions(initialPose, waypoints, pixelsPerUnit
 
 /**
  * @typedef {Object} PlaybackAction
- * @property {string} type - Either 'rotate' or 'move'.
+ * @property {string} type - 'rotate', 'move', 'arc', 'align' (with its stored result, see alignment.js)
+ *   or an attachment type ('motorAngle', 'motorTime', 'wait', 'beep').
  * @property {number} angle - Rotation angle in degrees (only for 'rotate').
- * @property {number} distance - Distance in units (only for 'move').
+ * @property {number} distance - Distance in units (for 'move' and 'arc', negative = reverse).
+ * @property {number} [sweep] - Heading change in degrees (only for 'arc').
  * @property {string} sectionId - Section this action belongs to.
  * @property {string} waypointId - Associated waypoint ID.
  * @property {boolean} [isReverse] - Whether this is a reverse movement.
@@ -259,20 +404,35 @@ export function calculateRouteInstructions(initialPose, waypoints, pixelsPerUnit
  * @param {Pose} initialPose - Starting pose of the robot.
  * @param {Waypoint[]} waypoints - List of waypoints to visit.
  * @param {number} pixelsPerUnit - Conversion factor (pixels per cm).
+ * @param {Object} [field] - Field for alignments (see calculateRouteInstructions).
  * @returns {PlaybackAction[]} Array of actions for animation.
  */
-export function generatePlaybackActions(initialPose, waypoints, pixelsPerUnit = 1) {
-    const { instructions } = calculateRouteInstructions(initialPose, waypoints, pixelsPerUnit);
+export function generatePlaybackActions(initialPose, waypoints, pixelsPerUnit = 1, field = null) {
+    const { instructions } = calculateRouteInstructions(initialPose, waypoints, pixelsPerUnit, field);
     const actions = [];
 
     for (const instr of instructions) {
-        if (instr.type === 'TURN') {
+        if (isAttachmentAction(instr)) {
+            actions.push(instructionToAttachment(instr));
+        } else if (isAlignmentAction(instr)) {
+            actions.push(instructionToAlignment(instr));
+        } else if (instr.type === 'TURN') {
             actions.push({
                 type: 'rotate',
                 angle: instr.value,  // degrees
                 sectionId: instr.sectionId,
                 waypointId: instr.waypointId
             });
+        } else if (instr.type === 'ARC') {
+            const isReverse = instr.direction === 'reverse';
+            actions.push({
+                type: 'arc',
+                distance: isReverse ? -instr.value : instr.value,
+                sweep: instr.sweep,
+                sectionId: instr.sectionId,
+                waypointId: instr.waypointId,
+                isReverse: isReverse
+            });
         } else if (instr.type === 'MOVE') {
             // For reverse movements, the distance is positive but 
             // we mark it as reverse for the animation to handle
@@ -323,6 +483,14 @@ export function formatInstruction(instr) {
     } else if (instr.type === 'MOVE') {
         const direction = instr.direction === 'reverse' ? 'REVERSE' : 'FORWARD';
         return `MOVE ${direction} ${instr.value.toFixed(1)} cm`;
+    } else if (instr.type === 'ARC') {
+        const direction = instr.direction === 'reverse' ? 'REVERSE' : 'FORWARD';
+        const side = instr.sweep >= 0 ? 'RIGHT' : 'LEFT';
+        return `ARC ${direction} ${side} r=${instr.radius.toFixed(1)} cm ${Math.abs(instr.sweep).toFixed(1)}°`;
+    } else if (isAttachmentAction(instr)) {
+        return `${instr.type} ${describeAttachment(instr)}`;
+    } else if (isAlignmentAction(instr)) {
+        return `ALIGN ${describeAlignment(instr)} ${instr.value.toFixed(1)} cm`;
     }
     return `UNKNOWN: ${JSON.stringify(instr)}`;
 }
@@ -334,7 +502,7 @@ export function formatInstruction(instr) {
  */
 export function calculateTotalPathLength(instructions) {
     return instructions
-        .filter(instr => instr.type === 'MOVE')
+        .filter(instr => instr.type === 'MOVE' || instr.type === 'ARC')
         .reduce((total, instr) => total + instr.value, 0);
 }
 
@@ -368,17 +536,23 @@ export function calculateFinalPose(initialPose, waypoints) {
     let robot = { x: initialPose.x, y: initialPose.y, theta: initialPose.theta };
 
     for (const point of waypoints) {
+        if (point.anchor) continue;
         const dx = point.x - robot.x;
         const dy = point.y - robot.y;
         const distancePx = Math.hypot(dx, dy);
 
-        if (distancePx >= 1e-6) {
+        const arc = point.arc ? tangentArc(robot, point, point.reverse) : null;
+        if (arc) {
+            robot.theta = arc.theta;
+        } else if (distancePx >= 1e-6) {
             let headingToTarget = Math.atan2(dy, dx);
             robot.theta = point.reverse
                 ? normalizeAngle(headingToTarget + Math.PI)
                 : normalizeAngle(headingToTarget);
         }
 
+        if (typeof point.finalHeading === 'number') robot.theta = normalizeAngle(point.finalHeading);
+
         robot.x = point.x;
         robot.y = point.y;
     }
@@ -417,13 +591,26 @@ export function flattenSectionsToWaypoints(sections) {
             continue;
         }
 
+        if (section.startAttachments?.length) {
+            waypoints.push({
+                id: `${section.id}_start`,
+                anchor: true,
+                attachments: section.startAttachments,
+                sectionId: section.id,
+                sectionColor: section.color || '#888888'
+            });
+        }
+
         for (const point of section.points) {
             waypoints.push({
                 id: point.id,
                 x: point.x,
                 y: point.y,
                 reverse: Boolean(point.reverse),
-                reference: point.reference || 'center',
+                arc: Boolean(point.arc),
+                reference: point.reference || 'axis',
+                ...(typeof point.finalHeading === 'number' ? { finalHeading: point.finalHeading } : {}),
+                attachments: point.attachments || [],
                 sectionId: section.id,
                 sectionColor: section.color || '#888888'
             });
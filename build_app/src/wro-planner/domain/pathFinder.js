@@ -0,0 +1,251 @@
+/**
+ * pathFinder.js
+ * Automatic obstacle-avoiding route from a pose to a target point (field mm).
+ *
+ * Visibility graph: each obstacle is inflated by the robot's turning radius
+ * plus the safety margin and its four outer corners become candidate
+ * waypoints. A node is linked to another when the robot footprint can drive
+ * straight to it (collision.checkMoveCollision) without hitting an obstacle or
+ * crossing the mat edge (MAT_BORDER); the link is one-way because the body sits
+ * off-centre on the wheel axis. Turns happen only at nodes where a full turn is
+ * clear (checkRotationCollision). The first turn at the start pose and the
+ * final turn to the goal heading, when there is one, are swept with their real
+ * angle.
+ *
+ * Dijkstra runs over (previous node, node) pairs, so every turn is priced with
+ * the real incoming heading:
+ * - 'time': estimated seconds with the motion profile (turn + drive + settle)
+ * - 'turns': fewest turns, ties broken by distance
+ */
+
+import { MAT_MM, RAD2DEG } from "./constants";
+import { normalizeAngle } from "./geometry";
+import { checkMoveCollision, checkTurnCollision, checkRotationCollision } from "./collision";
+import { trapezoidalDuration } from "./motionProfile";
+
+export const PATH_FINDER_OBJECTIVES = {
+    time: 'Tiempo mínimo',
+    turns: 'Menos giros'
+};
+
+// Headings the robot can be asked to end with (degrees, canvas: 0 = east, 90 = south)
+export const PATH_FINDER_HEADINGS = {
+    free: { label: 'Libre', title: 'Sin giro final', degrees: null },
+    east: { label: '→', title: 'Terminar mirando a la derecha', degrees: 0 },
+    south: { label: '↓', title: 'Terminar mirando hacia abajo', degrees: 90 },
+    west: { label: '←', title: 'Terminar mirando a la izquierda', degrees: 180 },
+    north: { label: '↑', title: 'Terminar mirando hacia arriba', degrees: -90 }
+};
+
+// Extra clearance added to every corner node (mm)
+const CORNER_MARGIN = 5;
+// Turns below this are free (same threshold as pathCalculator)
+const MIN_TURN_DEG = 0.1;
+// One turn outweighs any distance on the mat in 'turns' mode
+const TURN_WEIGHT = 1e6;
+
+// The mat edges as walls 1 mm outside it (a robot flush with the edge is still on
+// the mat); the safety margin does not apply to them
+const BORDER_GAP = 1;
+const BORDER_DEPTH = 1000;
+const MAT_BORDER = [
+    { x: -BORDER_GAP - BORDER_DEPTH / 2, y: MAT_MM.h / 2, w: BORDER_DEPTH, h: MAT_MM.h + 2 * BORDER_DEPTH },
+    { x: MAT_MM.w + BORDER_GAP + BORDER_DEPTH / 2, y: MAT_MM.h / 2, w: BORDER_DEPTH, h: MAT_MM.h + 2 * BORDER_DEPTH },
+    { x: MAT_MM.w / 2, y: -BORDER_GAP - BORDER_DEPTH / 2, w: MAT_MM.w + 2 * BORDER_DEPTH, h: BORDER_DEPTH },
+    { x: MAT_MM.w / 2, y: MAT_MM.h + BORDER_GAP + BORDER_DEPTH / 2, w: MAT_MM.w + 2 * BORDER_DEPTH, h: BORDER_DEPTH }
+];
+
+/** Binary min-heap of [cost, value] */
+const createQueue = () => {
+    const heap = [];
+    const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+    return {
+        get size() { return heap.length; },
+        push(cost, value) {
+            heap.push([cost, value]);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent][0] <= heap[i][0]) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop() {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const l = 2 * i + 1;
+                    const r = l + 1;
+                    let m = i;
+                    if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                    if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+                    if (m === i) break;
+                    swap(i, m);
+                    i = m;
+                }
+            }
+            return top;
+        }
+    };
+};
+
+/**
+ * Candidate turning points around the obstacles: the corners of each obstacle
+ * pushed out diagonally until the whole turning circle clears it.
+ * @param {Array} obstacles - Obstacles in mm
+ * @param {{width: number, length: number, wheelOffset: number}} robot - Robot size in mm
+ * @param {number} padding - Safety margin in mm
+ * @returns {Array<{x: number, y: number}>}
+ */
+export const buildCornerNodes = (obstacles, robot, padding = 0) => {
+    const front = robot.wheelOffset ?? robot.length / 2;
+    const turnRadius = Math.hypot(robot.width / 2, Math.max(front, robot.length - front));
+    const offset = turnRadius / Math.SQRT2 + padding + CORNER_MARGIN;
+    const minX = robot.width / 2;
+    const minY = robot.width / 2;
+    const maxX = MAT_MM.w - robot.width / 2;
+    const maxY = MAT_MM.h - robot.width / 2;
+    const nodes = [];
+    for (const obs of obstacles) {
+        const rad = (obs.rotation || 0) * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const hx = obs.w / 2 + offset;
+        const hy = obs.h / 2 + offset;
+        for (const [sx, sy] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+            const lx = sx * hx;
+            const ly = sy * hy;
+            const node = { x: obs.x + lx * cos - ly * sin, y: obs.y + lx * sin + ly * cos };
+            if (node.x < minX || node.x > maxX || node.y < minY || node.y > maxY) continue;
+            if (checkRotationCollision(node, obstacles, robot, padding) || checkRotationCollision(node, MAT_BORDER, robot)) continue;
+            nodes.push(node);
+        }
+    }
+    return nodes;
+};
+
+// Footprint checks against the obstacles (with the safety margin) and the mat edge
+const moveCollides = (from, to, robot, obstacles, padding) => (
+    checkMoveCollision(from, to, robot, obstacles, padding) || checkMoveCollision(from, to, robot, MAT_BORDER)
+);
+const turnCollides = (pose, angleRad, robot, obstacles, padding) => (
+    checkTurnCollision(pose, angleRad, robot, obstacles, padding) || checkTurnCollision(pose, angleRad, robot, MAT_BORDER)
+);
+
+/**
+ * Finds a collision-free sequence of straight drives.
+ * @param {Object} params
+ * @param {{x: number, y: number, theta: number}} params.start - Current pose (mm, radians)
+ * @param {{x: number, y: number, theta?: number}} params.goal - Target point (mm); with theta
+ *   (radians) the robot also turns in place to that heading at the end
+ * @param {Array} params.obstacles - Obstacles in mm
+ * @param {{width: number, length: number, wheelOffset: number}} params.robot - Robot size in mm
+ * @param {number} [params.padding] - Safety margin in mm
+ * @param {import('./motionProfile').MotionProfile} params.profile
+ * @param {'time'|'turns'} [params.objective]
+ * @returns {{points: Array<{x: number, y: number, heading: number, finalHeading?: number}>, time: number, turns: number}|null}
+ *   Waypoints after the start (the last one is the goal, with finalHeading when goal.theta
+ *   is set); null when no route exists
+ */
+export const findPath = ({ start, goal, obstacles, robot, padding = 0, profile, objective = 'time' }) => {
+    const nodes = [start, goal, ...buildCornerNodes(obstacles, robot, padding)];
+    const n = nodes.length;
+    const goalHeading = Number.isFinite(goal.theta) ? normalizeAngle(goal.theta) : null;
+
+    const headingOf = (from, to) => Math.atan2(nodes[to].y - nodes[from].y, nodes[to].x - nodes[from].x);
+
+    // Visibility: straight drives the robot body can do (one-way)
+    const visible = nodes.map(() => []);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            if (i === j || j === 0) continue;
+            const from = { x: nodes[i].x, y: nodes[i].y, theta: headingOf(i, j) };
+            if (!moveCollides(from, nodes[j], robot, obstacles, padding)) visible[i].push(j);
+        }
+    }
+
+    const turnDeg = (heading, next) => Math.abs(normalizeAngle(next - heading)) * RAD2DEG;
+    const driveCost = (dist) => (objective === 'turns'
+        ? dist
+        : trapezoidalDuration(dist, profile.maxSpeed, profile.acceleration) + profile.settleTime);
+    const turnCost = (deg) => {
+        if (deg <= MIN_TURN_DEG) return 0;
+        return objective === 'turns'
+            ? TURN_WEIGHT
+            : trapezoidalDuration(deg, profile.turnRate, profile.turnAcceleration) + profile.settleTime;
+    };
+
+    // State = (previous node, node); the start state has no previous node
+    const key = (prev, node) => (prev + 1) * n + node;
+    const best = new Map([[key(-1, 0), 0]]);
+    const parent = new Map();
+    const queue = createQueue();
+    queue.push(0, [-1, 0]);
+    let goalKey = null;
+
+    while (queue.size) {
+        const [cost, [prev, node]] = queue.pop();
+        const k = key(prev, node);
+        if (cost > best.get(k)) continue;
+        if (node === 1) {
+            goalKey = k;
+            break;
+        }
+        const heading = prev === -1 ? start.theta : headingOf(prev, node);
+        for (const next of visible[node]) {
+            if (next === prev) continue;
+            const nextHeading = headingOf(node, next);
+            if (prev === -1 && turnCollides(start, normalizeAngle(nextHeading - heading), robot, obstacles, padding)) continue;
+            // Arriving at the goal includes the turn to its heading
+            let finalTurn = 0;
+            if (next === 1 && goalHeading !== null) {
+                const arrival = { x: goal.x, y: goal.y, theta: nextHeading };
+                if (turnCollides(arrival, normalizeAngle(goalHeading - nextHeading), robot, obstacles, padding)) continue;
+                finalTurn = turnCost(turnDeg(nextHeading, goalHeading));
+            }
+            const dist = Math.hypot(nodes[next].x - nodes[node].x, nodes[next].y - nodes[node].y);
+            const total = cost + turnCost(turnDeg(heading, nextHeading)) + driveCost(dist) + finalTurn;
+            const nk = key(node, next);
+            if (total < (best.get(nk) ?? Infinity)) {
+                best.set(nk, total);
+                parent.set(nk, k);
+                queue.push(total, [node, next]);
+            }
+        }
+    }
+    if (goalKey === null) return null;
+
+    // Walk back to the start
+    const order = [];
+    for (let k = goalKey; parent.has(k); k = parent.get(k)) {
+        order.unshift(k % n);
+    }
+
+    let heading = start.theta;
+    let from = 0;
+    let time = 0;
+    let turns = 0;
+    const addTurn = (deg) => {
+        if (deg <= MIN_TURN_DEG) return;
+        turns++;
+        time += trapezoidalDuration(deg, profile.turnRate, profile.turnAcceleration) + profile.settleTime;
+    };
+    const points = order.map(idx => {
+        const nextHeading = headingOf(from, idx);
+        addTurn(turnDeg(heading, nextHeading));
+        const dist = Math.hypot(nodes[idx].x - nodes[from].x, nodes[idx].y - nodes[from].y);
+        time += trapezoidalDuration(dist, profile.maxSpeed, profile.acceleration) + profile.settleTime;
+        heading = nextHeading;
+        from = idx;
+        return { x: nodes[idx].x, y: nodes[idx].y, heading: nextHeading };
+    });
+    if (goalHeading !== null) {
+        addTurn(turnDeg(heading, goalHeading));
+        points[points.length - 1].finalHeading = goalHeading;
+    }
+    return { points, time, turns };
+};
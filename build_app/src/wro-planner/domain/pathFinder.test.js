@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Unit tests for pathFinder.js
+ *
+ * Run with: node src/wro-planner/domain/pathFinder.test.js
+ *
+ * These tests verify the automatic route:
+ * - Detours around an obstacle
+ * - The final turn to a goal heading and its collision check
+ * - The swept footprint against the mat edge
+ */
+
+import { test, assertEqual, assertTrue, summary } from './testHarness.js';
+
+const { findPath } = await import('./pathFinder.js');
+const { DEFAULT_MOTION_PROFILE } = await import('./motionProfile.js');
+const { checkMoveCollision } = await import('./collision.js');
+
+const DEG = Math.PI / 180;
+
+// 100 wide, 200 long, wheel axis in the middle: full-turn radius ≈ 112 mm
+const robot = { width: 100, length: 200, wheelOffset: 100 };
+const find = (start, goal, obstacles = [], objective = 'time') =>
+    findPath({ start, goal, obstacles, robot, padding: 0, profile: DEFAULT_MOTION_PROFILE, objective });
+
+// =====================================================================
+// OBSTACLES
+// =====================================================================
+
+test('Test 1: Straight route and detour');
+{
+    const start = { x: 400, y: 500, theta: 0 };
+    const direct = find(start, { x: 1200, y: 500 });
+    assertEqual(direct.points.length, 1, 'Free line: a single drive');
+    assertEqual(direct.turns, 0, 'Free line: no turns');
+
+    const wall = { x: 800, y: 500, w: 50, h: 300, rotation: 0 };
+    const detour = find(start, { x: 1200, y: 500 }, [wall]);
+    assertTrue(detour && detour.points.length > 1, 'Obstacle in the way: goes around it');
+    let from = start;
+    const clear = detour.points.every(p => {
+        const ok = !checkMoveCollision({ ...from, theta: p.heading }, p, robot, [wall]);
+        from = p;
+        return ok;
+    });
+    assertTrue(clear, 'Every drive of the detour clears the obstacle');
+}
+
+// =====================================================================
+// GOAL HEADING
+// =====================================================================
+
+test('Test 2: Final turn to the goal heading');
+{
+    const start = { x: 400, y: 500, theta: 0 };
+    const free = find(start, { x: 1200, y: 500 });
+    assertEqual(free.points[0].finalHeading, undefined, 'No goal heading: no final turn');
+
+    const south = find(start, { x: 1200, y: 500, theta: 90 * DEG });
+    assertEqual(south.points[south.points.length - 1].finalHeading, 90 * DEG, 'Goal heading on the last point');
+    assertEqual(south.turns, 1, 'The final turn is counted');
+    assertTrue(south.time > free.time, 'and adds to the time');
+
+    const same = find(start, { x: 1200, y: 500, theta: 0 });
+    assertEqual(same.turns, 0, 'Arriving already facing the goal heading: no turn');
+}
+
+test('Test 3: Final turn blocked by an obstacle');
+{
+    // Wall 80 below the goal: the body fits facing east (y ± 50) but not facing south (front at 100)
+    const wall = { x: 1200, y: 600, w: 600, h: 40, rotation: 0 };
+    const start = { x: 400, y: 500, theta: 0 };
+    assertTrue(find(start, { x: 1200, y: 500 }, [wall]) !== null, 'Free heading: route found');
+    assertEqual(find(start, { x: 1200, y: 500, theta: 90 * DEG }, [wall]), null, 'Facing the wall at the goal: no route');
+    // A half turn at the goal would sweep the wall too: it drives past and comes back facing west
+    const west = find(start, { x: 1200, y: 500, theta: 180 * DEG }, [wall]);
+    assertTrue(west !== null && west.points.length === 2, 'Facing west at the goal: route past the goal and back');
+    assertTrue(west.points[0].x > 1200, 'First drive ends past the goal');
+    assertTrue(Math.abs(west.points[1].heading - Math.PI) < 5 * DEG, 'Arrives already close to the goal heading');
+}
+
+// =====================================================================
+// MAT EDGE
+// =====================================================================
+
+test('Test 4: Mat edge');
+{
+    const start = { x: 800, y: 500, theta: Math.PI };
+    assertTrue(find(start, { x: 200, y: 500 }) !== null, 'Goal 200 from the left edge: front stays on the mat');
+    assertEqual(find(start, { x: 60, y: 500 }), null, 'Goal 60 from the left edge: the front would leave the mat');
+
+    // Body flush with the top edge while driving along it
+    const along = { x: 400, y: 50, theta: 0 };
+    assertTrue(find(along, { x: 1200, y: 50 }) !== null, 'Driving flush along the edge is allowed');
+    assertEqual(find(along, { x: 1200, y: 40 }), null, 'Driving with the side past the edge is not');
+
+    // Turning in place at the start sweeps the corners past the edge
+    const nearEdge = { x: 400, y: 80, theta: 0 };
+    assertEqual(find(nearEdge, { x: 400, y: 600 }), null, 'Start turn that swings the body off the mat: no route');
+}
+
+summary();
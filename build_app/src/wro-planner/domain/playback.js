@@ -1,14 +1,28 @@
 import { useState, useRef, useCallback, useEffect } from "react";
 import { DEG2RAD } from "./constants";
-import { getPoseAfterActions, buildReversePlayback, computePoseUpToSection } from "./geometry";
+import { getPoseAfterActions, buildReversePlayback, computePoseUpToSection, arcPose } from "./geometry";
+import { DEFAULT_MOTION_PROFILE, estimateStepTime, getStepMotion, trapezoidalPosition } from "./motionProfile";
+import { isAttachmentAction } from "./attachments";
+import { applyAlignment, isAlignmentAction } from "./alignment";
 
-export function usePlayback({ initialPose, sections, unitToPx, currentSection, playbackSpeed = 1, unit = 'cm' }) {
+const createCursor = (list = [], pose = null) => ({
+    list, idx: 0, phase: 'idle', startPose: null, elapsed: 0, covered: 0, motion: null, duration: 0, moveDirection: 1, clock: 0, lastTime: null, pose
+});
+
+/**
+ * Playback follows the motion profile (see motionProfile.js): every action runs a
+ * trapezoidal velocity profile plus the settle pause, in simulated seconds scaled by
+ * playbackSpeed. ac.clock holds the simulated run time.
+ * Attachment actions hold the pose for their duration (phase 'hold'); alignments
+ * glide to their stored result at a constant speed (phase 'align').
+ */
+export function usePlayback({ initialPose, sections, unitToPx, currentSection, playbackSpeed = 1, unit = 'cm', motionProfile = DEFAULT_MOTION_PROFILE }) {
     const [isRunning, setIsRunning] = useState(false);
     const [isPaused, setIsPaused] = useState(false);
     const [playPose, setPlayPose] = useState({ ...initialPose });
 
     const animRef = useRef(0);
-    const actionCursorRef = useRef({ list: [], idx: 0, phase: 'idle', remainingPx: 0, remainingAngle: 0, moveDirection: 1 });
+    const actionCursorRef = useRef(createCursor());
 
     // Ref to track isPaused inside the animation loop without stale closures
     const isPausedRef = useRef(isPaused);
@@ -18,76 +32,103 @@ export function usePlayback({ initialPose, sections, unitToPx, currentSection, p
         cancelAnimationFrame(animRef.current);
         setIsRunning(false);
         setIsPaused(false);
-        actionCursorRef.current = { list: [], idx: 0, phase: 'idle', remainingPx: 0, remainingAngle: 0, moveDirection: 1 };
+        actionCursorRef.current = createCursor();
         setPlayPose({ ...initialPose });
     }, [initialPose]);
 
-    const tick = useCallback(() => {
+    const tick = useCallback((now) => {
+        const ac = actionCursorRef.current;
         if (isPausedRef.current) {
+            ac.lastTime = null;
             animRef.current = requestAnimationFrame(tick);
             return;
         }
-        const ac = actionCursorRef.current;
         if (ac.idx >= ac.list.length) {
             stopPlayback();
             return;
         }
-        const a = ac.list[ac.idx];
-        const rotStep = 5 * DEG2RAD * playbackSpeed;
-        const baseSpeed = unit === 'mm' ? 400 : 40;
-        const speedPx = (unitToPx(baseSpeed) / 60) * playbackSpeed;
-
-        setPlayPose(prev => {
-            let pose = { ...prev };
-            if (a.type === 'rotate') {
-                if (ac.phase !== 'rotate') {
-                    ac.phase = 'rotate';
-                    ac.remainingAngle = a.angle * DEG2RAD;
-                }
-                const remaining = ac.remainingAngle;
-                if (Math.abs(remaining) < 1e-3) {
-                    ac.phase = 'idle';
-                    ac.idx++;
-                    return pose;
-                }
-                const step = Math.sign(remaining) * Math.min(Math.abs(remaining), rotStep);
-                pose.theta += step;
-                ac.remainingAngle -= step;
-                if (Math.abs(ac.remainingAngle) < 1e-3) {
-                    ac.phase = 'idle';
-                    ac.idx++;
+
+        // Simulated seconds since the last frame (clamped so a background tab does not jump)
+        const frameSeconds = ac.lastTime == null ? 0 : Math.min((now - ac.lastTime) / 1000, 0.1);
+        ac.lastTime = now;
+        let budget = frameSeconds * playbackSpeed;
+        ac.clock += budget;
+
+        const toMm = unit === 'cm' ? 10 : 1;
+        const pose = { ...ac.pose };
+        while (ac.idx < ac.list.length) {
+            const a = ac.list[ac.idx];
+            if (ac.phase === 'idle') {
+                if (isAttachmentAction(a)) {
+                    ac.phase = 'hold';
+                } else if (isAlignmentAction(a)) {
+                    ac.phase = 'align';
+                } else {
+                    ac.phase = a.type === 'rotate' || a.type === 'arc' ? a.type : 'move';
                 }
+                ac.startPose = { ...pose };
+                ac.motion = getStepMotion(a, motionProfile, unit);
+                ac.duration = estimateStepTime(a, motionProfile, unit);
+                ac.elapsed = 0;
+                ac.covered = 0;
+                ac.moveDirection = Math.sign(a.type === 'rotate' ? a.angle : a.distance) || 1;
+            }
+
+            const step = Math.min(budget, ac.duration - ac.elapsed);
+            ac.elapsed += step;
+            budget -= step;
+
+            if (ac.phase === 'hold') {
+                if (ac.elapsed < ac.duration - 1e-9) break;
+                ac.phase = 'idle';
+                ac.idx++;
+                continue;
+            }
+
+            if (ac.phase === 'align') {
+                // Drive first, then the settle pause
+                const target = applyAlignment(ac.startPose, a, unitToPx);
+                const driveTime = ac.duration - motionProfile.settleTime;
+                const fraction = driveTime > 0 ? Math.min(1, ac.elapsed / driveTime) : 1;
+                pose.x = ac.startPose.x + (target.x - ac.startPose.x) * fraction;
+                pose.y = ac.startPose.y + (target.y - ac.startPose.y) * fraction;
+                pose.theta = ac.startPose.theta + (target.theta - ac.startPose.theta) * fraction;
+                if (ac.elapsed < ac.duration - 1e-9) break;
+                ac.phase = 'idle';
+                ac.idx++;
+                continue;
+            }
+
+            const { amount, maxSpeed, acceleration } = ac.motion;
+            const covered = trapezoidalPosition(ac.elapsed, amount, maxSpeed, acceleration);
+            const delta = (covered - ac.covered) * ac.moveDirection;
+            ac.covered = covered;
+            if (ac.phase === 'rotate') {
+                pose.theta += delta * DEG2RAD;
+            } else if (ac.phase === 'arc') {
+                // Arcs are not additive: place the robot at the covered fraction of the curve
+                const fraction = amount > 0 ? covered / amount : 1;
+                Object.assign(pose, arcPose(ac.startPose, unitToPx(a.distance) * fraction, a.sweep * DEG2RAD * fraction));
             } else {
-                if (ac.phase !== 'move') {
-                    ac.phase = 'move';
-                    ac.remainingPx = unitToPx(Math.abs(a.distance));
-                    ac.moveDirection = Math.sign(a.distance) || 1;
-                }
-                const remainingPx = ac.remainingPx ?? 0;
-                if (remainingPx < 1e-3) {
-                    ac.phase = 'idle';
-                    ac.idx++;
-                    return pose;
-                }
-                const step = Math.min(speedPx, remainingPx);
-                const direction = ac.moveDirection ?? 1;
-                pose.x += Math.cos(pose.theta) * step * direction;
-                pose.y += Math.sin(pose.theta) * step * direction;
-                ac.remainingPx = remainingPx - step;
-                if ((ac.remainingPx ?? 0) < 1e-3) {
-                    ac.phase = 'idle';
-                    ac.idx++;
-                }
+                const deltaPx = unitToPx(delta / toMm);
+                pose.x += Math.cos(pose.theta) * deltaPx;
+                pose.y += Math.sin(pose.theta) * deltaPx;
             }
-            return pose;
-        });
+
+            if (ac.elapsed < ac.duration - 1e-9) break;
+            ac.phase = 'idle';
+            ac.idx++;
+        }
+
+        ac.pose = pose;
+        setPlayPose(pose);
         animRef.current = requestAnimationFrame(tick);
-    }, [stopPlayback, unitToPx, playbackSpeed, unit]);
+    }, [stopPlayback, unitToPx, playbackSpeed, unit, motionProfile]);
 
     const startPlayback = useCallback((list, startPose) => {
         cancelAnimationFrame(animRef.current);
         setPlayPose({ ...startPose });
-        actionCursorRef.current = { list, idx: 0, phase: 'idle', remainingPx: 0, remainingAngle: 0, moveDirection: 1 };
+        actionCursorRef.current = createCursor(list, { ...startPose });
         setIsRunning(true);
         setIsPaused(false);
         animRef.current = requestAnimationFrame(tick);
@@ -97,7 +138,7 @@ export function usePlayback({ initialPose, sections, unitToPx, currentSection, p
         const fullActions = [];
         let currentPose = { ...initialPose };
         sections.forEach(s => {
-            if (!s.isVisible) return;
+            if (s.isVisible === false) return;
             const sectionStartPose = currentPose;
             s.actions.forEach(a => {
                 fullActions.push({ ...a, startPose: sectionStartPose });
@@ -111,7 +152,7 @@ export function usePlayback({ initialPose, sections, unitToPx, currentSection, p
         const fullActions = [];
         let currentPose = { ...initialPose };
         sections.forEach(s => {
-            if (!s.isVisible) return;
+            if (s.isVisible === false) return;
             const sectionStartPose = currentPose;
             s.actions.forEach(a => {
                 fullActions.push({ ...a, startPose: sectionStartPose });
@@ -0,0 +1,412 @@
+/**
+ * projectBundle.js
+ * One file format for everything the planner saves: route, runs, team robots,
+ * obstacles, mission markers, custom background and robot images (data URLs),
+ * settings and UI. Exported projects, obstacle / mission exports and the
+ * library autosave are all bundles; the partial exports just carry fewer fields.
+ *
+ * Reading a file goes through two steps:
+ * 1. Migration to the current version. Older files are recognised by their fields:
+ *    - v1: canvas pixels (no coordSystem): mission files and "1.0" obstacle / mission files
+ *    - v2: field millimetres, waypoints still say 'center' for the wheel axis ("2.0" files too)
+ *    - v3: project files with runs and team robots, before the bundle header
+ *    - v4: { format: 'wro-project', version: 4, ... }
+ * 2. Validation against PROJECT_BUNDLE_SCHEMA (JSON Schema). Every error names
+ *    the exact field, e.g. "sections[2].points[0].x: debe ser un número".
+ */
+
+import { uid, pxToMmFieldObject } from "./constants";
+import { MISSION_SHAPES } from "./missions";
+
+export const BUNDLE_FORMAT = 'wro-project';
+export const BUNDLE_VERSION = 4;
+
+const NUMBER = { type: 'number' };
+const STRING = { type: 'string' };
+const BOOLEAN = { type: 'boolean' };
+const IMAGE = { type: ['string', 'null'], pattern: '^data:image/', description: 'Imagen incrustada (data URL) o null' };
+
+const POSE = {
+    type: 'object',
+    required: ['x', 'y', 'theta'],
+    properties: { x: NUMBER, y: NUMBER, theta: NUMBER }
+};
+
+const WAYPOINT = {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: {
+        x: NUMBER,
+        y: NUMBER,
+        reverse: BOOLEAN,
+        arc: BOOLEAN,
+        finalHeading: NUMBER,
+        reference: { enum: ['axis', 'center', 'tip'] }
+    }
+};
+
+const SECTION = {
+    type: 'object',
+    required: ['id', 'points'],
+    properties: {
+        id: STRING,
+        name: STRING,
+        color: STRING,
+        isVisible: BOOLEAN,
+        points: { type: 'array', items: WAYPOINT },
+        actions: { type: 'array', items: { type: 'object', required: ['type'], properties: { type: STRING } } }
+    }
+};
+
+const ROBOT = {
+    type: 'object',
+    required: ['width', 'length'],
+    properties: {
+        width: { type: 'number', minimum: 0 },
+        length: { type: 'number', minimum: 0 },
+        wheelOffset: NUMBER,
+        wheelDiameter: { type: 'number', minimum: 0 },
+        trackWidth: { type: 'number', minimum: 0 },
+        gearRatio: { type: 'number', minimum: 0 },
+        color: STRING,
+        opacity: { type: 'number', minimum: 0, maximum: 1 },
+        imageSrc: IMAGE
+    }
+};
+
+const RUN = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: STRING,
+        name: STRING,
+        initialPose: POSE,
+        sections: { type: 'array', items: SECTION }
+    }
+};
+
+const TEAM_ROBOT = {
+    type: 'object',
+    required: ['id', 'robot', 'initialPose', 'sections'],
+    properties: {
+        id: STRING,
+        name: STRING,
+        robot: ROBOT,
+        initialPose: POSE,
+        sections: { type: 'array', items: SECTION },
+        runs: { type: 'array', items: RUN },
+        activeRunId: STRING
+    }
+};
+
+const OBSTACLE = {
+    type: 'object',
+    required: ['x', 'y', 'w', 'h'],
+    properties: {
+        id: STRING,
+        x: NUMBER,
+        y: NUMBER,
+        w: { type: 'number', minimum: 0 },
+        h: { type: 'number', minimum: 0 },
+        rotation: NUMBER,
+        color: STRING,
+        label: STRING
+    }
+};
+
+const MISSION = {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: {
+        id: STRING,
+        x: NUMBER,
+        y: NUMBER,
+        size: { type: 'number', minimum: 0 },
+        shape: { enum: Object.values(MISSION_SHAPES) },
+        rotation: NUMBER,
+        color: STRING,
+        label: STRING,
+        opacity: { type: 'number', minimum: 0, maximum: 1 }
+    }
+};
+
+/**
+ * JSON Schema (draft 2020-12) of a project bundle after migration. Only the
+ * header is required: partial bundles (e.g. just `obstacles`) are valid and
+ * leave the other parts of the planner untouched when imported.
+ */
+export const PROJECT_BUNDLE_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Proyecto WRO Path Planner',
+    type: 'object',
+    required: ['format', 'version', 'coordSystem'],
+    properties: {
+        format: { const: BUNDLE_FORMAT },
+        version: { const: BUNDLE_VERSION },
+        coordSystem: { const: 'mm' },
+        timestamp: NUMBER,
+        fieldKey: STRING,
+        grid: {
+            type: 'object',
+            properties: {
+                cellSize: { type: 'number', minimum: 0 },
+                pixelsPerUnit: { type: 'number', minimum: 0 },
+                lineAlpha: NUMBER,
+                offsetX: NUMBER,
+                offsetY: NUMBER,
+                color: STRING
+            }
+        },
+        unit: { enum: ['cm', 'mm'] },
+        robot: ROBOT,
+        initialPose: POSE,
+        sections: { type: 'array', minItems: 1, items: SECTION },
+        runs: { type: 'array', items: RUN },
+        activeRunId: STRING,
+        robots: { type: 'array', items: TEAM_ROBOT },
+        activeRobotId: STRING,
+        obstacles: { type: 'array', items: OBSTACLE },
+        missions: { type: 'array', items: MISSION },
+        background: IMAGE,
+        exportSettings: { type: 'object' },
+        motionProfile: { type: 'object' },
+        scenarios: { type: 'object' },
+        drift: { type: 'object' },
+        ui: { type: 'object' }
+    }
+};
+
+// =============================================================================
+// VALIDATION (the subset of JSON Schema used above)
+// =============================================================================
+
+const TYPE_NAMES = {
+    number: 'un número',
+    integer: 'un número entero',
+    string: 'un texto',
+    boolean: 'verdadero o falso',
+    object: 'un objeto',
+    array: 'una lista',
+    null: 'null'
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const matchesType = (value, type) => {
+    switch (type) {
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return isObject(value);
+        case 'array': return Array.isArray(value);
+        case 'null': return value === null;
+        default: return false;
+    }
+};
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const validateNode = (value, schema, path, errors) => {
+    const label = path || '(raíz)';
+    if ('const' in schema && value !== schema.const) {
+        errors.push(`${label}: debe ser ${JSON.stringify(schema.const)}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${label}: debe ser uno de ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        return;
+    }
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${label}: debe ser ${types.map(type => TYPE_NAMES[type]).join(' o ')}`);
+            return;
+        }
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${label}: no tiene el formato esperado (${schema.pattern})`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${label}: debe ser ≥ ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${label}: debe ser ≤ ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${label}: debe tener al menos ${schema.minItems} elemento(s)`);
+        }
+        if (schema.items) value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+    }
+    if (isObject(value)) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${childPath(path, key)}: falta este campo obligatorio`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+            if (value[key] !== undefined) validateNode(value[key], propSchema, childPath(path, key), errors);
+        });
+    }
+};
+
+/**
+ * Validates data against a schema (PROJECT_BUNDLE_SCHEMA by default).
+ * @param {*} data
+ * @param {Object} [schema]
+ * @returns {string[]} One message per invalid field, empty when valid
+ */
+export const validateProjectBundle = (data, schema = PROJECT_BUNDLE_SCHEMA) => {
+    const errors = [];
+    validateNode(data, schema, '', errors);
+    return errors;
+};
+
+// =============================================================================
+// MIGRATIONS
+// =============================================================================
+
+/** Maps the objects of a list; anything else is left for the validator to report. */
+const mapObjects = (list, fn) => (Array.isArray(list) ? list.map(item => (isObject(item) ? fn(item) : item)) : list);
+
+const mapSections = (sections, fn) => mapObjects(sections, s => ({
+    ...s,
+    points: mapObjects(s.points, fn),
+    actions: mapObjects(s.actions, fn)
+}));
+
+/** Version of a file as read: 1..3 for the older formats, the bundle version otherwise. */
+const detectVersion = (raw) => {
+    if (raw.format === BUNDLE_FORMAT) return raw.version;
+    if (raw.coordSystem !== 'mm') return 1;
+    return typeof raw.version === 'number' && raw.version >= 3 ? 3 : 2;
+};
+
+/** migrations[n] turns a version n file into version n + 1 */
+const MIGRATIONS = {
+    // Canvas pixels → field millimetres, with the canvas size the file is opened on
+    1: (data, { canvasWidth, canvasHeight }) => {
+        const toMm = (obj) => pxToMmFieldObject(obj, canvasWidth, canvasHeight);
+        return {
+            ...data,
+            coordSystem: 'mm',
+            initialPose: isObject(data.initialPose)
+                ? pxToMmFieldObject(data.initialPose, canvasWidth, canvasHeight)
+                : data.initialPose,
+            sections: mapObjects(data.sections, s => ({ ...s, points: mapObjects(s.points, toMm) })),
+            obstacles: mapObjects(data.obstacles, toMm),
+            missions: mapObjects(data.missions, toMm)
+        };
+    },
+    // Waypoints and actions called the wheel axis 'center'; coordinates do not change
+    2: (data) => {
+        const relabel = (item) => (item.reference === 'center' ? { ...item, reference: 'axis' } : item);
+        return { ...data, sections: mapSections(data.sections, relabel) };
+    },
+    // Bundle header; "1.0" / "2.0" obstacle and mission files become partial bundles
+    3: (data) => {
+        const { type: _type, ...rest } = data;
+        return { ...rest, format: BUNDLE_FORMAT, version: 4 };
+    }
+};
+
+// Lists an older file never had come out of the migrations as undefined
+const dropUndefined = (data) => Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+
+/** Defaults for optional fields of the field objects, as created in the planner. */
+const normalizeBundle = (bundle) => ({
+    ...bundle,
+    obstacles: mapObjects(bundle.obstacles, obs => ({
+        color: '#f97316',
+        rotation: 0,
+        ...obs,
+        id: obs.id || uid('obs')
+    })),
+    missions: mapObjects(bundle.missions, m => ({
+        size: 40,
+        color: '#22c55e',
+        shape: MISSION_SHAPES.CIRCLE,
+        label: '',
+        rotation: 0,
+        opacity: 0.7,
+        ...m,
+        id: m.id || uid('mission')
+    }))
+});
+
+/**
+ * Header of a bundle in the current version.
+ * @param {Object} fields - Project fields (all in field millimetres)
+ * @returns {Object}
+ */
+export const createProjectBundle = (fields) => ({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    coordSystem: 'mm',
+    ...fields
+});
+
+/**
+ * Migrates a parsed file of any known version to the current bundle and validates it.
+ * @param {*} raw - Parsed JSON
+ * @param {Object} canvas - Size the pixel-based v1 files are read with
+ * @param {number} canvas.canvasWidth
+ * @param {number} canvas.canvasHeight
+ * @returns {{bundle: Object|null, errors: string[], migratedFrom: number|null}}
+ *   migratedFrom is the version of the file when it was older than the current one
+ */
+export const readProjectBundle = (raw, canvas) => {
+    if (!isObject(raw)) return { bundle: null, errors: ['(raíz): debe ser un objeto'], migratedFrom: null };
+    if (raw.format !== undefined && raw.format !== BUNDLE_FORMAT) {
+        return { bundle: null, errors: [`format: debe ser ${JSON.stringify(BUNDLE_FORMAT)}`], migratedFrom: null };
+    }
+
+    const fileVersion = detectVersion(raw);
+    if (!Number.isInteger(fileVersion) || fileVersion < 1) {
+        return { bundle: null, errors: ['version: debe ser un número entero'], migratedFrom: null };
+    }
+    if (fileVersion > BUNDLE_VERSION) {
+        return {
+            bundle: null,
+            errors: [`version: el archivo es de la versión ${fileVersion}, más nueva que la de esta aplicación (${BUNDLE_VERSION})`],
+            migratedFrom: null
+        };
+    }
+
+    let data = raw;
+    for (let version = fileVersion; version < BUNDLE_VERSION; version++) {
+        data = MIGRATIONS[version](data, canvas);
+    }
+    const errors = validateProjectBundle(data);
+    if (errors.length > 0) return { bundle: null, errors, migratedFrom: null };
+    return {
+        bundle: dropUndefined(normalizeBundle(data)),
+        errors: [],
+        migratedFrom: fileVersion < BUNDLE_VERSION ? fileVersion : null
+    };
+};
+
+/**
+ * readProjectBundle for the text of a file.
+ * @param {string} text
+ * @param {Object} canvas - See readProjectBundle
+ * @returns {{bundle: Object|null, errors: string[], migratedFrom: number|null}}
+ */
+export const parseProjectBundle = (text, canvas) => {
+    let raw;
+    try {
+        raw = JSON.parse(text);
+    } catch (err) {
+        return { bundle: null, errors: [`El archivo no es JSON válido (${err.message})`], migratedFrom: null };
+    }
+    return readProjectBundle(raw, canvas);
+};
+
+/**
+ * Error list for an alert: the first `max` messages, one per line.
+ * @param {string[]} errors
+ * @param {number} [max]
+ * @returns {string}
+ */
+export const formatBundleErrors = (errors, max = 8) => {
+    const lines = errors.slice(0, max).map(error => `• ${error}`);
+    if (errors.length > max) lines.push(`… y ${errors.length - max} más`);
+    return lines.join('\n');
+};
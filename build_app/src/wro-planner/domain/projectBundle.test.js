@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Unit tests for projectBundle.js
+ *
+ * Run with: node src/wro-planner/domain/projectBundle.test.js
+ *
+ * These tests read the files in ./fixtures through the migrations:
+ * - v1 (canvas pixels) → field millimetres, 'center' → 'axis', bundle header
+ * - v2 (millimetres, 'center' references) → 'axis', bundle header
+ * - Schema validation of the result, including embedded images
+ */
+
+import { readFileSync } from 'node:fs';
+import { test, assertEqual, assertTrue, summary } from './testHarness.js';
+
+const {
+    readProjectBundle,
+    parseProjectBundle,
+    validateProjectBundle,
+    createProjectBundle,
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION
+} = await import('./projectBundle.js');
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+// Half the mat size: 1 canvas pixel = 2 field millimetres
+const canvas = { canvasWidth: 1181, canvasHeight: 571.5 };
+
+// =====================================================================
+// V1: CANVAS PIXELS
+// =====================================================================
+
+test('Test 1: v1 bundle migrates pixels to millimetres');
+{
+    const { bundle, errors, migratedFrom } = parseProjectBundle(fixture('bundle-v1.json'), canvas);
+    assertEqual(errors, [], 'No validation errors');
+    assertEqual(migratedFrom, 1, 'Reports the file as v1');
+    assertEqual(bundle.format, BUNDLE_FORMAT, 'Gets the bundle format');
+    assertEqual(bundle.version, BUNDLE_VERSION, 'Gets the current version');
+    assertEqual(bundle.coordSystem, 'mm', 'Gets the mm coordinate system');
+
+    assertEqual(bundle.initialPose, { x: 100, y: 120, theta: 0 }, 'Initial pose scaled, heading kept');
+    const [first, second] = bundle.sections[0].points;
+    assertEqual([first.x, first.y], [200, 120], 'First waypoint scaled');
+    assertEqual([second.x, second.y], [200, 400], 'Second waypoint scaled');
+    assertEqual(second.reverse, true, 'Waypoint flags kept');
+
+    const [obstacle] = bundle.obstacles;
+    assertEqual([obstacle.x, obstacle.y, obstacle.w, obstacle.h], [600, 300, 80, 40], 'Obstacle position and size scaled');
+    assertEqual(obstacle.rotation, 30, 'Obstacle rotation kept');
+    assertEqual(obstacle.id, 'obs_1', 'Obstacle id kept');
+
+    const [mission] = bundle.missions;
+    assertEqual([mission.x, mission.y, mission.size], [1000, 500, 40], 'Mission marker scaled');
+    assertTrue(typeof mission.id === 'string' && mission.id.length > 0, 'Mission marker without id gets one');
+    assertEqual(mission.color, '#22c55e', 'Mission marker gets the default colour');
+
+    assertEqual(bundle.robot.width, 18, 'Robot size is in the planner unit, not scaled');
+    assertEqual(bundle.background, 'data:image/png;base64,iVBORw0KGgo=', 'Embedded background kept');
+    assertEqual(validateProjectBundle(bundle), [], 'Migrated bundle validates against the schema');
+}
+
+test('Test 2: v1 references');
+{
+    const { bundle } = parseProjectBundle(fixture('bundle-v1.json'), canvas);
+    const [first, second] = bundle.sections[0].points;
+    assertEqual(first.reference, 'axis', "'center' is the wheel axis");
+    assertEqual(second.reference, 'tip', "'tip' is kept");
+}
+
+// =====================================================================
+// V2: MILLIMETRES WITH 'center' REFERENCES
+// =====================================================================
+
+test('Test 3: v2 bundle keeps coordinates and relabels references');
+{
+    const { bundle, errors, migratedFrom } = parseProjectBundle(fixture('bundle-v2.json'), canvas);
+    assertEqual(errors, [], 'No validation errors');
+    assertEqual(migratedFrom, 2, 'Reports the file as v2');
+    assertEqual(bundle.version, BUNDLE_VERSION, 'Gets the current version');
+
+    const points = bundle.sections[0].points;
+    assertEqual(points.map(p => [p.x, p.y]), [[250, 800], [900, 800], [900, 400]], 'Waypoints unchanged');
+    assertEqual(points.map(p => p.reference), ['axis', 'axis', undefined], "Waypoint 'center' relabelled, others kept");
+
+    const actions = bundle.sections[0].actions;
+    assertEqual(actions.map(a => a.reference), ['axis', undefined, 'axis'], "Action 'center' relabelled");
+    assertEqual(actions[0].distance, 550, 'Action distance unchanged');
+
+    assertEqual(bundle.initialPose, { x: 250, y: 300, theta: 1.5708 }, 'Initial pose unchanged');
+    assertEqual(bundle.obstacles[0].color, '#f97316', 'Obstacle gets the default colour');
+    assertEqual(bundle.robot.imageSrc, 'data:image/jpeg;base64,/9j/4AAQ', 'Embedded robot image kept');
+    assertEqual(validateProjectBundle(bundle), [], 'Migrated bundle validates against the schema');
+}
+
+test('Test 4: v2 partial file with a type');
+{
+    const raw = { version: '2.0', type: 'obstacles', coordSystem: 'mm', obstacles: [{ x: 10, y: 20, w: 30, h: 40 }] };
+    const { bundle, errors, migratedFrom } = readProjectBundle(raw, canvas);
+    assertEqual(errors, [], 'No validation errors');
+    assertEqual(migratedFrom, 2, 'Reports the file as v2');
+    assertTrue(!('type' in bundle), 'The old type field is dropped');
+    assertTrue(!('sections' in bundle), 'Parts the file did not have stay out of the bundle');
+}
+
+// =====================================================================
+// VALIDATION
+// =====================================================================
+
+test('Test 5: Validation errors');
+{
+    const v2 = JSON.parse(fixture('bundle-v2.json'));
+
+    const linked = readProjectBundle({ ...v2, background: 'https://example.com/mat.png' }, canvas);
+    assertEqual(linked.bundle, null, 'Background that is not an embedded image is rejected');
+    assertTrue(linked.errors.some(e => e.startsWith('background:')), 'Error names the background field');
+
+    const robot = readProjectBundle({ ...v2, robot: { ...v2.robot, imageSrc: 'javascript:alert(1)' } }, canvas);
+    assertTrue(robot.errors.some(e => e.startsWith('robot.imageSrc:')), 'Robot image that is not embedded is rejected');
+
+    const noImage = readProjectBundle({ ...v2, background: null, robot: { ...v2.robot, imageSrc: null } }, canvas);
+    assertEqual(noImage.errors, [], 'null images are valid');
+
+    const badPoint = JSON.parse(fixture('bundle-v1.json'));
+    badPoint.sections[0].points[1].x = 'diez';
+    const bad = readProjectBundle(badPoint, canvas);
+    assertTrue(bad.errors.includes('sections[0].points[1].x: debe ser un número'), 'Error names the exact waypoint field');
+
+    assertEqual(readProjectBundle(createProjectBundle({ version: BUNDLE_VERSION + 1 }), canvas).bundle, null, 'Newer versions are rejected');
+    assertTrue(parseProjectBundle('{ no es json', canvas).errors[0].startsWith('El archivo no es JSON válido'), 'Invalid JSON is reported');
+}
+
+summary();
@@ -0,0 +1,180 @@
+/**
+ * projectStore.js
+ * Local project library in IndexedDB (autosave of the full planner state).
+ *
+ * Two object stores keep the list cheap to read:
+ * - 'projects': { id, name, createdAt, updatedAt } for the library screen
+ * - 'projectData': { id, data } with the planner snapshot (can hold images)
+ *
+ * The open project and whether the last session ended cleanly are kept in
+ * localStorage, which can still be written synchronously while the page unloads.
+ */
+
+import { uid } from "./constants";
+
+const DB_NAME = 'wro_planner';
+const DB_VERSION = 1;
+const PROJECTS = 'projects';
+const PROJECT_DATA = 'projectData';
+const SESSION_KEY = 'wro_session';
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB no está disponible'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PROJECTS)) db.createObjectStore(PROJECTS, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(PROJECT_DATA)) db.createObjectStore(PROJECT_DATA, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if opening failed (e.g. private mode)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+/**
+ * Runs `work` in one transaction over both stores and resolves with its result
+ * once the transaction has committed.
+ */
+const withStores = async (mode, work) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([PROJECTS, PROJECT_DATA], mode);
+        let result;
+        Promise.resolve(work(tx.objectStore(PROJECTS), tx.objectStore(PROJECT_DATA)))
+            .then(value => { result = value; })
+            .catch(err => { tx.abort(); reject(err); });
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+/**
+ * Every project of the library, most recently edited first.
+ * @returns {Promise<Array<{id: string, name: string, createdAt: number, updatedAt: number}>>}
+ */
+export const listProjects = async () => {
+    const projects = await withStores('readonly', (projectsStore) => requestToPromise(projectsStore.getAll()));
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * One project with its planner snapshot.
+ * @param {string} id
+ * @returns {Promise<{meta: Object, data: Object}|null>}
+ */
+export const loadProject = (id) => withStores('readonly', async (projectsStore, dataStore) => {
+    const [meta, record] = await Promise.all([
+        requestToPromise(projectsStore.get(id)),
+        requestToPromise(dataStore.get(id))
+    ]);
+    return meta ? { meta, data: record?.data ?? null } : null;
+});
+
+/**
+ * Creates a project.
+ * @param {string} name
+ * @param {Object} data - Planner snapshot
+ * @returns {Promise<Object>} The new project's metadata
+ */
+export const createProject = (name, data) => withStores('readwrite', (projectsStore, dataStore) => {
+    const now = Date.now();
+    const meta = { id: uid('prj'), name, createdAt: now, updatedAt: now };
+    projectsStore.put(meta);
+    dataStore.put({ id: meta.id, data });
+    return meta;
+});
+
+/**
+ * Replaces the snapshot of a project (autosave).
+ * @param {string} id
+ * @param {Object} data
+ * @returns {Promise<Object|null>} Updated metadata, null if the project was deleted
+ */
+export const saveProjectData = (id, data) => withStores('readwrite', async (projectsStore, dataStore) => {
+    const meta = await requestToPromise(projectsStore.get(id));
+    if (!meta) return null;
+    const updated = { ...meta, updatedAt: Date.now() };
+    projectsStore.put(updated);
+    dataStore.put({ id, data });
+    return updated;
+});
+
+/**
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+export const renameProject = (id, name) => withStores('readwrite', async (projectsStore) => {
+    const meta = await requestToPromise(projectsStore.get(id));
+    if (!meta) return null;
+    const updated = { ...meta, name, updatedAt: Date.now() };
+    projectsStore.put(updated);
+    return updated;
+});
+
+/**
+ * Copies a project (metadata and snapshot) under a new name.
+ * @param {string} id
+ * @param {string} name
+ * @returns {Promise<Object|null>} The copy's metadata
+ */
+export const duplicateProject = (id, name) => withStores('readwrite', async (projectsStore, dataStore) => {
+    const record = await requestToPromise(dataStore.get(id));
+    if (!record) return null;
+    const now = Date.now();
+    const meta = { id: uid('prj'), name, createdAt: now, updatedAt: now };
+    projectsStore.put(meta);
+    dataStore.put({ id: meta.id, data: record.data });
+    return meta;
+});
+
+/**
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export const deleteProject = (id) => withStores('readwrite', (projectsStore, dataStore) => {
+    projectsStore.delete(id);
+    dataStore.delete(id);
+});
+
+/**
+ * Last session: the open project and whether the page was closed normally.
+ * @returns {{projectId: string|null, clean: boolean}}
+ */
+export const loadSession = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SESSION_KEY));
+        return { projectId: stored?.projectId ?? null, clean: stored?.clean !== false };
+    } catch (err) {
+        console.warn('Failed to load session from localStorage:', err);
+        return { projectId: null, clean: true };
+    }
+};
+
+/**
+ * @param {{projectId: string|null, clean: boolean}} session
+ */
+export const saveSession = (session) => {
+    try {
+        localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch (err) {
+        console.warn('Failed to save session to localStorage:', err);
+    }
+};
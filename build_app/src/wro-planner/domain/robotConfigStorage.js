@@ -14,7 +14,10 @@ export const getDefaultRobotConfig = () => ({
     version: CONFIG_VERSION,
     length: 20,      // cm
     width: 18,       // cm
-    wheelOffset: 10  // cm (optional, distance from front to wheel axis)
+    wheelOffset: 10, // cm (optional, distance from front to wheel axis)
+    wheelDiameter: 5.6, // cm (optional, kinematics)
+    trackWidth: 11.2,   // cm (optional, distance between wheel contact points)
+    gearRatio: 1        // optional, motor turns per wheel turn
 });
 
 /**
@@ -47,7 +50,7 @@ export const loadRobotConfig = () => {
 
 /**
  * Saves robot configuration to localStorage.
- * @param {Object} config - Robot config { length, width, wheelOffset? }
+ * @param {Object} config - Robot config { length, width, wheelOffset?, wheelDiameter?, trackWidth?, gearRatio? }
  */
 export const saveRobotConfig = (config) => {
     try {
@@ -57,10 +60,12 @@ export const saveRobotConfig = (config) => {
             width: config.width,
         };
 
-        // Include wheelOffset only if provided
-        if (typeof config.wheelOffset === 'number') {
-            toSave.wheelOffset = config.wheelOffset;
-        }
+        // Include optional fields only if provided
+        ['wheelOffset', 'wheelDiameter', 'trackWidth', 'gearRatio'].forEach(key => {
+            if (typeof config[key] === 'number') {
+                toSave[key] = config[key];
+            }
+        });
 
         localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
     } catch (err) {
@@ -0,0 +1,503 @@
+/**
+ * routeScript.js
+ * Route sections as a small text language, edited next to the canvas:
+ *
+ *   sección "Recoger" #22c55e
+ *   avanzar 30                         // (45, 30)
+ *   girar derecha 90
+ *   ir 120 45                          // drive to a point of the field
+ *   ir reversa 100 45
+ *   arco izquierda 31.4 90°
+ *   motor 1 angulo 90 vel 300
+ *   motor 2 tiempo 1000 vel -300
+ *   esperar 500
+ *   pitido 200 "cesta"
+ *   alinear cuadrar abajo vel 100 tiempo 500
+ *   alinear linea doble obstaculo 2 vel 80
+ *
+ *   sección "Vuelta" #3b82f6 oculta
+ *   retroceder 10
+ *
+ * - "sección" (or "section") starts a section: optional name, #colour and
+ *   "oculta" (hidden). Commands before the first header go to an unnamed one.
+ * - Drives and turns are read like imported instruction lists
+ *   (instructionImport.parseInstructionCommand): "avanzar 30", "atrás 10 cm",
+ *   "girar izquierda 45", "arco [reversa] derecha <longitud> <ángulo>°".
+ * - "ir [reversa] X Y" turns towards a point (field coordinates in the working
+ *   unit, origin top-left) and drives to it.
+ * - Attachments (attachments.js) and alignments (alignment.js) run where they
+ *   are written. Obstacles are referenced by their number in the obstacle list.
+ * - Text after "//" is a comment. Distances are in the working unit.
+ *
+ * The text is turned into planner sections in three steps: parseRouteScript
+ * (syntax, line by line), layOutRouteScript (poses from the start pose, points
+ * and alignment results) and findRouteScriptCollisions (robot body against
+ * the obstacles, per line). serializeRouteScript writes sections back as text.
+ */
+
+import { RAD2DEG, uid } from "./constants";
+import { normalizeAngle, advancePose, resolveActionAlignments, pointsFromActions, getPoseAfterActions } from "./geometry";
+import { ATTACHMENT_MOTORS, isAttachmentAction, leadingAttachments } from "./attachments";
+import { createAlignmentAction, isAlignmentAction, resolveAlignment } from "./alignment";
+import { stepCollisions } from "./routeValidation";
+import { parseInstructionCommand } from "./instructionImport";
+
+const KEYWORDS = {
+    section: ['seccion', 'section'],
+    goto: ['ir', 'goto'],
+    motor: ['motor'],
+    wait: ['esperar', 'espera', 'pausa', 'wait'],
+    beep: ['pitido', 'beep', 'marca'],
+    align: ['alinear', 'alinea', 'align']
+};
+
+const MOTOR_MODES = {
+    motorAngle: ['angulo', 'angle'],
+    motorTime: ['tiempo', 'time']
+};
+
+const ALIGN_MODE_WORDS = {
+    wallBack: ['muro', 'wall'],
+    wallSquare: ['cuadrar', 'square'],
+    lineAlign: ['linea', 'line']
+};
+
+const ALIGN_REFERENCE_WORDS = {
+    auto: ['auto'],
+    top: ['arriba', 'superior', 'top'],
+    right: ['derecha', 'right'],
+    bottom: ['abajo', 'inferior', 'bottom'],
+    left: ['izquierda', 'left'],
+    obstacle: ['obstaculo', 'obstacle']
+};
+
+const SPEED_WORDS = ['vel', 'velocidad', 'speed'];
+const TIME_WORDS = ['tiempo', 'time'];
+const REVERSE_WORDS = ['reversa', 'atras', 'retroceder', 'reverse', 'back'];
+const DOUBLE_WORDS = ['doble', 'double'];
+const HIDDEN_WORDS = ['oculta', 'oculto', 'hidden'];
+
+const normalizeWord = (word) => word
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+const keywordOf = (word) => Object.keys(KEYWORDS).find(key => KEYWORDS[key].includes(word)) ?? null;
+
+const findKey = (table, word) => Object.keys(table).find(key => table[key].includes(word)) ?? null;
+
+// Words and "quoted strings" of a line
+const tokenize = (line) => (line.match(/"[^"]*"|[^\s,()]+/g) || []).map(raw => (
+    raw.startsWith('"') ? { raw, quoted: raw.slice(1, -1) } : { raw, word: normalizeWord(raw) }
+));
+
+const toNumber = (token) => {
+    if (!token || token.quoted !== undefined) return null;
+    const value = Number(token.raw.replace(/ms$/i, ''));
+    return Number.isFinite(value) ? value : null;
+};
+
+const round = (value) => Number(value.toFixed(2));
+
+const formatNumber = (value) => String(round(value));
+
+/**
+ * Options after the main arguments of a command: "vel 300", "tiempo 500", flags.
+ * @returns {{speed?: number, duration?: number, flags: Array<Object>, error?: string}} flags are the other tokens
+ */
+const readOptions = (tokens) => {
+    const options = { flags: [] };
+    for (let i = 0; i < tokens.length; i++) {
+        const word = tokens[i].word;
+        if (SPEED_WORDS.includes(word) || TIME_WORDS.includes(word)) {
+            const value = toNumber(tokens[i + 1]);
+            if (value === null) return { error: `falta el número después de «${tokens[i].raw}»` };
+            if (SPEED_WORDS.includes(word)) options.speed = value;
+            else options.duration = value;
+            i++;
+        } else if (word === 'ms') {
+            continue;
+        } else {
+            options.flags.push(tokens[i]);
+        }
+    }
+    return options;
+};
+
+const parseMotor = (tokens) => {
+    const motor = toNumber(tokens[0]);
+    if (motor === null) return { error: 'falta el número de motor' };
+    if (!ATTACHMENT_MOTORS.includes(motor)) return { error: `el motor tiene que ser ${ATTACHMENT_MOTORS.join(' o ')}` };
+    const type = tokens[1] ? findKey(MOTOR_MODES, tokens[1].word) : null;
+    if (!type) return { error: 'falta «angulo» o «tiempo» después del motor' };
+    const value = toNumber(tokens[2]);
+    if (value === null) return { error: type === 'motorAngle' ? 'falta el ángulo' : 'falta la duración (ms)' };
+    const options = readOptions(tokens.slice(3));
+    if (options.error) return options;
+    if (options.flags.length > 0) return { error: `no se entiende «${options.flags[0].raw}»` };
+    const speed = options.speed ?? 300;
+    if (speed === 0) return { error: 'la velocidad no puede ser 0' };
+    if (type === 'motorAngle') return { action: { type, motor, angle: value, speed: Math.abs(speed) } };
+    if (value < 0) return { error: 'la duración no puede ser negativa' };
+    return { action: { type, motor, duration: value, speed } };
+};
+
+const parseWait = (tokens) => {
+    const duration = toNumber(tokens[0]);
+    if (duration === null) return { error: 'falta la duración (ms)' };
+    if (duration < 0) return { error: 'la duración no puede ser negativa' };
+    const rest = tokens.slice(1).filter(t => t.word !== 'ms');
+    if (rest.length > 0) return { error: `no se entiende «${rest[0].raw}»` };
+    return { action: { type: 'wait', duration } };
+};
+
+const parseBeep = (tokens) => {
+    let duration = 200;
+    const words = [];
+    for (const token of tokens) {
+        const value = toNumber(token);
+        if (value !== null && words.length === 0) duration = value;
+        else if (token.word !== 'ms') words.push(token.quoted ?? token.raw);
+    }
+    if (duration < 0) return { error: 'la duración no puede ser negativa' };
+    return { action: { type: 'beep', label: words.join(' '), duration } };
+};
+
+const parseAlign = (tokens, obstacles) => {
+    const mode = tokens[0] ? findKey(ALIGN_MODE_WORDS, tokens[0].word) : null;
+    if (!mode) return { error: 'falta el tipo: «muro», «cuadrar» o «linea»' };
+    const action = createAlignmentAction(mode);
+    const options = readOptions(tokens.slice(1));
+    if (options.error) return options;
+    for (let i = 0; i < options.flags.length; i++) {
+        const token = options.flags[i];
+        const reference = findKey(ALIGN_REFERENCE_WORDS, token.word);
+        if (DOUBLE_WORDS.includes(token.word)) {
+            if (mode !== 'lineAlign') return { error: '«doble» solo vale para alinear con la línea' };
+            action.square = true;
+        } else if (reference === 'obstacle') {
+            const next = options.flags[i + 1];
+            if (next?.raw === '?') return { error: 'el obstáculo de referencia ya no existe' };
+            const index = toNumber(next);
+            if (index === null) return { error: 'falta el número de obstáculo' };
+            const obstacle = obstacles[index - 1];
+            if (!obstacle) return { error: `no hay obstáculo ${index}` };
+            action.reference = 'obstacle';
+            action.obstacleId = obstacle.id;
+            i++;
+        } else if (reference) {
+            action.reference = reference;
+        } else {
+            return { error: `no se entiende «${token.raw}»` };
+        }
+    }
+    if (options.speed !== undefined) {
+        if (options.speed <= 0) return { error: 'la velocidad tiene que ser positiva' };
+        action.speed = options.speed;
+    }
+    if (options.duration !== undefined) {
+        if (mode !== 'wallSquare') return { error: 'el tiempo contra el muro solo vale para «cuadrar»' };
+        if (options.duration < 0) return { error: 'la duración no puede ser negativa' };
+        action.duration = options.duration;
+    }
+    return { action };
+};
+
+const parseGoto = (tokens) => {
+    let reverse = false;
+    const numbers = [];
+    for (const token of tokens) {
+        const value = toNumber(token);
+        if (value !== null) numbers.push(value);
+        else if (REVERSE_WORDS.includes(token.word)) reverse = true;
+        else if (!['a', 'al', 'punto', 'to'].includes(token.word)) return { error: `no se entiende «${token.raw}»` };
+    }
+    if (numbers.length !== 2) return { error: 'faltan las coordenadas X Y del punto' };
+    return { goto: { x: numbers[0], y: numbers[1], reverse } };
+};
+
+const parseHeader = (tokens) => {
+    const section = { name: null, color: null, hidden: false };
+    const nameWords = [];
+    for (const token of tokens) {
+        if (token.quoted !== undefined) section.name = token.quoted.trim();
+        else if (/^#[0-9a-f]{6}$/i.test(token.raw)) section.color = token.raw.toLowerCase();
+        else if (HIDDEN_WORDS.includes(token.word)) section.hidden = true;
+        else nameWords.push(token.raw);
+    }
+    if (section.name === null && nameWords.length > 0) section.name = nameWords.join(' ');
+    return section;
+};
+
+const COMMAND_PARSERS = {
+    goto: (tokens) => parseGoto(tokens),
+    motor: (tokens) => parseMotor(tokens),
+    wait: (tokens) => parseWait(tokens),
+    beep: (tokens) => parseBeep(tokens),
+    align: (tokens, obstacles) => parseAlign(tokens, obstacles)
+};
+
+/**
+ * Sections of a route script, command by command.
+ * @param {string} text
+ * @param {Object} options
+ * @param {'cm'|'mm'} options.unit - Working unit
+ * @param {Array} [options.obstacles] - Obstacles that "obstaculo N" refers to (1-based)
+ * @returns {{
+ *   sections: Array<{name: string|null, color: string|null, hidden: boolean, line: number,
+ *     commands: Array<{line: number, action?: Object, goto?: {x: number, y: number, reverse: boolean}}>}>,
+ *   errors: Array<{line: number, message: string}>
+ * }} line numbers are 1-based
+ */
+export const parseRouteScript = (text, { unit = 'cm', obstacles = [] } = {}) => {
+    const sections = [];
+    const errors = [];
+    let current = null;
+    // Waypoints cannot hold a turn on the spot that is not followed by a drive:
+    // the turn is made when the robot heads for the next point of its section
+    let pendingTurn = null;
+    const closeSection = () => {
+        if (pendingTurn) errors.push({ line: pendingTurn, message: 'el giro del final de la sección no tiene efecto: falta un avance después' });
+        pendingTurn = null;
+    };
+
+    String(text ?? '').split(/\r?\n/).forEach((raw, index) => {
+        const lineNumber = index + 1;
+        const line = raw.replace(/\/\/.*$/, '').trim();
+        if (!line) return;
+
+        const tokens = tokenize(line);
+        const keyword = keywordOf(tokens[0]?.word);
+        if (keyword === 'section') {
+            closeSection();
+            current = { ...parseHeader(tokens.slice(1)), line: lineNumber, commands: [] };
+            sections.push(current);
+            return;
+        }
+
+        const result = keyword
+            ? COMMAND_PARSERS[keyword](tokens.slice(1), obstacles)
+            : parseInstructionCommand(line, unit);
+        if (result.error) {
+            errors.push({ line: lineNumber, message: result.error });
+            return;
+        }
+
+        const type = result.goto ? 'goto' : result.action.type;
+        if (pendingTurn && !['rotate', 'move', 'goto'].includes(type)) {
+            errors.push({
+                line: lineNumber,
+                message: type === 'arc'
+                    ? 'un arco no puede ir justo después de un giro'
+                    : `después del giro de la línea ${pendingTurn} tiene que venir un avance`
+            });
+            return;
+        }
+        pendingTurn = type === 'rotate' ? (pendingTurn ?? lineNumber) : null;
+
+        if (!current) {
+            current = { name: null, color: null, hidden: false, line: lineNumber, commands: [] };
+            sections.push(current);
+        }
+        current.commands.push({ line: lineNumber, ...result });
+    });
+
+    closeSection();
+    errors.sort((a, b) => a.line - b.line);
+
+    return { sections, errors };
+};
+
+const randomColor = () => '#' + Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0');
+
+/**
+ * Planner sections for a parsed script, laid out from the start pose (mm).
+ * "ir" commands become a turn and a drive; alignments store their result
+ * against `field`. Sections keep the id (and colour when the script gives
+ * none) of the section at the same position in `previous`.
+ * @param {{sections: Array}} parsed - parseRouteScript result
+ * @param {Object} options
+ * @param {'cm'|'mm'} options.unit
+ * @param {Object} options.initialPose - {x, y, theta} in mm
+ * @param {Object} [options.field] - Alignment field in mm (alignment.resolveAlignment)
+ * @param {Array} [options.previous] - Current sections
+ * @returns {{sections: Array, lines: Array<number[]>, errors: Array<{line: number, message: string}>}}
+ *   lines holds the script line of every action, per section
+ */
+export const layOutRouteScript = (parsed, { unit = 'cm', initialPose, field = null, previous = [] }) => {
+    const mmPerUnit = unit === 'mm' ? 1 : 10;
+    const unitToMm = (value) => value * mmPerUnit;
+    const mmToUnit = (value) => value / mmPerUnit;
+    const lines = [];
+    const errors = [];
+    let pose = { ...initialPose };
+
+    const sections = parsed.sections.map((script, index) => {
+        const startPose = pose;
+        const actions = [];
+        const actionLines = [];
+        const push = (action, line) => {
+            const [resolved] = resolveActionAlignments([action], pose, unitToMm, mmToUnit, field);
+            actions.push(resolved);
+            actionLines.push(line);
+            pose = advancePose(pose, resolved, unitToMm);
+        };
+
+        for (const command of script.commands) {
+            if (!command.goto) {
+                push(command.action, command.line);
+                continue;
+            }
+            const dx = unitToMm(command.goto.x) - pose.x;
+            const dy = unitToMm(command.goto.y) - pose.y;
+            const distance = mmToUnit(Math.hypot(dx, dy));
+            if (round(distance) === 0) {
+                errors.push({ line: command.line, message: 'el robot ya está en ese punto' });
+                continue;
+            }
+            const heading = Math.atan2(dy, dx) + (command.goto.reverse ? Math.PI : 0);
+            const angle = round(normalizeAngle(heading - pose.theta) * RAD2DEG);
+            if (angle !== 0) push({ type: 'rotate', angle }, command.line);
+            push({ type: 'move', distance: round(command.goto.reverse ? -distance : distance), reference: 'axis' }, command.line);
+        }
+
+        const base = previous[index];
+        const section = {
+            ...base,
+            id: base?.id ?? uid('sec'),
+            name: script.name || `Sección ${index + 1}`,
+            points: pointsFromActions(actions, startPose, unitToMm),
+            actions,
+            startAttachments: leadingAttachments(actions),
+            color: script.color ?? base?.color ?? randomColor(),
+            isVisible: !script.hidden,
+            startAngle: startPose.theta * RAD2DEG,
+            endAngle: getPoseAfterActions(startPose, actions, unitToMm).theta * RAD2DEG
+        };
+        lines.push(actionLines);
+        return section;
+    });
+
+    return { sections, lines, errors };
+};
+
+/**
+ * Script lines whose drive, turn or alignment makes the robot body hit an
+ * obstacle (same check as the clearance report). Hidden sections are skipped.
+ * @param {Array} sections - layOutRouteScript sections
+ * @param {Array<number[]>} lines - layOutRouteScript lines
+ * @param {Object} options
+ * @param {'cm'|'mm'} options.unit
+ * @param {Object} options.initialPose - {x, y, theta} in mm
+ * @param {Object} options.field - Alignment field in mm: obstacles and robot size
+ * @param {number} [options.paddingMm] - Safety margin in mm
+ * @returns {Array<{line: number, message: string}>}
+ */
+export const findRouteScriptCollisions = (sections, lines, { unit = 'cm', initialPose, field, paddingMm = 0 }) => {
+    const mmPerUnit = unit === 'mm' ? 1 : 10;
+    const unitToMm = (value) => value * mmPerUnit;
+    const hits = new Map();
+    let pose = { ...initialPose };
+
+    sections.forEach((section, sectionIndex) => {
+        section.actions.forEach((action, actionIndex) => {
+            if (isAttachmentAction(action)) return;
+            const from = pose;
+            let step;
+            if (isAlignmentAction(action)) {
+                const resolved = resolveAlignment(from, action, field);
+                pose = { ...resolved.pose, theta: normalizeAngle(resolved.pose.theta) };
+                step = { type: 'align', from, to: pose, action: { ...action, contactId: resolved.contactId } };
+            } else {
+                pose = advancePose(from, action, unitToMm);
+                const actionMm = action.type === 'rotate' ? action : { ...action, distance: unitToMm(action.distance) };
+                step = { type: action.type, from, to: pose, action: actionMm };
+            }
+            if (section.isVisible === false) return;
+            const line = lines[sectionIndex][actionIndex];
+            for (const obstacle of stepCollisions(step, field.obstacles, field.robot, paddingMm)) {
+                const names = hits.get(line) ?? new Set();
+                names.add(obstacle.label || 'obstáculo');
+                hits.set(line, names);
+            }
+        });
+    });
+
+    return [...hits.entries()].map(([line, names]) => ({
+        line,
+        message: `choca con ${[...names].map(name => `«${name}»`).join(', ')}`
+    }));
+};
+
+const ALIGN_MODE_TEXT = { wallBack: 'muro', wallSquare: 'cuadrar', lineAlign: 'linea' };
+const ALIGN_REFERENCE_TEXT = { top: 'arriba', right: 'derecha', bottom: 'abajo', left: 'izquierda' };
+
+const actionToText = (action, obstacles) => {
+    switch (action.type) {
+        case 'rotate':
+            return `girar ${action.angle < 0 ? 'izquierda' : 'derecha'} ${formatNumber(Math.abs(action.angle))}`;
+        case 'move':
+            return action.distance < 0 ? `retroceder ${formatNumber(-action.distance)}` : `avanzar ${formatNumber(action.distance)}`;
+        case 'arc':
+            return `arco ${action.distance < 0 ? 'reversa ' : ''}${action.sweep < 0 ? 'izquierda' : 'derecha'} ${formatNumber(Math.abs(action.distance))} ${formatNumber(Math.abs(action.sweep))}°`;
+        case 'motorAngle':
+            return `motor ${action.motor} angulo ${formatNumber(action.angle)} vel ${formatNumber(action.speed)}`;
+        case 'motorTime':
+            return `motor ${action.motor} tiempo ${formatNumber(action.duration)} vel ${formatNumber(action.speed)}`;
+        case 'wait':
+            return `esperar ${formatNumber(action.duration)}`;
+        case 'beep':
+            return `pitido ${formatNumber(action.duration)}${action.label ? ` "${action.label.replace(/"/g, "'")}"` : ''}`;
+        case 'align': {
+            const parts = ['alinear', ALIGN_MODE_TEXT[action.mode] ?? 'cuadrar'];
+            if (action.mode === 'lineAlign' && action.square) parts.push('doble');
+            let comment = '';
+            if (action.reference === 'obstacle') {
+                const index = obstacles.findIndex(o => o.id === action.obstacleId);
+                parts.push('obstaculo', index === -1 ? '?' : String(index + 1));
+                if (index !== -1 && obstacles[index].label) comment = `  // ${obstacles[index].label}`;
+            } else if (ALIGN_REFERENCE_TEXT[action.reference]) {
+                parts.push(ALIGN_REFERENCE_TEXT[action.reference]);
+            }
+            parts.push('vel', formatNumber(action.speed));
+            if (action.mode === 'wallSquare') parts.push('tiempo', formatNumber(action.duration));
+            return parts.join(' ') + comment;
+        }
+        default:
+            return `// ${action.type}`;
+    }
+};
+
+/**
+ * Script text of the planner sections. Drives and arcs are followed by the
+ * point they reach as a comment (working unit).
+ * @param {Array} sections - Sections with actions (distances in the working unit)
+ * @param {Object} options
+ * @param {'cm'|'mm'} options.unit
+ * @param {Array} [options.obstacles] - For "obstaculo N" references
+ * @param {Object} options.initialPose - {x, y, theta} in mm
+ * @returns {string}
+ */
+export const serializeRouteScript = (sections, { unit = 'cm', obstacles = [], initialPose }) => {
+    const mmPerUnit = unit === 'mm' ? 1 : 10;
+    const unitToMm = (value) => value * mmPerUnit;
+    let pose = { ...initialPose };
+
+    return sections.map(section => {
+        const header = [
+            'sección',
+            `"${String(section.name ?? '').replace(/"/g, "'")}"`,
+            /^#[0-9a-f]{6}$/i.test(section.color ?? '') ? section.color : null,
+            section.isVisible === false ? 'oculta' : null
+        ].filter(Boolean).join(' ');
+        const body = (section.actions || []).map(action => {
+            const text = actionToText(action, obstacles);
+            pose = advancePose(pose, action, unitToMm);
+            if (action.type !== 'move' && action.type !== 'arc') return text;
+            const point = `(${formatNumber(pose.x / mmPerUnit)}, ${formatNumber(pose.y / mmPerUnit)})`;
+            return `${text.padEnd(28)} // ${point}`;
+        });
+        return [header, ...body].join('\n');
+    }).join('\n\n') + '\n';
+};
+
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Unit tests for routeScript.js
+ *
+ * Run with: node src/wro-planner/domain/routeScript.test.js
+ *
+ * These tests verify the route script language:
+ * - Commands, section headers and their options
+ * - Turns that are not followed by a drive in their own section
+ * - parse → serialize → parse keeps the sections and their actions
+ */
+
+import { test, assertEqual, assertTrue, summary } from './testHarness.js';
+
+const { parseRouteScript, layOutRouteScript, serializeRouteScript } = await import('./routeScript.js');
+
+const obstacles = [
+    { id: 'obs_a', x: 500, y: 500, w: 100, h: 100, rotation: 0, label: 'Torre' },
+    { id: 'obs_b', x: 1500, y: 600, w: 80, h: 80, rotation: 0 }
+];
+const initialPose = { x: 200, y: 300, theta: 0 };
+
+const parse = (text, unit = 'cm') => parseRouteScript(text, { unit, obstacles });
+const layOut = (parsed, unit = 'cm') => layOutRouteScript(parsed, { unit, initialPose });
+const errorLines = (text) => parse(text).errors.map(e => e.line);
+
+// =====================================================================
+// PARSING
+// =====================================================================
+
+test('Test 1: Commands and headers');
+{
+    const { sections, errors } = parse([
+        'avanzar 30',
+        'sección "Recoger" #22C55E',
+        'girar derecha 90',
+        'ir reversa 120 45',
+        'motor 1 angulo 90 vel 300',
+        'esperar 500 ms',
+        'pitido 200 "cesta"',
+        'alinear linea doble obstaculo 2 vel 80   // comentario',
+        'sección Vuelta oculta',
+        'retroceder 10'
+    ].join('\n'));
+
+    assertEqual(errors, [], 'No errors');
+    assertEqual(sections.map(s => [s.name, s.color, s.hidden, s.line]),
+        [[null, null, false, 1], ['Recoger', '#22c55e', false, 2], ['Vuelta', null, true, 9]],
+        'Unnamed leading section, quoted name with colour, bare name hidden');
+    const [, recoger] = sections;
+    assertEqual(recoger.commands.map(c => c.line), [3, 4, 5, 6, 7, 8], 'Commands keep their line');
+    assertEqual(recoger.commands[1].goto, { x: 120, y: 45, reverse: true }, 'ir reversa X Y');
+    assertEqual(recoger.commands[2].action, { type: 'motorAngle', motor: 1, angle: 90, speed: 300 }, 'Motor by angle');
+    assertEqual(recoger.commands[3].action, { type: 'wait', duration: 500 }, 'Wait with ms');
+    assertEqual(recoger.commands[4].action, { type: 'beep', label: 'cesta', duration: 200 }, 'Beep with label');
+    const align = recoger.commands[5].action;
+    assertEqual([align.mode, align.square, align.reference, align.obstacleId, align.speed],
+        ['lineAlign', true, 'obstacle', 'obs_b', 80], 'Double line alignment against obstacle 2');
+}
+
+test('Test 2: Command errors');
+{
+    const { errors } = parse([
+        'motor 3 angulo 90',
+        'esperar -5',
+        'alinear muro doble',
+        'alinear cuadrar obstaculo 7',
+        'ir 10'
+    ].join('\n'));
+    assertEqual(errors.map(e => e.message), [
+        'el motor tiene que ser 1 o 2',
+        'la duración no puede ser negativa',
+        '«doble» solo vale para alinear con la línea',
+        'no hay obstáculo 7',
+        'faltan las coordenadas X Y del punto'
+    ], 'One message per bad line');
+}
+
+// =====================================================================
+// TURNS WITHOUT A DRIVE
+// =====================================================================
+
+test('Test 3: A turn needs a drive after it in its own section');
+{
+    assertEqual(errorLines('girar derecha 90\navanzar 10'), [], 'Turn then drive');
+    assertEqual(errorLines('girar derecha 90\ngirar izquierda 45\navanzar 10'), [], 'Two turns then drive');
+    assertEqual(errorLines('avanzar 10\ngirar derecha 90'), [2], 'Turn at the end of the script');
+    assertEqual(errorLines('girar derecha 90\nesperar 100\navanzar 10'), [2], 'Wait between turn and drive');
+    assertEqual(errorLines('girar derecha 90\narco derecha 10 90°\navanzar 10'), [2], 'Arc right after a turn');
+
+    // The turn does not carry over into the next section's first drive
+    const text = 'sección "A"\navanzar 10\ngirar derecha 90\nsección "B"\navanzar 20';
+    const { sections, errors } = parse(text);
+    assertEqual(errors.map(e => e.line), [3], 'Turn at the end of a section is reported');
+    assertTrue(errors[0].message.includes('final de la sección'), 'with the section message');
+    assertEqual(sections[1].commands.length, 1, 'Next section keeps only its own drive');
+
+    assertEqual(errorLines('avanzar 10\ngirar derecha 90\nsección "B"\ngirar izquierda 90\nsección "C"\navanzar 5'), [2, 4],
+        'Each section reports its own turn');
+}
+
+// =====================================================================
+// ROUND TRIP
+// =====================================================================
+
+test('Test 4: parse → serialize → parse');
+{
+    const script = [
+        'sección "Recoger" #22c55e',
+        'avanzar 30',
+        'girar derecha 90',
+        'ir 120 45',
+        'arco izquierda 31.4 90°',
+        'motor 1 angulo 90 vel 300',
+        'motor 2 tiempo 1000 vel -300',
+        'esperar 500',
+        'pitido 200 "cesta"',
+        'alinear cuadrar abajo vel 100 tiempo 500',
+        'alinear linea doble obstaculo 1 vel 80',
+        '',
+        'sección "Vuelta" #3b82f6 oculta',
+        'girar izquierda 45',
+        'retroceder 10'
+    ].join('\n');
+
+    const first = layOut(parse(script));
+    assertEqual(first.errors, [], 'Script lays out without errors');
+    const text = serializeRouteScript(first.sections, { unit: 'cm', obstacles, initialPose });
+
+    const reparsed = parse(text);
+    assertEqual(reparsed.errors, [], 'Serialized script parses without errors');
+    const second = layOut(reparsed);
+    assertEqual(second.sections.map(s => s.actions), first.sections.map(s => s.actions), 'Same actions');
+    assertEqual(second.sections.map(s => [s.name, s.color, s.isVisible]), [['Recoger', '#22c55e', true], ['Vuelta', '#3b82f6', false]],
+        'Same names, colours and visibility');
+    assertEqual(second.sections.map(s => s.points.map(p => [p.x, p.y])), first.sections.map(s => s.points.map(p => [p.x, p.y])),
+        'Same points');
+    assertEqual(serializeRouteScript(second.sections, { unit: 'cm', obstacles, initialPose }), text, 'Serializing again gives the same text');
+    assertTrue(text.includes('alinear linea doble obstaculo 1 vel 80  // Torre'), 'Obstacle reference with its label as a comment');
+}
+
+test('Test 5: Round trip in millimetres');
+{
+    const script = 'sección "Mm"\navanzar 300\ngirar izquierda 30\nretroceder 125.5';
+    const first = layOut(parse(script, 'mm'), 'mm');
+    const text = serializeRouteScript(first.sections, { unit: 'mm', obstacles, initialPose });
+    const second = layOut(parse(text, 'mm'), 'mm');
+    assertEqual(second.sections[0].actions, first.sections[0].actions, 'Same actions');
+    assertEqual(second.sections[0].points[1].x, first.sections[0].points[1].x, 'Same last point');
+}
+
+summary();
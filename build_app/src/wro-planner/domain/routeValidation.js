@@ -0,0 +1,186 @@
+/**
+ * routeValidation.js
+ * Checks a finished route against a field layout in field millimetres,
+ * independent of the canvas size: which obstacles each section hits, which
+ * mission markers the robot body passes over and how much clearance every
+ * drive and turn keeps from the obstacles. Collisions and clearances use the
+ * area swept by the real robot footprint (collision.js), like the canvas.
+ */
+
+import { DEG2RAD } from "./constants";
+import { advancePose, arcPose } from "./geometry";
+import { isAttachmentAction } from "./attachments";
+import { flattenSectionsToWaypoints, generatePlaybackActions } from "./pathCalculator";
+import { sweepFootprint, sweepMove, sweepTurn, sweepArc, checkSweepCollision, sweepClearance } from "./collision";
+
+const identity = (v) => v;
+
+// Chords used to approximate arcs when measuring distances (per arc)
+const ARC_SAMPLES = 16;
+
+/**
+ * Drive steps of the visible route, each with its start and end pose (mm).
+ * Attachment actions are skipped: the robot does not move.
+ * @param {Array} sections - Sections with points in mm
+ * @param {Object} initialPose - {x, y, theta} in mm
+ * @param {Object} [field] - Field in mm for alignments (alignment.resolveAlignment);
+ *   without it alignments replay their stored result
+ * @returns {Array<{type: 'rotate'|'move'|'arc'|'align', sectionId: string, from: Object, to: Object, action: Object}>}
+ */
+export const buildRouteSteps = (sections, initialPose, field = null) => {
+    const waypoints = flattenSectionsToWaypoints(sections.filter(s => s.isVisible !== false));
+    const actions = generatePlaybackActions(initialPose, waypoints, 1, field);
+    const steps = [];
+    let pose = { x: initialPose.x, y: initialPose.y, theta: initialPose.theta };
+    for (const action of actions) {
+        if (isAttachmentAction(action)) continue;
+        const next = advancePose(pose, action, identity);
+        steps.push({ type: action.type, sectionId: action.sectionId, from: pose, to: next, action });
+        pose = next;
+    }
+    return steps;
+};
+
+/**
+ * Area swept by the robot body during one step (collision.sweepTurn / sweepArc / sweepMove).
+ * @param {Object} step - Route step (buildRouteSteps)
+ * @param {{width: number, length: number, wheelOffset: number}} robotMm - Robot size in mm
+ * @returns {Array} Convex pieces
+ */
+export const stepSweep = (step, robotMm) => {
+    // Alignments drive to the reference, then square up in place
+    if (step.type === 'align') {
+        return sweepFootprint([step.from, { x: step.to.x, y: step.to.y, theta: step.from.theta }, step.to], robotMm);
+    }
+    if (step.type === 'rotate') return sweepTurn(step.from, step.action.angle * DEG2RAD, robotMm);
+    if (step.type === 'arc') return sweepArc(step.from, step.action.distance, step.action.sweep * DEG2RAD, robotMm);
+    return sweepMove(step.from, step.to, robotMm);
+};
+
+// An alignment touches the obstacle it squares against on purpose
+const stepObstacles = (step, obstacles) => (
+    step.type === 'align' && step.action.contactId
+        ? obstacles.filter(obs => obs.id !== step.action.contactId)
+        : obstacles
+);
+
+/**
+ * Obstacles hit by one drive step (same checks as drawing on the canvas).
+ * @param {Object} step - Route step (buildRouteSteps)
+ * @param {Array} obstacles - Obstacles in mm
+ * @param {{width: number, length: number, wheelOffset: number}} robotMm - Robot size in mm
+ * @param {number} paddingMm - Safety margin in mm
+ * @returns {Array} Obstacles hit
+ */
+export const stepCollisions = (step, obstacles, robotMm, paddingMm = 0) => {
+    const sweep = stepSweep(step, robotMm);
+    return stepObstacles(step, obstacles).filter(obs => checkSweepCollision(sweep, [obs], paddingMm));
+};
+
+const distToSegment = (p, a, b) => {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    const t = lenSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq)) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * Minimum distance from a point to the centre line of a drive step (mm).
+ * @param {Object} step - Route step
+ * @param {{x: number, y: number}} point
+ * @returns {number}
+ */
+export const distanceToStep = (step, point) => {
+    if (step.type === 'rotate') return Math.hypot(point.x - step.from.x, point.y - step.from.y);
+    if (step.type !== 'arc') return distToSegment(point, step.from, step.to);
+    let min = Infinity;
+    let prev = step.from;
+    for (let i = 1; i <= ARC_SAMPLES; i++) {
+        const f = i / ARC_SAMPLES;
+        const next = arcPose(step.from, step.action.distance * f, step.action.sweep * DEG2RAD * f);
+        min = Math.min(min, distToSegment(point, prev, next));
+        prev = next;
+    }
+    return min;
+};
+
+/** Canvas / panel colours of the clearance levels */
+export const CLEARANCE_COLORS = {
+    ok: '#22c55e',
+    tight: '#f59e0b',
+    collision: '#ef4444'
+};
+
+/**
+ * Clearance of every drive and turn of the route: the distance between the
+ * area swept by the robot body and the nearest obstacle.
+ * Levels: 'collision' (the robot overlaps an obstacle), 'tight' (inside the
+ * safety margin) or 'ok'. Steps are keyed by waypoint so instructions
+ * (TURN / MOVE / ARC with the same waypointId) and path segments can find them.
+ * @param {Array} steps - Route steps (buildRouteSteps)
+ * @param {Array} obstacles - Obstacles in mm
+ * @param {{width: number, length: number, wheelOffset: number}} robotMm
+ * @param {number} paddingMm - Safety margin in mm
+ * @returns {{
+ *   steps: Array<{step: Object, clearance: number, obstacle: string|null, level: string}>,
+ *   byWaypoint: Object.<string, {turn?: Object, drive?: Object, align?: Object}>,
+ *   collisions: Array, minClearance: number
+ * }} clearance is Infinity when there are no obstacles
+ */
+export const analyzeRouteClearance = (steps, obstacles, robotMm, paddingMm = 0) => {
+    const report = { steps: [], byWaypoint: {}, collisions: [], minClearance: Infinity };
+    for (const step of steps) {
+        const sweep = stepSweep(step, robotMm);
+        let clearance = Infinity;
+        let closest = null;
+        for (const obs of stepObstacles(step, obstacles)) {
+            const c = sweepClearance(sweep, obs);
+            if (c < clearance) {
+                clearance = c;
+                closest = obs;
+            }
+        }
+        const level = clearance < 0 ? 'collision' : clearance < paddingMm ? 'tight' : 'ok';
+        const entry = { step, clearance, obstacle: closest ? (closest.label || closest.id) : null, level };
+        report.steps.push(entry);
+        const waypointId = step.action.waypointId;
+        if (!report.byWaypoint[waypointId]) report.byWaypoint[waypointId] = {};
+        const key = step.type === 'rotate' ? 'turn' : step.type === 'align' ? 'align' : 'drive';
+        report.byWaypoint[waypointId][key] = entry;
+        if (level === 'collision') report.collisions.push(entry);
+        report.minClearance = Math.min(report.minClearance, clearance);
+    }
+    return report;
+};
+
+/**
+ * Checks a route against a layout.
+ * A marker counts as reached when the robot body overlaps it: the centre line
+ * passes within half the robot width plus half the marker size.
+ * @param {Array} steps - Route steps (buildRouteSteps)
+ * @param {{obstacles: Array, missions: Array}} layout - Field objects in mm
+ * @param {{width: number, length: number, wheelOffset: number}} robotMm - Robot size in mm
+ * @param {number} paddingMm - Safety margin in mm
+ * @returns {{sections: Object.<string, {collisions: string[]}>, reached: Object.<string, string|null>}}
+ *   collisions: names of the obstacles each section hits; reached: marker id -> first section over it (null = never)
+ */
+export const validateRoute = (steps, { obstacles = [], missions = [] }, robotMm, paddingMm = 0) => {
+    const sections = {};
+    for (const step of steps) {
+        if (!sections[step.sectionId]) sections[step.sectionId] = { collisions: [] };
+        const entry = sections[step.sectionId];
+        for (const obs of stepCollisions(step, obstacles, robotMm, paddingMm)) {
+            const name = obs.label || obs.id;
+            if (!entry.collisions.includes(name)) entry.collisions.push(name);
+        }
+    }
+
+    const reached = {};
+    for (const marker of missions) {
+        const reach = robotMm.width / 2 + (marker.size || 0) / 2;
+        const hit = steps.find(step => distanceToStep(step, marker) <= reach);
+        reached[marker.id] = hit ? hit.sectionId : null;
+    }
+    return { sections, reached };
+};
@@ -0,0 +1,183 @@
+/**
+ * runSheet.js
+ * Printable run sheet of a route for judges and the pit: a standalone HTML
+ * document opened in a new window and printed (or saved as PDF) through the
+ * browser's print dialog, so no server is involved.
+ *
+ * - Page 1: the field as drawn by the planner canvas, totals, estimated time
+ *   and the legends of obstacles and mission markers.
+ * - One page per section: start pose and the numbered instruction table.
+ *
+ * Distances use the working unit, like the instructions panel.
+ */
+
+import { MISSION_SHAPES } from "./missions";
+import { WRO_RUN_TIME_LIMIT, estimateRouteTime, formatDuration } from "./motionProfile";
+import { formatInstruction, formatPose, summarizeInstructions } from "./instructionFormat";
+
+const SHAPE_NAMES = {
+    [MISSION_SHAPES.CIRCLE]: 'Círculo',
+    [MISSION_SHAPES.SQUARE]: 'Cuadrado',
+    [MISSION_SHAPES.TRIANGLE]: 'Triángulo',
+    [MISSION_SHAPES.STAR]: 'Estrella',
+    [MISSION_SHAPES.FLAG]: 'Bandera'
+};
+
+const STYLES = `
+    @page { size: A4; margin: 12mm; }
+    * { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    body { margin: 0; font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; font-size: 11pt; color: #0f172a; }
+    .toolbar { position: sticky; top: 0; display: flex; gap: 8px; justify-content: flex-end; padding: 8px 16px; background: #f1f5f9; border-bottom: 1px solid #cbd5e1; }
+    .toolbar button { padding: 6px 14px; border: none; border-radius: 8px; background: #4f46e5; color: #fff; font-weight: 600; cursor: pointer; }
+    .page { padding: 16px; break-after: page; }
+    .page:last-child { break-after: auto; }
+    h1 { margin: 0 0 2px; font-size: 18pt; }
+    h2 { display: flex; align-items: center; gap: 8px; margin: 0 0 8px; font-size: 14pt; }
+    h3 { margin: 14px 0 6px; font-size: 11pt; text-transform: uppercase; letter-spacing: 0.04em; color: #475569; }
+    .subtitle { margin: 0 0 12px; color: #64748b; font-size: 9pt; }
+    .field { display: block; width: 100%; border: 1px solid #cbd5e1; border-radius: 6px; }
+    .summary { display: flex; flex-wrap: wrap; gap: 6px 20px; margin: 10px 0; }
+    .summary b { font-variant-numeric: tabular-nums; }
+    .warning { color: #b91c1c; }
+    .start { margin: 0 0 10px; font-family: ui-monospace, monospace; }
+    table { width: 100%; border-collapse: collapse; font-size: 9.5pt; }
+    th, td { padding: 4px 6px; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+    th { background: #f8fafc; font-weight: 600; color: #475569; }
+    tr { break-inside: avoid; }
+    td.num { text-align: right; font-variant-numeric: tabular-nums; }
+    .swatch { display: inline-block; width: 12px; height: 12px; border-radius: 3px; border: 1px solid rgba(0, 0, 0, 0.2); vertical-align: middle; }
+    .empty { color: #94a3b8; font-style: italic; }
+    @media print { .toolbar { display: none; } .page { padding: 0; } }
+`;
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const swatch = (color) => `<span class="swatch" style="background:${escapeHtml(color)}"></span>`;
+
+const renderLegends = ({ obstacles, missions, unit }) => {
+    const toUnit = (mm) => (unit === 'mm' ? mm : mm / 10).toFixed(1);
+    const obstacleRows = obstacles.map((obs, i) => `
+        <tr>
+            <td>${swatch(obs.color)}</td>
+            <td>${escapeHtml(obs.label || `Obstáculo ${i + 1}`)}</td>
+            <td class="num">${toUnit(obs.x)}</td>
+            <td class="num">${toUnit(obs.y)}</td>
+            <td class="num">${toUnit(obs.w)} × ${toUnit(obs.h)}</td>
+            <td class="num">${Math.round(obs.rotation || 0)}°</td>
+        </tr>`).join('');
+    const missionRows = missions.map((m, i) => `
+        <tr>
+            <td>${swatch(m.color)}</td>
+            <td>${escapeHtml(m.label || `Misión ${i + 1}`)}</td>
+            <td class="num">${toUnit(m.x)}</td>
+            <td class="num">${toUnit(m.y)}</td>
+            <td class="num">${toUnit(m.size)}</td>
+            <td>${SHAPE_NAMES[m.shape] || escapeHtml(m.shape)}</td>
+        </tr>`).join('');
+    return `
+        <h3>Obstáculos</h3>
+        ${obstacles.length === 0 ? '<p class="empty">Sin obstáculos</p>' : `
+        <table>
+            <thead><tr><th></th><th>Nombre</th><th>X (${unit})</th><th>Y (${unit})</th><th>Tamaño (${unit})</th><th>Giro</th></tr></thead>
+            <tbody>${obstacleRows}</tbody>
+        </table>`}
+        <h3>Misiones</h3>
+        ${missions.length === 0 ? '<p class="empty">Sin marcadores de misión</p>' : `
+        <table>
+            <thead><tr><th></th><th>Nombre</th><th>X (${unit})</th><th>Y (${unit})</th><th>Tamaño (${unit})</th><th>Forma</th></tr></thead>
+            <tbody>${missionRows}</tbody>
+        </table>`}`;
+};
+
+const renderSectionPage = ({ section, index, instructions, times, unit }) => {
+    const sectionTime = times.reduce((sum, t) => sum + t, 0);
+    const rows = instructions.map((instr, i) => {
+        const formatted = formatInstruction(instr, unit);
+        return `
+            <tr>
+                <td class="num">${i + 1}</td>
+                <td>${escapeHtml(formatted.typeLabel)}</td>
+                <td>${escapeHtml(formatted.directionLabel)}</td>
+                <td class="num">${escapeHtml(formatted.value)}</td>
+                <td>${escapeHtml(formatted.unit)}</td>
+                <td>${escapeHtml(formatted.description)}</td>
+                <td class="num">${formatDuration(times[i])}</td>
+            </tr>`;
+    }).join('');
+    return `
+    <section class="page">
+        <h2>${swatch(section.color)} ${index + 1}. ${escapeHtml(section.name)}</h2>
+        <p class="start"><b>Inicio</b> ${escapeHtml(formatPose(section.startPose))}</p>
+        ${instructions.length === 0 ? '<p class="empty">Sin instrucciones</p>' : `
+        <table>
+            <thead><tr><th>#</th><th>Tipo</th><th>Dir.</th><th>Valor</th><th>Unidad</th><th>Descripción</th><th>Tiempo</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <div class="summary"><span>Instrucciones: <b>${instructions.length}</b></span><span>Tiempo estimado: <b>${formatDuration(sectionTime)}</b></span></div>`}
+    </section>`;
+};
+
+/**
+ * Standalone HTML of the run sheet (opens the print dialog when loaded).
+ * @param {Object} params
+ * @param {string} params.title - Project / run name
+ * @param {string} [params.subtitle] - e.g. robot and run
+ * @param {string|null} params.fieldImage - PNG data URL of the drawn field, null to leave it out
+ * @param {Array} params.sections - [{ id, name, color, startPose: {x, y, theta} }] (x/y in the working unit)
+ * @param {Array} params.instructions - routeData.instructions
+ * @param {'cm'|'mm'} params.unit
+ * @param {Object} params.motionProfile
+ * @param {Array} params.obstacles - In mm
+ * @param {Array} params.missions - In mm
+ * @returns {string}
+ */
+export const buildRunSheetHtml = ({
+    title, subtitle = '', fieldImage, sections, instructions, unit, motionProfile, obstacles = [], missions = []
+}) => {
+    const timing = estimateRouteTime(instructions, motionProfile, unit);
+    const totals = summarizeInstructions(instructions);
+    const overTimeLimit = timing.total > WRO_RUN_TIME_LIMIT;
+
+    const sectionPages = sections.map((section, index) => {
+        const indices = [];
+        instructions.forEach((instr, i) => { if (instr.sectionId === section.id) indices.push(i); });
+        return renderSectionPage({
+            section,
+            index,
+            instructions: indices.map(i => instructions[i]),
+            times: indices.map(i => timing.steps[i]),
+            unit
+        });
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} · Hoja de salida</title>
+<style>${STYLES}</style>
+</head>
+<body>
+    <div class="toolbar"><button type="button" onclick="window.print()">Imprimir / Guardar PDF</button></div>
+    <section class="page">
+        <h1>${escapeHtml(title)}</h1>
+        <p class="subtitle">${escapeHtml(subtitle)}${subtitle ? ' · ' : ''}${escapeHtml(new Date().toLocaleString('es-ES'))}</p>
+        ${fieldImage ? `<img class="field" src="${fieldImage}" alt="Tapete con la ruta">` : '<p class="empty">No se pudo incluir la imagen del tapete.</p>'}
+        <div class="summary">
+            <span>Secciones: <b>${sections.length}</b></span>
+            <span>Instrucciones: <b>${instructions.length}</b></span>
+            <span>Distancia: <b>${totals.totalDistance.toFixed(1)} ${unit}</b></span>
+            <span>Rotación: <b>${totals.totalRotation.toFixed(1)}°</b></span>
+            <span class="${overTimeLimit ? 'warning' : ''}">Tiempo estimado: <b>${formatDuration(timing.total)}</b>${overTimeLimit ? ` (supera el límite WRO de ${WRO_RUN_TIME_LIMIT} s)` : ''}</span>
+        </div>
+        ${renderLegends({ obstacles, missions, unit })}
+    </section>
+    ${sectionPages}
+    <script>window.addEventListener('load', function () { window.print(); });</script>
+</body>
+</html>`;
+};
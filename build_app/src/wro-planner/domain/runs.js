@@ -0,0 +1,119 @@
+/**
+ * runs.js
+ * A WRO match is several runs from the base, with the robot put back by hand in
+ * between. Every run has its own start pose and its own ordered sections.
+ *
+ * Like the robots of a team (see multiRobot.js), the planner edits one run at a
+ * time: the active run lives in the usual initialPose / sections state and its
+ * entry in the list is just { id, name }; the other runs keep their own copy
+ * { id, name, initialPose, sections } in field millimetres.
+ */
+
+import { uid } from "./constants";
+import { isPointInsideMission } from "./missions";
+import { buildRobotTrack } from "./multiRobot";
+import { scaleSectionsUnit } from "./geometry";
+
+/**
+ * New run starting at `initialPose` (usually the start pose of the first run, the base).
+ * @param {Object} params
+ * @param {number} params.index - Position in the list (name)
+ * @param {Object} params.initialPose - {x, y, theta} in mm
+ * @param {string} [params.color] - Colour of its first section
+ * @returns {{id: string, name: string, initialPose: Object, sections: Array}}
+ */
+export const createRun = ({ index, initialPose, color = '#6366f1' }) => ({
+    id: uid('run'),
+    name: `Salida ${index + 1}`,
+    initialPose: { ...initialPose },
+    sections: [{
+        id: uid('sec'),
+        name: 'Sección 1',
+        points: [],
+        actions: [],
+        color,
+        isVisible: true
+    }]
+});
+
+/**
+ * Runs read from a project file (or a team member), with defaults for missing
+ * fields. The active run is always in the list, first if it had to be added.
+ * @param {Array} raw
+ * @param {string} [activeRunId]
+ * @returns {{runs: Array, activeRunId: string}}
+ */
+export const normalizeRuns = (raw, activeRunId = null) => {
+    const runs = (Array.isArray(raw) ? raw : [])
+        .filter(r => r && r.id && (r.id === activeRunId || (Array.isArray(r.sections) && r.sections.length)))
+        .map((r, index) => (r.id === activeRunId
+            ? { id: r.id, name: r.name || `Salida ${index + 1}` }
+            : { ...r, name: r.name || `Salida ${index + 1}`, initialPose: { x: 354, y: 354, theta: 0, ...r.initialPose } }));
+    if (!runs.some(r => r.id === activeRunId)) {
+        const active = { id: activeRunId || uid('run'), name: `Salida ${runs.length + 1}` };
+        return { runs: [active, ...runs], activeRunId: active.id };
+    }
+    return { runs, activeRunId };
+};
+
+/**
+ * Runs converted to another working unit (the active run's entry has no sections).
+ * @param {Array} runs
+ * @param {number} factor - New units per old unit (10 for cm → mm)
+ * @returns {Array}
+ */
+export const scaleRunsUnit = (runs, factor) => (runs || []).map(r => (
+    Array.isArray(r.sections) ? { ...r, sections: scaleSectionsUnit(r.sections, factor) } : r
+));
+
+/**
+ * Start areas of the field: the "start" markers (fieldElements keys start, start-a, ...).
+ * @param {Array} missions - Mission markers in mm
+ * @returns {Array}
+ */
+export const getStartAreas = (missions) => missions.filter(m => m.elementKey?.startsWith('start'));
+
+/**
+ * Whether a start pose (wheel axis) is inside one of the start areas. Without
+ * start areas on the field every pose is accepted.
+ * @param {Object} pose - {x, y} in mm
+ * @param {Array} startAreas - getStartAreas(...)
+ * @returns {boolean}
+ */
+export const isInStartArea = (pose, startAreas) => (
+    startAreas.length === 0 || startAreas.some(area => isPointInsideMission(pose, area))
+);
+
+/**
+ * Distance driven by a route (straight drives and arcs, in the instruction unit).
+ * @param {Array} instructions
+ * @returns {number}
+ */
+export const routeDistance = (instructions) => instructions.reduce(
+    (sum, instr) => (instr.type === 'MOVE' || instr.type === 'ARC' ? sum + Math.abs(instr.value) : sum),
+    0
+);
+
+/**
+ * Instructions, run time and distance of one run.
+ * @param {Object} run - { initialPose, sections } in mm
+ * @param {Object} params
+ * @param {Object} params.robot - Robot config (working unit)
+ * @param {'cm'|'mm'} params.unit
+ * @param {Object} params.profile - Motion profile
+ * @param {Array} [params.obstacles] - Obstacles in mm, for alignments against them
+ * @param {Array} [params.startAreas] - getStartAreas(...)
+ * @returns {{instructions: Array, time: number, distance: number, inStartArea: boolean}}
+ */
+export const summarizeRun = (run, { robot, unit, profile, obstacles = [], startAreas = [] }) => {
+    const { instructions, track } = buildRobotTrack(
+        { robot, initialPose: run.initialPose, sections: run.sections },
+        { unit, profile, obstacles }
+    );
+    return {
+        instructions,
+        time: track.duration,
+        distance: routeDistance(instructions),
+        inStartArea: isInStartArea(run.initialPose, startAreas)
+    };
+};
@@ -0,0 +1,256 @@
+/**
+ * scenarios.js
+ * Randomized field layouts. Before every round WRO shuffles some game elements
+ * between a fixed set of positions; a randomization group describes one shuffle:
+ * - slots: positions on the mat { id, x, y, rotation, accepts } in mm.
+ *   `accepts` lists the item names allowed in the slot (empty = any item).
+ * - items: elements shuffled into the slots
+ *   { id, name, type: 'obstacle'|'marker', w, h (obstacle), size, shape (marker), color, count, target }.
+ *   `count` identical copies are placed; markers with `target` must be reached by the route.
+ *   Slots left over stay empty.
+ *
+ * A scenario picks one layout per group. All scenarios are enumerated when they
+ * fit in `sampleSize`; otherwise a seeded sample is drawn so results repeat.
+ */
+
+import { uid } from "./constants";
+import { validateRoute } from "./routeValidation";
+
+/** Upper bound of layouts enumerated per group (8 distinct items in 8 slots = 40320) */
+const MAX_GROUP_LAYOUTS = 50000;
+
+export const DEFAULT_SCENARIO_CONFIG = { groups: [], sampleSize: 200, seed: 1 };
+
+const ITEM_COLORS = ['#ef4444', '#22c55e', '#3b82f6', '#f59e0b', '#a855f7', '#14b8a6'];
+
+export const createScenarioGroup = (index = 1) => ({
+    id: uid('grp'),
+    name: `Grupo ${index}`,
+    slots: [],
+    items: []
+});
+
+export const createScenarioSlot = (x, y) => ({
+    id: uid('slot'),
+    x,
+    y,
+    rotation: 0,
+    accepts: []
+});
+
+export const createScenarioItem = (index = 0) => ({
+    id: uid('item'),
+    name: `Elemento ${index + 1}`,
+    type: 'obstacle',
+    w: 50,
+    h: 50,
+    size: 50,
+    shape: 'square',
+    color: ITEM_COLORS[index % ITEM_COLORS.length],
+    count: 1,
+    target: false
+});
+
+/**
+ * Fills defaults in a stored scenario configuration (project files).
+ * @param {Object} raw
+ * @returns {Object}
+ */
+export const normalizeScenarioConfig = (raw) => ({
+    ...DEFAULT_SCENARIO_CONFIG,
+    ...raw,
+    groups: Array.isArray(raw?.groups)
+        ? raw.groups.map(g => ({
+            ...g,
+            slots: (g.slots || []).map(s => ({ rotation: 0, accepts: [], ...s })),
+            items: (g.items || []).map((it, i) => ({ ...createScenarioItem(i), ...it }))
+        }))
+        : []
+});
+
+/**
+ * Every distinct way of placing a group's items in its slots.
+ * Copies of the same item are interchangeable, so each layout appears once.
+ * @param {Object} group
+ * @param {number} [limit] - Stop after this many layouts
+ * @returns {Array<Array<number|null>>} Per layout, the item index in each slot (null = empty)
+ */
+export const enumerateGroupLayouts = (group, limit = MAX_GROUP_LAYOUTS) => {
+    const { slots = [], items = [] } = group;
+    const remaining = items.map(it => Math.max(0, Math.floor(it.count ?? 1)));
+    let left = remaining.reduce((a, b) => a + b, 0);
+    const layouts = [];
+    const current = [];
+
+    const place = (slotIndex) => {
+        if (layouts.length >= limit) return;
+        const slotsLeft = slots.length - slotIndex;
+        if (left > slotsLeft) return;
+        if (slotIndex === slots.length) {
+            layouts.push([...current]);
+            return;
+        }
+        const accepts = slots[slotIndex].accepts || [];
+        items.forEach((item, i) => {
+            if (!remaining[i] || (accepts.length && !accepts.includes(item.name))) return;
+            remaining[i]--;
+            left--;
+            current.push(i);
+            place(slotIndex + 1);
+            current.pop();
+            remaining[i]++;
+            left++;
+        });
+        if (left < slotsLeft) {
+            current.push(null);
+            place(slotIndex + 1);
+            current.pop();
+        }
+    };
+
+    if (slots.length) place(0);
+    return layouts;
+};
+
+/**
+ * Small seeded PRNG (mulberry32): same seed, same sample.
+ * @param {number} seed
+ * @returns {() => number} Uniform numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+    let a = Math.floor(seed) >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Scenarios of a configuration.
+ * @param {Object} config - Scenario configuration
+ * @returns {{
+ *   scenarios: Array<{id: string, label: string, picks: Object.<string, number>}>,
+ *   layouts: Object.<string, Array>, total: number, sampled: boolean, invalidGroups: string[]
+ * }} picks: group id -> layout index; invalidGroups: names of groups whose items do not fit
+ */
+export const generateScenarios = (config) => {
+    const groups = config.groups.filter(g => g.slots.length > 0);
+    const layouts = {};
+    const invalidGroups = [];
+    groups.forEach(g => {
+        layouts[g.id] = enumerateGroupLayouts(g);
+        if (layouts[g.id].length === 0) invalidGroups.push(g.name);
+    });
+    const active = groups.filter(g => layouts[g.id].length > 0);
+    if (active.length === 0) {
+        return { scenarios: [], layouts, total: 0, sampled: false, invalidGroups };
+    }
+
+    const total = active.reduce((acc, g) => acc * layouts[g.id].length, 1);
+    const limit = Math.max(1, Math.floor(config.sampleSize) || DEFAULT_SCENARIO_CONFIG.sampleSize);
+    const combos = [];
+
+    if (total <= limit) {
+        // Mixed-radix counter over the groups' layouts
+        const idx = active.map(() => 0);
+        for (let n = 0; n < total; n++) {
+            combos.push([...idx]);
+            for (let g = active.length - 1; g >= 0; g--) {
+                idx[g]++;
+                if (idx[g] < layouts[active[g].id].length) break;
+                idx[g] = 0;
+            }
+        }
+    } else {
+        const random = createRandom(config.seed ?? 1);
+        const seen = new Set();
+        for (let attempt = 0; combos.length < limit && attempt < limit * 20; attempt++) {
+            const combo = active.map(g => Math.floor(random() * layouts[g.id].length));
+            const key = combo.join(',');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            combos.push(combo);
+        }
+    }
+
+    const scenarios = combos.map((combo, n) => ({
+        id: `sc_${combo.join('_')}`,
+        label: `E${n + 1}`,
+        picks: Object.fromEntries(active.map((g, i) => [g.id, combo[i]]))
+    }));
+    return { scenarios, layouts, total, sampled: total > limit, invalidGroups };
+};
+
+/**
+ * Obstacles and mission markers placed by a scenario (mm).
+ * Markers keep `target` so the route check knows which ones must be reached.
+ * @param {Object} config - Scenario configuration
+ * @param {Object} generated - Result of generateScenarios
+ * @param {Object} scenario - One of generated.scenarios
+ * @returns {{obstacles: Array, missions: Array}}
+ */
+export const buildScenarioLayout = (config, generated, scenario) => {
+    const layout = { obstacles: [], missions: [] };
+    config.groups.forEach(group => {
+        const pick = scenario.picks[group.id];
+        if (pick === undefined) return;
+        generated.layouts[group.id][pick].forEach((itemIndex, slotIndex) => {
+            if (itemIndex === null) return;
+            const item = group.items[itemIndex];
+            const slot = group.slots[slotIndex];
+            const id = `${scenario.id}_${slot.id}`;
+            if (item.type === 'obstacle') {
+                layout.obstacles.push({
+                    id, x: slot.x, y: slot.y, w: item.w, h: item.h,
+                    color: item.color, rotation: slot.rotation || 0, label: item.name
+                });
+            } else {
+                layout.missions.push({
+                    id, x: slot.x, y: slot.y, size: item.size, color: item.color,
+                    shape: item.shape, label: item.name, rotation: slot.rotation || 0,
+                    opacity: 0.7, target: Boolean(item.target)
+                });
+            }
+        });
+    });
+    return layout;
+};
+
+/**
+ * Short text of a scenario: item names slot by slot, per group.
+ * @returns {string}
+ */
+export const describeScenario = (config, generated, scenario) => (
+    config.groups
+        .filter(g => scenario.picks[g.id] !== undefined)
+        .map(g => generated.layouts[g.id][scenario.picks[g.id]]
+            .map(i => (i === null ? '—' : g.items[i].name))
+            .join(' · '))
+        .join(' | ')
+);
+
+/**
+ * Runs the route checks in every scenario.
+ * @param {Object} params
+ * @param {Object} params.config - Scenario configuration
+ * @param {Object} params.generated - Result of generateScenarios
+ * @param {Array} params.steps - Route steps in mm (routeValidation.buildRouteSteps)
+ * @param {Array} params.obstacles - Fixed obstacles (mm), present in every scenario
+ * @param {{width: number, length: number}} params.robotMm
+ * @param {number} params.paddingMm
+ * @returns {Array<{scenario: Object, sections: Object, missed: string[], ok: boolean}>}
+ *   sections: section id -> { collisions }; missed: target markers no section reaches
+ */
+export const validateScenarios = ({ config, generated, steps, obstacles, robotMm, paddingMm }) => (
+    generated.scenarios.map(scenario => {
+        const layout = buildScenarioLayout(config, generated, scenario);
+        const targets = layout.missions.filter(m => m.target);
+        const result = validateRoute(steps, { obstacles: [...obstacles, ...layout.obstacles], missions: targets }, robotMm, paddingMm);
+        const missed = targets.filter(m => result.reached[m.id] === null).map(m => m.label);
+        const ok = missed.length === 0 && Object.values(result.sections).every(s => s.collisions.length === 0);
+        return { scenario, sections: result.sections, missed, ok };
+    })
+);
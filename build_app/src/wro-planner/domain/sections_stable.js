@@ -1,5 +1,5 @@
 import { RAD2DEG } from "./constants";
-import { buildActionsFromPolyline, getPoseAfterActions, computePoseUpToSection, pointsFromActions } from "./geometry";
+import { buildActionsFromPolyline, getPoseAfterActions, computePoseUpToSection, pointsFromActions, resolveActionAlignments } from "./geometry";
 
 /**
  * Recalculates all sections based on their current points.
@@ -9,7 +9,8 @@ import { buildActionsFromPolyline, getPoseAfterActions, computePoseUpToSection,
  * We iterate through all sections, and for each section:
  * 1. Determine start pose (initialPose or end of previous section).
  * 2. Use existing points (X, Y).
- * 3. Recalculate actions to traverse these points from the start pose.
+ * 3. Recalculate actions to traverse these points from the start pose
+ *    (attachment actions stored on the section / points are re-emitted in place).
  * 4. Recalculate end pose and angles.
  * 5. Update point headings based on the new geometry.
  * 
@@ -18,8 +19,9 @@ import { buildActionsFromPolyline, getPoseAfterActions, computePoseUpToSection,
  * @param {Object} params.initialPose - Global initial pose
  * @param {Function} params.unitToPx - Converter
  * @param {Function} params.pxToUnit - Converter
+ * @param {Object} [params.field] - Field in px for alignment actions (see geometry.advancePose)
  */
-export const recalcSectionsFromPointsStable = ({ sections, initialPose, unitToPx, pxToUnit }) => {
+export const recalcSectionsFromPointsStable = ({ sections, initialPose, unitToPx, pxToUnit, field = null }) => {
     let currentPose = { ...initialPose };
     const newSections = [];
 
@@ -35,16 +37,20 @@ export const recalcSectionsFromPointsStable = ({ sections, initialPose, unitToPx
             heading: undefined
         }));
 
-        // 2. Calculate actions
-        const actions = buildActionsFromPolyline(pointsForCalc, currentPose, pxToUnit);
+        // 2. Calculate actions (attachments and alignments before the first point go first)
+        const startAttachments = resolveActionAlignments(section.startAttachments || [], currentPose, unitToPx, pxToUnit, field);
+        const actions = [
+            ...startAttachments,
+            ...buildActionsFromPolyline(pointsForCalc, getPoseAfterActions(currentPose, startAttachments, unitToPx), pxToUnit, field)
+        ];
 
         // 3. Calculate the end pose
-        const endPose = getPoseAfterActions(currentPose, actions, unitToPx);
+        const endPose = getPoseAfterActions(currentPose, actions, unitToPx, field);
 
         // 4. Update points with new headings
         // We use pointsFromActions to derive the correct headings for the new geometry.
         // BUT we strictly preserve the original X, Y to avoid drift.
-        const calculatedPoints = pointsFromActions(actions, currentPose, unitToPx);
+        const calculatedPoints = pointsFromActions(actions, currentPose, unitToPx, field);
 
         const mergedPoints = originalPoints.map((p, i) => {
             const calcP = calculatedPoints[i];
@@ -58,6 +64,7 @@ export const recalcSectionsFromPointsStable = ({ sections, initialPose, unitToPx
         const updatedSection = {
             ...section,
             points: mergedPoints,
+            ...(section.startAttachments ? { startAttachments } : {}),
             actions: actions,
             startAngle: currentPose.theta * RAD2DEG,
             endAngle: endPose.theta * RAD2DEG
@@ -78,29 +85,33 @@ export const recalcSectionsFromPointsStable = ({ sections, initialPose, unitToPx
  * The 'changedSectionId' is ignored because we always do a full pass to ensure consistency
  * based on the immutable points.
  */
-export const recalcAfterEditStable = ({ sections, changedSectionId, initialPose, unitToPx, pxToUnit }) => {
-    return recalcSectionsFromPointsStable({ sections, initialPose, unitToPx, pxToUnit });
+export const recalcAfterEditStable = ({ sections, changedSectionId, initialPose, unitToPx, pxToUnit, field = null }) => {
+    return recalcSectionsFromPointsStable({ sections, initialPose, unitToPx, pxToUnit, field });
 };
 
 /**
  * Recalculates a single section's actions and end pose based on its points.
  * Used when updating a single section in a map/reduce operation.
  */
-export const recalcSectionFromPointsStable = ({ section, sections, initialPose, pxToUnit, unitToPx }) => {
+export const recalcSectionFromPointsStable = ({ section, sections, initialPose, pxToUnit, unitToPx, field = null }) => {
     // Calculate start pose for this section
-    const startPose = computePoseUpToSection(sections, initialPose, section.id, unitToPx);
+    const startPose = computePoseUpToSection(sections, initialPose, section.id, unitToPx, field);
 
     // Prepare points (clear heading)
     const pointsForCalc = section.points.map(p => ({ ...p, heading: undefined }));
 
     // Recalc actions
-    const actions = buildActionsFromPolyline(pointsForCalc, startPose, pxToUnit);
+    const startAttachments = resolveActionAlignments(section.startAttachments || [], startPose, unitToPx, pxToUnit, field);
+    const actions = [
+        ...startAttachments,
+        ...buildActionsFromPolyline(pointsForCalc, getPoseAfterActions(startPose, startAttachments, unitToPx), pxToUnit, field)
+    ];
 
     // Recalc end pose
-    const endPose = getPoseAfterActions(startPose, actions, unitToPx);
+    const endPose = getPoseAfterActions(startPose, actions, unitToPx, field);
 
     // Update headings
-    const calculatedPoints = pointsFromActions(actions, startPose, unitToPx);
+    const calculatedPoints = pointsFromActions(actions, startPose, unitToPx, field);
     const mergedPoints = section.points.map((p, i) => {
         const calcP = calculatedPoints[i];
         return {
@@ -112,6 +123,7 @@ export const recalcSectionFromPointsStable = ({ section, sections, initialPose,
     return {
         ...section,
         points: mergedPoints,
+        ...(section.startAttachments ? { startAttachments } : {}),
         actions,
         startAngle: startPose.theta * RAD2DEG,
         endAngle: endPose.theta * RAD2DEG
@@ -0,0 +1,163 @@
+/**
+ * shareLink.js
+ * Project links: the route part of a project bundle, compressed into the URL
+ * fragment so it never reaches a server.
+ *
+ *   #view=<payload>  opens the project read-only
+ *   #fork=<payload>  adds an editable copy to the recipient's library
+ *
+ * The payload is { name, project } as JSON, deflate-compressed when the browser
+ * has CompressionStream ('z' prefix, plain JSON otherwise: 'j'), in base64url.
+ * Links above MAX_SHARE_URL_LENGTH leave out the embedded images: first the
+ * custom background, then the robot images.
+ */
+
+import { createProjectBundle } from "./projectBundle";
+
+export const SHARE_MODES = { VIEW: 'view', FORK: 'fork' };
+
+/** Longest link produced: chat apps and some browsers cut longer URLs */
+export const MAX_SHARE_URL_LENGTH = 32000;
+
+// Parts of a project left out, in order, until the link fits
+const IMAGE_DROPS = [
+    {
+        label: 'la imagen de fondo personalizada',
+        applies: (project) => Boolean(project.background),
+        drop: (project) => ({ ...project, background: null })
+    },
+    {
+        label: 'las imágenes de los robots',
+        applies: (project) => Boolean(project.robot?.imageSrc) || (project.robots || []).some(m => m.robot?.imageSrc),
+        drop: (project) => ({
+            ...project,
+            robot: project.robot && { ...project.robot, imageSrc: null },
+            robots: project.robots?.map(m => ({ ...m, robot: { ...m.robot, imageSrc: null } }))
+        })
+    }
+];
+
+/**
+ * The part of a project bundle that travels in a link: route, robots, field
+ * objects and background. View settings, scenarios and drift stay local.
+ * @param {Object} bundle - Project bundle (see projectBundle.js)
+ * @returns {Object} Partial bundle
+ */
+export const buildShareProject = (bundle) => createProjectBundle({
+    fieldKey: bundle.fieldKey,
+    grid: bundle.grid,
+    unit: bundle.unit,
+    robot: bundle.robot,
+    initialPose: bundle.initialPose,
+    sections: bundle.sections,
+    runs: bundle.runs,
+    activeRunId: bundle.activeRunId,
+    robots: bundle.robots,
+    activeRobotId: bundle.activeRobotId,
+    motionProfile: bundle.motionProfile,
+    obstacles: bundle.obstacles,
+    missions: bundle.missions,
+    background: bundle.background ?? null
+});
+
+const toBase64Url = (bytes) => {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const pipeBytes = async (bytes, stream) => (
+    new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer())
+);
+
+const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+const encodePayload = async (payload) => {
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    if (!canCompress()) return `j${toBase64Url(bytes)}`;
+    return `z${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+};
+
+// Images in a link must be embedded: any other URL would make the browser that
+// opens the link fetch it
+const embeddedImageOrNull = (src) => (typeof src === 'string' && src.startsWith('data:image/') ? src : null);
+
+const withRobotImage = (robot) => (
+    robot && typeof robot === 'object' ? { ...robot, imageSrc: embeddedImageOrNull(robot.imageSrc) } : robot
+);
+
+const keepEmbeddedImages = (project) => {
+    if (!project || typeof project !== 'object') return project;
+    const clean = { ...project };
+    if ('background' in clean) clean.background = embeddedImageOrNull(clean.background);
+    if ('robot' in clean) clean.robot = withRobotImage(clean.robot);
+    if (Array.isArray(clean.robots)) clean.robots = clean.robots.map(m => (m && typeof m === 'object' ? { ...m, robot: withRobotImage(m.robot) } : m));
+    return clean;
+};
+
+/**
+ * Link to a project, leaving out embedded images when it would be too long.
+ * @param {Object} params
+ * @param {Object} params.project - buildShareProject(...)
+ * @param {string} params.name - Project name shown to the recipient
+ * @param {'view'|'fork'} params.mode
+ * @param {string} params.baseUrl - Page URL without fragment
+ * @param {number} [params.maxLength]
+ * @returns {Promise<{url: string, length: number, dropped: string[], tooLarge: boolean}>}
+ *   dropped: labels of what was left out; tooLarge: the link is still over maxLength
+ */
+export const createShareLink = async ({ project, name, mode, baseUrl, maxLength = MAX_SHARE_URL_LENGTH }) => {
+    const dropped = [];
+    let current = project;
+    let url = `${baseUrl}#${mode}=${await encodePayload({ name, project: current })}`;
+    for (const step of IMAGE_DROPS) {
+        if (url.length <= maxLength) break;
+        if (!step.applies(current)) continue;
+        current = step.drop(current);
+        dropped.push(step.label);
+        url = `${baseUrl}#${mode}=${await encodePayload({ name, project: current })}`;
+    }
+    return { url, length: url.length, dropped, tooLarge: url.length > maxLength };
+};
+
+/**
+ * Share link in a URL fragment, without decoding it.
+ * @param {string} hash - location.hash
+ * @returns {{mode: 'view'|'fork', encoded: string}|null}
+ */
+export const readShareHash = (hash) => {
+    const match = /^#(view|fork)=([jz][A-Za-z0-9_-]+)$/.exec(hash || '');
+    return match ? { mode: match[1], encoded: match[2] } : null;
+};
+
+/**
+ * Payload of a share link. Background and robot images that are not embedded
+ * (data:image/) are dropped; the project still has to go through readProjectBundle.
+ * @param {string} encoded - readShareHash(...).encoded
+ * @returns {Promise<{name: string, project: Object}>}
+ */
+export const decodeSharePayload = async (encoded) => {
+    let bytes = fromBase64Url(encoded.slice(1));
+    if (encoded[0] === 'z') {
+        if (!canCompress()) throw new Error('Este navegador no puede descomprimir el enlace');
+        bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    }
+    const payload = JSON.parse(new TextDecoder().decode(bytes));
+    return { name: typeof payload?.name === 'string' ? payload.name : '', project: keepEmbeddedImages(payload?.project) };
+};
+
+/**
+ * Removes the share link from the address bar (a reload then opens the library as usual).
+ */
+export const removeShareHash = () => {
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+};
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Unit tests for shareLink.js
+ *
+ * Run with: node src/wro-planner/domain/shareLink.test.js
+ *
+ * These tests verify project links:
+ * - Encoding and decoding a project through the URL fragment
+ * - Embedded images left out when the link is too long
+ * - Images that are not embedded dropped when a link is opened
+ */
+
+import { test, assertEqual, assertTrue, summary } from './testHarness.js';
+
+const { createShareLink, readShareHash, decodeSharePayload } = await import('./shareLink.js');
+
+const baseUrl = 'https://planner.example/';
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQ';
+
+const project = {
+    unit: 'cm',
+    initialPose: { x: 250, y: 300, theta: 0 },
+    sections: [{ id: 'sec_1', name: 'Ida', points: [{ x: 900, y: 300 }], actions: [] }],
+    background: PNG,
+    robot: { width: 18, length: 20, imageSrc: JPEG },
+    robots: [{ id: 'rob_1', robot: { width: 15, length: 15, imageSrc: PNG } }]
+};
+
+// Link → hash → payload, as the page opening it does
+const open = async (url) => {
+    const share = readShareHash(url.slice(url.indexOf('#')));
+    return { mode: share?.mode, ...(await decodeSharePayload(share.encoded)) };
+};
+
+// =====================================================================
+// ROUND TRIP
+// =====================================================================
+
+test('Test 1: Encode and decode');
+{
+    const link = await createShareLink({ project, name: 'Ronda 1', mode: 'fork', baseUrl });
+    assertTrue(link.url.startsWith(`${baseUrl}#fork=`), 'Project travels in the fragment');
+    assertEqual(link.dropped, [], 'Nothing left out');
+    const opened = await open(link.url);
+    assertEqual(opened.mode, 'fork', 'Mode read back');
+    assertEqual(opened.name, 'Ronda 1', 'Name read back');
+    assertEqual(opened.project, project, 'Project read back with its embedded images');
+    assertEqual(readShareHash('#view=j!!'), null, 'Fragment with other characters is not a link');
+}
+
+test('Test 2: Too long for a link');
+{
+    const link = await createShareLink({ project, name: 'x', mode: 'view', baseUrl, maxLength: 100 });
+    assertEqual(link.dropped, ['la imagen de fondo personalizada', 'las imágenes de los robots'], 'Background first, then robot images');
+    assertTrue(link.tooLarge, 'Still reported as too long');
+    const opened = await open(link.url);
+    assertEqual([opened.project.background, opened.project.robot.imageSrc, opened.project.robots[0].robot.imageSrc],
+        [null, null, null], 'Images left out');
+}
+
+// =====================================================================
+// IMAGES THAT ARE NOT EMBEDDED
+// =====================================================================
+
+test('Test 3: Remote images are dropped when opening a link');
+{
+    const remote = {
+        ...project,
+        background: 'https://tracker.example/mat.png',
+        robot: { ...project.robot, imageSrc: '//tracker.example/robot.png' },
+        robots: [
+            { id: 'rob_1', robot: { width: 15, length: 15, imageSrc: 'javascript:alert(1)' } },
+            { id: 'rob_2', robot: { width: 15, length: 15, imageSrc: PNG } }
+        ]
+    };
+    const { url } = await createShareLink({ project: remote, name: 'x', mode: 'view', baseUrl });
+    const opened = (await open(url)).project;
+    assertEqual(opened.background, null, 'Remote background dropped');
+    assertEqual(opened.robot.imageSrc, null, 'Remote robot image dropped');
+    assertEqual(opened.robot.width, 18, 'Rest of the robot kept');
+    assertEqual(opened.robots.map(m => m.robot.imageSrc), [null, PNG], 'Team robot images: only the embedded one kept');
+    assertEqual(opened.sections, project.sections, 'Route kept');
+
+    const { url: bare } = await createShareLink({ project: { unit: 'mm', robot: { width: 18, imageSrc: 42 } }, name: 'x', mode: 'view', baseUrl });
+    const partial = (await open(bare)).project;
+    assertTrue(!('background' in partial), 'No background field added to a project without one');
+    assertEqual(partial.robot.imageSrc, null, 'Image that is not a string dropped');
+}
+
+summary();
@@ -0,0 +1,101 @@
+/**
+ * testHarness.js
+ * Shared helpers for the standalone domain tests (node <name>.test.js).
+ *
+ * Importing it registers a loader so the domain modules run in plain Node the
+ * way Vite serves them: relative imports without extension and image assets
+ * (as an empty URL, whether or not the file is present). Modules under test
+ * must be loaded with a dynamic import after this one, e.g.
+ * `const { fn } = await import('./module.js');`
+ */
+
+/* global process */
+
+import { register } from 'node:module';
+
+const HOOKS = `
+const KNOWN_EXTENSION = /\\.(m?js|jsx|json|css|png|jpe?g|gif|svg|webp)$/i;
+const ASSET = /\\.(png|jpe?g|gif|svg|webp)$/i;
+
+export async function resolve(specifier, context, next) {
+    const relative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (relative && ASSET.test(specifier)) return { url: new URL(specifier, context.parentURL).href, shortCircuit: true };
+    return next(relative && !KNOWN_EXTENSION.test(specifier) ? specifier + '.js' : specifier, context);
+}
+
+export async function load(url, context, next) {
+    if (ASSET.test(url)) return { format: 'module', source: 'export default "";', shortCircuit: true };
+    return next(url, context);
+}
+`;
+
+register(`data:text/javascript,${encodeURIComponent(HOOKS)}`);
+
+let testsPassed = 0;
+let testsFailed = 0;
+
+/**
+ * Prints the title of a group of checks.
+ * @param {string} title
+ */
+export const test = (title) => console.log(`\n${title}`);
+
+/**
+ * Strict equality for strings and booleans, 0.01 tolerance for numbers.
+ * Other values (arrays, objects) are compared as JSON.
+ */
+export function assertEqual(actual, expected, message) {
+    let pass;
+    if (typeof actual === 'number' && typeof expected === 'number') {
+        pass = Math.abs(actual - expected) < 0.01;
+    } else if (typeof actual === 'object' && actual !== null) {
+        pass = JSON.stringify(actual) === JSON.stringify(expected);
+    } else {
+        pass = actual === expected;
+    }
+    if (pass) {
+        testsPassed++;
+        console.log(`  PASS: ${message}`);
+    } else {
+        testsFailed++;
+        console.log(`  FAIL: ${message}`);
+        console.log(`    Expected: ${JSON.stringify(expected)}, Got: ${JSON.stringify(actual)}`);
+    }
+}
+
+export function assertApprox(actual, expected, tolerance, message) {
+    const pass = Math.abs(actual - expected) < tolerance;
+    if (pass) {
+        testsPassed++;
+        console.log(`  PASS: ${message}`);
+    } else {
+        testsFailed++;
+        console.log(`  FAIL: ${message}`);
+        console.log(`    Expected: ~${expected} (±${tolerance}), Got: ${actual}`);
+    }
+}
+
+export function assertTrue(condition, message) {
+    if (condition) {
+        testsPassed++;
+        console.log(`  PASS: ${message}`);
+    } else {
+        testsFailed++;
+        console.log(`  FAIL: ${message}`);
+    }
+}
+
+/**
+ * Prints the totals and exits with code 1 when any check failed.
+ */
+export function summary() {
+    console.log('\n======== TEST SUMMARY ========');
+    console.log(`Passed: ${testsPassed}`);
+    console.log(`Failed: ${testsFailed}`);
+    console.log(`Total:  ${testsPassed + testsFailed}`);
+    console.log('==============================\n');
+
+    if (testsFailed > 0) {
+        process.exit(1);
+    }
+}
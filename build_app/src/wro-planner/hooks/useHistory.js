@@ -0,0 +1,193 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+const DEFAULT_LIMIT = 100;
+const COALESCE_WINDOW_MS = 800;
+
+const countPoints = (sections = []) => sections.reduce((acc, s) => acc + (s.points?.length || 0), 0);
+
+/**
+ * Describe (in Spanish, for the history list) what changed between two snapshots.
+ * Only reference equality is checked: every edit in the planner replaces the
+ * touched slice of state, so unchanged slices keep their identity.
+ */
+export const describeChange = (prev, next) => {
+    const changed = Object.keys(next).filter(key => prev[key] !== next[key]);
+    if (changed.length === 0) return null;
+    if (changed.includes('unit')) return 'Cambiar unidad';
+    if (changed.includes('team')) {
+        const robotDiff = (next.team?.length || 0) - (prev.team?.length || 0);
+        if (robotDiff > 0) return 'Añadir robot';
+        if (robotDiff < 0) return 'Eliminar robot';
+    }
+    if (changed.includes('activeRobotId')) return 'Cambiar de robot';
+    if (changed.length === 1 && changed[0] === 'team') return 'Editar robot';
+    if (changed.includes('runs')) {
+        const runDiff = (next.runs?.length || 0) - (prev.runs?.length || 0);
+        if (runDiff > 0) return 'Añadir salida';
+        if (runDiff < 0) return 'Eliminar salida';
+    }
+    if (changed.includes('activeRunId')) return 'Cambiar de salida';
+    if (changed.length === 1 && changed[0] === 'runs') return 'Editar salida';
+    if (changed.length > 2 || (changed.length === 2 && !changed.includes('sections'))) {
+        return 'Cambios múltiples';
+    }
+
+    const key = changed.find(k => k !== 'sections') ?? 'sections';
+    if (key === 'initialPose') return 'Mover posición inicial';
+    if (key === 'robot') return 'Configurar robot';
+    if (key === 'obstacles' || key === 'missions') {
+        const noun = key === 'obstacles' ? 'obstáculo' : 'misión';
+        const diff = (next[key]?.length || 0) - (prev[key]?.length || 0);
+        if (diff > 0) return `Añadir ${noun}`;
+        if (diff < 0) return `Eliminar ${noun}`;
+        return `Editar ${noun}`;
+    }
+
+    const sectionDiff = next.sections.length - prev.sections.length;
+    if (sectionDiff > 0) return 'Añadir sección';
+    if (sectionDiff < 0) return 'Eliminar sección';
+    const pointDiff = countPoints(next.sections) - countPoints(prev.sections);
+    if (pointDiff > 0) return pointDiff === 1 ? 'Añadir punto' : `Añadir ${pointDiff} puntos`;
+    if (pointDiff < 0) return pointDiff === -1 ? 'Eliminar punto' : `Eliminar ${-pointDiff} puntos`;
+    return 'Editar ruta';
+};
+
+/**
+ * Snapshot-based undo/redo history.
+ *
+ * The hook observes `state` (a memoized object with every tracked slice) and
+ * records a new entry whenever it changes. Changes made between beginGesture()
+ * and endGesture() (e.g. a canvas drag) are collapsed into a single entry, and
+ * consecutive changes with the same label inside a short window (sliders,
+ * number inputs) are merged as well. reset() starts a new history when
+ * another project is opened, so undo never brings the previous one back.
+ *
+ * @param {Object} params
+ * @param {Object} params.state - Current snapshot of the tracked state
+ * @param {(snapshot: Object) => void} params.onRestore - Applies a snapshot back to the app state
+ * @param {number} [params.limit] - Maximum number of entries kept
+ */
+const useHistory = ({ state, onRestore, limit = DEFAULT_LIMIT }) => {
+    const [history, setHistory] = useState(() => ({
+        entries: [{ id: 0, label: 'Estado inicial', snapshot: state, timestamp: Date.now() }],
+        index: 0
+    }));
+
+    const historyRef = useRef(history);
+    const nextIdRef = useRef(1);
+    const gestureRef = useRef(false);
+    const restoringRef = useRef(null);
+    const stateRef = useRef(state);
+    const resetRef = useRef(false);
+
+    const applyHistory = useCallback((next) => {
+        historyRef.current = next;
+        setHistory(next);
+    }, []);
+
+    const commit = useCallback((snapshot, { coalesce = true } = {}) => {
+        const { entries, index } = historyRef.current;
+        const present = entries[index];
+        if (present.snapshot === snapshot) return;
+
+        const label = describeChange(present.snapshot, snapshot);
+        if (!label) return;
+
+        const now = Date.now();
+        const canMerge = coalesce
+            && index > 0
+            && index === entries.length - 1
+            && present.label === label
+            && now - present.timestamp < COALESCE_WINDOW_MS;
+
+        if (canMerge) {
+            const merged = [...entries];
+            merged[index] = { ...present, snapshot, timestamp: now };
+            applyHistory({ entries: merged, index });
+            return;
+        }
+
+        let nextEntries = [
+            ...entries.slice(0, index + 1),
+            { id: nextIdRef.current++, label, snapshot, timestamp: now }
+        ];
+        if (nextEntries.length > limit) {
+            nextEntries = nextEntries.slice(nextEntries.length - limit);
+        }
+        applyHistory({ entries: nextEntries, index: nextEntries.length - 1 });
+    }, [applyHistory, limit]);
+
+    // Record every change of the tracked state (except the ones we caused by restoring)
+    useEffect(() => {
+        stateRef.current = state;
+        if (restoringRef.current) {
+            const target = restoringRef.current;
+            const settled = Object.keys(target).every(key => target[key] === state[key]);
+            if (settled) restoringRef.current = null;
+            return;
+        }
+        if (resetRef.current) {
+            // The state set together with reset() lands here: it is the base of the new history
+            resetRef.current = false;
+            const base = historyRef.current.entries[0];
+            applyHistory({ entries: [{ ...base, snapshot: state }], index: 0 });
+            return;
+        }
+        if (gestureRef.current) return;
+        commit(state);
+    }, [state, commit, applyHistory]);
+
+    const goTo = useCallback((targetIndex) => {
+        const { entries, index } = historyRef.current;
+        if (targetIndex < 0 || targetIndex >= entries.length || targetIndex === index) return;
+        gestureRef.current = false;
+        const snapshot = entries[targetIndex].snapshot;
+        restoringRef.current = snapshot;
+        applyHistory({ entries, index: targetIndex });
+        onRestore(snapshot);
+    }, [applyHistory, onRestore]);
+
+    const undo = useCallback(() => goTo(historyRef.current.index - 1), [goTo]);
+    const redo = useCallback(() => goTo(historyRef.current.index + 1), [goTo]);
+
+    /**
+     * Drops every entry and starts again from `snapshot`: call it right after
+     * setting the state of a newly opened project, with the values set.
+     * @param {Object} snapshot - Tracked state being applied
+     */
+    const reset = useCallback((snapshot) => {
+        gestureRef.current = false;
+        restoringRef.current = null;
+        const current = stateRef.current;
+        resetRef.current = Object.keys(snapshot).some(key => snapshot[key] !== current[key]);
+        applyHistory({
+            entries: [{ id: nextIdRef.current++, label: 'Abrir proyecto', snapshot, timestamp: Date.now() }],
+            index: 0
+        });
+    }, [applyHistory]);
+
+    const beginGesture = useCallback(() => {
+        gestureRef.current = true;
+    }, []);
+
+    const endGesture = useCallback(() => {
+        if (!gestureRef.current) return;
+        gestureRef.current = false;
+        commit(stateRef.current, { coalesce: false });
+    }, [commit]);
+
+    return {
+        entries: history.entries,
+        index: history.index,
+        canUndo: history.index > 0,
+        canRedo: history.index < history.entries.length - 1,
+        undo,
+        redo,
+        goTo,
+        reset,
+        beginGesture,
+        endGesture
+    };
+};
+
+export default useHistory;
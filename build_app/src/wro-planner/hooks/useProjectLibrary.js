@@ -0,0 +1,244 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import {
+    listProjects,
+    loadProject,
+    createProject,
+    saveProjectData,
+    renameProject as renameStoredProject,
+    duplicateProject as duplicateStoredProject,
+    deleteProject as deleteStoredProject,
+    loadSession,
+    saveSession
+} from '../domain/projectStore';
+
+const AUTOSAVE_DELAY_MS = 800;
+
+const nextProjectName = (projects) => `Proyecto ${projects.length + 1}`;
+
+/**
+ * Autosave of the planner state into the local project library (IndexedDB).
+ *
+ * On mount the project of the last session is reopened (or a first project is
+ * created from the current state); if that session did not end normally the
+ * project is reported as recovered. Afterwards every change of `snapshot` is
+ * written to the open project after a short pause, and immediately when the
+ * page is hidden.
+ *
+ * While `paused` (a shared project is being viewed) nothing is written and the
+ * last project is not applied on mount; reloadProject() brings it back.
+ *
+ * @param {Object} params
+ * @param {Object} params.snapshot - Memoized planner state to save
+ * @param {(data: Object) => void} params.onLoad - Applies a saved snapshot to the planner
+ * @param {() => Object} params.createBlank - Snapshot of an empty project
+ * @param {boolean} [params.paused] - Stop autosaving (the planner shows something else)
+ */
+const useProjectLibrary = ({ snapshot, onLoad, createBlank, paused = false }) => {
+    const [projects, setProjects] = useState([]);
+    const [currentId, setCurrentId] = useState(null);
+    // 'loading' | 'saving' | 'saved' | 'error' | 'unavailable'
+    const [status, setStatus] = useState('loading');
+    const [recovered, setRecovered] = useState(null);
+
+    const snapshotRef = useRef(snapshot);
+    const savedSnapshotRef = useRef(null);
+    const currentIdRef = useRef(null);
+    const onLoadRef = useRef(onLoad);
+    const pausedRef = useRef(paused);
+    const startedRef = useRef(false);
+
+    useEffect(() => {
+        snapshotRef.current = snapshot;
+        onLoadRef.current = onLoad;
+        pausedRef.current = paused;
+    });
+
+    const updateMeta = useCallback((meta) => {
+        if (meta) setProjects(prev => [meta, ...prev.filter(p => p.id !== meta.id)]);
+    }, []);
+
+    const open = useCallback((meta, data) => {
+        currentIdRef.current = meta.id;
+        savedSnapshotRef.current = null;
+        setCurrentId(meta.id);
+        saveSession({ projectId: meta.id, clean: false });
+        if (data) onLoadRef.current(data);
+    }, []);
+
+    // Writes the current snapshot now (if it changed since the last save)
+    const flush = useCallback(async () => {
+        const id = currentIdRef.current;
+        const data = snapshotRef.current;
+        if (!id || pausedRef.current || savedSnapshotRef.current === data) return;
+        setStatus('saving');
+        try {
+            updateMeta(await saveProjectData(id, data));
+            savedSnapshotRef.current = data;
+            setStatus('saved');
+        } catch (err) {
+            console.error('Error guardando el proyecto', err);
+            setStatus('error');
+        }
+    }, [updateMeta]);
+
+    // Reopen the last project (crash recovery) or start the library with the current state
+    useEffect(() => {
+        if (startedRef.current) return;
+        startedRef.current = true;
+        (async () => {
+            try {
+                const session = loadSession();
+                const list = await listProjects();
+                const last = session.projectId && list.some(p => p.id === session.projectId)
+                    ? await loadProject(session.projectId)
+                    : null;
+                if (last?.data) {
+                    setProjects(list);
+                    open(last.meta, pausedRef.current ? null : last.data);
+                    if (!session.clean && !pausedRef.current) setRecovered(last.meta);
+                } else {
+                    const first = pausedRef.current ? createBlank() : snapshotRef.current;
+                    const meta = await createProject(nextProjectName(list), first);
+                    setProjects([meta, ...list]);
+                    open(meta, null);
+                }
+                setStatus('saved');
+            } catch (err) {
+                console.error('Error abriendo la biblioteca de proyectos', err);
+                setStatus('unavailable');
+            }
+        })();
+    }, [open, createBlank]);
+
+    // Autosave after a short pause in the edits
+    useEffect(() => {
+        if (!currentId || paused) return undefined;
+        const timer = setTimeout(flush, AUTOSAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [snapshot, currentId, paused, flush]);
+
+    // Save when the page is hidden and remember whether it was closed normally
+    useEffect(() => {
+        const handleVisibility = () => {
+            if (document.visibilityState === 'hidden') flush();
+        };
+        const handlePageHide = () => {
+            flush();
+            saveSession({ projectId: currentIdRef.current, clean: true });
+        };
+        const handlePageShow = () => {
+            if (currentIdRef.current) saveSession({ projectId: currentIdRef.current, clean: false });
+        };
+        document.addEventListener('visibilitychange', handleVisibility);
+        window.addEventListener('pagehide', handlePageHide);
+        window.addEventListener('pageshow', handlePageShow);
+        return () => {
+            document.removeEventListener('visibilitychange', handleVisibility);
+            window.removeEventListener('pagehide', handlePageHide);
+            window.removeEventListener('pageshow', handlePageShow);
+        };
+    }, [flush]);
+
+    const openProject = useCallback(async (id) => {
+        if (id === currentIdRef.current) return;
+        await flush();
+        try {
+            const project = await loadProject(id);
+            if (!project?.data) throw new Error(`Proyecto ${id} sin datos`);
+            open(project.meta, project.data);
+            setRecovered(null);
+        } catch (err) {
+            console.error('Error abriendo el proyecto', err);
+            alert('No se pudo abrir el proyecto.');
+        }
+    }, [flush, open]);
+
+    const newProject = useCallback(async () => {
+        await flush();
+        try {
+            const data = createBlank();
+            const meta = await createProject(nextProjectName(projects), data);
+            updateMeta(meta);
+            open(meta, data);
+            setRecovered(null);
+        } catch (err) {
+            console.error('Error creando el proyecto', err);
+            alert('No se pudo crear el proyecto.');
+        }
+    }, [flush, createBlank, projects, updateMeta, open]);
+
+    // Applies the open project again (e.g. after viewing a shared project)
+    const reloadProject = useCallback(async () => {
+        const id = currentIdRef.current;
+        if (!id) return;
+        try {
+            const project = await loadProject(id);
+            if (project?.data) onLoadRef.current(project.data);
+        } catch (err) {
+            console.error('Error abriendo el proyecto', err);
+            alert('No se pudo abrir el proyecto.');
+        }
+    }, []);
+
+    // Adds a project with the given data (e.g. a copy of a shared project) and opens it
+    const importProject = useCallback(async (name, data) => {
+        await flush();
+        try {
+            const meta = await createProject(name, data);
+            updateMeta(meta);
+            open(meta, data);
+            setRecovered(null);
+        } catch (err) {
+            console.error('Error creando el proyecto', err);
+            alert('No se pudo crear el proyecto.');
+        }
+    }, [flush, updateMeta, open]);
+
+    const renameProject = useCallback(async (id, name) => {
+        try {
+            updateMeta(await renameStoredProject(id, name));
+        } catch (err) {
+            console.error('Error renombrando el proyecto', err);
+            alert('No se pudo renombrar el proyecto.');
+        }
+    }, [updateMeta]);
+
+    const duplicateProject = useCallback(async (id) => {
+        if (id === currentIdRef.current) await flush();
+        const source = projects.find(p => p.id === id);
+        try {
+            updateMeta(await duplicateStoredProject(id, `${source?.name ?? 'Proyecto'} (copia)`));
+        } catch (err) {
+            console.error('Error duplicando el proyecto', err);
+            alert('No se pudo duplicar el proyecto.');
+        }
+    }, [flush, projects, updateMeta]);
+
+    const deleteProject = useCallback(async (id) => {
+        if (id === currentIdRef.current) return;
+        try {
+            await deleteStoredProject(id);
+            setProjects(prev => prev.filter(p => p.id !== id));
+        } catch (err) {
+            console.error('Error eliminando el proyecto', err);
+            alert('No se pudo eliminar el proyecto.');
+        }
+    }, []);
+
+    return {
+        projects,
+        currentProject: projects.find(p => p.id === currentId) ?? null,
+        status,
+        recovered,
+        dismissRecovered: () => setRecovered(null),
+        openProject,
+        newProject,
+        importProject,
+        reloadProject,
+        renameProject,
+        duplicateProject,
+        deleteProject
+    };
+};
+
+export default useProjectLibrary;